@@ -11,6 +11,7 @@ import { configureStore } from '@reduxjs/toolkit';
 import { vi } from 'vitest';
 import DiscrepancyAlert from '../../components/validation/DiscrepancyAlert';
 import validationSlice, { acknowledgeAlert, dismissAlert } from '../../redux/slices/validationSlice';
+import discrepancyCaseSlice from '../../redux/slices/discrepancyCaseSlice';
 import { SEVERITY_LEVELS } from '../../types/validation';
 
 // Mock UI components
@@ -63,7 +64,8 @@ vi.mock('lucide-react', () => ({
   Check: () => <div data-testid="check-icon" />,
   DollarSign: () => <div data-testid="dollar-sign-icon" />,
   Calendar: () => <div data-testid="calendar-icon" />,
-  FileText: () => <div data-testid="file-text-icon" />
+  FileText: () => <div data-testid="file-text-icon" />,
+  Briefcase: () => <div data-testid="briefcase-icon" />
 }));
 
 describe('DiscrepancyAlert Component', () => {
@@ -72,7 +74,8 @@ describe('DiscrepancyAlert Component', () => {
   const createMockStore = (initialState = {}) => {
     const store = configureStore({
       reducer: {
-        validation: validationSlice
+        validation: validationSlice,
+        discrepancyCases: discrepancyCaseSlice
       },
       preloadedState: initialState
     });
@@ -222,6 +225,33 @@ describe('DiscrepancyAlert Component', () => {
       expect(mockDispatch).toHaveBeenCalledWith(dismissAlert('alert-1'));
     });
 
+    it('dispatches openCase when open case button is clicked', () => {
+      const store = createMockStore();
+      const alert = createMockAlert();
+      
+      renderWithStore(store, { alerts: [alert] });
+
+      fireEvent.click(screen.getByText('Open Case'));
+
+      expect(mockDispatch).toHaveBeenCalledWith(expect.any(Function));
+    });
+
+    it('shows the case status instead of the open case button when a case is open', () => {
+      const store = createMockStore({
+        discrepancyCases: {
+          cases: [{ id: 'case-1', sourceId: 'alert-1', status: 'waiting_on_distributor' }],
+          isLoading: false,
+          error: null
+        }
+      });
+      const alert = createMockAlert();
+      
+      renderWithStore(store, { alerts: [alert] });
+
+      expect(screen.getByText('Case waiting on distributor')).toBeInTheDocument();
+      expect(screen.queryByText('Open Case')).not.toBeInTheDocument();
+    });
+
     it('does not show action buttons when showActions is false', () => {
       const store = createMockStore();
       const alert = createMockAlert();
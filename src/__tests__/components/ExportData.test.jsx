@@ -80,7 +80,9 @@ vi.mock('lucide-react', () => ({
   Clock: () => <div data-testid="clock-icon" />,
   AlertCircle: () => <div data-testid="alert-circle-icon" />,
   CheckCircle: () => <div data-testid="check-circle-icon" />,
-  Search: () => <div data-testid="search-icon" />
+  Search: () => <div data-testid="search-icon" />,
+  Coins: () => <div data-testid="coins-icon" />,
+  Tag: () => <div data-testid="tag-icon" />
 }));
 
 describe('ExportData Component', () => {
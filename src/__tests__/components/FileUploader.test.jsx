@@ -124,6 +124,18 @@ describe('FileUploader Component', () => {
         expect(mockOnFileSelect).toHaveBeenCalled();
       });
     });
+
+    it('passes the chosen text encoding with selected files', async () => {
+      const { container } = render(<FileUploader onFileSelect={mockOnFileSelect} />);
+
+      expect(screen.getByLabelText('Text encoding')).toHaveValue('auto');
+      fireEvent.change(screen.getByLabelText('Text encoding'), { target: { value: 'windows-874' } });
+      fireEvent.change(getFileInput(container), { target: { files: [createMockFile()] } });
+
+      await waitFor(() => {
+        expect(mockOnFileSelect).toHaveBeenCalledWith(expect.objectContaining({ encoding: 'windows-874' }));
+      });
+    });
   });
 
   describe('Drag and Drop Functionality', () => {
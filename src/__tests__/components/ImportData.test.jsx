@@ -63,7 +63,9 @@ vi.mock('lucide-react', () => ({
   CheckCircle: () => <div data-testid="check-circle-icon" />,
   AlertTriangle: () => <div data-testid="alert-triangle-icon" />,
   Download: () => <div data-testid="download-icon" />,
-  Eye: () => <div data-testid="eye-icon" />
+  Eye: () => <div data-testid="eye-icon" />,
+  Coins: () => <div data-testid="coins-icon" />,
+  Tag: () => <div data-testid="tag-icon" />
 }));
 
 describe('ImportData Component', () => {
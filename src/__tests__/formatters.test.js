@@ -27,6 +27,12 @@ describe('Date Formatting', () => {
     expect(thResult).toContain('2025');
   });
 
+  it('formatDate renders Buddhist-era years when asked', () => {
+    expect(formatDate(testDate, 'th', { buddhistEra: true })).toContain('2568');
+    expect(formatDate(testDate, 'th', { buddhistEra: true })).toContain('มกราคม');
+    expect(formatDate(testDate, 'th')).not.toContain('2568');
+  });
+
   it('formatTime works for different locales', () => {
     const enResult = formatTime(testDate, 'en');
     const thResult = formatTime(testDate, 'th');
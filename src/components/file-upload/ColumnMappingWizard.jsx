@@ -0,0 +1,294 @@
+import React, { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Columns, AlertTriangle } from 'lucide-react';
+import { CsvParser } from '../../utils/CsvParser';
+import ColumnMappingService from '../../services/ColumnMappingService';
+import { DATE_FORMATS, MAPPABLE_INVOICE_FIELDS } from '../../types/invoice';
+
+const CONSTANT_SOURCE = '__constant__';
+
+const toMappingState = (mappings) => {
+  const state = {};
+  Object.keys(MAPPABLE_INVOICE_FIELDS).forEach(field => {
+    const mapping = mappings.find(m => m.field === field) || {};
+    const isConstant = mapping.constant !== undefined && mapping.constant !== '';
+    state[field] = {
+      source: isConstant ? CONSTANT_SOURCE : mapping.source || '',
+      constant: isConstant ? String(mapping.constant) : '',
+      dateFormat: mapping.dateFormat || '',
+      decimalSeparator: mapping.decimalSeparator || '.'
+    };
+  });
+  return state;
+};
+
+const toMappings = (state) => Object.entries(state)
+  .filter(([, value]) => value.source === CONSTANT_SOURCE ? value.constant !== '' : value.source)
+  .map(([field, value]) => {
+    if (value.source === CONSTANT_SOURCE) {
+      return { field, constant: value.constant };
+    }
+    const mapping = { field, source: value.source };
+    const { type } = MAPPABLE_INVOICE_FIELDS[field];
+    if (type === 'date' && value.dateFormat) {
+      mapping.dateFormat = value.dateFormat;
+    }
+    if (type === 'number' && value.decimalSeparator === ',') {
+      mapping.decimalSeparator = ',';
+    }
+    return mapping;
+  });
+
+/**
+ * Lets the user map CSV source columns to invoice fields, previewing the
+ * first rows, and optionally save the mapping as a distributor profile
+ */
+const ColumnMappingWizard = ({
+  fileName,
+  headers,
+  rows = [],
+  initialMappings = [],
+  initialProfile = null,
+  onConfirm,
+  onCancel,
+  className = ''
+}) => {
+  const [mappingState, setMappingState] = useState(() => toMappingState(initialMappings));
+  const [profileName, setProfileName] = useState(initialProfile?.name || '');
+  const [distributorCode, setDistributorCode] = useState(initialProfile?.distributorCode || '');
+  const [saveProfile, setSaveProfile] = useState(true);
+
+  const mappings = useMemo(() => toMappings(mappingState), [mappingState]);
+  const missingFields = useMemo(() => ColumnMappingService.getMissingRequiredFields(mappings), [mappings]);
+  const unmappedHeaders = useMemo(
+    () => ColumnMappingService.getUnmappedHeaders(headers, mappings),
+    [headers, mappings]
+  );
+  const previewRows = useMemo(() => {
+    const parser = new CsvParser({ mappingProfile: { mappings } });
+    return rows.map(row => parser.applyMappingProfile(row));
+  }, [mappings, rows]);
+
+  const updateField = (field, changes) => {
+    setMappingState(prev => ({ ...prev, [field]: { ...prev[field], ...changes } }));
+  };
+
+  const canConfirm = missingFields.length === 0 && (!saveProfile || profileName.trim() !== '');
+
+  const handleConfirm = () => {
+    onConfirm({
+      id: initialProfile?.id,
+      name: profileName.trim(),
+      distributorCode: distributorCode.trim(),
+      headers,
+      mappings,
+      save: saveProfile
+    });
+  };
+
+  return (
+    <div className={`w-full p-4 bg-white border border-gray-200 rounded-lg shadow-sm ${className}`}>
+      <div className="flex items-center space-x-2 mb-1">
+        <Columns className="h-5 w-5 text-blue-600" />
+        <h3 className="text-sm font-medium text-gray-900">Map columns</h3>
+      </div>
+      <p className="text-xs text-gray-500 mb-4">
+        Match the columns in {fileName || 'this file'} to invoice fields.
+      </p>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500">
+              <th className="py-2 pr-4 font-medium">Field</th>
+              <th className="py-2 pr-4 font-medium">Source column</th>
+              <th className="py-2 pr-4 font-medium">Transform</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {Object.entries(MAPPABLE_INVOICE_FIELDS).map(([field, definition]) => {
+              const value = mappingState[field];
+              return (
+                <tr key={field}>
+                  <td className="py-2 pr-4 text-gray-900 whitespace-nowrap">
+                    {definition.label}
+                    {definition.required && <span className="text-red-600 ml-0.5">*</span>}
+                  </td>
+                  <td className="py-2 pr-4">
+                    <div className="flex gap-2">
+                      <select
+                        aria-label={`${definition.label} source`}
+                        value={value.source}
+                        onChange={(e) => updateField(field, { source: e.target.value })}
+                        className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                      >
+                        <option value="">Not mapped</option>
+                        {headers.map(header => (
+                          <option key={header} value={header}>{header}</option>
+                        ))}
+                        <option value={CONSTANT_SOURCE}>Constant value</option>
+                      </select>
+                      {value.source === CONSTANT_SOURCE && (
+                        <input
+                          type="text"
+                          aria-label={`${definition.label} constant`}
+                          value={value.constant}
+                          onChange={(e) => updateField(field, { constant: e.target.value })}
+                          className="border border-gray-300 rounded-md px-2 py-1 text-sm w-32"
+                        />
+                      )}
+                    </div>
+                  </td>
+                  <td className="py-2 pr-4">
+                    {value.source && value.source !== CONSTANT_SOURCE && definition.type === 'date' && (
+                      <select
+                        aria-label={`${definition.label} date format`}
+                        value={value.dateFormat}
+                        onChange={(e) => updateField(field, { dateFormat: e.target.value })}
+                        className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                      >
+                        <option value="">Auto detect</option>
+                        {Object.values(DATE_FORMATS).map(format => (
+                          <option key={format} value={format}>{format}</option>
+                        ))}
+                      </select>
+                    )}
+                    {value.source && value.source !== CONSTANT_SOURCE && definition.type === 'number' && (
+                      <select
+                        aria-label={`${definition.label} decimal separator`}
+                        value={value.decimalSeparator}
+                        onChange={(e) => updateField(field, { decimalSeparator: e.target.value })}
+                        className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                      >
+                        <option value=".">1,234.56</option>
+                        <option value=",">1.234,56</option>
+                      </select>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {previewRows.length > 0 && (
+        <div className="mt-4">
+          <h4 className="text-xs font-medium text-gray-700 mb-2">Preview</h4>
+          <div className="overflow-x-auto border border-gray-100 rounded-md">
+            <table className="min-w-full text-xs">
+              <thead className="bg-gray-50">
+                <tr>
+                  {mappings.map(mapping => (
+                    <th key={mapping.field} className="px-2 py-1 text-left font-medium text-gray-500">
+                      {MAPPABLE_INVOICE_FIELDS[mapping.field].label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {previewRows.map((row, index) => (
+                  <tr key={index} className="border-t border-gray-100">
+                    {mappings.map(mapping => (
+                      <td key={mapping.field} className="px-2 py-1 text-gray-900 whitespace-nowrap">
+                        {String(row[mapping.field] ?? '')}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {missingFields.length > 0 && (
+        <div className="mt-4 flex items-center space-x-2 text-xs text-yellow-700">
+          <AlertTriangle className="h-4 w-4" />
+          <span>
+            Map required fields: {missingFields.map(field => MAPPABLE_INVOICE_FIELDS[field].label).join(', ')}
+          </span>
+        </div>
+      )}
+
+      {unmappedHeaders.length > 0 && (
+        <p className="mt-2 text-xs text-gray-500">
+          Columns not imported: {unmappedHeaders.join(', ')}
+        </p>
+      )}
+
+      <div className="mt-4 flex flex-wrap items-center gap-3">
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={saveProfile}
+            onChange={(e) => setSaveProfile(e.target.checked)}
+            className="rounded"
+          />
+          <span>Save as profile</span>
+        </label>
+        {saveProfile && (
+          <>
+            <input
+              type="text"
+              placeholder="Profile name"
+              aria-label="Profile name"
+              value={profileName}
+              onChange={(e) => setProfileName(e.target.value)}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+            />
+            <input
+              type="text"
+              placeholder="Distributor code"
+              aria-label="Distributor code"
+              value={distributorCode}
+              onChange={(e) => setDistributorCode(e.target.value)}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm w-36"
+            />
+          </>
+        )}
+      </div>
+
+      <div className="mt-4 flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1.5 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleConfirm}
+          disabled={!canConfirm}
+          className="px-3 py-1.5 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Import with mapping
+        </button>
+      </div>
+    </div>
+  );
+};
+
+ColumnMappingWizard.propTypes = {
+  fileName: PropTypes.string,
+  headers: PropTypes.arrayOf(PropTypes.string).isRequired,
+  rows: PropTypes.arrayOf(PropTypes.object),
+  initialMappings: PropTypes.arrayOf(PropTypes.shape({
+    field: PropTypes.string.isRequired,
+    source: PropTypes.string,
+    constant: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    dateFormat: PropTypes.string,
+    decimalSeparator: PropTypes.string
+  })),
+  initialProfile: PropTypes.shape({
+    id: PropTypes.string,
+    name: PropTypes.string,
+    distributorCode: PropTypes.string
+  }),
+  onConfirm: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  className: PropTypes.string
+};
+
+export default ColumnMappingWizard;
@@ -0,0 +1,108 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Copy, Check, GitMerge, Trash2 } from 'lucide-react';
+import { DUPLICATE_MATCH_TYPES, DUPLICATE_RESOLUTIONS } from '../../types/invoice';
+
+/**
+ * Lists flagged duplicate invoices and lets the user keep, merge or discard them
+ */
+const DuplicateResolutionPanel = ({ duplicates, records = [], onResolve, className = '' }) => {
+  if (!duplicates || duplicates.length === 0) {
+    return null;
+  }
+
+  const recordsById = new Map(records.map(record => [record.id, record]));
+
+  const describeRecord = (recordId) => {
+    const record = recordsById.get(recordId);
+    if (!record) {
+      return recordId;
+    }
+    const number = record.invNo || record.invoiceNumber || record.id;
+    const amount = record.totalNetAmount ?? record.totalAmount;
+    return `${number} · ${record.customerCode || '-'} · ${amount ?? '-'}`;
+  };
+
+  return (
+    <div className={`w-full p-4 bg-white border border-yellow-200 rounded-lg shadow-sm ${className}`}>
+      <div className="flex items-center space-x-2 mb-3">
+        <Copy className="h-5 w-5 text-yellow-600" />
+        <h3 className="text-sm font-medium text-gray-900">
+          {duplicates.length} possible duplicate {duplicates.length === 1 ? 'invoice' : 'invoices'} found
+        </h3>
+      </div>
+
+      <ul className="divide-y divide-gray-100">
+        {duplicates.map(duplicate => (
+          <li key={duplicate.id} className="py-3 flex items-center justify-between gap-4">
+            <div className="min-w-0">
+              <div className="flex items-center gap-2">
+                <span
+                  className={`px-2 py-0.5 rounded-full text-xs font-semibold ${
+                    duplicate.matchType === DUPLICATE_MATCH_TYPES.DUPLICATE
+                      ? 'bg-red-100 text-red-700'
+                      : 'bg-yellow-100 text-yellow-700'
+                  }`}
+                >
+                  {duplicate.matchType === DUPLICATE_MATCH_TYPES.DUPLICATE ? 'Duplicate' : 'Possible duplicate'}
+                </span>
+                <p className="text-sm text-gray-900 truncate">{describeRecord(duplicate.recordId)}</p>
+              </div>
+              <p className="text-xs text-gray-500 mt-1 truncate">
+                Matches {describeRecord(duplicate.matchedRecordId)}
+                {duplicate.matchedFileName && ` in ${duplicate.matchedFileName}`}
+                {' '}on {duplicate.matchedOn.join(', ')}
+              </p>
+            </div>
+
+            <div className="flex items-center gap-1 shrink-0">
+              <button
+                type="button"
+                onClick={() => onResolve(duplicate.id, DUPLICATE_RESOLUTIONS.KEEP)}
+                className="inline-flex items-center px-2 py-1 text-xs rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50"
+                title="Keep both records"
+              >
+                <Check className="h-3 w-3 mr-1" />
+                Keep
+              </button>
+              <button
+                type="button"
+                onClick={() => onResolve(duplicate.id, DUPLICATE_RESOLUTIONS.MERGE)}
+                className="inline-flex items-center px-2 py-1 text-xs rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50"
+                title="Merge into the existing record"
+              >
+                <GitMerge className="h-3 w-3 mr-1" />
+                Merge
+              </button>
+              <button
+                type="button"
+                onClick={() => onResolve(duplicate.id, DUPLICATE_RESOLUTIONS.DISCARD)}
+                className="inline-flex items-center px-2 py-1 text-xs rounded-md border border-red-200 text-red-700 hover:bg-red-50"
+                title="Discard the new record"
+              >
+                <Trash2 className="h-3 w-3 mr-1" />
+                Discard
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+DuplicateResolutionPanel.propTypes = {
+  duplicates: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    recordId: PropTypes.string.isRequired,
+    matchedRecordId: PropTypes.string.isRequired,
+    matchType: PropTypes.oneOf(Object.values(DUPLICATE_MATCH_TYPES)).isRequired,
+    matchedOn: PropTypes.arrayOf(PropTypes.string).isRequired,
+    matchedFileName: PropTypes.string
+  })).isRequired,
+  records: PropTypes.arrayOf(PropTypes.object),
+  onResolve: PropTypes.func.isRequired,
+  className: PropTypes.string
+};
+
+export default DuplicateResolutionPanel;
@@ -0,0 +1,88 @@
+import React, { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Languages } from 'lucide-react';
+import { EncodingDetector } from '../../utils/EncodingDetector';
+import { TEXT_ENCODING_LABELS, TEXT_ENCODINGS } from '../../types/invoice';
+
+// Lines of decoded text shown in the preview
+const PREVIEW_LINE_COUNT = 8;
+
+/**
+ * Shows the first lines of a text file decoded with the detected or chosen
+ * encoding so the user can confirm it, or pick another, before the file is processed
+ */
+const EncodingPreviewPanel = ({ fileName, sample, initialEncoding, onConfirm, onCancel, className = '' }) => {
+  const [encoding, setEncoding] = useState(initialEncoding);
+
+  const options = useMemo(() => {
+    const choices = Object.entries(TEXT_ENCODING_LABELS).filter(([value]) => value !== TEXT_ENCODINGS.AUTO);
+    return choices.some(([value]) => value === initialEncoding)
+      ? choices
+      : [...choices, [initialEncoding, initialEncoding.toUpperCase()]];
+  }, [initialEncoding]);
+
+  const previewLines = useMemo(
+    () => EncodingDetector.decode(sample, encoding).text
+      .split(/\r?\n/)
+      .filter(line => line.trim())
+      .slice(0, PREVIEW_LINE_COUNT),
+    [sample, encoding]
+  );
+
+  return (
+    <div className={`w-full p-4 bg-white border border-gray-200 rounded-lg shadow-sm ${className}`}>
+      <div className="flex items-center space-x-2 mb-1">
+        <Languages className="h-5 w-5 text-blue-600" />
+        <h3 className="text-sm font-medium text-gray-900">Confirm text encoding</h3>
+      </div>
+      <p className="text-xs text-gray-500 mb-4">
+        Check that Thai names in {fileName || 'this file'} read correctly, or choose another encoding.
+      </p>
+
+      <label className="flex items-center gap-2 text-sm text-gray-700 mb-3">
+        <span>Encoding</span>
+        <select
+          value={encoding}
+          onChange={(e) => setEncoding(e.target.value)}
+          className="rounded-md border border-gray-300 px-2 py-1 text-sm"
+        >
+          {options.map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </label>
+
+      <pre className="max-h-48 overflow-auto rounded-md bg-gray-50 p-3 text-xs text-gray-800 whitespace-pre-wrap">
+        {previewLines.join('\n') || 'The file is empty.'}
+      </pre>
+
+      <div className="mt-4 flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1.5 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={() => onConfirm(encoding)}
+          className="px-3 py-1.5 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700"
+        >
+          Import with this encoding
+        </button>
+      </div>
+    </div>
+  );
+};
+
+EncodingPreviewPanel.propTypes = {
+  fileName: PropTypes.string,
+  sample: PropTypes.instanceOf(Uint8Array).isRequired,
+  initialEncoding: PropTypes.string.isRequired,
+  onConfirm: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  className: PropTypes.string
+};
+
+export default EncodingPreviewPanel;
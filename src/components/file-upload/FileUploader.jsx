@@ -2,6 +2,7 @@ import React, { useState, useRef, useCallback } from 'react';
 import PropTypes from 'prop-types';
 import { Upload, FileText, X } from 'lucide-react';
 import { FileValidator, FileValidationError } from '../../utils/FileValidator';
+import { TEXT_ENCODING_LABELS, TEXT_ENCODINGS } from '../../types/invoice';
 import UploadProgress from './UploadProgress';
 
 const FileUploader = ({ 
@@ -9,6 +10,7 @@ const FileUploader = ({
   onFileRemove, 
   disabled = false,
   multiple = false,
+  allowStreaming = false,
   className = '' 
 }) => {
   const [dragActive, setDragActive] = useState(false);
@@ -16,6 +18,7 @@ const FileUploader = ({
   const [uploadStatus, setUploadStatus] = useState('idle');
   const [uploadProgress, setUploadProgress] = useState(0);
   const [error, setError] = useState(null);
+  const [encoding, setEncoding] = useState(TEXT_ENCODINGS.AUTO);
   const fileInputRef = useRef(null);
 
   const handleFiles = useCallback((files) => {
@@ -26,10 +29,14 @@ const FileUploader = ({
     // Validate each file
     for (const file of fileArray) {
       try {
-        const validationResult = FileValidator.validateFile(file);
+        // Large CSV/TXT files are streamed, so they get the streaming limit
+        const validationResult = allowStreaming && FileValidator.isStreamingCandidate(file)
+          ? FileValidator.validateFile(file, { maxFileSize: FileValidator.getMaxStreamingFileSize() })
+          : FileValidator.validateFile(file);
         validFiles.push({
           file,
           ...validationResult,
+          encoding,
           id: `${file.name}-${Date.now()}-${Math.random()}`
         });
       } catch (err) {
@@ -77,7 +84,7 @@ const FileUploader = ({
       });
     }, 200);
 
-  }, [onFileSelect, multiple]);
+  }, [onFileSelect, multiple, allowStreaming, encoding]);
 
   const handleDrag = useCallback((e) => {
     e.preventDefault();
@@ -181,9 +188,30 @@ const FileUploader = ({
         <div className="text-xs text-gray-500">
           <p>Supported formats: {allowedExtensions.join(', ')}</p>
           <p>Maximum file size: {maxFileSize}</p>
+          {allowStreaming && (
+            <p>
+              Large CSV and TXT files up to {FileValidator.formatFileSize(FileValidator.getMaxStreamingFileSize())} are streamed
+            </p>
+          )}
         </div>
       </div>
 
+      {/* Text encoding of CSV, TXT and XML files */}
+      <div className="mt-3 flex items-center justify-end gap-2 text-xs text-gray-600">
+        <label htmlFor="file-upload-encoding">Text encoding</label>
+        <select
+          id="file-upload-encoding"
+          value={encoding}
+          onChange={(e) => setEncoding(e.target.value)}
+          disabled={disabled}
+          className="rounded-md border border-gray-300 px-2 py-1 text-xs"
+        >
+          {Object.entries(TEXT_ENCODING_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
       {/* Selected Files List */}
       {selectedFiles.length > 0 && (
         <div className="mt-6">
@@ -244,6 +272,7 @@ FileUploader.propTypes = {
   onFileRemove: PropTypes.func,
   disabled: PropTypes.bool,
   multiple: PropTypes.bool,
+  allowStreaming: PropTypes.bool,
   className: PropTypes.string
 };
 
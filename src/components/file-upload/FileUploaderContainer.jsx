@@ -1,13 +1,53 @@
-import React, { useCallback } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
+import { Columns } from 'lucide-react';
 import FileUploader from './FileUploader';
+import DuplicateResolutionPanel from './DuplicateResolutionPanel';
+import ColumnMappingWizard from './ColumnMappingWizard';
+import SheetSelectionPanel from './SheetSelectionPanel';
+import EncodingPreviewPanel from './EncodingPreviewPanel';
+import FixedWidthLayoutPanel from './FixedWidthLayoutPanel';
+import UploadProgress from './UploadProgress';
 import {
   addUpload,
   processFile,
+  streamFile,
+  pauseStream,
+  resumeStream,
+  cancelStream,
   removeUpload,
+  clearStreamedRecords,
+  resolveDuplicate,
+  loadMappingProfiles,
+  saveMappingProfile,
+  loadFixedWidthLayouts,
+  saveFixedWidthLayout,
   selectUploads,
-  selectIsProcessing
+  selectIsProcessing,
+  selectAllRecords,
+  selectDuplicates,
+  selectMappingProfiles,
+  selectFixedWidthLayouts
 } from '../../redux/slices/fileProcessingSlice';
+import { CsvParser } from '../../utils/CsvParser';
+import { ExcelParser } from '../../utils/ExcelParser';
+import { TxtParser } from '../../utils/TxtParser';
+import { FileValidator } from '../../utils/FileValidator';
+import { EncodingDetector } from '../../utils/EncodingDetector';
+import ColumnMappingService from '../../services/ColumnMappingService';
+import FixedWidthLayoutService from '../../services/FixedWidthLayoutService';
+import { DUPLICATE_RESOLUTIONS, TEXT_ENCODINGS } from '../../types/invoice';
+
+// Lines of a TXT file shown when asking for its layout
+const LAYOUT_PREVIEW_LINE_COUNT = 5;
+
+// Questions asked about a file before it is imported
+const PROMPT_TYPES = {
+  ENCODING: 'encoding',
+  SHEETS: 'sheets',
+  LAYOUT: 'layout',
+  MAPPING: 'mapping'
+};
 
 /**
  * Container component that connects FileUploader to Redux store
@@ -16,8 +56,131 @@ const FileUploaderContainer = ({ className, multiple = false, disabled = false }
   const dispatch = useDispatch();
   const uploads = useSelector(selectUploads);
   const isProcessing = useSelector(selectIsProcessing);
+  const allRecords = useSelector(selectAllRecords);
+  const allDuplicates = useSelector(selectDuplicates);
+  const mappingProfiles = useSelector(selectMappingProfiles);
+  const fixedWidthLayouts = useSelector(selectFixedWidthLayouts);
+  // One prompt per file, answered in upload order
+  const [pendingPrompts, setPendingPrompts] = useState([]);
+  const currentPrompt = pendingPrompts[0] || null;
+  // CSV files and the options they were imported with, so their columns can be mapped again
+  const csvImports = useRef(new Map());
+  const duplicates = useMemo(
+    () => allDuplicates.filter(d => d.resolution === DUPLICATE_RESOLUTIONS.UNRESOLVED),
+    [allDuplicates]
+  );
+
+  useEffect(() => {
+    dispatch(loadMappingProfiles());
+    dispatch(loadFixedWidthLayouts());
+  }, [dispatch]);
+
+  const streamingUploads = useMemo(
+    () => uploads.filter(upload => upload.streaming),
+    [uploads]
+  );
+
+  // Imported CSV files whose columns can be mapped again
+  const remappableUploads = uploads.filter(upload =>
+    ['completed', 'error'].includes(upload.status) && csvImports.current.has(upload.id)
+  );
+
+  const enqueuePrompt = useCallback((prompt) => {
+    setPendingPrompts(prev => [...prev.filter(p => p.fileData.id !== prompt.fileData.id), prompt]);
+  }, []);
+
+  const dequeuePrompt = useCallback((fileId) => {
+    setPendingPrompts(prev => prev.filter(p => p.fileData.id !== fileId));
+  }, []);
+
+  const startProcessing = useCallback((fileData, options = {}) => {
+    if (fileData.fileType === 'csv') {
+      csvImports.current.set(fileData.id, { fileData, options });
+    }
+
+    // Files too large to parse in memory are streamed in chunks
+    const action = FileValidator.isStreamingCandidate(fileData.file) ? streamFile : processFile;
+    dispatch(action({
+      id: fileData.id,
+      file: fileData.file,
+      encoding: fileData.encoding,
+      ...options
+    }));
+  }, [dispatch]);
+
+  const prepareTxtImport = useCallback(async (fileData) => {
+    let lines;
+    try {
+      const sample = await EncodingDetector.readSample(fileData.file);
+      lines = EncodingDetector.decode(sample, fileData.encoding).text.split('\n');
+      // The sample can end part-way through a line
+      if (sample.length < fileData.file.size) {
+        lines.pop();
+      }
+      lines = lines.map(line => line.replace(/\r$/, '')).filter(line => line.trim());
+    } catch {
+      startProcessing(fileData);
+      return;
+    }
+
+    // Apply the saved layout the line lengths fit, otherwise ask for one
+    // unless the file is delimited or key-value text
+    const layout = FixedWidthLayoutService.findLayoutForLines(lines, fixedWidthLayouts);
+    if (layout) {
+      startProcessing(fileData, { fixedWidthLayout: layout });
+      return;
+    }
+
+    const format = new TxtParser().detectFormat(lines.join('\n'));
+    if (format === 'delimited' || format === 'key-value') {
+      startProcessing(fileData);
+      return;
+    }
+
+    enqueuePrompt({ type: PROMPT_TYPES.LAYOUT, fileData, lines: lines.slice(0, LAYOUT_PREVIEW_LINE_COUNT) });
+  }, [enqueuePrompt, fixedWidthLayouts, startProcessing]);
+
+  const prepareImport = useCallback(async (fileData) => {
+    if (fileData.fileType === 'txt') {
+      prepareTxtImport(fileData);
+      return;
+    }
+
+    if (fileData.fileType !== 'csv') {
+      startProcessing(fileData);
+      return;
+    }
+
+    // Apply a saved profile for known headers, otherwise ask for a mapping
+    // when the standard header table cannot cover the required fields or
+    // leaves columns unrecognised
+    let preview;
+    try {
+      preview = await new CsvParser({ encoding: fileData.encoding }).previewFile(fileData.file);
+    } catch {
+      startProcessing(fileData);
+      return;
+    }
 
-  const handleFileSelect = useCallback((fileData) => {
+    const profile = ColumnMappingService.findProfileForHeaders(preview.headers, mappingProfiles);
+    if (profile) {
+      startProcessing(fileData, { mappingProfile: profile });
+      return;
+    }
+
+    const suggestedMappings = ColumnMappingService.suggestMappings(preview.headers);
+    if (
+      ColumnMappingService.getMissingRequiredFields(suggestedMappings).length === 0 &&
+      ColumnMappingService.getUnmappedHeaders(preview.headers, suggestedMappings).length === 0
+    ) {
+      startProcessing(fileData);
+      return;
+    }
+
+    enqueuePrompt({ type: PROMPT_TYPES.MAPPING, fileData, ...preview, suggestedMappings });
+  }, [enqueuePrompt, mappingProfiles, prepareTxtImport, startProcessing]);
+
+  const handleFileSelect = useCallback(async (fileData) => {
     // Add upload to store
     dispatch(addUpload({
       id: fileData.id,
@@ -26,25 +189,238 @@ const FileUploaderContainer = ({ className, multiple = false, disabled = false }
       fileType: fileData.fileType
     }));
 
-    // Start processing the file
-    dispatch(processFile({
-      id: fileData.id,
-      file: fileData.file
-    }));
-  }, [dispatch]);
+    // Ask which sheets to import when a workbook has several with data
+    if (fileData.fileType === 'excel') {
+      try {
+        const sheets = await new ExcelParser().getSheetSummaries(fileData.file);
+        if (sheets.filter(sheet => sheet.headerRow).length > 1) {
+          enqueuePrompt({ type: PROMPT_TYPES.SHEETS, fileData, sheets });
+          return;
+        }
+      } catch {
+        // The parser reports unreadable workbooks as processing errors
+      }
+      startProcessing(fileData);
+      return;
+    }
+
+    // Show Thai and legacy-encoded text files decoded before importing them
+    if (fileData.fileType === 'csv' || fileData.fileType === 'txt') {
+      try {
+        const sample = await EncodingDetector.readSample(fileData.file);
+        const { text, encoding } = EncodingDetector.decode(sample, fileData.encoding);
+        if (encoding !== TEXT_ENCODINGS.UTF_8 || EncodingDetector.containsThai(text)) {
+          enqueuePrompt({ type: PROMPT_TYPES.ENCODING, fileData, sample, encoding });
+          return;
+        }
+      } catch {
+        // The parser reports unreadable files and unsupported encodings
+      }
+    }
+
+    prepareImport(fileData);
+  }, [dispatch, enqueuePrompt, prepareImport, startProcessing]);
+
+  // Drop the current prompt's file without importing it
+  const handlePromptCancel = useCallback(() => {
+    dispatch(removeUpload(currentPrompt.fileData.id));
+    dequeuePrompt(currentPrompt.fileData.id);
+  }, [currentPrompt, dequeuePrompt, dispatch]);
+
+  const handleEncodingConfirm = useCallback((encoding) => {
+    const { fileData } = currentPrompt;
+    dequeuePrompt(fileData.id);
+    prepareImport({ ...fileData, encoding });
+  }, [currentPrompt, dequeuePrompt, prepareImport]);
+
+  const handleMapColumns = useCallback(async (uploadId) => {
+    const { fileData, options } = csvImports.current.get(uploadId);
+
+    let preview;
+    try {
+      preview = await new CsvParser({ encoding: fileData.encoding }).previewFile(fileData.file);
+    } catch {
+      return;
+    }
+
+    // Start from the mapping the file was imported with
+    const profile = options.mappingProfile || null;
+    enqueuePrompt({
+      type: PROMPT_TYPES.MAPPING,
+      fileData,
+      ...preview,
+      suggestedMappings: profile?.mappings || ColumnMappingService.suggestMappings(preview.headers),
+      profile,
+      reimport: true
+    });
+  }, [enqueuePrompt]);
+
+  const handleMappingConfirm = useCallback(async ({ save, ...profile }) => {
+    const { fileData, reimport } = currentPrompt;
+    dequeuePrompt(fileData.id);
+
+    let mappingProfile = profile;
+    if (save) {
+      try {
+        mappingProfile = await dispatch(saveMappingProfile(profile)).unwrap();
+      } catch {
+        // Import with the unsaved mapping; the error is kept in the store
+      }
+    }
+
+    // Replace the records of an imported file rather than adding to them
+    if (reimport) {
+      dispatch(removeUpload(fileData.id));
+      // A failure is kept in the store; streaming the file again clears it too
+      await dispatch(clearStreamedRecords(fileData.id));
+      dispatch(addUpload({
+        id: fileData.id,
+        fileName: fileData.fileName,
+        fileSize: fileData.fileSize,
+        fileType: fileData.fileType
+      }));
+    }
+
+    startProcessing(fileData, { mappingProfile });
+  }, [currentPrompt, dequeuePrompt, dispatch, startProcessing]);
+
+  const handleMappingCancel = useCallback(() => {
+    // Leave an imported file as it was
+    if (currentPrompt.reimport) {
+      dequeuePrompt(currentPrompt.fileData.id);
+      return;
+    }
+    handlePromptCancel();
+  }, [currentPrompt, dequeuePrompt, handlePromptCancel]);
+
+  const handleImportLayout = useCallback(
+    (layout) => dispatch(saveFixedWidthLayout(layout)).unwrap(),
+    [dispatch]
+  );
+
+  const handleLayoutConfirm = useCallback((fixedWidthLayout) => {
+    startProcessing(currentPrompt.fileData, fixedWidthLayout ? { fixedWidthLayout } : {});
+    dequeuePrompt(currentPrompt.fileData.id);
+  }, [currentPrompt, dequeuePrompt, startProcessing]);
+
+  const handleSheetsConfirm = useCallback((sheetNames) => {
+    startProcessing(currentPrompt.fileData, { sheetNames });
+    dequeuePrompt(currentPrompt.fileData.id);
+  }, [currentPrompt, dequeuePrompt, startProcessing]);
 
   const handleFileRemove = useCallback((fileData) => {
+    csvImports.current.delete(fileData.id);
+    dequeuePrompt(fileData.id);
     dispatch(removeUpload(fileData.id));
+    dispatch(clearStreamedRecords(fileData.id));
+  }, [dequeuePrompt, dispatch]);
+
+  const handleResolveDuplicate = useCallback((duplicateId, resolution) => {
+    dispatch(resolveDuplicate({ duplicateId, resolution }));
   }, [dispatch]);
 
   return (
-    <FileUploader
-      onFileSelect={handleFileSelect}
-      onFileRemove={handleFileRemove}
-      disabled={disabled || isProcessing}
-      multiple={multiple}
-      className={className}
-    />
+    <>
+      <FileUploader
+        onFileSelect={handleFileSelect}
+        onFileRemove={handleFileRemove}
+        disabled={disabled || isProcessing}
+        multiple={multiple}
+        allowStreaming
+        className={className}
+      />
+      {streamingUploads.map(upload => (
+        <div key={upload.id} className="mt-4">
+          <UploadProgress
+            status={upload.status === 'pending' ? 'processing' : upload.status}
+            progress={upload.progress}
+            fileName={upload.fileName}
+            recordsProcessed={upload.streaming.rowsProcessed}
+            totalRecords={upload.status === 'completed' ? upload.streaming.rowsProcessed : 0}
+            rowsPerSecond={upload.streaming.rowsPerSecond}
+            etaSeconds={upload.streaming.etaSeconds ?? null}
+            onPause={() => dispatch(pauseStream(upload.id))}
+            onResume={() => dispatch(resumeStream(upload.id))}
+            onCancel={() => dispatch(cancelStream(upload.id))}
+          />
+        </div>
+      ))}
+      {remappableUploads.length > 0 && (
+        <ul className="mt-4 divide-y divide-gray-100 rounded-lg border border-gray-200 bg-white">
+          {remappableUploads.map(upload => (
+            <li key={upload.id} className="flex items-center justify-between px-4 py-2 text-sm">
+              <span className="text-gray-900">{upload.fileName}</span>
+              <button
+                type="button"
+                onClick={() => handleMapColumns(upload.id)}
+                disabled={isProcessing || pendingPrompts.some(prompt => prompt.fileData.id === upload.id)}
+                className="inline-flex items-center text-sm text-blue-600 hover:text-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Columns className="h-4 w-4 mr-1" />
+                Map columns
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {pendingPrompts.length > 1 && (
+        <p className="mt-4 text-xs text-gray-500">
+          {pendingPrompts.length - 1} more {pendingPrompts.length === 2 ? 'file needs' : 'files need'} your input after this one.
+        </p>
+      )}
+      {currentPrompt?.type === PROMPT_TYPES.ENCODING && (
+        <EncodingPreviewPanel
+          key={currentPrompt.fileData.id}
+          fileName={currentPrompt.fileData.fileName}
+          sample={currentPrompt.sample}
+          initialEncoding={currentPrompt.encoding}
+          onConfirm={handleEncodingConfirm}
+          onCancel={handlePromptCancel}
+          className="mt-4"
+        />
+      )}
+      {currentPrompt?.type === PROMPT_TYPES.SHEETS && (
+        <SheetSelectionPanel
+          key={currentPrompt.fileData.id}
+          fileName={currentPrompt.fileData.fileName}
+          sheets={currentPrompt.sheets}
+          onConfirm={handleSheetsConfirm}
+          onCancel={handlePromptCancel}
+          className="mt-4"
+        />
+      )}
+      {currentPrompt?.type === PROMPT_TYPES.LAYOUT && (
+        <FixedWidthLayoutPanel
+          key={currentPrompt.fileData.id}
+          fileName={currentPrompt.fileData.fileName}
+          lines={currentPrompt.lines}
+          layouts={fixedWidthLayouts}
+          onImportLayout={handleImportLayout}
+          onConfirm={handleLayoutConfirm}
+          onCancel={handlePromptCancel}
+          className="mt-4"
+        />
+      )}
+      {currentPrompt?.type === PROMPT_TYPES.MAPPING && (
+        <ColumnMappingWizard
+          key={currentPrompt.fileData.id}
+          fileName={currentPrompt.fileData.fileName}
+          headers={currentPrompt.headers}
+          rows={currentPrompt.rows}
+          initialMappings={currentPrompt.suggestedMappings}
+          initialProfile={currentPrompt.profile}
+          onConfirm={handleMappingConfirm}
+          onCancel={handleMappingCancel}
+          className="mt-4"
+        />
+      )}
+      <DuplicateResolutionPanel
+        duplicates={duplicates}
+        records={allRecords}
+        onResolve={handleResolveDuplicate}
+        className="mt-4"
+      />
+    </>
   );
 };
 
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Columns } from 'lucide-react';
+import FixedWidthLayoutService from '../../services/FixedWidthLayoutService';
+
+// Value of the option that leaves column detection to the parser
+const DETECT_COLUMNS = '';
+
+/**
+ * Lets the user choose the fixed-width layout a TXT file is parsed with,
+ * or import a layout definition (JSON) and use it
+ */
+const FixedWidthLayoutPanel = ({ fileName, lines = [], layouts, onImportLayout, onConfirm, onCancel, className = '' }) => {
+  const [layoutId, setLayoutId] = useState(DETECT_COLUMNS);
+  const [importError, setImportError] = useState(null);
+  const lineLength = lines[0]?.length || 0;
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    try {
+      const saved = await onImportLayout(JSON.parse(await file.text()));
+      setLayoutId(saved.id);
+      setImportError(null);
+    } catch (error) {
+      setImportError(error?.message || 'The layout could not be imported');
+    }
+  };
+
+  return (
+    <div className={`w-full p-4 bg-white border border-gray-200 rounded-lg shadow-sm ${className}`}>
+      <div className="flex items-center space-x-2 mb-1">
+        <Columns className="h-5 w-5 text-blue-600" />
+        <h3 className="text-sm font-medium text-gray-900">Choose a fixed-width layout</h3>
+      </div>
+      <p className="text-xs text-gray-500 mb-4">
+        No saved layout matches the {lineLength}-character lines of {fileName || 'this file'}.
+      </p>
+
+      <pre className="max-h-32 overflow-auto rounded-md bg-gray-50 p-3 text-xs text-gray-800 mb-3">
+        {lines.join('\n') || 'The file is empty.'}
+      </pre>
+
+      <ul className="divide-y divide-gray-100">
+        <li className="py-2">
+          <label className="flex items-center space-x-2 text-sm">
+            <input
+              type="radio"
+              name="fixed-width-layout"
+              checked={layoutId === DETECT_COLUMNS}
+              onChange={() => setLayoutId(DETECT_COLUMNS)}
+            />
+            <span className="text-gray-900">Detect columns automatically</span>
+          </label>
+        </li>
+        {layouts.map(layout => (
+          <li key={layout.id} className="py-2">
+            <label className="flex items-center justify-between gap-4 text-sm">
+              <span className="flex items-center space-x-2">
+                <input
+                  type="radio"
+                  name="fixed-width-layout"
+                  checked={layoutId === layout.id}
+                  onChange={() => setLayoutId(layout.id)}
+                />
+                <span className="text-gray-900">{layout.name}</span>
+              </span>
+              <span className="text-xs text-gray-500">
+                {Object.entries(layout.recordTypes || {})
+                  .map(([type, recordType]) => `${type} ${FixedWidthLayoutService.getRecordLength(recordType)}`)
+                  .join(' · ')}
+              </span>
+            </label>
+          </li>
+        ))}
+      </ul>
+
+      <label className="mt-3 inline-flex items-center text-sm text-blue-600 hover:text-blue-700 cursor-pointer">
+        Import layout (JSON)…
+        <input type="file" accept=".json,application/json" onChange={handleImport} className="sr-only" />
+      </label>
+      {importError && <p className="mt-1 text-xs text-red-600">{importError}</p>}
+
+      <div className="mt-4 flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1.5 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={() => onConfirm(layouts.find(layout => layout.id === layoutId) || null)}
+          className="px-3 py-1.5 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700"
+        >
+          Import file
+        </button>
+      </div>
+    </div>
+  );
+};
+
+FixedWidthLayoutPanel.propTypes = {
+  fileName: PropTypes.string,
+  lines: PropTypes.arrayOf(PropTypes.string),
+  layouts: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    recordTypes: PropTypes.object
+  })).isRequired,
+  onImportLayout: PropTypes.func.isRequired,
+  onConfirm: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  className: PropTypes.string
+};
+
+export default FixedWidthLayoutPanel;
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { FileSpreadsheet } from 'lucide-react';
+
+/**
+ * Lets the user choose which sheets of an Excel workbook to import
+ */
+const SheetSelectionPanel = ({ fileName, sheets, onConfirm, onCancel, className = '' }) => {
+  const [selected, setSelected] = useState(() => sheets.filter(sheet => sheet.headerRow).map(sheet => sheet.name));
+
+  const toggleSheet = (name) => {
+    setSelected(prev => (prev.includes(name) ? prev.filter(n => n !== name) : [...prev, name]));
+  };
+
+  return (
+    <div className={`w-full p-4 bg-white border border-gray-200 rounded-lg shadow-sm ${className}`}>
+      <div className="flex items-center space-x-2 mb-1">
+        <FileSpreadsheet className="h-5 w-5 text-green-600" />
+        <h3 className="text-sm font-medium text-gray-900">Select sheets</h3>
+      </div>
+      <p className="text-xs text-gray-500 mb-4">
+        {fileName || 'This workbook'} contains {sheets.length} sheets.
+      </p>
+
+      <ul className="divide-y divide-gray-100">
+        {sheets.map(sheet => (
+          <li key={sheet.name} className="py-2">
+            <label className="flex items-center justify-between gap-4 text-sm">
+              <span className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(sheet.name)}
+                  onChange={() => toggleSheet(sheet.name)}
+                  disabled={!sheet.headerRow}
+                  className="rounded"
+                />
+                <span className="text-gray-900">{sheet.name}</span>
+              </span>
+              <span className="text-xs text-gray-500">
+                {sheet.headerRow
+                  ? `Header row ${sheet.headerRow} · ${sheet.rowCount} rows`
+                  : 'No header row found'}
+              </span>
+            </label>
+          </li>
+        ))}
+      </ul>
+
+      <div className="mt-4 flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1.5 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={() => onConfirm(selected)}
+          disabled={selected.length === 0}
+          className="px-3 py-1.5 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Import selected sheets
+        </button>
+      </div>
+    </div>
+  );
+};
+
+SheetSelectionPanel.propTypes = {
+  fileName: PropTypes.string,
+  sheets: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    headerRow: PropTypes.number,
+    rowCount: PropTypes.number
+  })).isRequired,
+  onConfirm: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  className: PropTypes.string
+};
+
+export default SheetSelectionPanel;
@@ -1,6 +1,13 @@
 import React from 'react';
 import PropTypes from 'prop-types';
-import { CheckCircle, AlertCircle, Loader2 } from 'lucide-react';
+import { CheckCircle, AlertCircle, Loader2, Pause, Play, XCircle } from 'lucide-react';
+
+const formatDuration = (seconds) => {
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
 
 const UploadProgress = ({ 
   status, 
@@ -8,7 +15,12 @@ const UploadProgress = ({
   fileName, 
   error = null,
   recordsProcessed = 0,
-  totalRecords = 0 
+  totalRecords = 0,
+  rowsPerSecond = null,
+  etaSeconds = null,
+  onPause,
+  onResume,
+  onCancel
 }) => {
   const getStatusIcon = () => {
     switch (status) {
@@ -17,6 +29,10 @@ const UploadProgress = ({
         return <Loader2 className="h-5 w-5 animate-spin text-blue-500" />;
       case 'completed':
         return <CheckCircle className="h-5 w-5 text-green-500" />;
+      case 'paused':
+        return <Pause className="h-5 w-5 text-yellow-500" />;
+      case 'cancelled':
+        return <XCircle className="h-5 w-5 text-gray-400" />;
       case 'error':
         return <AlertCircle className="h-5 w-5 text-red-500" />;
       default:
@@ -29,9 +45,16 @@ const UploadProgress = ({
       case 'uploading':
         return 'Uploading file...';
       case 'processing':
-        return totalRecords > 0 
-          ? `Processing records (${recordsProcessed}/${totalRecords})`
+        if (totalRecords > 0) {
+          return `Processing records (${recordsProcessed}/${totalRecords})`;
+        }
+        return recordsProcessed > 0
+          ? `Processing records (${recordsProcessed} so far)`
           : 'Processing file...';
+      case 'paused':
+        return `Paused after ${recordsProcessed} records`;
+      case 'cancelled':
+        return `Cancelled after ${recordsProcessed} records`;
       case 'completed':
         return `Successfully processed ${totalRecords} records`;
       case 'error':
@@ -47,6 +70,8 @@ const UploadProgress = ({
         return 'bg-green-500';
       case 'error':
         return 'bg-red-500';
+      case 'paused':
+        return 'bg-yellow-500';
       default:
         return 'bg-blue-500';
     }
@@ -71,7 +96,7 @@ const UploadProgress = ({
       </div>
 
       {/* Progress Bar */}
-      {(status === 'uploading' || status === 'processing') && (
+      {(status === 'uploading' || status === 'processing' || status === 'paused') && (
         <div className="mb-3">
           <div className="flex justify-between text-xs text-gray-600 mb-1">
             <span>Progress</span>
@@ -83,6 +108,50 @@ const UploadProgress = ({
               style={{ width: `${progress}%` }}
             />
           </div>
+          {rowsPerSecond !== null && (
+            <div className="flex justify-between text-xs text-gray-500 mt-1">
+              <span>{rowsPerSecond.toLocaleString()} rows/sec</span>
+              {status === 'processing' && etaSeconds !== null && (
+                <span>About {formatDuration(etaSeconds)} remaining</span>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Stream Controls */}
+      {(status === 'processing' || status === 'paused') && (onPause || onResume || onCancel) && (
+        <div className="flex justify-end gap-2">
+          {status === 'processing' && onPause && (
+            <button
+              type="button"
+              onClick={onPause}
+              className="inline-flex items-center px-2 py-1 text-xs rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50"
+            >
+              <Pause className="h-3 w-3 mr-1" />
+              Pause
+            </button>
+          )}
+          {status === 'paused' && onResume && (
+            <button
+              type="button"
+              onClick={onResume}
+              className="inline-flex items-center px-2 py-1 text-xs rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50"
+            >
+              <Play className="h-3 w-3 mr-1" />
+              Resume
+            </button>
+          )}
+          {onCancel && (
+            <button
+              type="button"
+              onClick={onCancel}
+              className="inline-flex items-center px-2 py-1 text-xs rounded-md border border-red-300 text-red-700 hover:bg-red-50"
+            >
+              <XCircle className="h-3 w-3 mr-1" />
+              Cancel
+            </button>
+          )}
         </div>
       )}
 
@@ -106,12 +175,17 @@ const UploadProgress = ({
 };
 
 UploadProgress.propTypes = {
-  status: PropTypes.oneOf(['idle', 'uploading', 'processing', 'completed', 'error']).isRequired,
+  status: PropTypes.oneOf(['idle', 'uploading', 'processing', 'paused', 'cancelled', 'completed', 'error']).isRequired,
   progress: PropTypes.number,
   fileName: PropTypes.string,
   error: PropTypes.string,
   recordsProcessed: PropTypes.number,
-  totalRecords: PropTypes.number
+  totalRecords: PropTypes.number,
+  rowsPerSecond: PropTypes.number,
+  etaSeconds: PropTypes.number,
+  onPause: PropTypes.func,
+  onResume: PropTypes.func,
+  onCancel: PropTypes.func
 };
 
 export default UploadProgress;
\ No newline at end of file
@@ -1,5 +1,5 @@
-import { describe, it, expect } from 'vitest';
-import { render, screen } from '@testing-library/react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
 import UploadProgress from '../UploadProgress';
 
 describe('UploadProgress', () => {
@@ -84,4 +84,47 @@ describe('UploadProgress', () => {
     
     expect(screen.getByText('60%')).toBeInTheDocument();
   });
-});
\ No newline at end of file
+
+  it('should show throughput, ETA and stream controls while streaming', () => {
+    const onPause = vi.fn();
+    const onCancel = vi.fn();
+    render(
+      <UploadProgress 
+        status="processing" 
+        progress={40} 
+        fileName="large.csv"
+        recordsProcessed={5000}
+        rowsPerSecond={1200}
+        etaSeconds={95}
+        onPause={onPause}
+        onCancel={onCancel}
+      />
+    );
+    
+    expect(screen.getByText('Processing records (5000 so far)')).toBeInTheDocument();
+    expect(screen.getByText('1,200 rows/sec')).toBeInTheDocument();
+    expect(screen.getByText('About 1m 35s remaining')).toBeInTheDocument();
+    
+    fireEvent.click(screen.getByText('Pause'));
+    fireEvent.click(screen.getByText('Cancel'));
+    expect(onPause).toHaveBeenCalled();
+    expect(onCancel).toHaveBeenCalled();
+  });
+
+  it('should offer resume when paused', () => {
+    const onResume = vi.fn();
+    render(
+      <UploadProgress 
+        status="paused" 
+        progress={40} 
+        fileName="large.csv"
+        recordsProcessed={5000}
+        onResume={onResume}
+      />
+    );
+    
+    expect(screen.getByText('Paused after 5000 records')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Resume'));
+    expect(onResume).toHaveBeenCalled();
+  });
+});
@@ -1,3 +1,8 @@
 export { default as FileUploader } from './FileUploader';
 export { default as FileUploaderContainer } from './FileUploaderContainer';
-export { default as UploadProgress } from './UploadProgress';
\ No newline at end of file
+export { default as UploadProgress } from './UploadProgress';
+export { default as DuplicateResolutionPanel } from './DuplicateResolutionPanel';
+export { default as ColumnMappingWizard } from './ColumnMappingWizard';
+export { default as SheetSelectionPanel } from './SheetSelectionPanel';
+export { default as EncodingPreviewPanel } from './EncodingPreviewPanel';
+export { default as FixedWidthLayoutPanel } from './FixedWidthLayoutPanel';
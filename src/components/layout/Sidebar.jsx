@@ -16,6 +16,7 @@ import {
   ChevronDown,
   ChevronRight,
   Building,
+  Tag,
 } from "lucide-react";
 import { cn } from "../../utils/cn";
 import Tooltip from "../ui/Tooltip";
@@ -81,6 +82,11 @@ const Sidebar = ({ isOpen, onClose, isCollapsed, className }) => {
           icon: Package,
           path: "/references/products",
         },
+        {
+          title: t("navigation.promotions"),
+          icon: Tag,
+          path: "/references/promotions",
+        },
       ],
     },
     {
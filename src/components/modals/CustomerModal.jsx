@@ -12,6 +12,14 @@ import {
   FormSelect,
 } from "../ui/Form";
 import { useLanguage } from "../../contexts/LanguageContext";
+import { TaxIdValidator, TAX_ID_ERRORS } from "../../utils/TaxIdValidator";
+
+// Translation keys of tax ID and branch code errors
+const TAX_ID_ERROR_KEYS = {
+  [TAX_ID_ERRORS.LENGTH]: "customer.taxRegNoLength",
+  [TAX_ID_ERRORS.CHECKSUM]: "customer.taxRegNoChecksum",
+  [TAX_ID_ERRORS.BRANCH_FORMAT]: "customer.branchCodeInvalid",
+};
 
 const initialFormData = {
   code: "",
@@ -84,13 +92,27 @@ const CustomerModal = ({
       newErrors.creditLimit = t("customer.creditLimitNegative");
     }
 
+    const taxRegNo = TaxIdValidator.validateTaxId(formData.taxRegNo);
+    if (!taxRegNo.isValid) {
+      newErrors.taxRegNo = t(TAX_ID_ERROR_KEYS[taxRegNo.error]);
+    }
+
+    const branchCode = TaxIdValidator.validateBranchCode(formData.branchCode);
+    if (!branchCode.isValid) {
+      newErrors.branchCode = t(TAX_ID_ERROR_KEYS[branchCode.error]);
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
   const handleSubmit = () => {
     if (validateForm()) {
-      onSave(formData);
+      onSave({
+        ...formData,
+        taxRegNo: TaxIdValidator.normalizeTaxId(formData.taxRegNo),
+        branchCode: TaxIdValidator.normalizeBranchCode(formData.branchCode),
+      });
     }
   };
 
@@ -332,11 +354,15 @@ const CustomerModal = ({
               />
             </FormField>
 
-            <FormField label={t("customer.taxRegNo")}>
+            <FormField
+              label={t("customer.taxRegNo")}
+              error={errors.taxRegNo}
+            >
               <FormInput
                 value={formData.taxRegNo}
                 onChange={(e) => handleInputChange("taxRegNo", e.target.value)}
                 placeholder={edit ? t("customer.enterTaxRegNo") : ""}
+                error={errors.taxRegNo}
                 disabled={!edit}
               />
             </FormField>
@@ -350,13 +376,17 @@ const CustomerModal = ({
               />
             </FormField>
 
-            <FormField label={t("customer.branchCode")}>
+            <FormField
+              label={t("customer.branchCode")}
+              error={errors.branchCode}
+            >
               <FormInput
                 value={formData.branchCode}
                 onChange={(e) =>
                   handleInputChange("branchCode", e.target.value)
                 }
                 placeholder={edit ? t("customer.enterBranchCode") : ""}
+                error={errors.branchCode}
                 disabled={!edit}
               />
             </FormField>
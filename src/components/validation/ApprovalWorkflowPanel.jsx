@@ -0,0 +1,156 @@
+/**
+ * ApprovalWorkflowPanel Component
+ *
+ * Approval workflow section of a document detail view: current status,
+ * the actions the signed-in user may take (with the reason an action is
+ * blocked), a rejection reason field and the document's transition history.
+ */
+
+import React, { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  selectApprovalHistory,
+  selectIsTransitioning,
+  selectWorkflowError,
+  transitionDocument
+} from '../../redux/slices/approvalWorkflowSlice';
+import { selectUser } from '../../redux/slices/authSlice';
+import { selectValidationResults } from '../../redux/slices/validationSlice';
+import { selectDiscrepancyCases } from '../../redux/slices/discrepancyCaseSlice';
+import approvalWorkflowService, { toWorkflowUser } from '../../services/ApprovalWorkflowService';
+import { APPROVAL_ACTIONS, APPROVAL_STATUSES } from '../../types/invoice';
+import { Badge } from '../ui/Badge';
+import Button from '../ui/Button';
+import { AlertTriangle, GitBranch } from 'lucide-react';
+
+const STATUS_VARIANTS = {
+  [APPROVAL_STATUSES.PENDING]: 'warning',
+  [APPROVAL_STATUSES.APPROVED]: 'success',
+  [APPROVAL_STATUSES.REJECTED]: 'destructive',
+  [APPROVAL_STATUSES.PROCESSED]: 'default'
+};
+
+const ACTION_LABELS = {
+  [APPROVAL_ACTIONS.SUBMIT]: 'Resubmit',
+  [APPROVAL_ACTIONS.APPROVE]: 'Approve',
+  [APPROVAL_ACTIONS.REJECT]: 'Reject',
+  [APPROVAL_ACTIONS.PROCESS]: 'Mark Processed'
+};
+
+const EMPTY_RESULTS = [];
+const EMPTY_HISTORY = [];
+
+const ApprovalWorkflowPanel = ({ document, documentType }) => {
+  const dispatch = useDispatch();
+  const allHistory = useSelector(selectApprovalHistory);
+  const isTransitioning = useSelector(selectIsTransitioning);
+  const error = useSelector(selectWorkflowError);
+  const authUser = useSelector(selectUser);
+  const results = useSelector(state => (state.validation ? selectValidationResults(state) : EMPTY_RESULTS));
+  const cases = useSelector(selectDiscrepancyCases);
+  const [reason, setReason] = useState('');
+
+  const history = allHistory[approvalWorkflowService.getDocumentKey(documentType, document.id)] || EMPTY_HISTORY;
+  const status = approvalWorkflowService.getCurrentStatus(document, history);
+  const submitter = approvalWorkflowService.getSubmitter(document, history);
+  const openCriticalCount = approvalWorkflowService.countOpenCriticalDiscrepancies(document, results, cases);
+
+  const actions = useMemo(
+    () => approvalWorkflowService.getAvailableActions(document, { user: toWorkflowUser(authUser), history, openCriticalCount }),
+    [authUser, document, history, openCriticalCount]
+  );
+
+  const handleAction = async (action) => {
+    const result = await dispatch(transitionDocument({ documentType, document, action, reason }));
+    if (!result.error) {
+      setReason('');
+    }
+  };
+
+  return (
+    <div className="mt-6">
+      <h3 className="font-semibold mb-2 flex items-center">
+        <GitBranch className="h-4 w-4 mr-2" />
+        Approval Workflow
+      </h3>
+
+      <div className="flex items-center justify-between text-sm mb-3">
+        <div className="flex items-center gap-2">
+          <Badge variant={STATUS_VARIANTS[status] || 'secondary'}>{status}</Badge>
+          {submitter.name && <span className="text-muted-foreground">Submitted by {submitter.name}</span>}
+        </div>
+        {openCriticalCount > 0 && (
+          <span className="flex items-center text-red-600">
+            <AlertTriangle className="h-4 w-4 mr-1" />
+            {openCriticalCount} open critical discrepancies
+          </span>
+        )}
+      </div>
+
+      {actions.length > 0 && (
+        <div className="space-y-2 mb-4">
+          {actions.some(({ action }) => action === APPROVAL_ACTIONS.REJECT) && (
+            <textarea
+              rows={2}
+              placeholder="Rejection reason (required to reject)"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="w-full border border-border rounded px-3 py-2 text-sm"
+            />
+          )}
+          <div className="flex items-center gap-2">
+            {actions.map(({ action, blockedReason }) => (
+              <Button
+                key={action}
+                size="sm"
+                variant={action === APPROVAL_ACTIONS.REJECT ? 'destructive' : 'default'}
+                title={blockedReason || undefined}
+                disabled={Boolean(blockedReason) || isTransitioning ||
+                  (action === APPROVAL_ACTIONS.REJECT && !reason.trim())}
+                onClick={() => handleAction(action)}
+              >
+                {ACTION_LABELS[action]}
+              </Button>
+            ))}
+          </div>
+          {actions.filter(({ blockedReason }) => blockedReason).map(({ action, blockedReason }) => (
+            <p key={action} className="text-xs text-muted-foreground">{blockedReason}</p>
+          ))}
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      {history.length === 0 ? (
+        <p className="text-sm text-muted-foreground">No workflow transitions recorded yet.</p>
+      ) : (
+        <ol className="border-l border-border ml-2 space-y-3">
+          {[...history].reverse().map(entry => (
+            <li key={entry.id} className="ml-4 text-sm">
+              <p>
+                <span className="font-medium capitalize">{entry.action}</span>
+                {' · '}
+                {entry.from} → {entry.to}
+              </p>
+              <p className="text-xs text-muted-foreground">
+                {entry.user.name} ({entry.user.role}) · {new Date(entry.at).toLocaleString()}
+              </p>
+              {entry.reason && <p className="text-xs mt-1">Reason: {entry.reason}</p>}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+ApprovalWorkflowPanel.propTypes = {
+  document: PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    status: PropTypes.string
+  }).isRequired,
+  documentType: PropTypes.string.isRequired
+};
+
+export default ApprovalWorkflowPanel;
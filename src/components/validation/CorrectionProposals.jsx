@@ -0,0 +1,182 @@
+/**
+ * CorrectionProposals Component
+ *
+ * Lists fixes proposed from recalculated values, lets reviewers accept or
+ * reject them one by one or in bulk, and applies the accepted fixes.
+ */
+
+import React, { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  proposeCorrections,
+  reviewCorrections,
+  selectCorrections,
+  selectIsValidating
+} from '../../redux/slices/validationSlice';
+import { applyCorrections } from '../../redux/slices/fileProcessingSlice';
+import { selectUser } from '../../redux/slices/authSlice';
+import { CORRECTION_STATUSES } from '../../types/validation';
+import { Badge } from '../ui/Badge';
+import Button from '../ui/Button';
+import { Check, Wrench, X } from 'lucide-react';
+
+const STATUS_VARIANTS = {
+  [CORRECTION_STATUSES.PROPOSED]: 'secondary',
+  [CORRECTION_STATUSES.ACCEPTED]: 'success',
+  [CORRECTION_STATUSES.REJECTED]: 'destructive',
+  [CORRECTION_STATUSES.APPLIED]: 'info'
+};
+
+const formatValue = (value) =>
+  value === null || value === undefined ? '—' : Number(value).toLocaleString('en-US', { maximumFractionDigits: 4 });
+
+const CorrectionProposals = ({ className = '' }) => {
+  const dispatch = useDispatch();
+  const corrections = useSelector(selectCorrections);
+  const isValidating = useSelector(selectIsValidating);
+  const user = useSelector(selectUser);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [isApplying, setIsApplying] = useState(false);
+
+  const pending = useMemo(
+    () => corrections.filter(proposal => proposal.status !== CORRECTION_STATUSES.APPLIED),
+    [corrections]
+  );
+  const acceptedCount = pending.filter(proposal => proposal.status === CORRECTION_STATUSES.ACCEPTED).length;
+  const appliedCount = corrections.length - pending.length;
+  const allSelected = pending.length > 0 && pending.every(proposal => selectedIds.includes(proposal.id));
+
+  const review = (ids, status) => {
+    dispatch(reviewCorrections({ ids, status, reviewedBy: user?.name || user?.id || null }));
+  };
+
+  const handleBulkReview = (status) => {
+    review(selectedIds, status);
+    setSelectedIds([]);
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds(current => (current.includes(id) ? current.filter(s => s !== id) : [...current, id]));
+  };
+
+  const handleApply = async () => {
+    setIsApplying(true);
+    try {
+      await dispatch(applyCorrections());
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  return (
+    <div className={`bg-card border border-border rounded-lg p-6 ${className}`}>
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <Wrench className="h-5 w-5 text-muted-foreground" />
+          <h3 className="text-lg font-semibold text-foreground">Proposed Corrections</h3>
+          {appliedCount > 0 && (
+            <Badge variant="info" className="text-xs">{appliedCount} applied</Badge>
+          )}
+        </div>
+        <div className="flex items-center space-x-2">
+          <Button variant="outline" size="sm" onClick={() => dispatch(proposeCorrections())} disabled={isValidating}>
+            Propose Fixes
+          </Button>
+          <Button size="sm" onClick={handleApply} disabled={acceptedCount === 0 || isApplying || isValidating}>
+            Apply Accepted ({acceptedCount})
+          </Button>
+        </div>
+      </div>
+
+      {pending.length === 0 ? (
+        <p className="text-sm text-muted-foreground">
+          No open proposals. Propose fixes to set fields to their recalculated values.
+        </p>
+      ) : (
+        <>
+          <div className="flex items-center justify-between mb-2 text-sm">
+            <label className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={allSelected}
+                onChange={() => setSelectedIds(allSelected ? [] : pending.map(proposal => proposal.id))}
+              />
+              <span className="text-muted-foreground">Select all ({pending.length})</span>
+            </label>
+            <div className="flex items-center space-x-2">
+              <Button
+                variant="outline"
+                size="sm"
+                disabled={selectedIds.length === 0}
+                onClick={() => handleBulkReview(CORRECTION_STATUSES.ACCEPTED)}
+              >
+                <Check className="h-4 w-4 mr-1" />
+                Accept Selected
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                disabled={selectedIds.length === 0}
+                onClick={() => handleBulkReview(CORRECTION_STATUSES.REJECTED)}
+              >
+                <X className="h-4 w-4 mr-1" />
+                Reject Selected
+              </Button>
+            </div>
+          </div>
+
+          <ul className="divide-y divide-border">
+            {pending.map(proposal => (
+              <li key={proposal.id} className="py-2 flex items-center gap-3 text-sm">
+                <input
+                  type="checkbox"
+                  aria-label={`Select correction ${proposal.id}`}
+                  checked={selectedIds.includes(proposal.id)}
+                  onChange={() => toggleSelected(proposal.id)}
+                />
+                <div className="min-w-0 flex-1">
+                  <p className="font-medium text-foreground">
+                    {proposal.invoiceNumber || proposal.recordId} · {proposal.field}
+                  </p>
+                  <p className="text-muted-foreground">
+                    <span className="font-mono">{formatValue(proposal.currentValue)}</span>
+                    {' → '}
+                    <span className="font-mono text-foreground">{formatValue(proposal.proposedValue)}</span>
+                  </p>
+                </div>
+                <Badge variant={STATUS_VARIANTS[proposal.status]} className="text-xs shrink-0">
+                  {proposal.status}
+                </Badge>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  aria-label="Accept correction"
+                  disabled={proposal.status === CORRECTION_STATUSES.ACCEPTED}
+                  onClick={() => review([proposal.id], CORRECTION_STATUSES.ACCEPTED)}
+                >
+                  <Check className="h-4 w-4" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  aria-label="Reject correction"
+                  disabled={proposal.status === CORRECTION_STATUSES.REJECTED}
+                  onClick={() => review([proposal.id], CORRECTION_STATUSES.REJECTED)}
+                >
+                  <X className="h-4 w-4" />
+                </Button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+CorrectionProposals.propTypes = {
+  className: PropTypes.string
+};
+
+export default CorrectionProposals;
@@ -3,10 +3,11 @@
  * 
  * Displays validation discrepancy alerts with severity indicators,
  * acknowledgment functionality, and detailed discrepancy information.
+ * An alert can be turned into a tracked discrepancy case.
  */
 
 import React from 'react';
-import { useDispatch } from 'react-redux';
+import { useDispatch, useSelector } from 'react-redux';
 import { Alert, AlertDescription, AlertTitle } from '../ui/Alert';
 import { Button } from '../ui/Button';
 import { Badge } from '../ui/Badge';
@@ -14,6 +15,8 @@ import {
   acknowledgeAlert, 
   dismissAlert 
 } from '../../redux/slices/validationSlice';
+import { openCase, selectDiscrepancyCases } from '../../redux/slices/discrepancyCaseSlice';
+import { isCaseClosed } from '../../services/DiscrepancyCaseService';
 import { SEVERITY_LEVELS } from '../../types/validation';
 import { 
   AlertTriangle, 
@@ -23,7 +26,8 @@ import {
   Check,
   DollarSign,
   Calendar,
-  FileText
+  FileText,
+  Briefcase
 } from 'lucide-react';
 
 /**
@@ -95,7 +99,7 @@ const formatDate = (dateString) => {
 /**
  * Individual alert item component
  */
-const AlertItem = ({ alert, onAcknowledge, onDismiss, showActions = true }) => {
+const AlertItem = ({ alert, caseItem, onAcknowledge, onDismiss, onOpenCase, showActions = true }) => {
   const severityConfig = getSeverityConfig(alert.severity);
   const SeverityIcon = severityConfig.icon;
   
@@ -120,6 +124,12 @@ const AlertItem = ({ alert, onAcknowledge, onDismiss, showActions = true }) => {
                   Acknowledged
                 </Badge>
               )}
+              {caseItem && (
+                <Badge variant="info" className="text-xs capitalize">
+                  <Briefcase className="h-3 w-3 mr-1" />
+                  Case {caseItem.status.replace(/_/g, ' ')}
+                </Badge>
+              )}
             </AlertTitle>
             
             <AlertDescription className="space-y-2">
@@ -169,6 +179,17 @@ const AlertItem = ({ alert, onAcknowledge, onDismiss, showActions = true }) => {
         
         {showActions && (
           <div className="flex items-center space-x-2 ml-4">
+            {!caseItem && (
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => onOpenCase(alert)}
+                className="text-xs"
+              >
+                <Briefcase className="h-3 w-3 mr-1" />
+                Open Case
+              </Button>
+            )}
             {!alert.acknowledged && (
               <Button
                 variant="outline"
@@ -206,6 +227,7 @@ const DiscrepancyAlert = ({
   className = ""
 }) => {
   const dispatch = useDispatch();
+  const cases = useSelector(selectDiscrepancyCases);
   
   const handleAcknowledge = (alertId) => {
     dispatch(acknowledgeAlert(alertId));
@@ -215,6 +237,10 @@ const DiscrepancyAlert = ({
     dispatch(dismissAlert(alertId));
   };
   
+  const handleOpenCase = (alert) => {
+    dispatch(openCase(alert));
+  };
+  
   const handleAcknowledgeAll = () => {
     alerts.forEach(alert => {
       if (!alert.acknowledged) {
@@ -247,6 +273,9 @@ const DiscrepancyAlert = ({
   const visibleAlerts = showAll ? sortedAlerts : sortedAlerts.slice(0, maxVisible);
   const hiddenCount = sortedAlerts.length - visibleAlerts.length;
   const unacknowledgedCount = alerts.filter(alert => !alert.acknowledged).length;
+  const openCasesBySource = new Map(
+    cases.filter(caseItem => !isCaseClosed(caseItem)).map(caseItem => [caseItem.sourceId, caseItem])
+  );
   
   return (
     <div className={`space-y-4 ${className}`}>
@@ -287,8 +316,10 @@ const DiscrepancyAlert = ({
           <AlertItem
             key={alert.id}
             alert={alert}
+            caseItem={openCasesBySource.get(alert.id)}
             onAcknowledge={handleAcknowledge}
             onDismiss={handleDismiss}
+            onOpenCase={handleOpenCase}
             showActions={showActions}
           />
         ))}
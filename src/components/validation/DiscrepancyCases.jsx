@@ -0,0 +1,326 @@
+/**
+ * DiscrepancyCases Component
+ *
+ * Case queue for discrepancies: "My cases", open and all cases with SLA
+ * timers, and a detail panel to assign, change status and discuss a case.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  addCaseComment,
+  assignCase,
+  loadCases,
+  selectCaseError,
+  selectDiscrepancyCases,
+  updateCaseStatus
+} from '../../redux/slices/discrepancyCaseSlice';
+import { selectUser } from '../../redux/slices/authSlice';
+import discrepancyCaseService, {
+  buildCommentThreads,
+  isCaseClosed
+} from '../../services/DiscrepancyCaseService';
+import {
+  CASE_ASSIGNEE_TYPES,
+  CASE_SLA_STATES,
+  CASE_STATUS_TRANSITIONS
+} from '../../types/validation';
+import { Badge } from '../ui/Badge';
+import Button from '../ui/Button';
+import { Briefcase, MessageSquare, Reply, Timer, UserCheck } from 'lucide-react';
+
+const QUEUES = {
+  MINE: 'mine',
+  OPEN: 'open',
+  ALL: 'all'
+};
+
+const SLA_VARIANTS = {
+  [CASE_SLA_STATES.ON_TRACK]: 'success',
+  [CASE_SLA_STATES.DUE_SOON]: 'warning',
+  [CASE_SLA_STATES.OVERDUE]: 'destructive',
+  [CASE_SLA_STATES.MET]: 'secondary',
+  [CASE_SLA_STATES.BREACHED]: 'destructive'
+};
+
+const formatStatus = (status) => status.replace(/_/g, ' ');
+
+const formatDuration = (ms) => {
+  const minutes = Math.round(Math.abs(ms) / 60000);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return `${minutes}m`;
+};
+
+const formatSla = ({ state, remainingMs }) => {
+  switch (state) {
+    case CASE_SLA_STATES.OVERDUE:
+      return `Overdue by ${formatDuration(remainingMs)}`;
+    case CASE_SLA_STATES.MET:
+      return 'SLA met';
+    case CASE_SLA_STATES.BREACHED:
+      return `SLA missed by ${formatDuration(remainingMs)}`;
+    default:
+      return `Due in ${formatDuration(remainingMs)}`;
+  }
+};
+
+/**
+ * Comment with its replies
+ */
+const CommentThread = ({ comment, onReply }) => (
+  <li className="mt-2">
+    <div className="rounded border border-border p-2 text-sm">
+      <div className="flex items-center justify-between text-xs text-muted-foreground">
+        <span className="font-medium text-foreground">{comment.author?.name}</span>
+        <span>{new Date(comment.createdAt).toLocaleString()}</span>
+      </div>
+      <p className="mt-1 whitespace-pre-wrap">{comment.text}</p>
+      <Button variant="ghost" size="sm" className="text-xs mt-1" onClick={() => onReply(comment)}>
+        <Reply className="h-3 w-3 mr-1" />
+        Reply
+      </Button>
+    </div>
+    {comment.replies.length > 0 && (
+      <ul className="ml-6">
+        {comment.replies.map(reply => (
+          <CommentThread key={reply.id} comment={reply} onReply={onReply} />
+        ))}
+      </ul>
+    )}
+  </li>
+);
+
+/**
+ * Detail panel of the selected case
+ */
+const CaseDetail = ({ caseItem, user }) => {
+  const dispatch = useDispatch();
+  const [assigneeType, setAssigneeType] = useState(CASE_ASSIGNEE_TYPES.USER);
+  const [assigneeId, setAssigneeId] = useState('');
+  const [commentText, setCommentText] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+
+  const threads = useMemo(() => buildCommentThreads(caseItem.comments), [caseItem.comments]);
+
+  const handleAssign = (assignee) => {
+    dispatch(assignCase({ caseId: caseItem.id, assignee }));
+    setAssigneeId('');
+  };
+
+  const handleComment = async () => {
+    const result = await dispatch(addCaseComment({ caseId: caseItem.id, text: commentText, parentId: replyTo?.id }));
+    if (!result.error) {
+      setCommentText('');
+      setReplyTo(null);
+    }
+  };
+
+  return (
+    <div className="mt-4 border-t border-border pt-4 space-y-4">
+      <div>
+        <p className="font-medium text-foreground">{caseItem.title || `${caseItem.field} discrepancy`}</p>
+        <p className="text-sm text-muted-foreground">
+          Record <span className="font-mono">{caseItem.recordId}</span> · {caseItem.field} · opened {new Date(caseItem.openedAt).toLocaleString()}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+        <label>
+          <span className="block text-muted-foreground mb-1">Status</span>
+          <select
+            value={caseItem.status}
+            onChange={(e) => dispatch(updateCaseStatus({ caseId: caseItem.id, status: e.target.value }))}
+            className="w-full rounded-md border border-border bg-background px-2 py-1.5 capitalize"
+          >
+            <option value={caseItem.status}>{formatStatus(caseItem.status)}</option>
+            {(CASE_STATUS_TRANSITIONS[caseItem.status] || []).map(status => (
+              <option key={status} value={status}>{formatStatus(status)}</option>
+            ))}
+          </select>
+        </label>
+
+        <div>
+          <span className="block text-muted-foreground mb-1">
+            Assignee: {caseItem.assignee ? `${caseItem.assignee.name} (${caseItem.assignee.type})` : 'Unassigned'}
+          </span>
+          <div className="flex items-center gap-2">
+            <select
+              aria-label="Assignee type"
+              value={assigneeType}
+              onChange={(e) => setAssigneeType(e.target.value)}
+              className="rounded-md border border-border bg-background px-2 py-1.5"
+            >
+              <option value={CASE_ASSIGNEE_TYPES.USER}>User</option>
+              <option value={CASE_ASSIGNEE_TYPES.DISTRIBUTOR}>Distributor</option>
+            </select>
+            <input
+              type="text"
+              placeholder={assigneeType === CASE_ASSIGNEE_TYPES.USER ? 'User ID' : 'Distributor code'}
+              value={assigneeId}
+              onChange={(e) => setAssigneeId(e.target.value)}
+              className="min-w-0 flex-1 border border-border rounded px-2 py-1.5"
+            />
+            <Button
+              variant="outline"
+              size="sm"
+              disabled={!assigneeId.trim()}
+              onClick={() => handleAssign({ type: assigneeType, id: assigneeId.trim() })}
+            >
+              Assign
+            </Button>
+          </div>
+          {user && (
+            <Button
+              variant="link"
+              size="sm"
+              className="px-0"
+              onClick={() => handleAssign({
+                type: CASE_ASSIGNEE_TYPES.USER,
+                id: user.id,
+                name: [user.firstname, user.lastname].filter(Boolean).join(' ') || user.username
+              })}
+            >
+              <UserCheck className="h-4 w-4 mr-1" />
+              Assign to me
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <h4 className="flex items-center text-sm font-semibold text-foreground">
+          <MessageSquare className="h-4 w-4 mr-2" />
+          Comments ({caseItem.comments.length})
+        </h4>
+        <ul>
+          {threads.map(comment => (
+            <CommentThread key={comment.id} comment={comment} onReply={setReplyTo} />
+          ))}
+        </ul>
+        <div className="mt-3 space-y-2">
+          {replyTo && (
+            <p className="text-xs text-muted-foreground">
+              Replying to {replyTo.author?.name}{' '}
+              <button type="button" className="underline" onClick={() => setReplyTo(null)}>cancel</button>
+            </p>
+          )}
+          <textarea
+            rows={2}
+            placeholder="Add a comment..."
+            value={commentText}
+            onChange={(e) => setCommentText(e.target.value)}
+            className="w-full border border-border rounded px-3 py-2 text-sm"
+          />
+          <Button size="sm" disabled={!commentText.trim()} onClick={handleComment}>
+            {replyTo ? 'Reply' : 'Comment'}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const DiscrepancyCases = ({ className = '' }) => {
+  const dispatch = useDispatch();
+  const cases = useSelector(selectDiscrepancyCases);
+  const error = useSelector(selectCaseError);
+  const user = useSelector(selectUser);
+  const [queue, setQueue] = useState(QUEUES.MINE);
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    dispatch(loadCases());
+  }, [dispatch]);
+
+  const queues = useMemo(() => {
+    const byDueDate = (a, b) => new Date(a.dueAt) - new Date(b.dueAt);
+    return {
+      [QUEUES.MINE]: user ? discrepancyCaseService.getCasesAssignedTo(cases, user.id) : [],
+      [QUEUES.OPEN]: cases.filter(caseItem => !isCaseClosed(caseItem)).sort(byDueDate),
+      [QUEUES.ALL]: [...cases].sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+    };
+  }, [cases, user]);
+
+  const visibleCases = queues[queue];
+  const selectedCase = cases.find(caseItem => caseItem.id === selectedId);
+  const now = new Date();
+
+  return (
+    <div className={`bg-card border border-border rounded-lg p-6 ${className}`}>
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <Briefcase className="h-5 w-5 text-muted-foreground" />
+          <h3 className="text-lg font-semibold text-foreground">Discrepancy Cases</h3>
+        </div>
+        <div className="flex items-center space-x-2">
+          {[
+            [QUEUES.MINE, 'My cases'],
+            [QUEUES.OPEN, 'Open'],
+            [QUEUES.ALL, 'All']
+          ].map(([key, label]) => (
+            <Button
+              key={key}
+              variant={queue === key ? 'default' : 'outline'}
+              size="sm"
+              onClick={() => setQueue(key)}
+            >
+              {label} ({queues[key].length})
+            </Button>
+          ))}
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      {visibleCases.length === 0 ? (
+        <p className="text-sm text-muted-foreground">
+          {queue === QUEUES.MINE ? 'No open cases are assigned to you.' : 'No cases yet. Open a case from a discrepancy alert.'}
+        </p>
+      ) : (
+        <ul className="divide-y divide-border">
+          {visibleCases.map(caseItem => {
+            const sla = discrepancyCaseService.getSlaStatus(caseItem, now);
+            return (
+              <li
+                key={caseItem.id}
+                className={`py-2 flex items-center gap-3 text-sm cursor-pointer ${caseItem.id === selectedId ? 'bg-muted/50' : ''}`}
+                onClick={() => setSelectedId(caseItem.id === selectedId ? null : caseItem.id)}
+              >
+                <Badge variant={caseItem.severity} className="text-xs shrink-0 capitalize">
+                  {caseItem.severity}
+                </Badge>
+                <div className="min-w-0 flex-1">
+                  <p className="font-medium text-foreground truncate">
+                    {caseItem.recordId} · {caseItem.field}
+                  </p>
+                  <p className="text-muted-foreground">
+                    {caseItem.assignee ? caseItem.assignee.name : 'Unassigned'}
+                  </p>
+                </div>
+                <Badge variant="outline" className="text-xs shrink-0 capitalize">
+                  {formatStatus(caseItem.status)}
+                </Badge>
+                <Badge variant={SLA_VARIANTS[sla.state]} className="text-xs shrink-0">
+                  <Timer className="h-3 w-3 mr-1" />
+                  {formatSla(sla)}
+                </Badge>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {selectedCase && <CaseDetail caseItem={selectedCase} user={user} />}
+    </div>
+  );
+};
+
+DiscrepancyCases.propTypes = {
+  className: PropTypes.string
+};
+
+export default DiscrepancyCases;
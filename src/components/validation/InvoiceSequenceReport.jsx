@@ -0,0 +1,106 @@
+/**
+ * InvoiceSequenceReport Component
+ *
+ * Invoice number sequences of the last validated batch per distributor and
+ * period, with their missing number ranges and the prefix, gap, issue date
+ * order and reuse findings.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useSelector } from 'react-redux';
+import { selectSequenceReport } from '../../redux/slices/validationSlice';
+import { SEQUENCE_ISSUE_TYPES } from '../../types/validation';
+import { Badge } from '../ui/Badge';
+import { ListOrdered } from 'lucide-react';
+
+const ISSUE_TYPE_LABELS = {
+  [SEQUENCE_ISSUE_TYPES.FOREIGN_PREFIX]: 'Foreign prefix',
+  [SEQUENCE_ISSUE_TYPES.GAP]: 'Gap',
+  [SEQUENCE_ISSUE_TYPES.OUT_OF_ORDER]: 'Out of order',
+  [SEQUENCE_ISSUE_TYPES.REUSED]: 'Reused'
+};
+
+const InvoiceSequenceReport = ({ className = '' }) => {
+  const report = useSelector(selectSequenceReport);
+
+  if (!report || report.totals.invoices === 0) {
+    return null;
+  }
+
+  return (
+    <div className={`bg-card border border-border rounded-lg p-6 ${className}`}>
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <ListOrdered className="h-5 w-5 text-muted-foreground" />
+          <h3 className="text-lg font-semibold text-foreground">Invoice Number Sequences</h3>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {Object.values(SEQUENCE_ISSUE_TYPES).map(type => (
+            <Badge key={type} variant={report.totals[type] > 0 ? 'warning' : 'secondary'} className="text-xs">
+              {ISSUE_TYPE_LABELS[type]}: {report.totals[type]}
+            </Badge>
+          ))}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-muted-foreground border-b border-border">
+              <th className="py-2 pr-4 font-medium">Distributor</th>
+              <th className="py-2 pr-4 font-medium">Period</th>
+              <th className="py-2 pr-4 font-medium">Prefix</th>
+              <th className="py-2 pr-4 font-medium">Range</th>
+              <th className="py-2 pr-4 font-medium text-right">Invoices</th>
+              <th className="py-2 font-medium">Missing</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-border">
+            {report.sequences.map(sequence => (
+              <tr key={`${sequence.distributorCode}|${sequence.period}|${sequence.prefix}`}>
+                <td className="py-2 pr-4">{sequence.distributorCode}</td>
+                <td className="py-2 pr-4">{sequence.period || 'All'}</td>
+                <td className="py-2 pr-4 font-mono">{sequence.prefix || '—'}</td>
+                <td className="py-2 pr-4">{sequence.firstNumber} – {sequence.lastNumber}</td>
+                <td className="py-2 pr-4 text-right">{sequence.invoiceCount}</td>
+                <td className="py-2">
+                  {sequence.missingRanges.length === 0 ? (
+                    <span className="text-muted-foreground">None</span>
+                  ) : (
+                    <ul className="space-y-0.5">
+                      {sequence.missingRanges.map(range => (
+                        <li key={range.from} className="font-mono text-xs">
+                          {range.label} ({range.count})
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {report.issues.length > 0 && (
+        <ul className="mt-4 divide-y divide-border">
+          {report.issues.map(issue => (
+            <li key={`${issue.type}-${issue.recordId}`} className="py-2 flex items-start justify-between gap-4 text-sm">
+              <p className="text-muted-foreground">{issue.message}</p>
+              <Badge variant={issue.severity} className="text-xs shrink-0">
+                {ISSUE_TYPE_LABELS[issue.type]}
+              </Badge>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+InvoiceSequenceReport.propTypes = {
+  className: PropTypes.string
+};
+
+export default InvoiceSequenceReport;
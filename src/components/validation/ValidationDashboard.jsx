@@ -16,6 +16,11 @@ import {
 } from '../../redux/slices/validationSlice';
 import { Badge } from '../ui/Badge';
 import Button from '../ui/Button';
+import ValidationRunComparison from './ValidationRunComparison';
+import ValidationProfileManager from './ValidationProfileManager';
+import InvoiceSequenceReport from './InvoiceSequenceReport';
+import DiscrepancyCases from './DiscrepancyCases';
+import { BASE_CURRENCY } from '../../types/invoice';
 import { 
   FileText, 
   CheckCircle, 
@@ -196,7 +201,7 @@ const FinancialImpact = ({ statistics }) => {
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD',
+      currency: financialImpact.baseCurrency || BASE_CURRENCY,
       minimumFractionDigits: 2
     }).format(amount || 0);
   };
@@ -366,6 +371,18 @@ const ValidationDashboard = ({ onNavigateToResults, onNavigateToAlerts }) => {
           </div>
         </div>
       )}
+
+      {/* Profiles records are validated with, per distributor or customer segment */}
+      <ValidationProfileManager />
+
+      {/* Run history and resubmission comparison */}
+      <ValidationRunComparison />
+
+      {/* Invoice number sequences per distributor */}
+      <InvoiceSequenceReport />
+
+      {/* Discrepancy case queue */}
+      <DiscrepancyCases />
     </div>
   );
 };
@@ -0,0 +1,417 @@
+/**
+ * ValidationProfileManager Component
+ *
+ * Lists the active validation profiles and lets users create, edit and
+ * archive them. Saving an existing profile adds a new version.
+ */
+
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  loadValidationProfiles,
+  saveValidationProfile,
+  archiveValidationProfile,
+  selectValidationProfiles
+} from '../../redux/slices/validationSlice';
+import { DEFAULT_VALIDATION_CONFIG, ROUNDING_METHODS, ROUNDING_SCOPES } from '../../types/validation';
+import { Badge } from '../ui/Badge';
+import Button from '../ui/Button';
+import { Archive, Pencil, Plus, SlidersHorizontal } from 'lucide-react';
+
+const TOLERANCE_LABELS = {
+  taxCalculation: 'Tax',
+  totalCalculation: 'Total',
+  discountCalculation: 'Discount'
+};
+
+const THRESHOLD_LABELS = {
+  low: 'Low %',
+  medium: 'Medium %',
+  high: 'High %',
+  critical: 'Critical %'
+};
+
+const RULE_LABELS = {
+  validateTaxCalculation: 'Tax calculation',
+  validateTotalCalculation: 'Total calculation',
+  validateDiscountCalculation: 'Discount calculation',
+  validateLineItemTotals: 'Line item totals',
+  validateCustomRules: 'Custom rules',
+  validateProductMaster: 'Product master',
+  validateCustomerCredit: 'Customer credit',
+  detectOutliers: 'Outliers',
+  validateCurrency: 'Currency',
+  validateCustomerTaxId: 'Customer tax ID',
+  validateInvoiceSequence: 'Invoice sequence',
+  validatePromotions: 'Promotions',
+  strictMode: 'Strict mode'
+};
+
+const ROUNDING_METHOD_LABELS = {
+  [ROUNDING_METHODS.ROUND]: 'Round half up',
+  [ROUNDING_METHODS.HALF_EVEN]: 'Round half even',
+  [ROUNDING_METHODS.TRUNCATE]: 'Truncate',
+  [ROUNDING_METHODS.FLOOR]: 'Round down',
+  [ROUNDING_METHODS.CEIL]: 'Round up',
+  [ROUNDING_METHODS.SATANG]: 'Satang (0.25)'
+};
+
+const ROUNDING_SCOPE_LABELS = {
+  [ROUNDING_SCOPES.DOCUMENT]: 'Per document',
+  [ROUNDING_SCOPES.LINE]: 'Per line item'
+};
+
+const toCodeList = (value) => value.split(',').map(code => code.trim()).filter(Boolean);
+
+// Overrides are kept as strings while editing; empty fields fall back to the default config
+const toOverrideState = (values = {}, labels) =>
+  Object.fromEntries(Object.keys(labels).map(key => [key, values[key] !== undefined ? String(values[key]) : '']));
+
+const toOverrides = (state) => Object.fromEntries(
+  Object.entries(state)
+    .filter(([, value]) => value.trim() !== '' && !Number.isNaN(Number(value)))
+    .map(([key, value]) => [key, Number(value)])
+);
+
+// Rules are 'true', 'false' or '' for the default config's setting
+const toRuleState = (rules = {}) =>
+  Object.fromEntries(Object.keys(RULE_LABELS).map(key => [key, rules[key] !== undefined ? String(rules[key]) : '']));
+
+const toRuleOverrides = (state) => Object.fromEntries(
+  Object.entries(state)
+    .filter(([, value]) => value !== '')
+    .map(([key, value]) => [key, value === 'true'])
+);
+
+const toRoundingState = (rounding = {}) => ({
+  precision: rounding.precision !== undefined ? String(rounding.precision) : '',
+  method: rounding.method || '',
+  scope: rounding.scope || ''
+});
+
+const toRoundingOverrides = ({ precision, method, scope }) => ({
+  ...toOverrides({ precision }),
+  ...(method && { method }),
+  ...(scope && { scope })
+});
+
+const toFormState = (profile = null) => ({
+  id: profile?.id,
+  name: profile?.name || '',
+  description: profile?.description || '',
+  distributorCodes: (profile?.assignments?.distributorCodes || []).join(', '),
+  customerSegments: (profile?.assignments?.customerSegments || []).join(', '),
+  tolerances: toOverrideState(profile?.tolerances, TOLERANCE_LABELS),
+  thresholds: toOverrideState(profile?.thresholds, THRESHOLD_LABELS),
+  rules: toRuleState(profile?.rules),
+  rounding: toRoundingState(profile?.rounding)
+});
+
+/**
+ * Number inputs for one group of overrides
+ */
+const OverrideFields = ({ title, labels, defaults, values, onChange }) => (
+  <fieldset>
+    <legend className="text-xs font-medium text-muted-foreground mb-1">{title}</legend>
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+      {Object.entries(labels).map(([key, label]) => (
+        <label key={key} className="text-xs">
+          <span className="block text-muted-foreground mb-1">{label}</span>
+          <input
+            type="number"
+            step="any"
+            min="0"
+            value={values[key]}
+            placeholder={String(defaults[key])}
+            onChange={(e) => onChange({ ...values, [key]: e.target.value })}
+            className="w-full rounded-md border border-border bg-background px-2 py-1"
+          />
+        </label>
+      ))}
+    </div>
+  </fieldset>
+);
+
+OverrideFields.propTypes = {
+  title: PropTypes.string.isRequired,
+  labels: PropTypes.object.isRequired,
+  defaults: PropTypes.object.isRequired,
+  values: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+/**
+ * On/off overrides for the validation rules
+ */
+const RuleFields = ({ values, onChange }) => (
+  <fieldset>
+    <legend className="text-xs font-medium text-muted-foreground mb-1">Rules</legend>
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+      {Object.entries(RULE_LABELS).map(([key, label]) => (
+        <label key={key} className="text-xs">
+          <span className="block text-muted-foreground mb-1">{label}</span>
+          <select
+            value={values[key]}
+            onChange={(e) => onChange({ ...values, [key]: e.target.value })}
+            className="w-full rounded-md border border-border bg-background px-2 py-1"
+          >
+            <option value="">Default ({DEFAULT_VALIDATION_CONFIG.rules[key] ? 'on' : 'off'})</option>
+            <option value="true">On</option>
+            <option value="false">Off</option>
+          </select>
+        </label>
+      ))}
+    </div>
+  </fieldset>
+);
+
+RuleFields.propTypes = {
+  values: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+/**
+ * Rounding policy overrides
+ */
+const RoundingFields = ({ values, onChange }) => {
+  const defaults = DEFAULT_VALIDATION_CONFIG.rounding;
+  return (
+    <fieldset>
+      <legend className="text-xs font-medium text-muted-foreground mb-1">Rounding</legend>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        <label className="text-xs">
+          <span className="block text-muted-foreground mb-1">Precision</span>
+          <input
+            type="number"
+            step="1"
+            min="0"
+            value={values.precision}
+            placeholder={String(defaults.precision)}
+            onChange={(e) => onChange({ ...values, precision: e.target.value })}
+            className="w-full rounded-md border border-border bg-background px-2 py-1"
+          />
+        </label>
+        <label className="text-xs">
+          <span className="block text-muted-foreground mb-1">Method</span>
+          <select
+            value={values.method}
+            onChange={(e) => onChange({ ...values, method: e.target.value })}
+            className="w-full rounded-md border border-border bg-background px-2 py-1"
+          >
+            <option value="">Default ({ROUNDING_METHOD_LABELS[defaults.method]})</option>
+            {Object.entries(ROUNDING_METHOD_LABELS).map(([method, label]) => (
+              <option key={method} value={method}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs">
+          <span className="block text-muted-foreground mb-1">VAT rounded</span>
+          <select
+            value={values.scope}
+            onChange={(e) => onChange({ ...values, scope: e.target.value })}
+            className="w-full rounded-md border border-border bg-background px-2 py-1"
+          >
+            <option value="">Default ({ROUNDING_SCOPE_LABELS[defaults.scope]})</option>
+            {Object.entries(ROUNDING_SCOPE_LABELS).map(([scope, label]) => (
+              <option key={scope} value={scope}>{label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+    </fieldset>
+  );
+};
+
+RoundingFields.propTypes = {
+  values: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+const ValidationProfileManager = ({ className = '' }) => {
+  const dispatch = useDispatch();
+  const profiles = useSelector(selectValidationProfiles);
+  const [form, setForm] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    dispatch(loadValidationProfiles());
+  }, [dispatch]);
+
+  const openForm = (profile) => {
+    setForm(toFormState(profile));
+    setError(null);
+  };
+
+  const updateForm = (changes) => setForm(current => ({ ...current, ...changes }));
+
+  const handleSave = async () => {
+    // Keep the overrides of the previous version that the form does not edit
+    const previous = profiles.find(profile => profile.id === form.id);
+    try {
+      await dispatch(saveValidationProfile({
+        ...previous,
+        id: form.id,
+        name: form.name,
+        description: form.description.trim(),
+        assignments: {
+          distributorCodes: toCodeList(form.distributorCodes),
+          customerSegments: toCodeList(form.customerSegments)
+        },
+        tolerances: {
+          ...Object.fromEntries(Object.entries(previous?.tolerances || {}).filter(([key]) => !(key in TOLERANCE_LABELS))),
+          ...toOverrides(form.tolerances)
+        },
+        thresholds: toOverrides(form.thresholds),
+        rules: toRuleOverrides(form.rules),
+        rounding: toRoundingOverrides(form.rounding)
+      })).unwrap();
+      setForm(null);
+      setError(null);
+    } catch (saveError) {
+      setError(saveError?.message || 'The validation profile could not be saved');
+    }
+  };
+
+  const handleArchive = async (profileId) => {
+    try {
+      await dispatch(archiveValidationProfile(profileId)).unwrap();
+      setError(null);
+    } catch (archiveError) {
+      setError(archiveError?.message || 'The validation profile could not be archived');
+    }
+  };
+
+  return (
+    <div className={`bg-card border border-border rounded-lg p-6 ${className}`}>
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <SlidersHorizontal className="h-5 w-5 text-muted-foreground" />
+          <h3 className="text-lg font-semibold text-foreground">Validation Profiles</h3>
+        </div>
+        {!form && (
+          <Button variant="outline" size="sm" onClick={() => openForm(null)}>
+            <Plus className="h-4 w-4 mr-2" />
+            New profile
+          </Button>
+        )}
+      </div>
+
+      {profiles.length === 0 ? (
+        <p className="text-sm text-muted-foreground">
+          No validation profiles. Every record is validated with the default settings.
+        </p>
+      ) : (
+        <ul className="divide-y divide-border">
+          {profiles.map(profile => (
+            <li key={profile.id} className="py-2 flex items-start justify-between gap-4 text-sm">
+              <div className="min-w-0">
+                <p className="font-medium text-foreground">
+                  {profile.name}
+                  <Badge variant="secondary" className="text-xs ml-2">v{profile.version}</Badge>
+                </p>
+                <p className="text-muted-foreground truncate">
+                  {[
+                    profile.assignments.distributorCodes.length > 0 &&
+                      `Distributors ${profile.assignments.distributorCodes.join(', ')}`,
+                    profile.assignments.customerSegments.length > 0 &&
+                      `Segments ${profile.assignments.customerSegments.join(', ')}`
+                  ].filter(Boolean).join(' · ') || 'Not assigned'}
+                </p>
+              </div>
+              <div className="flex gap-2 shrink-0">
+                <Button variant="ghost" size="sm" onClick={() => openForm(profile)} disabled={Boolean(form)}>
+                  <Pencil className="h-4 w-4 mr-1" />
+                  Edit
+                </Button>
+                <Button variant="ghost" size="sm" onClick={() => handleArchive(profile.id)} disabled={Boolean(form)}>
+                  <Archive className="h-4 w-4 mr-1" />
+                  Archive
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {form && (
+        <div className="mt-4 space-y-3 border-t border-border pt-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <label className="text-sm">
+              <span className="block text-muted-foreground mb-1">Name</span>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => updateForm({ name: e.target.value })}
+                className="w-full rounded-md border border-border bg-background px-2 py-1.5"
+              />
+            </label>
+            <label className="text-sm">
+              <span className="block text-muted-foreground mb-1">Description</span>
+              <input
+                type="text"
+                value={form.description}
+                onChange={(e) => updateForm({ description: e.target.value })}
+                className="w-full rounded-md border border-border bg-background px-2 py-1.5"
+              />
+            </label>
+            <label className="text-sm">
+              <span className="block text-muted-foreground mb-1">Distributor codes</span>
+              <input
+                type="text"
+                placeholder="D001, D002"
+                value={form.distributorCodes}
+                onChange={(e) => updateForm({ distributorCodes: e.target.value })}
+                className="w-full rounded-md border border-border bg-background px-2 py-1.5"
+              />
+            </label>
+            <label className="text-sm">
+              <span className="block text-muted-foreground mb-1">Customer segments</span>
+              <input
+                type="text"
+                placeholder="Modern Trade"
+                value={form.customerSegments}
+                onChange={(e) => updateForm({ customerSegments: e.target.value })}
+                className="w-full rounded-md border border-border bg-background px-2 py-1.5"
+              />
+            </label>
+          </div>
+
+          <OverrideFields
+            title="Tolerances"
+            labels={TOLERANCE_LABELS}
+            defaults={DEFAULT_VALIDATION_CONFIG.tolerances}
+            values={form.tolerances}
+            onChange={(tolerances) => updateForm({ tolerances })}
+          />
+          <OverrideFields
+            title="Severity thresholds"
+            labels={THRESHOLD_LABELS}
+            defaults={DEFAULT_VALIDATION_CONFIG.thresholds}
+            values={form.thresholds}
+            onChange={(thresholds) => updateForm({ thresholds })}
+          />
+          <RuleFields values={form.rules} onChange={(rules) => updateForm({ rules })} />
+          <RoundingFields values={form.rounding} onChange={(rounding) => updateForm({ rounding })} />
+
+          <div className="flex justify-end gap-2">
+            <Button variant="outline" onClick={() => { setForm(null); setError(null); }}>
+              Cancel
+            </Button>
+            <Button onClick={handleSave} disabled={!form.name.trim()}>
+              {form.id ? 'Save new version' : 'Create profile'}
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {error && <p className="mt-2 text-xs text-destructive">{error}</p>}
+    </div>
+  );
+};
+
+ValidationProfileManager.propTypes = {
+  className: PropTypes.string
+};
+
+export default ValidationProfileManager;
@@ -14,8 +14,12 @@ import {
   selectIsValidating,
   setValidationFilters,
   clearValidationFilters,
-  setValidationSort
+  setValidationSort,
+  selectCorrections,
+  reviewCorrections
 } from '../../redux/slices/validationSlice';
+import { selectUser } from '../../redux/slices/authSlice';
+import CorrectionProposals from './CorrectionProposals';
 import DataTable from '../ui/DataTable';
 import VirtualizedTable from '../ui/VirtualizedTable';
 import { Badge } from '../ui/Badge';
@@ -28,9 +32,10 @@ import {
   Calendar,
   DollarSign,
   FileText,
-  AlertTriangle
+  AlertTriangle,
+  Activity
 } from 'lucide-react';
-import { SEVERITY_LEVELS } from '../../types/validation';
+import { CORRECTION_STATUSES, SEVERITY_LEVELS, VALIDATION_RESULT_TYPES } from '../../types/validation';
 
 /**
  * Severity badge component
@@ -62,6 +67,15 @@ const formatCurrency = (amount) => {
   }).format(amount || 0);
 };
 
+/**
+ * Plain number formatter for anomaly values, which are not always amounts
+ */
+const formatNumber = (value) => {
+  return new Intl.NumberFormat('en-US', {
+    maximumFractionDigits: 4
+  }).format(value || 0);
+};
+
 /**
  * Date formatter
  */
@@ -194,15 +208,18 @@ const FiltersPanel = ({ filters, onFiltersChange, onClearFilters }) => {
 
  * Detailed discrepancy modal component
  */
-const DiscrepancyDetailModal = ({ result, isOpen, onClose }) => {
+const DiscrepancyDetailModal = ({ result, isOpen, onClose, proposal, onReviewCorrection }) => {
   if (!isOpen || !result) return null;
 
+  const isAnomaly = result.type === VALIDATION_RESULT_TYPES.ANOMALY;
+  const formatValue = isAnomaly ? formatNumber : formatCurrency;
+
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
       <div className="bg-card border border-border rounded-lg max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
         <div className="p-6">
           <div className="flex items-center justify-between mb-6">
-            <h2 className="text-xl font-semibold">Discrepancy Details</h2>
+            <h2 className="text-xl font-semibold">{isAnomaly ? 'Anomaly Details' : 'Discrepancy Details'}</h2>
             <Button variant="ghost" size="sm" onClick={onClose}>
               <X className="h-4 w-4" />
             </Button>
@@ -224,10 +241,26 @@ const DiscrepancyDetailModal = ({ result, isOpen, onClose }) => {
                 <label className="block text-sm font-medium text-muted-foreground mb-1">
                   Field
                 </label>
-                <span className="capitalize">{result.field}</span>
+                <div className="flex items-center space-x-2">
+                  <span className="capitalize">{result.field}</span>
+                  {isAnomaly && <Badge variant="info">Anomaly</Badge>}
+                </div>
               </div>
             </div>
 
+            {/* Validation profile */}
+            {result.profileId && (
+              <div>
+                <label className="block text-sm font-medium text-muted-foreground mb-1">
+                  Validation Profile
+                </label>
+                <span className="font-mono">
+                  {result.profileId}
+                  {result.profileVersion !== null && result.profileVersion !== undefined && ` v${result.profileVersion}`}
+                </span>
+              </div>
+            )}
+
             {/* Severity and validation time */}
             <div className="grid grid-cols-2 gap-4">
               <div>
@@ -254,19 +287,23 @@ const DiscrepancyDetailModal = ({ result, isOpen, onClose }) => {
                 <div>
                   <div className="text-sm text-muted-foreground mb-1">Original Value</div>
                   <div className="text-lg font-semibold">
-                    {formatCurrency(result.originalValue)}
+                    {formatValue(result.originalValue)}
                   </div>
                 </div>
                 <div>
-                  <div className="text-sm text-muted-foreground mb-1">Calculated Value</div>
+                  <div className="text-sm text-muted-foreground mb-1">
+                    {isAnomaly ? 'Historical Median' : 'Calculated Value'}
+                  </div>
                   <div className="text-lg font-semibold">
-                    {formatCurrency(result.calculatedValue)}
+                    {formatValue(result.calculatedValue)}
                   </div>
                 </div>
                 <div>
-                  <div className="text-sm text-muted-foreground mb-1">Discrepancy</div>
+                  <div className="text-sm text-muted-foreground mb-1">
+                    {isAnomaly ? 'Deviation' : 'Discrepancy'}
+                  </div>
                   <div className="text-lg font-semibold text-red-600">
-                    {formatCurrency(result.discrepancy)}
+                    {formatValue(result.discrepancy)}
                   </div>
                 </div>
               </div>
@@ -282,6 +319,73 @@ const DiscrepancyDetailModal = ({ result, isOpen, onClose }) => {
               </div>
             </div>
 
+            {/* Baseline statistics */}
+            {isAnomaly && result.baseline && (
+              <div className="bg-muted/50 rounded-lg p-4">
+                <div className="flex items-center space-x-2 mb-3">
+                  <Activity className="h-4 w-4 text-muted-foreground" />
+                  <h3 className="font-medium">Baseline Statistics</h3>
+                </div>
+                <p className="text-sm text-muted-foreground mb-3">
+                  Product {result.baseline.productCode}, {result.baseline.scope} {result.baseline.scopeCode},{' '}
+                  {result.baseline.count} historical invoices
+                </p>
+                <dl className="grid grid-cols-3 gap-4 text-sm">
+                  {[
+                    ['Mean', result.baseline.mean],
+                    ['Std. Deviation', result.baseline.stdDev],
+                    ['Z-Score', result.baseline.zScore],
+                    ['Q1', result.baseline.q1],
+                    ['Median', result.baseline.median],
+                    ['Q3', result.baseline.q3],
+                    ['Lower Fence', result.baseline.lowerFence],
+                    ['Upper Fence', result.baseline.upperFence],
+                    ['Range', `${formatNumber(result.baseline.min)} – ${formatNumber(result.baseline.max)}`]
+                  ].map(([label, value]) => (
+                    <div key={label}>
+                      <dt className="text-muted-foreground">{label}</dt>
+                      <dd className="font-semibold">
+                        {value === null ? 'n/a' : typeof value === 'number' ? formatNumber(value) : value}
+                      </dd>
+                    </div>
+                  ))}
+                </dl>
+              </div>
+            )}
+
+            {/* Proposed correction */}
+            {proposal && (
+              <div className="bg-muted/50 rounded-lg p-4">
+                <div className="flex items-center justify-between mb-2">
+                  <h3 className="font-medium">Proposed Correction</h3>
+                  <Badge variant="secondary">{proposal.status}</Badge>
+                </div>
+                <p className="text-sm mb-3">
+                  Set {proposal.field} from <span className="font-mono">{formatNumber(proposal.currentValue)}</span> to{' '}
+                  <span className="font-mono font-semibold">{formatNumber(proposal.proposedValue)}</span>
+                </p>
+                {proposal.status !== CORRECTION_STATUSES.APPLIED && (
+                  <div className="flex space-x-2">
+                    <Button
+                      size="sm"
+                      disabled={proposal.status === CORRECTION_STATUSES.ACCEPTED}
+                      onClick={() => onReviewCorrection(proposal, CORRECTION_STATUSES.ACCEPTED)}
+                    >
+                      Accept
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      disabled={proposal.status === CORRECTION_STATUSES.REJECTED}
+                      onClick={() => onReviewCorrection(proposal, CORRECTION_STATUSES.REJECTED)}
+                    >
+                      Reject
+                    </Button>
+                  </div>
+                )}
+              </div>
+            )}
+
             {/* Message */}
             {result.message && (
               <div>
@@ -319,6 +423,8 @@ const ValidationResults = () => {
   const filters = useSelector(selectValidationFilters);
   const { sortBy, sortOrder } = useSelector(selectValidationSort);
   const isValidating = useSelector(selectIsValidating);
+  const corrections = useSelector(selectCorrections);
+  const user = useSelector(selectUser);
   
   const [selectedResult, setSelectedResult] = useState(null);
   const [isDetailModalOpen, setIsDetailModalOpen] = useState(false);
@@ -344,8 +450,13 @@ const ValidationResults = () => {
     {
       key: 'field',
       header: 'Field',
-      render: (value) => (
-        <span className="capitalize font-medium">{value}</span>
+      render: (value, result) => (
+        <div className="flex items-center space-x-2">
+          <span className="capitalize font-medium">{value}</span>
+          {result.type === VALIDATION_RESULT_TYPES.ANOMALY && (
+            <Badge variant="info">Anomaly</Badge>
+          )}
+        </div>
       )
     },
     {
@@ -356,15 +467,19 @@ const ValidationResults = () => {
     {
       key: 'originalValue',
       header: 'Original Value',
-      render: (value) => (
-        <span className="font-mono">{formatCurrency(value)}</span>
+      render: (value, result) => (
+        <span className="font-mono">
+          {result.type === VALIDATION_RESULT_TYPES.ANOMALY ? formatNumber(value) : formatCurrency(value)}
+        </span>
       )
     },
     {
       key: 'calculatedValue',
       header: 'Calculated Value',
-      render: (value) => (
-        <span className="font-mono">{formatCurrency(value)}</span>
+      render: (value, result) => (
+        <span className="font-mono">
+          {result.type === VALIDATION_RESULT_TYPES.ANOMALY ? formatNumber(value) : formatCurrency(value)}
+        </span>
       )
     },
     {
@@ -434,6 +549,15 @@ const ValidationResults = () => {
     setIsDetailModalOpen(true);
   };
 
+  const handleReviewCorrection = (proposal, status) => {
+    dispatch(reviewCorrections({ ids: [proposal.id], status, reviewedBy: user?.name || user?.id || null }));
+  };
+
+  const selectedProposal = selectedResult
+    ? corrections.find(proposal =>
+      proposal.recordId === selectedResult.recordId && proposal.field === selectedResult.field)
+    : null;
+
   const handleRowClick = (result) => {
     handleViewDetails(result);
   };
@@ -507,9 +631,14 @@ const ValidationResults = () => {
         />
       )}
 
+      {/* Correction proposals */}
+      <CorrectionProposals />
+
       {/* Detail modal */}
       <DiscrepancyDetailModal
         result={selectedResult}
+        proposal={selectedProposal}
+        onReviewCorrection={handleReviewCorrection}
         isOpen={isDetailModalOpen}
         onClose={() => {
           setIsDetailModalOpen(false);
@@ -0,0 +1,197 @@
+/**
+ * ValidationRunComparison Component
+ *
+ * Compares two stored validation runs and lists the discrepancies a
+ * resubmission introduced, resolved or left unchanged.
+ */
+
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  loadValidationRuns,
+  compareValidationRuns,
+  selectValidationRuns,
+  selectValidationRunComparison
+} from '../../redux/slices/validationSlice';
+import { DISCREPANCY_CHANGE_TYPES } from '../../types/validation';
+import { Badge } from '../ui/Badge';
+import Button from '../ui/Button';
+import { GitCompare, History } from 'lucide-react';
+
+const CHANGE_TYPE_LABELS = {
+  [DISCREPANCY_CHANGE_TYPES.INTRODUCED]: 'Introduced',
+  [DISCREPANCY_CHANGE_TYPES.RESOLVED]: 'Resolved',
+  [DISCREPANCY_CHANGE_TYPES.UNCHANGED]: 'Unchanged'
+};
+
+const CHANGE_TYPE_VARIANTS = {
+  [DISCREPANCY_CHANGE_TYPES.INTRODUCED]: 'destructive',
+  [DISCREPANCY_CHANGE_TYPES.RESOLVED]: 'success',
+  [DISCREPANCY_CHANGE_TYPES.UNCHANGED]: 'secondary'
+};
+
+const formatRun = (run) => `${run.label} · ${new Date(run.createdAt).toLocaleString()}`;
+
+/**
+ * Single discrepancy row
+ */
+const DiscrepancyRow = ({ result, previous }) => (
+  <li className="py-2 flex items-start justify-between gap-4 text-sm">
+    <div className="min-w-0">
+      <p className="font-medium text-foreground">
+        {result.invoiceNumber} · {result.field}
+      </p>
+      <p className="text-muted-foreground truncate">
+        {[result.customerCode && `Customer ${result.customerCode}`, result.ruleId && `Rule ${result.ruleId}`, result.discrepancy && `Discrepancy ${result.discrepancy}`]
+          .filter(Boolean)
+          .join(' · ')}
+      </p>
+      {previous && previous.severity !== result.severity && (
+        <p className="text-xs text-muted-foreground">Severity was {previous.severity}</p>
+      )}
+    </div>
+    <Badge variant={result.severity} className="text-xs shrink-0">
+      {result.severity}
+    </Badge>
+  </li>
+);
+
+DiscrepancyRow.propTypes = {
+  result: PropTypes.object.isRequired,
+  previous: PropTypes.object
+};
+
+const ValidationRunComparison = ({ className = '' }) => {
+  const dispatch = useDispatch();
+  const runs = useSelector(selectValidationRuns);
+  const comparison = useSelector(selectValidationRunComparison);
+  const [baseRunId, setBaseRunId] = useState('');
+  const [targetRunId, setTargetRunId] = useState('');
+  const [activeType, setActiveType] = useState(DISCREPANCY_CHANGE_TYPES.INTRODUCED);
+
+  useEffect(() => {
+    dispatch(loadValidationRuns());
+  }, [dispatch]);
+
+  // Default to comparing the latest run with the one before it
+  useEffect(() => {
+    if (runs.length >= 2) {
+      setTargetRunId(current => current || runs[0].id);
+      setBaseRunId(current => current || runs[1].id);
+    }
+  }, [runs]);
+
+  const handleCompare = () => {
+    dispatch(compareValidationRuns({ baseRunId, targetRunId }));
+  };
+
+  const showComparison = comparison &&
+    comparison.baseRunId === baseRunId &&
+    comparison.targetRunId === targetRunId;
+
+  return (
+    <div className={`bg-card border border-border rounded-lg p-6 ${className}`}>
+      <div className="flex items-center space-x-2 mb-4">
+        <History className="h-5 w-5 text-muted-foreground" />
+        <h3 className="text-lg font-semibold text-foreground">Validation Run History</h3>
+      </div>
+
+      {runs.length < 2 ? (
+        <p className="text-sm text-muted-foreground">
+          Validate a resubmission to compare it with an earlier run.
+        </p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-[1fr_1fr_auto] gap-3 items-end">
+            <label className="text-sm">
+              <span className="block text-muted-foreground mb-1">Earlier run</span>
+              <select
+                value={baseRunId}
+                onChange={(e) => setBaseRunId(e.target.value)}
+                className="w-full rounded-md border border-border bg-background px-2 py-1.5"
+              >
+                {runs.map(run => (
+                  <option key={run.id} value={run.id}>{formatRun(run)}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm">
+              <span className="block text-muted-foreground mb-1">Later run</span>
+              <select
+                value={targetRunId}
+                onChange={(e) => setTargetRunId(e.target.value)}
+                className="w-full rounded-md border border-border bg-background px-2 py-1.5"
+              >
+                {runs.map(run => (
+                  <option key={run.id} value={run.id}>{formatRun(run)}</option>
+                ))}
+              </select>
+            </label>
+            <Button onClick={handleCompare} disabled={!baseRunId || !targetRunId || baseRunId === targetRunId}>
+              <GitCompare className="h-4 w-4 mr-2" />
+              Compare
+            </Button>
+          </div>
+
+          {showComparison && (
+            <div className="mt-6">
+              {(comparison.configChanged || comparison.inputsChanged) && (
+                <div className="flex flex-wrap gap-2 mb-4">
+                  {comparison.inputsChanged && (
+                    <Badge variant="info" className="text-xs">Different input records</Badge>
+                  )}
+                  {comparison.configChanged && (
+                    <Badge variant="warning" className="text-xs">Different validation config</Badge>
+                  )}
+                </div>
+              )}
+
+              <div className="flex gap-2 mb-3" role="tablist">
+                {Object.values(DISCREPANCY_CHANGE_TYPES).map(type => (
+                  <button
+                    key={type}
+                    type="button"
+                    role="tab"
+                    aria-selected={activeType === type}
+                    onClick={() => setActiveType(type)}
+                    className={`flex items-center gap-2 px-3 py-1.5 text-sm rounded-md border ${
+                      activeType === type ? 'border-primary text-foreground' : 'border-border text-muted-foreground'
+                    }`}
+                  >
+                    {CHANGE_TYPE_LABELS[type]}
+                    <Badge variant={CHANGE_TYPE_VARIANTS[type]} className="text-xs">
+                      {comparison[type].length}
+                    </Badge>
+                  </button>
+                ))}
+              </div>
+
+              {comparison[activeType].length === 0 ? (
+                <p className="text-sm text-muted-foreground">
+                  No {CHANGE_TYPE_LABELS[activeType].toLowerCase()} discrepancies.
+                </p>
+              ) : (
+                <ul className="divide-y divide-border">
+                  {activeType === DISCREPANCY_CHANGE_TYPES.UNCHANGED
+                    ? comparison.unchanged.map((entry, index) => (
+                      <DiscrepancyRow key={`${entry.key}-${index}`} result={entry.target} previous={entry.base} />
+                    ))
+                    : comparison[activeType].map((result, index) => (
+                      <DiscrepancyRow key={`${result.key}-${index}`} result={result} />
+                    ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+ValidationRunComparison.propTypes = {
+  className: PropTypes.string
+};
+
+export default ValidationRunComparison;
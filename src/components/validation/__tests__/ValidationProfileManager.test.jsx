@@ -0,0 +1,83 @@
+/**
+ * Unit tests for ValidationProfileManager component
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
+import { describe, test, expect, beforeEach } from 'vitest';
+import ValidationProfileManager from '../ValidationProfileManager.jsx';
+import validationReducer from '../../../redux/slices/validationSlice.js';
+import validationProfileService from '../../../services/ValidationProfileService.js';
+
+describe('ValidationProfileManager', () => {
+  let store;
+
+  const renderManager = () => render(
+    <Provider store={store}>
+      <ValidationProfileManager />
+    </Provider>
+  );
+
+  beforeEach(() => {
+    localStorage.clear();
+    store = configureStore({ reducer: { validation: validationReducer } });
+  });
+
+  test('should create a profile and save edits as a new version', async () => {
+    renderManager();
+
+    fireEvent.click(screen.getByText('New profile'));
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Modern trade' } });
+    fireEvent.change(screen.getByLabelText('Distributor codes'), { target: { value: 'D001, D002' } });
+    fireEvent.change(screen.getByLabelText('Tax'), { target: { value: '0.5' } });
+    fireEvent.change(screen.getByLabelText('Tax calculation'), { target: { value: 'false' } });
+    fireEvent.change(screen.getByLabelText('Strict mode'), { target: { value: 'true' } });
+    fireEvent.change(screen.getByLabelText('Precision'), { target: { value: '0' } });
+    fireEvent.change(screen.getByLabelText('Method'), { target: { value: 'satang' } });
+    fireEvent.change(screen.getByLabelText('VAT rounded'), { target: { value: 'line' } });
+    fireEvent.click(screen.getByText('Create profile'));
+
+    await screen.findByText('Distributors D001, D002');
+    const [created] = validationProfileService.getProfiles();
+    expect(created).toMatchObject({
+      name: 'Modern trade',
+      version: 1,
+      tolerances: { taxCalculation: 0.5 },
+      rules: { validateTaxCalculation: false, strictMode: true },
+      rounding: { precision: 0, method: 'satang', scope: 'line' }
+    });
+
+    fireEvent.click(screen.getByText('Edit'));
+    expect(screen.getByLabelText('Method').value).toBe('satang');
+    fireEvent.change(screen.getByLabelText('Tax'), { target: { value: '' } });
+    fireEvent.change(screen.getByLabelText('Strict mode'), { target: { value: '' } });
+    fireEvent.change(screen.getByLabelText('Method'), { target: { value: '' } });
+    fireEvent.click(screen.getByText('Save new version'));
+
+    await screen.findByText('v2');
+    const saved = validationProfileService.getProfile(created.id);
+    expect(saved.tolerances).toEqual({});
+    expect(saved.rules).toEqual({ validateTaxCalculation: false });
+    expect(saved.rounding).toEqual({ precision: 0, scope: 'line' });
+  });
+
+  test('should archive profiles and show save errors', async () => {
+    validationProfileService.saveProfile({ name: 'Traditional trade', assignments: { distributorCodes: ['D001'] } });
+    renderManager();
+
+    await screen.findByText('Traditional trade');
+    fireEvent.click(screen.getByText('New profile'));
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Duplicate' } });
+    fireEvent.change(screen.getByLabelText('Distributor codes'), { target: { value: 'D001' } });
+    fireEvent.click(screen.getByText('Create profile'));
+
+    await screen.findByText('Distributor D001 is already assigned to another validation profile');
+    fireEvent.click(screen.getByText('Cancel'));
+
+    fireEvent.click(screen.getByText('Archive'));
+    await waitFor(() => expect(screen.queryByText('Traditional trade')).toBeNull());
+    expect(validationProfileService.getProfiles()).toEqual([]);
+  });
+});
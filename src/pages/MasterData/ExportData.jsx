@@ -11,7 +11,9 @@ import {
   Clock,
   AlertCircle,
   CheckCircle,
-  Search
+  Search,
+  Coins,
+  Tag
 } from 'lucide-react';
 import Button from '../../components/ui/Button';
 import { Alert } from '../../components/ui/Alert';
@@ -81,6 +83,18 @@ const ExportData = () => {
       description: 'Export tax rates, currencies, and other reference information',
       icon: Settings,
       color: 'purple'
+    },
+    exchangeRates: {
+      title: 'Exchange Rates',
+      description: 'Export currency pair rates and their effective dates',
+      icon: Coins,
+      color: 'orange'
+    },
+    promotions: {
+      title: 'Promotions',
+      description: 'Export promotions with eligible products, customers and date ranges',
+      icon: Tag,
+      color: 'red'
     }
   };
 
@@ -202,7 +216,7 @@ const ExportData = () => {
       )}
 
       {/* Export options */}
-      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
         {Object.entries(dataTypeConfigs).map(([dataType, config]) => {
           const Icon = config.icon;
           const stats = getDataTypeStats(dataType);
@@ -11,7 +11,9 @@ import {
   X,
   Clock,
   AlertTriangle,
-  Download
+  Download,
+  Coins,
+  Tag
 } from 'lucide-react';
 import Button from '../../components/ui/Button';
 import { Alert } from '../../components/ui/Alert';
@@ -97,6 +99,20 @@ const ImportData = () => {
       icon: Upload,
       requiredFields: ['referenceType', 'referenceCode', 'referenceValue'],
       sampleData: 'referenceType,referenceCode,referenceValue,description\nTAX_RATE,VAT_STANDARD,20,Standard VAT Rate'
+    },
+    exchangeRates: {
+      title: 'Exchange Rates',
+      description: 'Import currency pair rates used to convert invoice amounts to THB',
+      icon: Coins,
+      requiredFields: ['fromCurrency', 'toCurrency', 'rate', 'effectiveDate'],
+      sampleData: 'fromCurrency,toCurrency,rate,effectiveDate,source\nUSD,THB,35.25,2024-01-01,BOT'
+    },
+    promotions: {
+      title: 'Promotions',
+      description: 'Import promotions used to check promotional discounts on invoices',
+      icon: Tag,
+      requiredFields: ['promoCode', 'discountType', 'discountValue', 'startDate'],
+      sampleData: 'promoCode,description,eligibleProducts,eligibleCustomers,discountType,discountValue,startDate,endDate,maxQuantity\nPROMO01,Oreo 10% off,P001;P002,,percentage,10,2024-01-01,2024-03-31,100'
     }
   };
 
@@ -194,7 +210,7 @@ const ImportData = () => {
       <div>
         <h1 className="text-3xl font-bold text-foreground">Import Data</h1>
         <p className="text-muted-foreground">
-          Import master data including customers, products, and reference information
+          Import master data including customers, products, reference information, and exchange rates
         </p>
       </div>
 
@@ -252,7 +268,7 @@ const ImportData = () => {
       )}
 
       {/* Data type selection */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
         {Object.entries(dataTypeConfigs).map(([dataType, config]) => {
           const Icon = config.icon;
           const isSelected = selectedDataType === dataType;
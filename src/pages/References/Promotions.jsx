@@ -0,0 +1,281 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  Tag,
+  Search,
+  Download,
+  Upload,
+  X,
+  AlertCircle,
+} from "lucide-react";
+
+import Button from "../../components/ui/Button";
+import DataTable from "../../components/ui/DataTable";
+import { Alert, AlertDescription } from "../../components/ui/Alert";
+import { Badge } from "../../components/ui/Badge";
+import { ImportModal } from "../../components/modals";
+
+import {
+  loadMasterData,
+  exportMasterData,
+  importMasterData,
+  validateImportFile,
+  clearError,
+} from "../../redux/slices/masterDataSlice";
+import { useLanguage } from "../../contexts/LanguageContext";
+import { useFormatters } from "../../hooks/useFormatters";
+import { PROMOTION_DISCOUNT_TYPES } from "../../types/validation";
+
+// Promotion fields (see Promotion in src/types/validation.js):
+// promoCode, description?, eligibleProducts, eligibleCustomers, discountType,
+// discountValue, startDate, endDate?, maxQuantity?, isActive
+
+const Promotions = () => {
+  const dispatch = useDispatch();
+  const promotions = useSelector((state) => state.masterData.promotions || []);
+  const isLoading = useSelector((state) => state.masterData.isImporting);
+  const error = useSelector((state) => state.masterData.error);
+  const { t } = useLanguage();
+  const { formatNumber, formatCurrency, formatShortDate } = useFormatters();
+
+  // Local UI state
+  const [searchTerm, setSearchTerm] = useState("");
+  const [statusFilter, setStatusFilter] = useState("all");
+  const [sortBy, setSortBy] = useState("promoCode");
+  const [sortOrder, setSortOrder] = useState("asc");
+  const [showImportModal, setShowImportModal] = useState(false);
+
+  // Load promotions on mount
+  useEffect(() => {
+    dispatch(loadMasterData({ dataType: "promotions" }));
+  }, [dispatch]);
+
+  // Filter and sort promotions
+  const filteredPromotions = useMemo(() => {
+    const today = new Date().toISOString().slice(0, 10);
+    const filtered = (promotions || []).filter((p) => {
+      const s = (searchTerm || "").toLowerCase();
+      const matchesSearch =
+        !s ||
+        p.promoCode?.toLowerCase().includes(s) ||
+        p.description?.toLowerCase().includes(s) ||
+        p.eligibleProducts?.toLowerCase().includes(s) ||
+        p.eligibleCustomers?.toLowerCase().includes(s);
+
+      const isRunning =
+        p.isActive !== false &&
+        p.startDate <= today &&
+        (!p.endDate || today <= p.endDate);
+      const matchesStatus =
+        statusFilter === "all" ||
+        (statusFilter === "running" && isRunning) ||
+        (statusFilter === "ended" && !!p.endDate && p.endDate < today) ||
+        (statusFilter === "inactive" && p.isActive === false);
+
+      return matchesSearch && matchesStatus;
+    });
+
+    filtered.sort((a, b) => {
+      const aVal = (a?.[sortBy] ?? "").toString();
+      const bVal = (b?.[sortBy] ?? "").toString();
+      return sortOrder === "asc"
+        ? aVal.localeCompare(bVal)
+        : bVal.localeCompare(aVal);
+    });
+
+    return filtered;
+  }, [promotions, searchTerm, statusFilter, sortBy, sortOrder]);
+
+  const formatDiscount = (p) => {
+    switch (p.discountType) {
+      case PROMOTION_DISCOUNT_TYPES.PERCENTAGE:
+        return `${formatNumber(p.discountValue)}%`;
+      case PROMOTION_DISCOUNT_TYPES.AMOUNT_PER_UNIT:
+        return `${formatCurrency(p.discountValue)} / ${t('promotion.unit', 'unit')}`;
+      default:
+        return formatCurrency(p.discountValue);
+    }
+  };
+
+  // Columns configuration
+  const columns = [
+    {
+      key: "promoCode",
+      header: t('promotion.code', 'Promo Code'),
+      render: (value, p) => (
+        <div className="flex items-center gap-3">
+          <div className="w-8 h-8 bg-primary/10 rounded-full flex items-center justify-center">
+            <Tag className="h-4 w-4 text-primary" />
+          </div>
+          <div>
+            <p className="font-medium text-primary">{value}</p>
+            <p className="text-sm text-muted-foreground">{p.description}</p>
+          </div>
+        </div>
+      ),
+    },
+    {
+      key: "discountValue",
+      header: t('promotion.discount', 'Discount'),
+      render: (_, p) => formatDiscount(p),
+    },
+    {
+      key: "eligibleProducts",
+      header: t('promotion.products', 'Products'),
+      render: (v) => (
+        <div className="max-w-[200px] truncate" title={v}>{v || t('promotion.all', 'All')}</div>
+      ),
+    },
+    {
+      key: "eligibleCustomers",
+      header: t('promotion.customers', 'Customers'),
+      render: (v) => (
+        <div className="max-w-[200px] truncate" title={v}>{v || t('promotion.all', 'All')}</div>
+      ),
+    },
+    {
+      key: "startDate",
+      header: t('promotion.period', 'Period'),
+      render: (value, p) => (
+        <div>
+          {formatShortDate(value)} - {p.endDate ? formatShortDate(p.endDate) : t('promotion.openEnded', 'Open-ended')}
+        </div>
+      ),
+    },
+    {
+      key: "maxQuantity",
+      header: t('promotion.maxQuantity', 'Max Quantity'),
+      render: (v) => (v ? formatNumber(v) : "-"),
+    },
+    {
+      key: "isActive",
+      header: t('common.status', 'Status'),
+      render: (value) => (
+        <Badge variant={value === false ? "secondary" : "default"}>
+          {value === false ? t('common.inactive', 'Inactive') : t('common.active', 'Active')}
+        </Badge>
+      ),
+    },
+  ];
+
+  const handleSort = (key, order) => {
+    setSortBy(key);
+    setSortOrder(order);
+  };
+
+  const handleExport = () => {
+    const filters = {
+      search: searchTerm,
+      status: statusFilter,
+    };
+
+    dispatch(
+      exportMasterData({ dataType: "promotions", filters, format: "csv", options: {} })
+    );
+  };
+
+  const handleImport = () => setShowImportModal(true);
+
+  const handleImportFile = (file) => {
+    dispatch(validateImportFile({ file, dataType: "promotions" }));
+    dispatch(importMasterData({ file, dataType: "promotions" }));
+    setShowImportModal(false);
+  };
+
+  const clearErrorMessage = () => dispatch(clearError());
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription className="flex items-center justify-between">
+            <span>{error}</span>
+            <Button variant="ghost" size="sm" onClick={clearErrorMessage}>
+              <X className="h-4 w-4" />
+            </Button>
+          </AlertDescription>
+        </Alert>
+      )}
+
+      {/* Page header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-foreground">{t('navigation.promotions', 'Promotions')}</h1>
+          <p className="text-muted-foreground">
+            {t('promotion.description', 'Manage promotions that promotional discounts on invoices are checked against')}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <Button variant="outline" onClick={handleImport}>
+            <Upload className="h-4 w-4 mr-2" />
+            {t('common.import', 'Import')}
+          </Button>
+          <Button variant="outline" onClick={handleExport}>
+            <Download className="h-4 w-4 mr-2" />
+            {t('common.export', 'Export')}
+          </Button>
+        </div>
+      </div>
+
+      {/* Search and filters */}
+      <div className="flex items-center gap-4">
+        <div className="relative flex-1 max-w-md">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+          <input
+            type="text"
+            placeholder={t('promotion.searchPlaceholder', 'Search promotions...')}
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="w-full pl-10 pr-4 py-2 border border-border rounded-md bg-background text-foreground placeholder:text-muted-foreground focus:outline-none focus:ring-1 focus:ring-ring"
+          />
+        </div>
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="border border-border rounded-md px-3 py-2 bg-background text-foreground focus:outline-none focus:ring-1 focus:ring-ring"
+        >
+          <option value="all">{t('common.allStatus', 'All Status')}</option>
+          <option value="running">{t('promotion.running', 'Running')}</option>
+          <option value="ended">{t('promotion.ended', 'Ended')}</option>
+          <option value="inactive">{t('common.inactive', 'Inactive')}</option>
+        </select>
+        <div className="text-sm text-muted-foreground">
+          {formatNumber(filteredPromotions.length)} {t('common.of', 'of')} {formatNumber(promotions.length)} {t('navigation.promotions', 'Promotions').toLowerCase()}
+        </div>
+      </div>
+
+      {/* Promotions table */}
+      <DataTable
+        data={filteredPromotions}
+        columns={columns}
+        loading={isLoading}
+        sortBy={sortBy}
+        sortOrder={sortOrder}
+        onSort={handleSort}
+        searchable={false}
+        emptyMessage={t('promotion.empty', 'No promotions found')}
+      />
+
+      {/* Import Modal */}
+      <ImportModal
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        onImport={handleImportFile}
+        dataType="promotions"
+        acceptedFormats={[".csv"]}
+        requiredColumns={["promoCode", "discountType", "discountValue", "startDate"]}
+        optionalColumns={[
+          "description",
+          "eligibleProducts",
+          "eligibleCustomers",
+          "endDate",
+          "maxQuantity",
+          "isActive",
+        ]}
+      />
+    </div>
+  );
+};
+
+export default Promotions;
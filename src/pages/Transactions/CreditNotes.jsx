@@ -26,106 +26,16 @@ import { Alert, AlertDescription } from '../../components/ui/Alert';
 import { Badge } from '../../components/ui/Badge';
 import { CreditNoteStatus, CreditNoteType } from '../../types/prisma';
 import { useLanguage } from '../../contexts/LanguageContext';
+import { reconcileCreditNotes, selectReconciliation } from '../../redux/slices/validationSlice';
+import { VALIDATION_FIELDS } from '../../types/validation';
+import { loadTransactionDocuments } from './transactionDocuments';
 
 const CreditNotes = () => {
   const { t } = useLanguage();
   const dispatch = useDispatch();
   
-  // Mock credit note data - in real app this would come from Redux store
-  const [creditNotes] = useState([
-    { 
-      id: 1, 
-      invNo: 'CN-001',
-      customer: 'ABC Corporation', 
-      customerCode: 'CUST001',
-      netAmount: 299.99, 
-      vatTaxAmount: 39.00,
-      totalNetAmount: 338.99,
-      invoiceDate: '2024-01-15',
-      createDate: '2024-01-15',
-      productType: CreditNoteType.RETURN,
-      productCode: 'PROD001',
-      quantity: 5,
-      uomConvFactor: 1,
-      status: CreditNoteStatus.PROCESSED,
-      workflow: 'approved',
-      relatedInvoice: 'INV-001',
-      version: 1,
-      updatedAt: '2024-01-15T10:30:00Z',
-      createdBy: 'John Doe',
-      approvedBy: 'Jane Smith',
-      approvedDate: '2024-01-15T14:20:00Z'
-    },
-    { 
-      id: 2, 
-      invNo: 'CN-002',
-      customer: 'XYZ Industries', 
-      customerCode: 'CUST002',
-      netAmount: 150.00, 
-      vatTaxAmount: 19.50,
-      totalNetAmount: 169.50,
-      invoiceDate: '2024-01-14',
-      createDate: '2024-01-14',
-      productType: CreditNoteType.ADJUSTMENT,
-      productCode: 'PROD002',
-      quantity: 3,
-      uomConvFactor: 1,
-      status: CreditNoteStatus.PENDING,
-      workflow: 'pending_approval',
-      relatedInvoice: 'INV-002',
-      version: 1,
-      updatedAt: '2024-01-14T15:45:00Z',
-      createdBy: 'Jane Smith',
-      approvedBy: null,
-      approvedDate: null
-    },
-    { 
-      id: 3, 
-      invNo: 'CN-003',
-      customer: 'Tech Solutions Ltd', 
-      customerCode: 'CUST003',
-      netAmount: 89.50, 
-      vatTaxAmount: 11.64,
-      totalNetAmount: 101.14,
-      invoiceDate: '2024-01-13',
-      createDate: '2024-01-13',
-      productType: CreditNoteType.DISCOUNT,
-      productCode: 'PROD003',
-      quantity: 2,
-      uomConvFactor: 1,
-      status: CreditNoteStatus.PROCESSED,
-      workflow: 'approved',
-      relatedInvoice: 'INV-003',
-      version: 2,
-      updatedAt: '2024-01-13T09:15:00Z',
-      createdBy: 'System',
-      approvedBy: 'John Doe',
-      approvedDate: '2024-01-13T11:30:00Z'
-    },
-    { 
-      id: 4, 
-      invNo: 'CN-004',
-      customer: 'Global Enterprises', 
-      customerCode: 'CUST004',
-      netAmount: 500.00, 
-      vatTaxAmount: 65.00,
-      totalNetAmount: 565.00,
-      invoiceDate: '2024-01-12',
-      createDate: '2024-01-12',
-      productType: CreditNoteType.RETURN,
-      productCode: 'PROD004',
-      quantity: 10,
-      uomConvFactor: 1,
-      status: CreditNoteStatus.PENDING,
-      workflow: 'draft',
-      relatedInvoice: 'INV-004',
-      version: 1,
-      updatedAt: '2024-01-12T16:45:00Z',
-      createdBy: 'Jane Smith',
-      approvedBy: null,
-      approvedDate: null
-    }
-  ]);
+  // Mock documents - credit notes plus the invoices they were issued against
+  const [{ invoices, creditNotes }] = useState(loadTransactionDocuments);
   
   // Local state
   const [searchTerm, setSearchTerm] = useState('');
@@ -150,6 +60,15 @@ const CreditNotes = () => {
   });
   const [sortBy, setSortBy] = useState('date');
   const [sortOrder, setSortOrder] = useState('desc');
+  const reconciliation = useSelector(selectReconciliation);
+
+  // Reconcile the current credit notes against original invoices
+  useEffect(() => {
+    dispatch(reconcileCreditNotes({ invoices, creditNotes }));
+  }, [dispatch, invoices, creditNotes]);
+
+  const getReconciliationIssues = (creditNoteId) =>
+    reconciliation.results.filter(result => result.recordId === creditNoteId);
 
   // Credit note types
   const creditNoteTypes = [
@@ -251,6 +170,14 @@ const CreditNotes = () => {
                 {note.relatedInvoice}
               </p>
             )}
+            {getReconciliationIssues(note.id).map(issue => (
+              <p key={issue.field} className="text-xs text-red-600 flex items-center gap-1" title={issue.message}>
+                <AlertCircle className="h-3 w-3" />
+                {issue.field === VALIDATION_FIELDS.INVOICE_NUMBER
+                  ? 'Orphan'
+                  : issue.field === VALIDATION_FIELDS.VAT_AMOUNT ? 'VAT mismatch' : 'Over-credit'}
+              </p>
+            ))}
           </div>
         </div>
       )
@@ -24,100 +24,22 @@ import Button from '../../components/ui/Button';
 import DataTable from '../../components/ui/DataTable';
 import { Alert, AlertDescription } from '../../components/ui/Alert';
 import { Badge } from '../../components/ui/Badge';
-import { InvoiceStatus, InvoiceType } from '../../types/prisma';
+import { InvoiceStatus } from '../../types/prisma';
 import { useLanguage } from '../../contexts/LanguageContext';
+import { reconcileCreditNotes, selectReconciliation, selectValidationResults } from '../../redux/slices/validationSlice';
+import { loadApprovalHistory, selectApprovalHistory } from '../../redux/slices/approvalWorkflowSlice';
+import { selectDiscrepancyCases } from '../../redux/slices/discrepancyCaseSlice';
+import approvalWorkflowService from '../../services/ApprovalWorkflowService';
+import { APPROVAL_DOCUMENT_TYPES } from '../../types/invoice';
+import ApprovalWorkflowPanel from '../../components/validation/ApprovalWorkflowPanel';
+import { loadTransactionDocuments } from './transactionDocuments';
 
 const Invoices = () => {
   const { t } = useLanguage();
   const dispatch = useDispatch();
   
-  // Mock invoice data - in real app this would come from Redux store
-  const [invoices] = useState([
-    { 
-      id: 1, 
-      invNo: 'INV-001',
-      customer: 'ABC Corporation', 
-      customerCode: 'CUST001',
-      netAmount: 1299.99, 
-      vatTaxAmount: 169.99,
-      totalNetAmount: 1469.98,
-      invoiceDate: '2024-01-15', 
-      createDate: '2024-01-15',
-      status: InvoiceStatus.APPROVED,
-      productType: InvoiceType.SALE,
-      quantity: 10,
-      productCode: 'PROD001',
-      uomConvFactor: 1,
-      discrepancies: 0,
-      version: 1,
-      updatedAt: '2024-01-15T10:30:00Z',
-      createdBy: 'System',
-      workflow: 'approved'
-    },
-    { 
-      id: 2, 
-      invNo: 'INV-002',
-      customer: 'XYZ Industries', 
-      customerCode: 'CUST002',
-      netAmount: 2450.00, 
-      vatTaxAmount: 318.50,
-      totalNetAmount: 2768.50,
-      invoiceDate: '2024-01-14', 
-      createDate: '2024-01-14',
-      status: InvoiceStatus.REJECTED,
-      productType: InvoiceType.SALE,
-      quantity: 25,
-      productCode: 'PROD002',
-      uomConvFactor: 1,
-      discrepancies: 2,
-      version: 2,
-      updatedAt: '2024-01-14T15:45:00Z',
-      createdBy: 'John Doe',
-      workflow: 'review_required'
-    },
-    { 
-      id: 3, 
-      invNo: 'INV-003',
-      customer: 'Tech Solutions Ltd', 
-      customerCode: 'CUST003',
-      netAmount: 899.50, 
-      vatTaxAmount: 116.94,
-      totalNetAmount: 1016.44,
-      invoiceDate: '2024-01-13', 
-      createDate: '2024-01-13',
-      status: InvoiceStatus.APPROVED,
-      productType: InvoiceType.SALE,
-      quantity: 5,
-      productCode: 'PROD003',
-      uomConvFactor: 1,
-      discrepancies: 0,
-      version: 1,
-      updatedAt: '2024-01-13T09:15:00Z',
-      createdBy: 'Jane Smith',
-      workflow: 'approved'
-    },
-    { 
-      id: 4, 
-      invNo: 'INV-004',
-      customer: 'Global Enterprises', 
-      customerCode: 'CUST004',
-      netAmount: 3200.00, 
-      vatTaxAmount: 416.00,
-      totalNetAmount: 3616.00,
-      invoiceDate: '2024-01-12', 
-      createDate: '2024-01-12',
-      status: InvoiceStatus.PENDING,
-      productType: InvoiceType.SALE,
-      quantity: 40,
-      productCode: 'PROD004',
-      uomConvFactor: 1,
-      discrepancies: 0,
-      version: 1,
-      updatedAt: '2024-01-12T14:20:00Z',
-      createdBy: 'System',
-      workflow: 'pending_validation'
-    }
-  ]);
+  // Mock documents, loaded together with the credit notes they reconcile against
+  const [{ invoices: documents, creditNotes }] = useState(loadTransactionDocuments);
   
   // Local state
   const [searchTerm, setSearchTerm] = useState('');
@@ -132,6 +54,31 @@ const Invoices = () => {
   const [sortBy, setSortBy] = useState('date');
   const [sortOrder, setSortOrder] = useState('desc');
   const [isValidating, setIsValidating] = useState(false);
+  const reconciliation = useSelector(selectReconciliation);
+  const approvalHistory = useSelector(selectApprovalHistory);
+  const validationResults = useSelector(selectValidationResults);
+  const discrepancyCases = useSelector(selectDiscrepancyCases);
+
+  useEffect(() => {
+    dispatch(loadApprovalHistory());
+  }, [dispatch]);
+
+  // Apply workflow transitions to the documents
+  const invoices = useMemo(() => documents.map(invoice => {
+    const history = approvalHistory[approvalWorkflowService.getDocumentKey(APPROVAL_DOCUMENT_TYPES.INVOICE, invoice.id)];
+    const status = approvalWorkflowService.getCurrentStatus(invoice, history);
+    const openCriticalCount = approvalWorkflowService.countOpenCriticalDiscrepancies(invoice, validationResults, discrepancyCases);
+    return { ...invoice, status, workflow: approvalWorkflowService.getWorkflowStage(status, openCriticalCount) };
+  }), [documents, approvalHistory, validationResults, discrepancyCases]);
+  const detailInvoice = selectedInvoice && (invoices.find(invoice => invoice.id === selectedInvoice.id) || selectedInvoice);
+
+  // Reconcile the current invoice list against all credit notes
+  useEffect(() => {
+    dispatch(reconcileCreditNotes({ invoices, creditNotes }));
+  }, [dispatch, invoices, creditNotes]);
+
+  const getCreditNoteIssues = (invoiceId) =>
+    reconciliation.results.filter(result => result.relatedRecordId === invoiceId);
 
   // Filter and sort invoices
   const filteredInvoices = useMemo(() => {
@@ -208,9 +155,13 @@ const Invoices = () => {
       case 'approved':
         return 'success';
       case 'review_required':
+      case 'rejected':
         return 'destructive';
       case 'pending_validation':
+      case 'pending_approval':
         return 'warning';
+      case 'processed':
+        return 'default';
       default:
         return 'secondary';
     }
@@ -233,6 +184,16 @@ const Invoices = () => {
                 {invoice.discrepancies} discrepancies
               </p>
             )}
+            {reconciliation.balances[invoice.id] && (
+              <p className="text-xs text-muted-foreground">
+                Credited: {reconciliation.balances[invoice.id].creditedQuantity}/{reconciliation.balances[invoice.id].originalQuantity}
+              </p>
+            )}
+            {getCreditNoteIssues(invoice.id).length > 0 && (
+              <p className="text-xs text-red-600">
+                {getCreditNoteIssues(invoice.id).length} credit note issues
+              </p>
+            )}
             <p className="text-xs text-muted-foreground">v{invoice.version}</p>
             <p className="text-xs text-blue-600">{invoice.productType}</p>
           </div>
@@ -604,8 +565,8 @@ const Invoices = () => {
                     </div>
                     <div className="flex justify-between">
                       <span className="text-muted-foreground">Status:</span>
-                      <Badge variant={getStatusVariant(selectedInvoice.status)}>
-                        {selectedInvoice.status}
+                      <Badge variant={getStatusVariant(detailInvoice.status)}>
+                        {detailInvoice.status}
                       </Badge>
                     </div>
                   </div>
@@ -684,6 +645,8 @@ const Invoices = () => {
                 </div>
               </div>
             )}
+
+            <ApprovalWorkflowPanel document={detailInvoice} documentType={APPROVAL_DOCUMENT_TYPES.INVOICE} />
           </div>
         </div>
       )}
@@ -0,0 +1,192 @@
+import { CreditNoteStatus, CreditNoteType, InvoiceStatus, InvoiceType } from '../../types/prisma';
+
+// Mock transaction documents - in real app these would come from Redux store.
+// Both transaction pages load invoices and credit notes from here, so credit
+// note reconciliation always sees the same two lists whichever page runs it.
+
+export const SAMPLE_INVOICES = [
+  { 
+    id: 1, 
+    invNo: 'INV-001',
+    customer: 'ABC Corporation', 
+    customerCode: 'CUST001',
+    netAmount: 1299.99, 
+    vatTaxAmount: 169.99,
+    totalNetAmount: 1469.98,
+    invoiceDate: '2024-01-15', 
+    createDate: '2024-01-15',
+    status: InvoiceStatus.APPROVED,
+    productType: InvoiceType.SALE,
+    quantity: 10,
+    productCode: 'PROD001',
+    uomConvFactor: 1,
+    discrepancies: 0,
+    version: 1,
+    updatedAt: '2024-01-15T10:30:00Z',
+    createdBy: 'System'
+  },
+  { 
+    id: 2, 
+    invNo: 'INV-002',
+    customer: 'XYZ Industries', 
+    customerCode: 'CUST002',
+    netAmount: 2450.00, 
+    vatTaxAmount: 318.50,
+    totalNetAmount: 2768.50,
+    invoiceDate: '2024-01-14', 
+    createDate: '2024-01-14',
+    status: InvoiceStatus.REJECTED,
+    productType: InvoiceType.SALE,
+    quantity: 25,
+    productCode: 'PROD002',
+    uomConvFactor: 1,
+    discrepancies: 2,
+    version: 2,
+    updatedAt: '2024-01-14T15:45:00Z',
+    createdBy: 'John Doe'
+  },
+  { 
+    id: 3, 
+    invNo: 'INV-003',
+    customer: 'Tech Solutions Ltd', 
+    customerCode: 'CUST003',
+    netAmount: 899.50, 
+    vatTaxAmount: 116.94,
+    totalNetAmount: 1016.44,
+    invoiceDate: '2024-01-13', 
+    createDate: '2024-01-13',
+    status: InvoiceStatus.APPROVED,
+    productType: InvoiceType.SALE,
+    quantity: 5,
+    productCode: 'PROD003',
+    uomConvFactor: 1,
+    discrepancies: 0,
+    version: 1,
+    updatedAt: '2024-01-13T09:15:00Z',
+    createdBy: 'Jane Smith'
+  },
+  { 
+    id: 4, 
+    invNo: 'INV-004',
+    customer: 'Global Enterprises', 
+    customerCode: 'CUST004',
+    netAmount: 3200.00, 
+    vatTaxAmount: 416.00,
+    totalNetAmount: 3616.00,
+    invoiceDate: '2024-01-12', 
+    createDate: '2024-01-12',
+    status: InvoiceStatus.PENDING,
+    productType: InvoiceType.SALE,
+    quantity: 40,
+    productCode: 'PROD004',
+    uomConvFactor: 1,
+    discrepancies: 0,
+    version: 1,
+    updatedAt: '2024-01-12T14:20:00Z',
+    createdBy: 'System'
+  }
+];
+
+export const SAMPLE_CREDIT_NOTES = [
+  { 
+    id: 1, 
+    invNo: 'CN-001',
+    customer: 'ABC Corporation', 
+    customerCode: 'CUST001',
+    netAmount: 299.99, 
+    vatTaxAmount: 39.00,
+    totalNetAmount: 338.99,
+    invoiceDate: '2024-01-15',
+    createDate: '2024-01-15',
+    productType: CreditNoteType.RETURN,
+    productCode: 'PROD001',
+    quantity: 5,
+    uomConvFactor: 1,
+    status: CreditNoteStatus.PROCESSED,
+    workflow: 'approved',
+    relatedInvoice: 'INV-001',
+    version: 1,
+    updatedAt: '2024-01-15T10:30:00Z',
+    createdBy: 'John Doe',
+    approvedBy: 'Jane Smith',
+    approvedDate: '2024-01-15T14:20:00Z'
+  },
+  { 
+    id: 2, 
+    invNo: 'CN-002',
+    customer: 'XYZ Industries', 
+    customerCode: 'CUST002',
+    netAmount: 150.00, 
+    vatTaxAmount: 19.50,
+    totalNetAmount: 169.50,
+    invoiceDate: '2024-01-14',
+    createDate: '2024-01-14',
+    productType: CreditNoteType.ADJUSTMENT,
+    productCode: 'PROD002',
+    quantity: 3,
+    uomConvFactor: 1,
+    status: CreditNoteStatus.PENDING,
+    workflow: 'pending_approval',
+    relatedInvoice: 'INV-002',
+    version: 1,
+    updatedAt: '2024-01-14T15:45:00Z',
+    createdBy: 'Jane Smith',
+    approvedBy: null,
+    approvedDate: null
+  },
+  { 
+    id: 3, 
+    invNo: 'CN-003',
+    customer: 'Tech Solutions Ltd', 
+    customerCode: 'CUST003',
+    netAmount: 89.50, 
+    vatTaxAmount: 11.64,
+    totalNetAmount: 101.14,
+    invoiceDate: '2024-01-13',
+    createDate: '2024-01-13',
+    productType: CreditNoteType.DISCOUNT,
+    productCode: 'PROD003',
+    quantity: 2,
+    uomConvFactor: 1,
+    status: CreditNoteStatus.PROCESSED,
+    workflow: 'approved',
+    relatedInvoice: 'INV-003',
+    version: 2,
+    updatedAt: '2024-01-13T09:15:00Z',
+    createdBy: 'System',
+    approvedBy: 'John Doe',
+    approvedDate: '2024-01-13T11:30:00Z'
+  },
+  { 
+    id: 4, 
+    invNo: 'CN-004',
+    customer: 'Global Enterprises', 
+    customerCode: 'CUST004',
+    netAmount: 500.00, 
+    vatTaxAmount: 65.00,
+    totalNetAmount: 565.00,
+    invoiceDate: '2024-01-12',
+    createDate: '2024-01-12',
+    productType: CreditNoteType.RETURN,
+    productCode: 'PROD004',
+    quantity: 10,
+    uomConvFactor: 1,
+    status: CreditNoteStatus.PENDING,
+    workflow: 'draft',
+    relatedInvoice: 'INV-004',
+    version: 1,
+    updatedAt: '2024-01-12T16:45:00Z',
+    createdBy: 'Jane Smith',
+    approvedBy: null,
+    approvedDate: null
+  }
+];
+
+/**
+ * Load the invoices and credit notes shown on the transaction pages
+ * @returns {{invoices: Object[], creditNotes: Object[]}}
+ */
+export const loadTransactionDocuments = () => ({
+  invoices: SAMPLE_INVOICES,
+  creditNotes: SAMPLE_CREDIT_NOTES
+});
@@ -10,10 +10,40 @@ import fileProcessingReducer, {
   clearAllData,
   processFile,
   processBatchFiles,
+  streamFile,
+  pauseStream,
+  resumeStream,
+  cancelStream,
+  clearStreamedRecords,
+  resolveDuplicate,
+  loadMappingProfiles,
+  saveMappingProfile,
+  deleteMappingProfile,
+  applyCorrections,
   selectUploads,
   selectAllRecords,
-  selectStatistics
+  selectStatistics,
+  selectDuplicates,
+  selectUnresolvedDuplicates,
+  selectMappingProfiles,
+  selectRecordsByFile,
+  selectStreamedFiles
 } from '../fileProcessingSlice';
+import { CsvParser } from '../../../utils/CsvParser';
+import { TxtParser } from '../../../utils/TxtParser';
+import { ExcelParser } from '../../../utils/ExcelParser';
+import { XmlParser } from '../../../utils/XmlParser';
+import FileStreamingService from '../../../services/FileStreamingService';
+import StreamedRecordStore from '../../../services/StreamedRecordStore';
+import AuditService from '../../../services/AuditService';
+import validationReducer, {
+  validateBatch,
+  proposeCorrections,
+  reviewCorrections,
+  selectCorrections,
+  selectValidationResults
+} from '../validationSlice';
+import { CORRECTION_STATUSES } from '../../../types/validation';
 
 // Mock the parsers and validator
 vi.mock('../../../utils/CsvParser', () => ({
@@ -51,6 +81,52 @@ vi.mock('../../../utils/TxtParser', () => ({
   }))
 }));
 
+vi.mock('../../../utils/ExcelParser', () => ({
+  ExcelParser: vi.fn().mockImplementation(() => ({
+    parseFile: vi.fn().mockResolvedValue({
+      success: true,
+      records: [
+        {
+          id: 'xlsx-record-1',
+          invoiceNumber: 'INV-100',
+          customerName: 'Excel Customer',
+          amount: 100,
+          totalAmount: 107,
+          status: 'valid',
+          metadata: { sheetName: 'January' }
+        }
+      ],
+      totalRecords: 1,
+      validRecords: 1,
+      invalidRecords: 0,
+      errors: []
+    })
+  }))
+}));
+
+vi.mock('../../../utils/XmlParser', () => ({
+  XmlParser: vi.fn().mockImplementation(() => ({
+    parseFile: vi.fn().mockResolvedValue({
+      success: true,
+      records: [
+        {
+          id: 'xml-record-1',
+          invoiceNumber: 'CN-001',
+          customerName: 'e-Tax Customer',
+          documentType: 'credit_note',
+          amount: 100,
+          totalAmount: 107,
+          status: 'valid'
+        }
+      ],
+      totalRecords: 1,
+      validRecords: 1,
+      invalidRecords: 0,
+      errors: []
+    })
+  }))
+}));
+
 vi.mock('../../../utils/FileValidator', () => ({
   FileValidator: {
     validateFile: vi.fn().mockReturnValue({
@@ -59,7 +135,17 @@ vi.mock('../../../utils/FileValidator', () => ({
       fileSize: 1000,
       fileType: 'csv',
       formattedSize: '1000 Bytes'
-    })
+    }),
+    getMaxStreamingFileSize: vi.fn().mockReturnValue(1024 * 1024 * 1024)
+  }
+}));
+
+vi.mock('../../../services/FileStreamingService', () => ({
+  default: {
+    start: vi.fn(),
+    pause: vi.fn(),
+    resume: vi.fn(),
+    cancel: vi.fn()
   }
 }));
 
@@ -372,6 +458,66 @@ describe('fileProcessingSlice', () => {
       expect(state.fileProcessing.processedFiles[0].fileInfo.fileType).toBe('txt');
     });
 
+    it('should route Excel files to the Excel parser with the selected sheets', async () => {
+      const { FileValidator } = await import('../../../utils/FileValidator');
+      FileValidator.validateFile.mockReturnValueOnce({
+        isValid: true,
+        fileName: 'invoices.xlsx',
+        fileSize: 1000,
+        fileType: 'excel',
+        formattedSize: '1000 Bytes'
+      });
+
+      await store.dispatch(processFile({
+        id: 'upload-1',
+        file: new File(['test'], 'invoices.xlsx'),
+        sheetNames: ['January']
+      }));
+
+      const state = store.getState();
+      expect(ExcelParser).toHaveBeenLastCalledWith({ mappingProfile: undefined, sheetNames: ['January'] });
+      expect(state.fileProcessing.processedFiles[0].fileInfo.fileType).toBe('excel');
+      expect(selectAllRecords(state)[0].metadata).toMatchObject({ sheetName: 'January', fileName: 'invoices.xlsx' });
+    });
+
+    it('should route e-Tax Invoice XML files to the XML parser', async () => {
+      const { FileValidator } = await import('../../../utils/FileValidator');
+      FileValidator.validateFile.mockReturnValueOnce({
+        isValid: true,
+        fileName: 'etax.xml',
+        fileSize: 1000,
+        fileType: 'xml',
+        formattedSize: '1000 Bytes'
+      });
+
+      await store.dispatch(processFile({ id: 'upload-1', file: new File(['<xml/>'], 'etax.xml') }));
+
+      const state = store.getState();
+      expect(XmlParser).toHaveBeenCalled();
+      expect(state.fileProcessing.processedFiles[0].fileInfo.fileType).toBe('xml');
+      expect(selectAllRecords(state)[0]).toMatchObject({ documentType: 'credit_note' });
+    });
+
+    it('should parse TXT files with the given fixed-width layout', async () => {
+      const { FileValidator } = await import('../../../utils/FileValidator');
+      FileValidator.validateFile.mockReturnValueOnce({
+        isValid: true,
+        fileName: 'erp.txt',
+        fileSize: 1000,
+        fileType: 'txt',
+        formattedSize: '1000 Bytes'
+      });
+      const fixedWidthLayout = { id: 'erp-a', recordTypes: { detail: { fields: [] } } };
+
+      await store.dispatch(processFile({
+        id: 'upload-1',
+        file: new File(['test'], 'erp.txt', { type: 'text/plain' }),
+        fixedWidthLayout
+      }));
+
+      expect(TxtParser).toHaveBeenLastCalledWith({ fixedWidthLayout });
+    });
+
     it('should process batch files successfully', async () => {
       const filesData = [
         {
@@ -464,6 +610,284 @@ describe('fileProcessingSlice', () => {
       expect(state.fileProcessing.processingErrors).toHaveLength(2);
       expect(state.fileProcessing.processingErrors[0].fileId).toBe('upload-1');
     });
+
+    it('should flag invoices already ingested from another file', async () => {
+      await store.dispatch(processFile({ id: 'upload-1', file: new File(['test'], 'jan.csv', { type: 'text/csv' }) }));
+      await store.dispatch(processFile({ id: 'upload-2', file: new File(['test'], 'feb.csv', { type: 'text/csv' }) }));
+
+      const duplicates = selectDuplicates(store.getState());
+      expect(duplicates).toHaveLength(1);
+      expect(duplicates[0]).toMatchObject({
+        matchType: 'duplicate',
+        source: 'stored',
+        fileName: 'feb.csv',
+        matchedFileName: 'jan.csv'
+      });
+    });
+  });
+
+  describe('streaming', () => {
+    const file = new File(['test'], 'large.csv', { type: 'text/csv' });
+    const createRecord = (id, status = 'valid') => ({
+      id,
+      invoiceNumber: id.toUpperCase(),
+      customerName: 'Test Customer',
+      amount: 100,
+      totalAmount: 107,
+      status
+    });
+
+    beforeEach(() => {
+      store.dispatch(addUpload({ id: 'upload-1', fileName: 'large.csv', fileSize: 1000, fileType: 'csv' }));
+    });
+
+    it('should persist records chunk by chunk, keeping counts and a preview in the store', async () => {
+      FileStreamingService.start.mockImplementation(async (streamId, streamedFile, options, { onChunk, onProgress }) => {
+        await onChunk({ records: [createRecord('inv-1'), createRecord('inv-2', 'invalid')], errors: [] });
+        onProgress({ percentage: 50, bytesProcessed: 500, totalBytes: 1000, rowsProcessed: 2, rowsPerSecond: 40, etaSeconds: 1 });
+        expect(selectStreamedFiles(store.getState())['upload-1']).toMatchObject({ totalRecords: 2, invalidRecords: 1 });
+
+        await onChunk({ records: [createRecord('inv-3')], errors: [{ row: 4, field: 'amount', message: 'Invalid amount' }] });
+        return {
+          success: false,
+          cancelled: false,
+          totalRecords: 3,
+          validRecords: 2,
+          invalidRecords: 1,
+          errorCount: 1,
+          metadata: { parser: 'csv', streamed: true }
+        };
+      });
+
+      await store.dispatch(streamFile({ id: 'upload-1', file, chunkSize: 512 }));
+
+      const state = store.getState().fileProcessing;
+      expect(FileStreamingService.start).toHaveBeenCalledWith(
+        'upload-1',
+        file,
+        expect.objectContaining({
+          fileType: 'csv',
+          chunkSize: 512,
+          validate: true,
+          masterData: expect.objectContaining({ products: expect.any(Array), openInvoices: [] })
+        }),
+        expect.any(Object)
+      );
+      expect(state.allRecords).toEqual([]);
+      expect(state.validRecords).toEqual([]);
+      expect(state.streamedFiles['upload-1']).toMatchObject({ totalRecords: 3, validRecords: 2, invalidRecords: 1 });
+      expect(selectRecordsByFile(store.getState(), 'upload-1').map(r => r.id)).toEqual(['inv-1', 'inv-2', 'inv-3']);
+      const stored = await StreamedRecordStore.getPage('upload-1', 1, 10);
+      expect(stored.map(r => [r.id, r.metadata.fileId])).toEqual([['inv-2', 'upload-1'], ['inv-3', 'upload-1']]);
+      expect(state.processingErrors[0]).toMatchObject({ row: 4, fileId: 'upload-1', fileName: 'large.csv' });
+      expect(state.uploads[0]).toMatchObject({ status: 'error', progress: 50 });
+      expect(state.uploads[0].streaming).toMatchObject({ rowsPerSecond: 40, etaSeconds: 1 });
+      expect(state.processedFiles[0].processingResult).toMatchObject({ totalRecords: 3, records: [] });
+      expect(state.statistics).toMatchObject({ totalRecords: 3, validRecords: 2, invalidRecords: 1 });
+    });
+
+    it('should bound the preview and drop a streamed file with its duplicates on removal', async () => {
+      const records = Array.from({ length: 150 }, (_, i) => createRecord(`inv-${i}`));
+      FileStreamingService.start.mockImplementation(async (streamId, streamedFile, options, { onChunk }) => {
+        await onChunk({ records, errors: [] });
+        await onChunk({ records: [{ ...records[0], id: 'inv-0-copy' }], errors: [] });
+        return { success: true, cancelled: false, totalRecords: 151, validRecords: 151, invalidRecords: 0, errorCount: 0 };
+      });
+
+      await store.dispatch(streamFile({ id: 'upload-1', file }));
+      expect(selectStreamedFiles(store.getState())['upload-1'].preview).toHaveLength(100);
+      expect(selectDuplicates(store.getState())).toEqual([
+        expect.objectContaining({ recordId: 'inv-0-copy', fileId: 'upload-1', matchedFileId: 'upload-1' })
+      ]);
+
+      store.dispatch(removeUpload('upload-1'));
+      expect(selectStreamedFiles(store.getState())).toEqual({});
+      expect(selectDuplicates(store.getState())).toEqual([]);
+      expect(selectStatistics(store.getState()).totalRecords).toBe(0);
+    });
+
+    it('should flag duplicates against records from earlier chunks', async () => {
+      FileStreamingService.start.mockImplementation(async (streamId, streamedFile, options, { onChunk }) => {
+        await onChunk({ records: [createRecord('inv-1')], errors: [] });
+        await onChunk({ records: [{ ...createRecord('inv-1'), id: 'inv-1-copy' }], errors: [] });
+        return { success: true, cancelled: false, totalRecords: 2, validRecords: 2, invalidRecords: 0, errorCount: 0 };
+      });
+
+      await store.dispatch(streamFile({ id: 'upload-1', file }));
+
+      expect(selectDuplicates(store.getState())).toHaveLength(1);
+    });
+
+    it('should flag invoices already ingested from a streamed file', async () => {
+      FileStreamingService.start.mockImplementation(async (streamId, streamedFile, options, { onChunk }) => {
+        await onChunk({ records: [{ ...createRecord('inv-001'), id: `${streamId}-row-1` }], errors: [] });
+        return { success: true, cancelled: false, totalRecords: 1, validRecords: 1, invalidRecords: 0, errorCount: 0 };
+      });
+
+      await store.dispatch(streamFile({ id: 'upload-1', file }));
+      await store.dispatch(streamFile({ id: 'upload-2', file }));
+      await store.dispatch(processFile({ id: 'upload-3', file: new File(['test'], 'feb.csv', { type: 'text/csv' }) }));
+
+      expect(selectDuplicates(store.getState())).toEqual([
+        expect.objectContaining({ recordId: 'upload-2-row-1', matchedRecordId: 'upload-1-row-1', source: 'stored', matchedFileId: 'upload-1' }),
+        expect.objectContaining({ recordId: 'record-1', matchedRecordId: 'upload-1-row-1', source: 'stored', matchedFileId: 'upload-1' })
+      ]);
+    });
+
+    it('should merge and discard streamed duplicates in the record store', async () => {
+      FileStreamingService.start.mockImplementation(async (streamId, streamedFile, options, { onChunk }) => {
+        await onChunk({
+          records: [
+            { ...createRecord('inv-1'), customerName: '' },
+            { ...createRecord('inv-1'), id: 'inv-1-copy', customerName: 'Shop A' },
+            createRecord('inv-2'),
+            { ...createRecord('inv-2', 'invalid'), id: 'inv-2-copy' }
+          ],
+          errors: []
+        });
+        return { success: true, cancelled: false, totalRecords: 4, validRecords: 3, invalidRecords: 1, errorCount: 0 };
+      });
+
+      await store.dispatch(streamFile({ id: 'upload-1', file }));
+      await store.dispatch(resolveDuplicate({ duplicateId: 'dup_inv-1-copy_inv-1', resolution: 'merge' }));
+      await store.dispatch(resolveDuplicate({ duplicateId: 'dup_inv-2-copy_inv-2', resolution: 'discard' }));
+
+      const stored = await StreamedRecordStore.getPage('upload-1', 0, 10);
+      expect(stored.map(r => r.id)).toEqual(['inv-1', 'inv-2']);
+      expect(stored[0]).toMatchObject({ customerName: 'Shop A', metadata: { mergedFrom: ['inv-1-copy'] } });
+
+      const streamed = selectStreamedFiles(store.getState())['upload-1'];
+      expect(streamed).toMatchObject({ totalRecords: 2, validRecords: 2, invalidRecords: 0 });
+      expect(streamed.preview.map(r => [r.id, r.customerName])).toEqual([['inv-1', 'Shop A'], ['inv-2', 'Test Customer']]);
+      expect(selectStatistics(store.getState()).totalRecords).toBe(2);
+      expect(selectUnresolvedDuplicates(store.getState())).toEqual([]);
+    });
+
+    it('should record an error when streamed records cannot be removed', async () => {
+      const clearSpy = vi.spyOn(StreamedRecordStore, 'clear').mockRejectedValueOnce(new Error('Database closed'));
+
+      await store.dispatch(clearStreamedRecords('upload-1'));
+
+      expect(store.getState().fileProcessing.errors).toEqual([
+        expect.objectContaining({ type: 'streamed_records', message: 'Database closed', fileId: 'upload-1' })
+      ]);
+      clearSpy.mockRestore();
+    });
+
+    it('should pause, resume and cancel a running stream', async () => {
+      await store.dispatch(streamFile.pending('request-1', { id: 'upload-1', file }));
+
+      await store.dispatch(pauseStream('upload-1'));
+      expect(FileStreamingService.pause).toHaveBeenCalledWith('upload-1');
+      expect(selectUploads(store.getState())[0].status).toBe('paused');
+
+      await store.dispatch(resumeStream('upload-1'));
+      expect(FileStreamingService.resume).toHaveBeenCalledWith('upload-1');
+      expect(selectUploads(store.getState())[0].status).toBe('processing');
+
+      await store.dispatch(cancelStream('upload-1'));
+      expect(FileStreamingService.cancel).toHaveBeenCalledWith('upload-1');
+
+      store.dispatch(streamFile.fulfilled({
+        fileInfo: { id: 'upload-1', fileName: 'large.csv' },
+        summary: { success: false, cancelled: true, totalRecords: 0, validRecords: 0, invalidRecords: 0, errorCount: 0 }
+      }, 'request-1', { id: 'upload-1', file }));
+      expect(selectUploads(store.getState())[0].status).toBe('cancelled');
+    });
+  });
+
+  describe('column mapping profiles', () => {
+    const profile = {
+      name: 'Distributor A',
+      distributorCode: 'D001',
+      headers: ['Doc No', 'Outlet'],
+      mappings: [{ field: 'invoiceNumber', source: 'Doc No' }]
+    };
+
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    it('should parse CSV files with the given mapping profile', async () => {
+      await store.dispatch(processFile({
+        id: 'upload-1',
+        file: new File(['test'], 'dist.csv', { type: 'text/csv' }),
+        mappingProfile: profile
+      }));
+
+      expect(CsvParser).toHaveBeenLastCalledWith({ mappingProfile: profile });
+    });
+
+    it('should save, load and delete profiles', async () => {
+      const saved = await store.dispatch(saveMappingProfile(profile)).unwrap();
+      expect(selectMappingProfiles(store.getState())).toEqual([saved]);
+
+      const freshStore = configureStore({ reducer: { fileProcessing: fileProcessingReducer } });
+      await freshStore.dispatch(loadMappingProfiles());
+      expect(selectMappingProfiles(freshStore.getState())).toEqual([saved]);
+
+      await freshStore.dispatch(deleteMappingProfile(saved.id));
+      expect(selectMappingProfiles(freshStore.getState())).toEqual([]);
+    });
+
+    it('should record an error when a profile cannot be saved', async () => {
+      await store.dispatch(saveMappingProfile({ ...profile, name: '' }));
+
+      expect(selectMappingProfiles(store.getState())).toEqual([]);
+      expect(store.getState().fileProcessing.errors[0].type).toBe('mapping_profile');
+    });
+
+    it('should keep profiles when clearing processed data', async () => {
+      await store.dispatch(saveMappingProfile(profile));
+      store.dispatch(clearAllData());
+
+      expect(selectMappingProfiles(store.getState())).toHaveLength(1);
+    });
+  });
+
+  describe('duplicate resolution', () => {
+    const createStoreWithDuplicate = () => configureStore({
+      reducer: { fileProcessing: fileProcessingReducer },
+      preloadedState: {
+        fileProcessing: {
+          ...fileProcessingReducer(undefined, { type: '@@INIT' }),
+          allRecords: [
+            { id: 'r1', invoiceNumber: 'INV-001', customerName: '', totalAmount: 110, status: 'valid' },
+            { id: 'r2', invoiceNumber: 'INV-001', customerName: 'Shop A', totalAmount: 110, status: 'valid' }
+          ],
+          duplicates: [
+            { id: 'dup_r2_r1', recordId: 'r2', matchedRecordId: 'r1', matchType: 'duplicate', matchedOn: ['invNo'], resolution: 'unresolved' }
+          ]
+        }
+      }
+    });
+
+    it('should keep both records', async () => {
+      const testStore = createStoreWithDuplicate();
+      await testStore.dispatch(resolveDuplicate({ duplicateId: 'dup_r2_r1', resolution: 'keep' }));
+
+      expect(selectAllRecords(testStore.getState())).toHaveLength(2);
+      expect(selectUnresolvedDuplicates(testStore.getState())).toEqual([]);
+    });
+
+    it('should discard the duplicate record', async () => {
+      const testStore = createStoreWithDuplicate();
+      await testStore.dispatch(resolveDuplicate({ duplicateId: 'dup_r2_r1', resolution: 'discard' }));
+
+      const records = selectAllRecords(testStore.getState());
+      expect(records.map(r => r.id)).toEqual(['r1']);
+      expect(selectStatistics(testStore.getState()).totalRecords).toBe(1);
+    });
+
+    it('should merge the duplicate into the existing record', async () => {
+      const testStore = createStoreWithDuplicate();
+      await testStore.dispatch(resolveDuplicate({ duplicateId: 'dup_r2_r1', resolution: 'merge' }));
+
+      const records = selectAllRecords(testStore.getState());
+      expect(records).toHaveLength(1);
+      expect(records[0].customerName).toBe('Shop A');
+      expect(records[0].metadata.mergedFrom).toEqual(['r2']);
+    });
   });
 
   describe('selectors', () => {
@@ -526,4 +950,61 @@ describe('fileProcessingSlice', () => {
       expect(statistics.processingErrors).toBe(1);
     });
   });
-});
\ No newline at end of file
+
+  describe('corrections', () => {
+    const record = {
+      id: 'inv-1',
+      invoiceNumber: 'INV-001',
+      customerName: 'Test Customer',
+      amount: 100,
+      taxRate: 7,
+      taxAmount: 9,
+      discountAmount: 0,
+      totalAmount: 109,
+      status: 'invalid'
+    };
+
+    it('should apply accepted corrections, audit them and revalidate the records', async () => {
+      const logSpy = vi.spyOn(AuditService, 'logDataChangeEvent').mockResolvedValue();
+      const correctionStore = configureStore({
+        reducer: { fileProcessing: fileProcessingReducer, validation: validationReducer }
+      });
+      correctionStore.dispatch(processFile.fulfilled({
+        fileInfo: { id: 'file-1', fileName: 'a.csv' },
+        processingResult: { success: true, records: [record], errors: [] }
+      }, 'request-1', { id: 'file-1' }));
+      await correctionStore.dispatch(validateBatch({ records: [record] }));
+      await correctionStore.dispatch(proposeCorrections());
+
+      const [taxProposal] = selectCorrections(correctionStore.getState());
+      expect(taxProposal).toMatchObject({ id: 'inv-1:taxAmount', currentValue: 9, proposedValue: 7 });
+
+      correctionStore.dispatch(reviewCorrections({ ids: [taxProposal.id], status: CORRECTION_STATUSES.ACCEPTED, reviewedBy: 'reviewer' }));
+      const result = await correctionStore.dispatch(applyCorrections());
+
+      expect(result.payload).toMatchObject({ recordIds: ['inv-1'], appliedCount: 1 });
+      expect(selectAllRecords(correctionStore.getState())[0].taxAmount).toBe(7);
+      expect(logSpy).toHaveBeenCalledWith('system', 'APPLY_CORRECTION', expect.objectContaining({
+        recordId: 'inv-1',
+        before: { taxAmount: 9 },
+        after: { taxAmount: 7 }
+      }));
+      expect(selectCorrections(correctionStore.getState()).find(p => p.id === taxProposal.id).status)
+        .toBe(CORRECTION_STATUSES.APPLIED);
+      expect(selectValidationResults(correctionStore.getState()).some(r => r.field === 'taxAmount')).toBe(false);
+
+      logSpy.mockRestore();
+    });
+
+    it('should reject when no corrections are accepted', async () => {
+      const correctionStore = configureStore({
+        reducer: { fileProcessing: fileProcessingReducer, validation: validationReducer }
+      });
+
+      const result = await correctionStore.dispatch(applyCorrections());
+
+      expect(result.type).toBe(applyCorrections.rejected.type);
+      expect(correctionStore.getState().fileProcessing.errors[0]).toMatchObject({ type: 'correction' });
+    });
+  });
+});
@@ -21,13 +21,27 @@ import validationReducer, {
   setValidationFilters,
   clearValidationFilters,
   setValidationSort,
+  setDistributorVatProfile,
+  addCustomRule,
+  selectCustomRules,
   selectValidationResults,
   selectValidationSummary,
   selectIsValidating,
   selectValidationAlerts,
   selectFilteredValidationResults,
   selectValidationResultsByRecord,
+  selectVatConfig,
+  reconcileCreditNotes,
+  selectReconciliation,
+  selectReconciliationResultsForInvoice,
+  selectReconciliationResultsForCreditNote,
+  compareValidationRuns,
+  deleteValidationRun,
+  selectValidationRuns,
+  selectValidationRunComparison,
+  getValidationMasterData,
 } from "../validationSlice.js";
+import { ValidationEngine } from "../../../services/ValidationEngine.js";
 import {
   DEFAULT_VALIDATION_CONFIG,
   SEVERITY_LEVELS,
@@ -40,6 +54,15 @@ vi.mock("../../../services/ValidationEngine.js", () => ({
     validateRecord: vi.fn(),
     validateBatch: vi.fn(),
     updateConfig: vi.fn(),
+    setProductMaster: vi.fn(),
+    setCustomerMaster: vi.fn(),
+    setOutlierHistory: vi.fn(),
+    setValidationProfiles: vi.fn(),
+    setExchangeRates: vi.fn(),
+    setDistributorMaster: vi.fn(),
+    setPromotions: vi.fn(),
+    getSequenceReport: vi.fn(() => null),
+    getRejectedRules: vi.fn(() => []),
     getResults: vi.fn(() => []),
     clearResults: vi.fn(),
   })),
@@ -102,6 +125,20 @@ describe("validationSlice", () => {
       expect(state.config).toEqual(DEFAULT_VALIDATION_CONFIG);
     });
 
+    test("should store valid custom rules and reject invalid ones", () => {
+      store.dispatch(addCustomRule({ id: "qty-positive", field: "quantity", assertion: "quantity > 0" }));
+      store.dispatch(addCustomRule({ id: "broken", field: "quantity", assertion: "quantity >" }));
+
+      const state = store.getState();
+      expect(selectCustomRules(state).map((rule) => rule.id)).toEqual(["qty-positive"]);
+      expect(state.validation.errors).toEqual([
+        expect.objectContaining({
+          type: "custom_rule",
+          message: expect.stringMatching(/^Invalid validation rule 'broken': Invalid assertion expression/),
+        }),
+      ]);
+    });
+
     test("should update validation progress", () => {
       const progress = {
         batchId: "test-batch",
@@ -332,6 +369,26 @@ describe("validationSlice", () => {
       expect(state.sortBy).toBe("severity");
       expect(state.sortOrder).toBe("asc");
     });
+
+    test("should assign and remove distributor VAT profiles", () => {
+      store.dispatch(
+        setDistributorVatProfile({
+          distributorCode: "D001",
+          profile: { pricingMode: "inclusive" },
+        })
+      );
+
+      let vat = selectVatConfig(store.getState());
+      expect(vat.distributorProfiles.D001).toEqual({ pricingMode: "inclusive" });
+      expect(vat.defaultProfile).toEqual(DEFAULT_VALIDATION_CONFIG.vat.defaultProfile);
+
+      store.dispatch(
+        setDistributorVatProfile({ distributorCode: "D001", profile: null })
+      );
+
+      vat = selectVatConfig(store.getState());
+      expect(vat.distributorProfiles).toEqual({});
+    });
   });
 
   describe("selectors", () => {
@@ -415,6 +472,33 @@ describe("validationSlice", () => {
       expect(state.validationErrors).toEqual([]);
     });
 
+    test("should reconcile credit notes against stored invoices", async () => {
+      const invoices = [
+        { id: 1, invNo: "INV-001", customerCode: "C1", productCode: "P1", quantity: 2, netAmount: 100, vatTaxAmount: 7 },
+      ];
+      const creditNotes = [
+        { id: "cn-1", invNo: "CN-001", relatedInvoice: "INV-001", customerCode: "C1", productCode: "P1", quantity: 3, netAmount: 150, vatTaxAmount: 10.5 },
+      ];
+
+      await store.dispatch(reconcileCreditNotes({ invoices, creditNotes }));
+
+      const state = store.getState();
+      expect(selectReconciliation(state).summary.overCredits).toBe(1);
+      expect(selectReconciliationResultsForInvoice(state, 1)).toHaveLength(2);
+      expect(selectReconciliationResultsForCreditNote(state, "cn-1")).toHaveLength(2);
+    });
+
+    test("should not reconcile one list against the list of an earlier run", async () => {
+      const invoices = [{ id: 1, invNo: "INV-001", customerCode: "C1", productCode: "P1", quantity: 2, netAmount: 100 }];
+
+      await store.dispatch(reconcileCreditNotes({ invoices, creditNotes: [] }));
+      const result = await store.dispatch(reconcileCreditNotes({ creditNotes: [] }));
+
+      expect(result.type).toBe(reconcileCreditNotes.rejected.type);
+      expect(store.getState().validation.errors.at(-1).type).toBe("reconciliation");
+      expect(selectReconciliation(store.getState()).invoices).toEqual(invoices);
+    });
+
     test("should handle revalidateRecords pending state", () => {
       const recordIds = ["record-1", "record-2"];
       const records = [
@@ -499,6 +583,74 @@ describe("validationSlice", () => {
     });
   });
 
+  describe("validation run history", () => {
+    const engine = () => ValidationEngine.mock.results[0].value;
+
+    const runBatch = async (batchId, records, results) => {
+      engine().validateBatch.mockResolvedValueOnce({ batchId, totalRecords: records.length });
+      engine().getResults.mockReturnValueOnce(results);
+      return store.dispatch(validateBatch({ records })).unwrap();
+    };
+
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    test("should keep every validateBatch run and compare two of them", async () => {
+      await runBatch(
+        "batch-1",
+        [{ ...createEmptyInvoiceRecord(), id: "a-1", invoiceNumber: "INV-001" }],
+        [{ recordId: "a-1", field: "taxAmount", severity: SEVERITY_LEVELS.HIGH, discrepancy: 3 }]
+      );
+      await runBatch(
+        "batch-2",
+        [{ ...createEmptyInvoiceRecord(), id: "b-1", invoiceNumber: "INV-001" }],
+        []
+      );
+
+      expect(selectValidationRuns(store.getState()).map((run) => run.id)).toEqual(["batch-2", "batch-1"]);
+      expect(selectValidationRuns(store.getState())[1]).toMatchObject({ discrepancyCount: 1, recordCount: 1 });
+
+      await store.dispatch(compareValidationRuns({ baseRunId: "batch-1", targetRunId: "batch-2" }));
+
+      const comparison = selectValidationRunComparison(store.getState());
+      expect(comparison.resolved).toHaveLength(1);
+      expect(comparison.introduced).toHaveLength(0);
+
+      await store.dispatch(deleteValidationRun("batch-1"));
+      expect(selectValidationRuns(store.getState()).map((run) => run.id)).toEqual(["batch-2"]);
+      expect(selectValidationRunComparison(store.getState())).toBeNull();
+    });
+
+    test("should keep the batch results and report a run that could not be saved", async () => {
+      const setItemSpy = vi.spyOn(Storage.prototype, "setItem").mockImplementation(() => {
+        throw new DOMException("Quota exceeded", "QuotaExceededError");
+      });
+      const errorSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+
+      try {
+        const payload = await runBatch("batch-1", [{ ...createEmptyInvoiceRecord(), id: "a-1" }], []);
+
+        expect(payload.run).toBeNull();
+        expect(selectValidationRuns(store.getState())).toEqual([]);
+        expect(store.getState().validation.errors).toEqual([
+          expect.objectContaining({ type: "run_history", message: expect.stringContaining("browser storage is full") }),
+        ]);
+      } finally {
+        setItemSpy.mockRestore();
+        errorSpy.mockRestore();
+      }
+    });
+
+    test("should report comparisons with unknown runs", async () => {
+      await store.dispatch(compareValidationRuns({ baseRunId: "missing", targetRunId: "batch-2" }));
+
+      const state = store.getState().validation;
+      expect(state.runComparison).toBeNull();
+      expect(state.errors[0]).toMatchObject({ type: "run_comparison", message: "Validation run missing not found" });
+    });
+  });
+
   describe("error handling", () => {
     test("should handle validation errors", () => {
       // This would be tested with actual error scenarios
@@ -671,4 +823,20 @@ describe("validationSlice", () => {
       expect(state.sortOrder).toBe("desc");
     });
   });
+
+  describe("getValidationMasterData", () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    test("should fall back to saved master data when the store has none", () => {
+      const distributors = [{ code: "D001", name: "Bangkok Distribution" }];
+      localStorage.setItem("masterData_distributors", JSON.stringify(distributors));
+
+      expect(getValidationMasterData(store.getState())).toMatchObject({
+        products: [],
+        distributors,
+      });
+    });
+  });
 });
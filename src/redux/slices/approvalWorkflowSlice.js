@@ -0,0 +1,117 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import approvalWorkflowService, { toWorkflowUser } from '../../services/ApprovalWorkflowService.js';
+import AuditService from '../../services/AuditService.js';
+
+/**
+ * Approval Workflow Redux Slice
+ *
+ * Manages approval workflow transitions of invoices and credit notes and
+ * their per-document history. Rules are enforced by ApprovalWorkflowService.
+ */
+
+const EMPTY_HISTORY = {};
+
+// Async thunks for workflow operations
+
+/**
+ * Load the transition history of all documents
+ */
+export const loadApprovalHistory = createAsyncThunk(
+  'approvalWorkflow/loadApprovalHistory',
+  async (_, { rejectWithValue }) => {
+    try {
+      return approvalWorkflowService.getAllHistory();
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+/**
+ * Take a workflow action (submit, approve, reject, process) on a document
+ */
+export const transitionDocument = createAsyncThunk(
+  'approvalWorkflow/transitionDocument',
+  async ({ documentType, document, action, reason = '' }, { getState, rejectWithValue }) => {
+    try {
+      const state = getState();
+      const user = toWorkflowUser(state.auth?.user);
+      const openCriticalCount = approvalWorkflowService.countOpenCriticalDiscrepancies(
+        document,
+        state.validation?.results,
+        state.discrepancyCases?.cases
+      );
+
+      const entry = approvalWorkflowService.transition(documentType, document, action, {
+        user,
+        reason,
+        openCriticalCount
+      });
+
+      await AuditService.logDataChangeEvent(user.id, 'WORKFLOW_TRANSITION', {
+        documentType,
+        documentId: entry.documentId,
+        documentNumber: document.invNo || document.creditNoteNo || document.id,
+        action,
+        from: entry.from,
+        to: entry.to,
+        reason: entry.reason
+      });
+
+      return { key: approvalWorkflowService.getDocumentKey(documentType, document.id), entry };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+const initialState = {
+  history: {},
+  isTransitioning: false,
+  error: null
+};
+
+const approvalWorkflowSlice = createSlice({
+  name: 'approvalWorkflow',
+  initialState,
+  reducers: {
+    clearWorkflowError: (state) => {
+      state.error = null;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      // Load history
+      .addCase(loadApprovalHistory.fulfilled, (state, action) => {
+        state.history = action.payload;
+      })
+      .addCase(loadApprovalHistory.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+
+      // Transition document
+      .addCase(transitionDocument.pending, (state) => {
+        state.isTransitioning = true;
+        state.error = null;
+      })
+      .addCase(transitionDocument.fulfilled, (state, action) => {
+        const { key, entry } = action.payload;
+        state.isTransitioning = false;
+        state.history[key] = [...(state.history[key] || []), entry];
+      })
+      .addCase(transitionDocument.rejected, (state, action) => {
+        state.isTransitioning = false;
+        state.error = action.payload;
+      });
+  }
+});
+
+// Export actions
+export const { clearWorkflowError } = approvalWorkflowSlice.actions;
+
+// Selectors
+export const selectApprovalHistory = (state) => state.approvalWorkflow?.history || EMPTY_HISTORY;
+export const selectIsTransitioning = (state) => state.approvalWorkflow?.isTransitioning || false;
+export const selectWorkflowError = (state) => state.approvalWorkflow?.error || null;
+
+export default approvalWorkflowSlice.reducer;
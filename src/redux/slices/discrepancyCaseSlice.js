@@ -0,0 +1,155 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import discrepancyCaseService from '../../services/DiscrepancyCaseService.js';
+
+/**
+ * Discrepancy Case Redux Slice
+ *
+ * Manages discrepancy cases: opening cases from alerts, assignment, status
+ * changes and comments. Cases are persisted by DiscrepancyCaseService.
+ */
+
+const EMPTY_CASES = [];
+
+const getActor = (state) => {
+  const user = state.auth?.user;
+  return {
+    id: user?.id ? String(user.id) : 'system',
+    name: user ? [user.firstname, user.lastname].filter(Boolean).join(' ') || user.username || String(user.id) : 'system'
+  };
+};
+
+// Async thunks for case operations
+
+/**
+ * Load all cases
+ */
+export const loadCases = createAsyncThunk(
+  'discrepancyCases/loadCases',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await discrepancyCaseService.getCases();
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+/**
+ * Open a case for an alert or validation result
+ */
+export const openCase = createAsyncThunk(
+  'discrepancyCases/openCase',
+  async (source, { getState, rejectWithValue }) => {
+    try {
+      return await discrepancyCaseService.openCase(source, getActor(getState()).name);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+/**
+ * Assign a case to a user or distributor
+ */
+export const assignCase = createAsyncThunk(
+  'discrepancyCases/assignCase',
+  async ({ caseId, assignee }, { getState, rejectWithValue }) => {
+    try {
+      return await discrepancyCaseService.assignCase(caseId, assignee, getActor(getState()).name);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+/**
+ * Move a case to another status
+ */
+export const updateCaseStatus = createAsyncThunk(
+  'discrepancyCases/updateCaseStatus',
+  async ({ caseId, status }, { getState, rejectWithValue }) => {
+    try {
+      return await discrepancyCaseService.updateStatus(caseId, status, getActor(getState()).name);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+/**
+ * Comment on a case or reply to a comment
+ */
+export const addCaseComment = createAsyncThunk(
+  'discrepancyCases/addCaseComment',
+  async ({ caseId, text, parentId }, { getState, rejectWithValue }) => {
+    try {
+      return await discrepancyCaseService.addComment(caseId, { text, parentId, author: getActor(getState()) });
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+const initialState = {
+  cases: [],
+  isLoading: false,
+  error: null
+};
+
+const upsertCase = (state, action) => {
+  const index = state.cases.findIndex(caseItem => caseItem.id === action.payload.id);
+  if (index >= 0) {
+    state.cases[index] = action.payload;
+  } else {
+    state.cases.push(action.payload);
+  }
+  state.error = null;
+};
+
+const setError = (state, action) => {
+  state.isLoading = false;
+  state.error = action.payload;
+};
+
+const discrepancyCaseSlice = createSlice({
+  name: 'discrepancyCases',
+  initialState,
+  reducers: {
+    clearCaseError: (state) => {
+      state.error = null;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      // Load cases
+      .addCase(loadCases.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(loadCases.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.cases = action.payload;
+      })
+      .addCase(loadCases.rejected, setError)
+
+      // Case changes
+      .addCase(openCase.fulfilled, upsertCase)
+      .addCase(openCase.rejected, setError)
+      .addCase(assignCase.fulfilled, upsertCase)
+      .addCase(assignCase.rejected, setError)
+      .addCase(updateCaseStatus.fulfilled, upsertCase)
+      .addCase(updateCaseStatus.rejected, setError)
+      .addCase(addCaseComment.fulfilled, upsertCase)
+      .addCase(addCaseComment.rejected, setError);
+  }
+});
+
+// Export actions
+export const { clearCaseError } = discrepancyCaseSlice.actions;
+
+// Selectors
+export const selectDiscrepancyCases = (state) => state.discrepancyCases?.cases || EMPTY_CASES;
+export const selectCasesLoading = (state) => state.discrepancyCases?.isLoading || false;
+export const selectCaseError = (state) => state.discrepancyCases?.error || null;
+
+export default discrepancyCaseSlice.reducer;
@@ -1,14 +1,44 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import { CsvParser } from '../../utils/CsvParser';
 import { TxtParser } from '../../utils/TxtParser';
+import { ExcelParser } from '../../utils/ExcelParser';
+import { XmlParser } from '../../utils/XmlParser';
 import { FileValidator } from '../../utils/FileValidator';
+import DuplicateDetectionService from '../../services/DuplicateDetectionService';
+import ColumnMappingService from '../../services/ColumnMappingService';
+import FixedWidthLayoutService from '../../services/FixedWidthLayoutService';
+import FileStreamingService from '../../services/FileStreamingService';
+import StreamedRecordStore from '../../services/StreamedRecordStore';
+import CorrectionService from '../../services/CorrectionService';
+import AuditService from '../../services/AuditService';
+import { appendValidationResults, markCorrectionsApplied, revalidateRecords, getValidationMasterData } from './validationSlice';
+import { CORRECTION_STATUSES } from '../../types/validation';
+import { DEFAULT_DUPLICATE_DETECTION_CONFIG, DUPLICATE_RESOLUTIONS } from '../../types/invoice';
+
+// Records of each streamed file kept in the store for preview; the rest are
+// only in StreamedRecordStore
+const STREAM_PREVIEW_SIZE = 100;
+
+// Records read back per page when indexing streamed files for duplicates
+const STREAM_INDEX_PAGE_SIZE = 1000;
+
+// Add the records of streamed files to a duplicate index a page at a time,
+// so a stored file is never read back whole
+const indexStreamedRecords = async (duplicateIndex, streamedFiles = {}, excludeFileId = null) => {
+  for (const fileId of Object.keys(streamedFiles)) {
+    if (fileId === excludeFileId) continue;
+    for (let offset = 0; offset < StreamedRecordStore.count(fileId); offset += STREAM_INDEX_PAGE_SIZE) {
+      duplicateIndex.add(await StreamedRecordStore.getPage(fileId, offset, STREAM_INDEX_PAGE_SIZE));
+    }
+  }
+};
 
 // Async thunk for processing uploaded files
 export const processFile = createAsyncThunk(
   'fileProcessing/processFile',
-  async (fileData, { rejectWithValue }) => {
+  async (fileData, { getState, rejectWithValue }) => {
     try {
-      const { file } = fileData;
+      const { file, mappingProfile, fixedWidthLayout, sheetNames, encoding } = fileData;
       
       // Validate file first
       const validationResult = FileValidator.validateFile(file);
@@ -16,15 +46,32 @@ export const processFile = createAsyncThunk(
       // Choose appropriate parser based on file type
       let parser;
       if (validationResult.fileType === 'csv') {
-        parser = new CsvParser();
+        parser = new CsvParser({ mappingProfile, encoding });
+      } else if (validationResult.fileType === 'excel') {
+        parser = new ExcelParser({ mappingProfile, sheetNames });
+      } else if (validationResult.fileType === 'xml') {
+        parser = new XmlParser({ encoding });
       } else {
-        parser = new TxtParser();
+        parser = new TxtParser({ fixedWidthLayout, encoding });
       }
 
       // Process the file
       const processingResult = await parser.parseFile(file);
+
+      // Check new records against each other and previously ingested records,
+      // including those of streamed files
+      const { allRecords = [], streamedFiles, duplicateConfig } = getState().fileProcessing || {};
+      const duplicateIndex = DuplicateDetectionService.createIndex(allRecords, duplicateConfig);
+      await indexStreamedRecords(duplicateIndex, streamedFiles, fileData.id);
+      const duplicates = duplicateIndex.check(
+        processingResult.records.map(record => ({
+          ...record,
+          metadata: { ...record.metadata, fileId: fileData.id, fileName: file.name }
+        }))
+      );
       
       return {
+        duplicates,
         fileInfo: {
           id: fileData.id,
           fileName: file.name,
@@ -43,6 +90,248 @@ export const processFile = createAsyncThunk(
   }
 );
 
+// Async thunk for streaming large CSV/TXT files chunk by chunk
+export const streamFile = createAsyncThunk(
+  'fileProcessing/streamFile',
+  async (fileData, { dispatch, getState, rejectWithValue }) => {
+    try {
+      const { id: fileId, file, mappingProfile, fixedWidthLayout, encoding, chunkSize, validate = true } = fileData;
+      
+      const validationResult = FileValidator.validateFile(file, {
+        maxFileSize: FileValidator.getMaxStreamingFileSize()
+      });
+      if (validationResult.fileType === 'excel') {
+        throw new Error('Excel workbooks cannot be streamed');
+      }
+      
+      // One index per stream: each chunk is checked against stored records,
+      // other streamed files and earlier chunks, then added to it
+      const { allRecords = [], streamedFiles, duplicateConfig } = getState().fileProcessing || {};
+      const duplicateIndex = DuplicateDetectionService.createIndex(allRecords, duplicateConfig);
+      await StreamedRecordStore.clear(fileId);
+      await indexStreamedRecords(duplicateIndex, streamedFiles, fileId);
+      
+      const summary = await FileStreamingService.start(fileId, file, {
+        fileType: validationResult.fileType,
+        chunkSize,
+        mappingProfile,
+        fixedWidthLayout,
+        encoding,
+        validate,
+        validationConfig: getState().validation?.config,
+        // Chunks are validated against the same master data as validateBatch
+        masterData: validate
+          ? { ...getValidationMasterData(getState()), openInvoices: allRecords, history: allRecords }
+          : undefined
+      }, {
+        onChunk: async ({ records, errors, validationResults = [] }) => {
+          const recordsWithFileId = records.map(record => ({
+            ...record,
+            metadata: { ...record.metadata, fileId, fileName: file.name }
+          }));
+          
+          const duplicates = duplicateIndex.check(recordsWithFileId);
+          
+          // Records are persisted, not kept in the store; the next chunk is
+          // read once they are written
+          await StreamedRecordStore.append(fileId, recordsWithFileId);
+          
+          dispatch(streamChunkReceived({
+            fileId,
+            fileName: file.name,
+            records: recordsWithFileId,
+            errors,
+            duplicates
+          }));
+          
+          if (validationResults.length > 0) {
+            dispatch(appendValidationResults({ results: validationResults }));
+          }
+        },
+        onProgress: (progress) => {
+          dispatch(updateStreamProgress({ fileId, ...progress }));
+        }
+      });
+      
+      return {
+        fileInfo: {
+          id: fileId,
+          fileName: file.name,
+          fileSize: file.size,
+          fileType: validationResult.fileType,
+          uploadedAt: new Date().toISOString(),
+          streamed: true
+        },
+        summary
+      };
+    } catch (error) {
+      return rejectWithValue({
+        message: error.message,
+        code: error.code || 'STREAMING_ERROR'
+      });
+    }
+  }
+);
+
+// Async thunks for controlling a running stream
+export const pauseStream = createAsyncThunk(
+  'fileProcessing/pauseStream',
+  async (fileId) => {
+    FileStreamingService.pause(fileId);
+    return fileId;
+  }
+);
+
+export const resumeStream = createAsyncThunk(
+  'fileProcessing/resumeStream',
+  async (fileId) => {
+    FileStreamingService.resume(fileId);
+    return fileId;
+  }
+);
+
+export const cancelStream = createAsyncThunk(
+  'fileProcessing/cancelStream',
+  async (fileId) => {
+    FileStreamingService.cancel(fileId);
+    return fileId;
+  }
+);
+
+// Async thunk removing a file's records from StreamedRecordStore
+export const clearStreamedRecords = createAsyncThunk(
+  'fileProcessing/clearStreamedRecords',
+  async (fileId, { rejectWithValue }) => {
+    try {
+      await StreamedRecordStore.clear(fileId);
+      return fileId;
+    } catch (error) {
+      return rejectWithValue({ message: error.message });
+    }
+  }
+);
+
+// Async thunk resolving a duplicate match. Records of streamed files are only
+// in StreamedRecordStore, so they are merged and removed there; the reducer
+// updates the records and counters kept in the store.
+export const resolveDuplicate = createAsyncThunk(
+  'fileProcessing/resolveDuplicate',
+  async ({ duplicateId, resolution }, { getState, rejectWithValue }) => {
+    const { allRecords, duplicates, streamedFiles } = getState().fileProcessing;
+    const duplicate = duplicates.find(d => d.id === duplicateId);
+    const removesRecord = resolution === DUPLICATE_RESOLUTIONS.MERGE || resolution === DUPLICATE_RESOLUTIONS.DISCARD;
+    if (!duplicate || duplicate.resolution !== DUPLICATE_RESOLUTIONS.UNRESOLVED || !removesRecord) {
+      return { duplicateId, resolution };
+    }
+
+    const isStreamed = (fileId) => Boolean(fileId && streamedFiles[fileId]);
+    try {
+      let mergedRecord = null;
+      if (resolution === DUPLICATE_RESOLUTIONS.MERGE && isStreamed(duplicate.matchedFileId)) {
+        const duplicateRecord = isStreamed(duplicate.fileId)
+          ? (await StreamedRecordStore.find(duplicate.fileId, duplicate.recordId))?.record
+          : allRecords.find(r => r.id === duplicate.recordId);
+        if (duplicateRecord) {
+          mergedRecord = await StreamedRecordStore.update(
+            duplicate.matchedFileId,
+            duplicate.matchedRecordId,
+            keptRecord => DuplicateDetectionService.mergeRecords(keptRecord, duplicateRecord)
+          );
+        }
+      }
+
+      const removedRecord = isStreamed(duplicate.fileId)
+        ? await StreamedRecordStore.remove(duplicate.fileId, duplicate.recordId)
+        : null;
+
+      return { duplicateId, resolution, mergedRecord, removedRecord };
+    } catch (error) {
+      return rejectWithValue({ message: error.message });
+    }
+  }
+);
+
+// Async thunks for CSV column-mapping profiles
+export const loadMappingProfiles = createAsyncThunk(
+  'fileProcessing/loadMappingProfiles',
+  async () => ColumnMappingService.getProfiles()
+);
+
+export const saveMappingProfile = createAsyncThunk(
+  'fileProcessing/saveMappingProfile',
+  async (profile, { rejectWithValue }) => {
+    try {
+      return ColumnMappingService.saveProfile(profile);
+    } catch (error) {
+      return rejectWithValue({ message: error.message });
+    }
+  }
+);
+
+export const deleteMappingProfile = createAsyncThunk(
+  'fileProcessing/deleteMappingProfile',
+  async (profileId) => {
+    ColumnMappingService.deleteProfile(profileId);
+    return profileId;
+  }
+);
+
+// Async thunks for fixed-width TXT layouts
+export const loadFixedWidthLayouts = createAsyncThunk(
+  'fileProcessing/loadFixedWidthLayouts',
+  async () => FixedWidthLayoutService.getLayouts()
+);
+
+export const saveFixedWidthLayout = createAsyncThunk(
+  'fileProcessing/saveFixedWidthLayout',
+  async (layout, { rejectWithValue }) => {
+    try {
+      return FixedWidthLayoutService.saveLayout(layout);
+    } catch (error) {
+      return rejectWithValue({ message: error.message });
+    }
+  }
+);
+
+export const deleteFixedWidthLayout = createAsyncThunk(
+  'fileProcessing/deleteFixedWidthLayout',
+  async (layoutId) => {
+    FixedWidthLayoutService.deleteLayout(layoutId);
+    return layoutId;
+  }
+);
+
+// Async thunk applying accepted correction proposals to stored records.
+// Each corrected record gets an audit entry with its before/after values
+// and is validated again.
+export const applyCorrections = createAsyncThunk(
+  'fileProcessing/applyCorrections',
+  async (_, { dispatch, getState, rejectWithValue }) => {
+    const { validation, fileProcessing, auth } = getState();
+    const accepted = (validation.corrections || []).filter(
+      proposal => proposal.status === CORRECTION_STATUSES.ACCEPTED
+    );
+    const { changes, records } = CorrectionService.applyCorrections(accepted, fileProcessing.allRecords);
+
+    if (changes.length === 0) {
+      return rejectWithValue({ message: 'No accepted corrections to apply' });
+    }
+
+    dispatch(applyRecordChanges(changes));
+
+    const userId = auth?.user?.id || 'system';
+    await Promise.all(changes.map(change => AuditService.logDataChangeEvent(userId, 'APPLY_CORRECTION', change)));
+
+    const appliedAt = new Date().toISOString();
+    dispatch(markCorrectionsApplied({ ids: changes.flatMap(change => change.proposalIds), appliedAt }));
+
+    const recordIds = changes.map(change => change.recordId);
+    await dispatch(revalidateRecords({ recordIds, records }));
+
+    return { recordIds, appliedCount: accepted.length, appliedAt };
+  }
+);
+
 // Async thunk for batch processing multiple files
 export const processBatchFiles = createAsyncThunk(
   'fileProcessing/processBatchFiles',
@@ -81,10 +370,21 @@ const initialState = {
   validRecords: [],
   invalidRecords: [],
   
+  // Counters and a preview per streamed file, keyed by upload id
+  streamedFiles: {},
+  
   // Error state
   errors: [],
   processingErrors: [],
   
+  // Duplicate detection
+  duplicates: [],
+  duplicateConfig: DEFAULT_DUPLICATE_DETECTION_CONFIG,
+  
+  // Saved CSV column-mapping profiles
+  mappingProfiles: [],
+  fixedWidthLayouts: [],
+  
   // Statistics
   statistics: {
     totalFiles: 0,
@@ -129,6 +429,10 @@ const fileProcessingSlice = createSlice({
       // Also remove associated processed file and records
       state.processedFiles = state.processedFiles.filter(f => f.fileInfo.id !== id);
       state.allRecords = state.allRecords.filter(r => r.metadata?.fileId !== id);
+      state.validRecords = state.validRecords.filter(r => r.metadata?.fileId !== id);
+      state.invalidRecords = state.invalidRecords.filter(r => r.metadata?.fileId !== id);
+      delete state.streamedFiles[id];
+      state.duplicates = state.duplicates.filter(d => d.fileId !== id && d.matchedFileId !== id);
       
       // Recalculate statistics
       fileProcessingSlice.caseReducers.calculateStatistics(state);
@@ -165,9 +469,24 @@ const fileProcessingSlice = createSlice({
       }
     },
     
+    // Set corrected field values, e.g. from accepted correction proposals
+    applyRecordChanges: (state, action) => {
+      action.payload.forEach(({ recordId, after }) => {
+        const record = state.allRecords.find(r => r.id === recordId);
+        if (record) {
+          Object.assign(record, after);
+        }
+      });
+      
+      state.validRecords = state.allRecords.filter(r => r.status === 'valid');
+      state.invalidRecords = state.allRecords.filter(r => r.status === 'invalid');
+      fileProcessingSlice.caseReducers.calculateStatistics(state);
+    },
+    
     removeRecord: (state, action) => {
       const recordId = action.payload;
       state.allRecords = state.allRecords.filter(r => r.id !== recordId);
+      state.duplicates = state.duplicates.filter(d => d.recordId !== recordId && d.matchedRecordId !== recordId);
       state.validRecords = state.validRecords.filter(r => r.id !== recordId);
       state.invalidRecords = state.invalidRecords.filter(r => r.id !== recordId);
       
@@ -175,20 +494,59 @@ const fileProcessingSlice = createSlice({
       fileProcessingSlice.caseReducers.calculateStatistics(state);
     },
     
+    // Duplicate handling
+    updateDuplicateConfig: (state, action) => {
+      state.duplicateConfig = { ...state.duplicateConfig, ...action.payload };
+    },
+    
+    // Streaming actions
+    streamChunkReceived: (state, action) => {
+      const { fileId, fileName, records, errors = [], duplicates = [] } = action.payload;
+      
+      if (!state.streamedFiles[fileId]) {
+        state.streamedFiles[fileId] = { totalRecords: 0, validRecords: 0, invalidRecords: 0, preview: [] };
+      }
+      const streamed = state.streamedFiles[fileId];
+      streamed.totalRecords += records.length;
+      streamed.validRecords += records.filter(r => r.status === 'valid').length;
+      streamed.invalidRecords += records.filter(r => r.status === 'invalid').length;
+      streamed.preview.push(...records.slice(0, STREAM_PREVIEW_SIZE - streamed.preview.length));
+      
+      state.duplicates.push(...duplicates);
+      state.processingErrors.push(...errors.map(error => ({ ...error, fileId, fileName })));
+      
+      fileProcessingSlice.caseReducers.calculateStatistics(state);
+    },
+    
+    updateStreamProgress: (state, action) => {
+      const { fileId, percentage, ...progress } = action.payload;
+      state.processingProgress = percentage;
+      
+      const upload = state.uploads.find(u => u.id === fileId);
+      if (upload) {
+        upload.progress = percentage;
+        upload.streaming = { ...upload.streaming, ...progress };
+      }
+    },
+    
     // Statistics calculation
     calculateStatistics: (state) => {
+      const streamed = Object.values(state.streamedFiles || {});
+      const sumStreamed = (field) => streamed.reduce((sum, file) => sum + file[field], 0);
+      
       state.statistics = {
         totalFiles: state.processedFiles.length,
-        totalRecords: state.allRecords.length,
-        validRecords: state.validRecords.length,
-        invalidRecords: state.invalidRecords.length,
+        totalRecords: state.allRecords.length + sumStreamed('totalRecords'),
+        validRecords: state.validRecords.length + sumStreamed('validRecords'),
+        invalidRecords: state.invalidRecords.length + sumStreamed('invalidRecords'),
         processingErrors: state.processingErrors.length
       };
     },
     
     // Clear all data
     clearAllData: (state) => {
-      return { ...initialState };
+      // Mapping profiles are persisted settings, not processed data
+      return { ...initialState, mappingProfiles: state.mappingProfiles, fixedWidthLayouts: state.fixedWidthLayouts };
     }
   },
   
@@ -209,7 +567,7 @@ const fileProcessingSlice = createSlice({
         state.isProcessing = false;
         state.processingProgress = 100;
         
-        const { fileInfo, processingResult } = action.payload;
+        const { fileInfo, processingResult, duplicates = [] } = action.payload;
         
         // Update upload status
         const upload = state.uploads.find(u => u.id === fileInfo.id);
@@ -235,6 +593,7 @@ const fileProcessingSlice = createSlice({
         }));
         
         state.allRecords.push(...recordsWithFileId);
+        state.duplicates.push(...duplicates);
         
         // Categorize records
         state.validRecords = state.allRecords.filter(r => r.status === 'valid');
@@ -271,6 +630,184 @@ const fileProcessingSlice = createSlice({
         });
       })
       
+      // Stream large file
+      .addCase(streamFile.pending, (state, action) => {
+        state.isProcessing = true;
+        state.processingProgress = 0;
+        
+        const upload = state.uploads.find(u => u.id === action.meta.arg.id);
+        if (upload) {
+          upload.status = 'processing';
+          upload.streaming = { rowsProcessed: 0, rowsPerSecond: 0, etaSeconds: null };
+        }
+      })
+      .addCase(streamFile.fulfilled, (state, action) => {
+        state.isProcessing = false;
+        
+        const { fileInfo, summary } = action.payload;
+        const { cancelled, success, totalRecords, validRecords, invalidRecords, errorCount, metadata } = summary;
+        
+        const upload = state.uploads.find(u => u.id === fileInfo.id);
+        if (upload) {
+          upload.status = cancelled ? 'cancelled' : success ? 'completed' : 'error';
+        }
+        if (!cancelled) {
+          state.processingProgress = 100;
+        }
+        
+        // Records were persisted and errors added chunk by chunk, so only the summary is kept here
+        state.processedFiles.push({
+          fileInfo,
+          processingResult: {
+            success,
+            cancelled,
+            records: [],
+            errors: [],
+            totalRecords,
+            validRecords,
+            invalidRecords,
+            errorCount,
+            metadata
+          },
+          processedAt: new Date().toISOString()
+        });
+        
+        fileProcessingSlice.caseReducers.calculateStatistics(state);
+      })
+      .addCase(streamFile.rejected, (state, action) => {
+        state.isProcessing = false;
+        
+        const fileId = action.meta.arg.id;
+        const upload = state.uploads.find(u => u.id === fileId);
+        if (upload) {
+          upload.status = 'error';
+        }
+        
+        state.errors.push({
+          id: Date.now(),
+          type: 'streaming',
+          message: action.payload?.message || 'File streaming failed',
+          fileId,
+          timestamp: new Date().toISOString()
+        });
+      })
+      .addCase(pauseStream.fulfilled, (state, action) => {
+        const upload = state.uploads.find(u => u.id === action.payload);
+        if (upload && upload.status === 'processing') {
+          upload.status = 'paused';
+        }
+      })
+      .addCase(resumeStream.fulfilled, (state, action) => {
+        const upload = state.uploads.find(u => u.id === action.payload);
+        if (upload && upload.status === 'paused') {
+          upload.status = 'processing';
+        }
+      })
+      
+      // Duplicate resolution
+      .addCase(resolveDuplicate.fulfilled, (state, action) => {
+        const { duplicateId, resolution, mergedRecord, removedRecord } = action.payload;
+        const duplicate = state.duplicates.find(d => d.id === duplicateId);
+        if (!duplicate || duplicate.resolution !== DUPLICATE_RESOLUTIONS.UNRESOLVED) {
+          return;
+        }
+
+        if (resolution === DUPLICATE_RESOLUTIONS.MERGE) {
+          const index = state.allRecords.findIndex(r => r.id === duplicate.matchedRecordId);
+          const duplicateRecord = removedRecord || state.allRecords.find(r => r.id === duplicate.recordId);
+          if (index !== -1 && duplicateRecord) {
+            state.allRecords[index] = DuplicateDetectionService.mergeRecords(state.allRecords[index], duplicateRecord);
+          }
+
+          // A streamed record was merged in StreamedRecordStore; keep its preview row in step
+          const matchedStreamed = state.streamedFiles[duplicate.matchedFileId];
+          if (mergedRecord && matchedStreamed) {
+            matchedStreamed.preview = matchedStreamed.preview.map(r => (r.id === mergedRecord.id ? mergedRecord : r));
+          }
+        }
+
+        if (resolution === DUPLICATE_RESOLUTIONS.MERGE || resolution === DUPLICATE_RESOLUTIONS.DISCARD) {
+          state.allRecords = state.allRecords.filter(r => r.id !== duplicate.recordId);
+          state.validRecords = state.allRecords.filter(r => r.status === 'valid');
+          state.invalidRecords = state.allRecords.filter(r => r.status === 'invalid');
+
+          const streamed = removedRecord && state.streamedFiles[duplicate.fileId];
+          if (streamed) {
+            streamed.totalRecords -= 1;
+            streamed.validRecords -= removedRecord.status === 'valid' ? 1 : 0;
+            streamed.invalidRecords -= removedRecord.status === 'invalid' ? 1 : 0;
+            streamed.preview = streamed.preview.filter(r => r.id !== removedRecord.id);
+          }
+
+          // Other matches against the removed record no longer apply
+          state.duplicates
+            .filter(d => d.id !== duplicateId && (d.recordId === duplicate.recordId || d.matchedRecordId === duplicate.recordId))
+            .forEach(d => { d.resolution = DUPLICATE_RESOLUTIONS.DISCARD; });
+        }
+
+        duplicate.resolution = resolution;
+        duplicate.resolvedAt = new Date().toISOString();
+        
+        fileProcessingSlice.caseReducers.calculateStatistics(state);
+      })
+      .addCase(clearStreamedRecords.rejected, (state, action) => {
+        state.errors.push({
+          id: Date.now(),
+          type: 'streamed_records',
+          message: action.payload?.message || 'Failed to remove streamed records',
+          fileId: action.meta.arg,
+          timestamp: new Date().toISOString()
+        });
+      })
+      .addCase(resolveDuplicate.rejected, (state, action) => {
+        state.errors.push({
+          id: Date.now(),
+          type: 'duplicate_resolution',
+          message: action.payload?.message || 'Failed to resolve duplicate',
+          timestamp: new Date().toISOString()
+        });
+      })
+      
+      // Column-mapping profiles
+      .addCase(loadMappingProfiles.fulfilled, (state, action) => {
+        state.mappingProfiles = action.payload;
+      })
+      .addCase(saveMappingProfile.fulfilled, (state, action) => {
+        state.mappingProfiles = state.mappingProfiles.filter(p => p.id !== action.payload.id);
+        state.mappingProfiles.push(action.payload);
+      })
+      .addCase(saveMappingProfile.rejected, (state, action) => {
+        state.errors.push({
+          id: Date.now(),
+          type: 'mapping_profile',
+          message: action.payload?.message || 'Failed to save mapping profile',
+          timestamp: new Date().toISOString()
+        });
+      })
+      .addCase(deleteMappingProfile.fulfilled, (state, action) => {
+        state.mappingProfiles = state.mappingProfiles.filter(p => p.id !== action.payload);
+      })
+      
+      // Fixed-width layouts
+      .addCase(loadFixedWidthLayouts.fulfilled, (state, action) => {
+        state.fixedWidthLayouts = action.payload;
+      })
+      .addCase(saveFixedWidthLayout.fulfilled, (state, action) => {
+        state.fixedWidthLayouts = state.fixedWidthLayouts.filter(l => l.id !== action.payload.id);
+        state.fixedWidthLayouts.push(action.payload);
+      })
+      .addCase(saveFixedWidthLayout.rejected, (state, action) => {
+        state.errors.push({
+          id: Date.now(),
+          type: 'fixed_width_layout',
+          message: action.payload?.message || 'Failed to save fixed-width layout',
+          timestamp: new Date().toISOString()
+        });
+      })
+      .addCase(deleteFixedWidthLayout.fulfilled, (state, action) => {
+        state.fixedWidthLayouts = state.fixedWidthLayouts.filter(l => l.id !== action.payload);
+      })
+      
       // Process batch files
       .addCase(processBatchFiles.pending, (state) => {
         state.isProcessing = true;
@@ -282,6 +819,14 @@ const fileProcessingSlice = createSlice({
         
         // Results are already handled by individual processFile actions
       })
+      .addCase(applyCorrections.rejected, (state, action) => {
+        state.errors.push({
+          id: Date.now(),
+          type: 'correction',
+          message: action.payload?.message || action.error?.message || 'Failed to apply corrections',
+          timestamp: new Date().toISOString()
+        });
+      })
       .addCase(processBatchFiles.rejected, (state, action) => {
         state.isProcessing = false;
         
@@ -303,7 +848,11 @@ export const {
   setProcessingProgress,
   clearProcessingErrors,
   updateRecordStatus,
+  applyRecordChanges,
   removeRecord,
+  updateDuplicateConfig,
+  streamChunkReceived,
+  updateStreamProgress,
   calculateStatistics,
   clearAllData
 } = fileProcessingSlice.actions;
@@ -319,9 +868,27 @@ export const selectInvalidRecords = (state) => state.fileProcessing.invalidRecor
 export const selectProcessingErrors = (state) => state.fileProcessing.processingErrors;
 export const selectStatistics = (state) => state.fileProcessing.statistics;
 export const selectErrors = (state) => state.fileProcessing.errors;
+const EMPTY_DUPLICATES = [];
+export const selectDuplicates = (state) => state.fileProcessing.duplicates || EMPTY_DUPLICATES;
+export const selectUnresolvedDuplicates = (state) =>
+  selectDuplicates(state).filter(d => d.resolution === DUPLICATE_RESOLUTIONS.UNRESOLVED);
+export const selectDuplicateConfig = (state) =>
+  state.fileProcessing.duplicateConfig || DEFAULT_DUPLICATE_DETECTION_CONFIG;
+
+const EMPTY_MAPPING_PROFILES = [];
+export const selectMappingProfiles = (state) => state.fileProcessing.mappingProfiles || EMPTY_MAPPING_PROFILES;
+
+const EMPTY_FIXED_WIDTH_LAYOUTS = [];
+export const selectFixedWidthLayouts = (state) => state.fileProcessing.fixedWidthLayouts || EMPTY_FIXED_WIDTH_LAYOUTS;
+
+const EMPTY_STREAMED_FILES = {};
+export const selectStreamedFiles = (state) => state.fileProcessing.streamedFiles || EMPTY_STREAMED_FILES;
 
 // Complex selectors
-export const selectRecordsByFile = (state, fileId) => 
+// Streamed files only have their preview in the store; page through the
+// rest with StreamedRecordStore.getPage
+export const selectRecordsByFile = (state, fileId) =>
+  selectStreamedFiles(state)[fileId]?.preview ||
   state.fileProcessing.allRecords.filter(record => record.metadata?.fileId === fileId);
 
 export const selectErrorsByFile = (state, fileId) =>
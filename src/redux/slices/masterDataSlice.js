@@ -127,7 +127,9 @@ const initialState = {
   customers: [],
   products: [],
   references: [],
+  exchangeRates: [],
   distributors: [],
+  promotions: [],
 
   // UI state
   selectedDataType: "customers",
@@ -7,15 +7,50 @@
 
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import { ValidationEngine } from '../../services/ValidationEngine.js';
+import { ValidationRuleRegistry } from '../../services/ValidationRuleRegistry.js';
+import MasterDataService from '../../services/MasterDataService.js';
+import creditNoteReconciliationService from '../../services/CreditNoteReconciliationService.js';
+import validationRunHistoryService from '../../services/ValidationRunHistoryService.js';
+import validationProfileService from '../../services/ValidationProfileService.js';
+import correctionService from '../../services/CorrectionService.js';
 import { 
   createEmptyValidationSummary, 
+  createValidationRule,
   DEFAULT_VALIDATION_CONFIG,
-  SEVERITY_LEVELS 
+  SEVERITY_LEVELS,
+  VALIDATION_RESULT_TYPES,
+  CORRECTION_STATUSES
 } from '../../types/validation.js';
 
 // Create validation engine instance
 const validationEngine = new ValidationEngine();
 
+// Checks custom rule definitions before they are stored
+const ruleRegistry = new ValidationRuleRegistry();
+
+/**
+ * Master data records are validated against: the store's copy where it is
+ * loaded, otherwise the saved master data. Batch, worker and streamed
+ * validation all use it, so they give the same results for the same records.
+ * @param {Object} state - Root state
+ * @returns {{products: Object[], customers: Object[], profiles: Object[], exchangeRates: Object[], distributors: Object[], promotions: Object[]}}
+ */
+export const getValidationMasterData = (state) => {
+  const loadMasterData = (dataType) => {
+    const data = state.masterData?.[dataType];
+    return data?.length ? data : MasterDataService.getMasterData(dataType);
+  };
+
+  return {
+    products: loadMasterData('products'),
+    customers: loadMasterData('customers'),
+    profiles: validationProfileService.getProfiles(),
+    exchangeRates: loadMasterData('exchangeRates'),
+    distributors: loadMasterData('distributors'),
+    promotions: loadMasterData('promotions')
+  };
+};
+
 /**
  * Validate a single invoice record
  */
@@ -23,6 +58,7 @@ export const validateRecord = createAsyncThunk(
   'validation/validateRecord',
   async (record, { rejectWithValue }) => {
     try {
+      validationEngine.setValidationProfiles(validationProfileService.getProfiles());
       const results = await validationEngine.validateRecord(record);
       return {
         recordId: record.id,
@@ -43,13 +79,49 @@ export const validateRecord = createAsyncThunk(
  */
 export const validateBatch = createAsyncThunk(
   'validation/validateBatch',
-  async ({ records, config }, { dispatch, rejectWithValue }) => {
+  async ({ records, config, openInvoices, history }, { dispatch, getState, rejectWithValue }) => {
     try {
+      // Keep engine custom rules and VAT profiles in sync with state
+      const { customRules, vat } = getState().validation?.config || {};
+      if (customRules) {
+        validationEngine.updateConfig({ customRules });
+      }
+      if (vat) {
+        validationEngine.updateConfig({ vat });
+      }
+
       // Update validation config if provided
       if (config) {
         validationEngine.updateConfig(config);
       }
 
+      const { products, customers, profiles, exchangeRates, distributors, promotions } =
+        getValidationMasterData(getState());
+
+      // Distributor and customer segment profiles override the config per record
+      validationEngine.setValidationProfiles(profiles);
+
+      // Load the product master for line-level price checks
+      validationEngine.setProductMaster(products);
+
+      // Load customers and previously processed invoices for credit checks
+      validationEngine.setCustomerMaster(
+        customers,
+        openInvoices || getState().fileProcessing?.allRecords || []
+      );
+
+      // Previously processed invoices are the baseline for unit price and quantity outliers
+      validationEngine.setOutlierHistory(history || getState().fileProcessing?.allRecords || []);
+
+      // Exchange rates convert other currencies to the base currency for totals
+      validationEngine.setExchangeRates(exchangeRates);
+
+      // Distributor prefixes for the invoice number sequence check
+      validationEngine.setDistributorMaster(distributors);
+
+      // Promotions promotional discounts must be earned under
+      validationEngine.setPromotions(promotions);
+
       // Create progress callback to dispatch progress updates
       const progressCallback = (progress) => {
         dispatch(updateValidationProgress(progress));
@@ -59,10 +131,31 @@ export const validateBatch = createAsyncThunk(
       const summary = await validationEngine.validateBatch(records, progressCallback);
       const results = validationEngine.getResults();
 
+      // Keep the run so later resubmissions can be compared against it
+      let run = null;
+      let runHistoryError = null;
+      try {
+        run = validationRunHistoryService.recordRun({
+          summary,
+          results,
+          records,
+          config: {
+            ...validationEngine.config,
+            profiles: profiles.map(({ id, version }) => ({ id, version }))
+          }
+        });
+      } catch (error) {
+        runHistoryError = error.message;
+      }
+
       return {
         summary,
         results,
         batchId: summary.batchId,
+        sequenceReport: validationEngine.getSequenceReport(),
+        run: run && validationRunHistoryService.summarizeRun(run),
+        runHistoryError,
+        rejectedRules: validationEngine.getRejectedRules(),
         validatedAt: new Date().toISOString()
       };
     } catch (error) {
@@ -143,6 +236,7 @@ export const generateValidationSummary = createAsyncThunk(
         highSeverityCount: results.filter(r => r.severity === SEVERITY_LEVELS.HIGH).length,
         mediumSeverityCount: results.filter(r => r.severity === SEVERITY_LEVELS.MEDIUM).length,
         lowSeverityCount: results.filter(r => r.severity === SEVERITY_LEVELS.LOW).length,
+        anomalyCount: results.filter(r => r.type === VALIDATION_RESULT_TYPES.ANOMALY).length,
         totalDiscrepancyAmount: results.reduce((sum, r) => sum + (r.discrepancy || 0), 0),
         validationStartTime: validation.lastValidationTime || new Date().toISOString(),
         validationEndTime: new Date().toISOString(),
@@ -164,6 +258,126 @@ export const generateValidationSummary = createAsyncThunk(
   }
 );
 
+/**
+ * Load the stored validation run history
+ */
+export const loadValidationRuns = createAsyncThunk(
+  'validation/loadValidationRuns',
+  async () => validationRunHistoryService.getRuns().map(run => validationRunHistoryService.summarizeRun(run))
+);
+
+/**
+ * Compare the discrepancies of two stored validation runs
+ */
+export const compareValidationRuns = createAsyncThunk(
+  'validation/compareValidationRuns',
+  async ({ baseRunId, targetRunId }, { rejectWithValue }) => {
+    const baseRun = validationRunHistoryService.getRun(baseRunId);
+    const targetRun = validationRunHistoryService.getRun(targetRunId);
+
+    if (!baseRun || !targetRun) {
+      return rejectWithValue({
+        message: `Validation run ${baseRun ? targetRunId : baseRunId} not found`
+      });
+    }
+
+    return validationRunHistoryService.compareRuns(baseRun, targetRun);
+  }
+);
+
+/**
+ * Delete a stored validation run
+ */
+export const deleteValidationRun = createAsyncThunk(
+  'validation/deleteValidationRun',
+  async (runId) => {
+    validationRunHistoryService.deleteRun(runId);
+    return runId;
+  }
+);
+
+/**
+ * Load the active validation profiles
+ */
+export const loadValidationProfiles = createAsyncThunk(
+  'validation/loadValidationProfiles',
+  async () => validationProfileService.getProfiles()
+);
+
+/**
+ * Save a validation profile as a new version
+ */
+export const saveValidationProfile = createAsyncThunk(
+  'validation/saveValidationProfile',
+  async (profile, { rejectWithValue }) => {
+    try {
+      return validationProfileService.saveProfile(profile);
+    } catch (error) {
+      return rejectWithValue({ message: error.message });
+    }
+  }
+);
+
+/**
+ * Archive a validation profile so it no longer applies to new validations
+ */
+export const archiveValidationProfile = createAsyncThunk(
+  'validation/archiveValidationProfile',
+  async (profileId, { rejectWithValue }) => {
+    const archived = validationProfileService.archiveProfile(profileId);
+    if (!archived) {
+      return rejectWithValue({ message: `Validation profile ${profileId} not found` });
+    }
+    return archived;
+  }
+);
+
+/**
+ * Propose fixes for the current results from their recalculated values
+ */
+export const proposeCorrections = createAsyncThunk(
+  'validation/proposeCorrections',
+  async (_, { getState }) => {
+    const { validation, fileProcessing } = getState();
+    const generated = correctionService.proposeCorrections(validation.results, fileProcessing?.allRecords || []);
+    return correctionService.mergeProposals(validation.corrections || [], generated);
+  }
+);
+
+/**
+ * Reconcile credit notes against original invoices. Both lists are required
+ * on every run, so results never depend on an earlier reconciliation.
+ */
+export const reconcileCreditNotes = createAsyncThunk(
+  'validation/reconcileCreditNotes',
+  async ({ invoices, creditNotes } = {}, { rejectWithValue }) => {
+    try {
+      if (!Array.isArray(invoices) || !Array.isArray(creditNotes)) {
+        throw new Error('Reconciliation needs both the invoice and the credit note list');
+      }
+
+      const { results, matches, balances, summary } = creditNoteReconciliationService.reconcile(
+        invoices,
+        creditNotes
+      );
+
+      return {
+        invoices,
+        creditNotes,
+        results,
+        matches,
+        balances,
+        summary,
+        reconciledAt: new Date().toISOString()
+      };
+    } catch (error) {
+      return rejectWithValue({
+        message: error.message
+      });
+    }
+  }
+);
+
 // Initial state
 const initialState = {
   // Validation results
@@ -201,6 +415,26 @@ const initialState = {
     mostCommonDiscrepancies: []
   },
   
+  // Credit note reconciliation
+  reconciliation: {
+    invoices: [],
+    creditNotes: [],
+    results: [],
+    matches: [],
+    balances: {},
+    summary: null,
+    reconciledAt: null
+  },
+  
+  // Invoice number sequence report of the last batch
+  sequenceReport: null,
+
+  // Stored validation runs and the current run comparison
+  runHistory: [],
+  runComparison: null,
+  profiles: [],
+  corrections: [],
+  
   // Error state
   errors: [],
   validationErrors: []
@@ -220,6 +454,50 @@ const validationSlice = createSlice({
       state.config = DEFAULT_VALIDATION_CONFIG;
     },
     
+    // Custom rule management
+    addCustomRule: (state, action) => {
+      const rule = createValidationRule(action.payload);
+      const { isValid, errors } = ruleRegistry.validateDefinition(rule);
+      if (!isValid) {
+        state.errors.push({
+          id: Date.now(),
+          type: 'custom_rule',
+          message: `Invalid validation rule${rule.id ? ` '${rule.id}'` : ''}: ${errors.join('; ')}`,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
+      const customRules = (state.config.customRules || []).filter(r => r.id !== rule.id);
+      state.config.customRules = [...customRules, rule];
+    },
+    
+    removeCustomRule: (state, action) => {
+      const ruleId = action.payload;
+      state.config.customRules = (state.config.customRules || []).filter(r => r.id !== ruleId);
+    },
+    
+    toggleCustomRule: (state, action) => {
+      const { ruleId, enabled } = action.payload;
+      const rule = (state.config.customRules || []).find(r => r.id === ruleId);
+      if (rule) {
+        rule.enabled = enabled;
+      }
+    },
+    
+    // VAT profile assignment
+    setDistributorVatProfile: (state, action) => {
+      const { distributorCode, profile } = action.payload;
+      const vat = state.config.vat || DEFAULT_VALIDATION_CONFIG.vat;
+      const distributorProfiles = { ...vat.distributorProfiles };
+      if (profile) {
+        distributorProfiles[distributorCode] = profile;
+      } else {
+        delete distributorProfiles[distributorCode];
+      }
+      state.config.vat = { ...vat, distributorProfiles };
+    },
+    
     // Progress tracking
     updateValidationProgress: (state, action) => {
       state.progress = action.payload;
@@ -237,6 +515,7 @@ const validationSlice = createSlice({
     clearValidationResults: (state) => {
       state.results = [];
       state.summary = createEmptyValidationSummary();
+      state.sequenceReport = null;
       state.alerts = [];
       state.unacknowledgedAlerts = [];
     },
@@ -252,6 +531,130 @@ const validationSlice = createSlice({
       );
     },
     
+    // Accept or reject correction proposals, one or many at a time
+    reviewCorrections: (state, action) => {
+      const { ids, status, reviewedBy = null } = action.payload;
+      const reviewedAt = new Date().toISOString();
+      (state.corrections || []).forEach(proposal => {
+        if (ids.includes(proposal.id) && proposal.status !== CORRECTION_STATUSES.APPLIED) {
+          proposal.status = status;
+          proposal.reviewedAt = reviewedAt;
+          proposal.reviewedBy = reviewedBy;
+        }
+      });
+    },
+    
+    markCorrectionsApplied: (state, action) => {
+      const { ids, appliedAt = new Date().toISOString() } = action.payload;
+      (state.corrections || []).forEach(proposal => {
+        if (ids.includes(proposal.id)) {
+          proposal.status = CORRECTION_STATUSES.APPLIED;
+          proposal.appliedAt = appliedAt;
+        }
+      });
+    },
+    
+    // Replace results with a completed batch, e.g. from validateBatch or the worker pool
+    setValidationResults: (state, action) => {
+      state.isValidating = false;
+      const { summary, results, batchId, validatedAt, sequenceReport = null } = action.payload;
+      
+      // Clear previous results
+      state.results = [];
+      state.alerts = [];
+      state.unacknowledgedAlerts = [];
+      
+      // Add new results with IDs
+      const newResults = results.map(result => ({
+        ...result,
+        id: `${result.recordId}_${result.field}_${Date.now()}`,
+        validatedAt
+      }));
+      
+      state.results = newResults;
+      state.summary = summary;
+      state.sequenceReport = sequenceReport;
+      state.currentBatchId = batchId;
+      state.lastValidationTime = validatedAt;
+      
+      // Generate alerts for high severity discrepancies
+      const highSeverityResults = newResults.filter(
+        r => r.severity === SEVERITY_LEVELS.HIGH || r.severity === SEVERITY_LEVELS.CRITICAL
+      );
+      
+      const newAlerts = highSeverityResults.map(result => ({
+        id: `alert_${result.id}`,
+        recordId: result.recordId,
+        field: result.field,
+        severity: result.severity,
+        message: result.message,
+        discrepancy: result.discrepancy,
+        acknowledged: false,
+        createdAt: validatedAt
+      }));
+      
+      state.alerts = newAlerts;
+      state.unacknowledgedAlerts = newAlerts;
+      
+      // Clear progress
+      state.progress = null;
+    },
+    
+    // Results validated outside a batch run, e.g. chunk by chunk while a file streams
+    appendValidationResults: (state, action) => {
+      const { results, validatedAt = new Date().toISOString() } = action.payload;
+      
+      const newResults = results.map((result, index) => ({
+        ...result,
+        id: `${result.recordId}_${result.field}_${Date.now()}_${index}`,
+        validatedAt
+      }));
+      
+      state.results.push(...newResults);
+      state.lastValidationTime = validatedAt;
+      
+      const severityCounts = {
+        [SEVERITY_LEVELS.CRITICAL]: 'criticalCount',
+        [SEVERITY_LEVELS.HIGH]: 'highSeverityCount',
+        [SEVERITY_LEVELS.MEDIUM]: 'mediumSeverityCount',
+        [SEVERITY_LEVELS.LOW]: 'lowSeverityCount'
+      };
+      newResults.forEach(result => {
+        const countKey = severityCounts[result.severity];
+        if (countKey) {
+          state.summary[countKey]++;
+        }
+        if (result.type === VALIDATION_RESULT_TYPES.ANOMALY) {
+          state.summary.anomalyCount = (state.summary.anomalyCount || 0) + 1;
+        }
+        const amount = Math.abs(result.discrepancy || 0);
+        state.summary.totalDiscrepancyAmount += amount;
+        state.summary.maxDiscrepancyAmount = Math.max(state.summary.maxDiscrepancyAmount, amount);
+      });
+      state.summary.totalDiscrepancies += newResults.length;
+      state.summary.averageDiscrepancyAmount = state.summary.totalDiscrepancies > 0
+        ? state.summary.totalDiscrepancyAmount / state.summary.totalDiscrepancies
+        : 0;
+      state.summary.validationEndTime = validatedAt;
+      
+      // Generate alerts for high severity discrepancies
+      const newAlerts = newResults
+        .filter(r => r.severity === SEVERITY_LEVELS.HIGH || r.severity === SEVERITY_LEVELS.CRITICAL)
+        .map(result => ({
+          id: `alert_${result.id}`,
+          recordId: result.recordId,
+          field: result.field,
+          severity: result.severity,
+          message: result.message,
+          discrepancy: result.discrepancy,
+          acknowledged: false,
+          createdAt: validatedAt
+        }));
+      
+      state.alerts.push(...newAlerts);
+      state.unacknowledgedAlerts.push(...newAlerts);
+    },
+    
     removeValidationResult: (state, action) => {
       const resultId = action.payload;
       state.results = state.results.filter(result => result.id !== resultId);
@@ -384,47 +787,30 @@ const validationSlice = createSlice({
         state.validationErrors = [];
       })
       .addCase(validateBatch.fulfilled, (state, action) => {
-        state.isValidating = false;
-        const { summary, results, batchId, validatedAt } = action.payload;
-        
-        // Clear previous results
-        state.results = [];
-        state.alerts = [];
-        state.unacknowledgedAlerts = [];
-        
-        // Add new results with IDs
-        const newResults = results.map(result => ({
-          ...result,
-          id: `${result.recordId}_${result.field}_${Date.now()}`,
-          validatedAt
-        }));
-        
-        state.results = newResults;
-        state.summary = summary;
-        state.currentBatchId = batchId;
-        state.lastValidationTime = validatedAt;
-        
-        // Generate alerts for high severity discrepancies
-        const highSeverityResults = newResults.filter(
-          r => r.severity === SEVERITY_LEVELS.HIGH || r.severity === SEVERITY_LEVELS.CRITICAL
-        );
+        validationSlice.caseReducers.setValidationResults(state, action);
         
-        const newAlerts = highSeverityResults.map(result => ({
-          id: `alert_${result.id}`,
-          recordId: result.recordId,
-          field: result.field,
-          severity: result.severity,
-          message: result.message,
-          discrepancy: result.discrepancy,
-          acknowledged: false,
-          createdAt: validatedAt
-        }));
-        
-        state.alerts = newAlerts;
-        state.unacknowledgedAlerts = newAlerts;
-        
-        // Clear progress
-        state.progress = null;
+        const { run, runHistoryError, rejectedRules = [] } = action.payload;
+        if (run) {
+          state.runHistory = [run, ...(state.runHistory || []).filter(r => r.id !== run.id)];
+        }
+        if (runHistoryError) {
+          state.errors.push({
+            id: Date.now(),
+            type: 'run_history',
+            message: runHistoryError,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        // Invalid custom rules are skipped; the other rules still ran
+        rejectedRules.forEach(({ id, errors }) => {
+          state.errors.push({
+            id: Date.now(),
+            type: 'custom_rule',
+            message: `Custom rule '${id}' was skipped: ${errors.join('; ')}`,
+            timestamp: new Date().toISOString()
+          });
+        });
       })
       .addCase(validateBatch.rejected, (state, action) => {
         state.isValidating = false;
@@ -472,6 +858,77 @@ const validationSlice = createSlice({
           message: action.payload?.message || 'Failed to generate validation summary',
           timestamp: new Date().toISOString()
         });
+      })
+      
+      // Validation run history
+      .addCase(loadValidationRuns.fulfilled, (state, action) => {
+        state.runHistory = action.payload;
+      })
+      .addCase(compareValidationRuns.fulfilled, (state, action) => {
+        state.runComparison = action.payload;
+      })
+      .addCase(compareValidationRuns.rejected, (state, action) => {
+        state.runComparison = null;
+        state.errors.push({
+          id: Date.now(),
+          type: 'run_comparison',
+          message: action.payload?.message || 'Failed to compare validation runs',
+          timestamp: new Date().toISOString()
+        });
+      })
+      .addCase(deleteValidationRun.fulfilled, (state, action) => {
+        state.runHistory = (state.runHistory || []).filter(r => r.id !== action.payload);
+        const comparison = state.runComparison;
+        if (comparison && (comparison.baseRunId === action.payload || comparison.targetRunId === action.payload)) {
+          state.runComparison = null;
+        }
+      })
+      
+      // Validation profiles
+      .addCase(loadValidationProfiles.fulfilled, (state, action) => {
+        state.profiles = action.payload;
+      })
+      .addCase(saveValidationProfile.fulfilled, (state, action) => {
+        const profile = action.payload;
+        const profiles = (state.profiles || []).filter(p => p.id !== profile.id);
+        state.profiles = profile.active ? [...profiles, profile] : profiles;
+      })
+      .addCase(saveValidationProfile.rejected, (state, action) => {
+        state.errors.push({
+          id: Date.now(),
+          type: 'validation_profile',
+          message: action.payload?.message || 'Failed to save validation profile',
+          timestamp: new Date().toISOString()
+        });
+      })
+      .addCase(archiveValidationProfile.fulfilled, (state, action) => {
+        state.profiles = (state.profiles || []).filter(p => p.id !== action.payload.id);
+      })
+      .addCase(archiveValidationProfile.rejected, (state, action) => {
+        state.errors.push({
+          id: Date.now(),
+          type: 'validation_profile',
+          message: action.payload?.message || 'Failed to archive validation profile',
+          timestamp: new Date().toISOString()
+        });
+      })
+      
+      // Correction proposals
+      .addCase(proposeCorrections.fulfilled, (state, action) => {
+        state.corrections = action.payload;
+      })
+      
+      // Credit note reconciliation
+      .addCase(reconcileCreditNotes.fulfilled, (state, action) => {
+        state.reconciliation = action.payload;
+      })
+      .addCase(reconcileCreditNotes.rejected, (state, action) => {
+        state.errors.push({
+          id: Date.now(),
+          type: 'reconciliation',
+          message: action.payload?.message || 'Credit note reconciliation failed',
+          timestamp: new Date().toISOString()
+        });
       });
   }
 });
@@ -480,10 +937,16 @@ const validationSlice = createSlice({
 export const {
   updateValidationConfig,
   resetValidationConfig,
+  addCustomRule,
+  removeCustomRule,
+  toggleCustomRule,
+  setDistributorVatProfile,
   updateValidationProgress,
   clearValidationProgress,
   clearValidationResults,
   clearResultsForRecords,
+  setValidationResults,
+  appendValidationResults,
   removeValidationResult,
   acknowledgeAlert,
   acknowledgeAllAlerts,
@@ -492,7 +955,9 @@ export const {
   clearValidationFilters,
   setValidationSort,
   clearValidationErrors,
-  addValidationError
+  addValidationError,
+  reviewCorrections,
+  markCorrectionsApplied
 } = validationSlice.actions;
 
 // Selectors
@@ -502,6 +967,8 @@ export const selectValidationSummary = (state) => state.validation.summary;
 export const selectIsValidating = (state) => state.validation.isValidating;
 export const selectValidationProgress = (state) => state.validation.progress;
 export const selectValidationConfig = (state) => state.validation.config;
+export const selectCustomRules = (state) => state.validation.config.customRules || [];
+export const selectVatConfig = (state) => state.validation.config.vat || DEFAULT_VALIDATION_CONFIG.vat;
 export const selectValidationAlerts = (state) => state.validation.alerts;
 export const selectUnacknowledgedAlerts = (state) => state.validation.unacknowledgedAlerts;
 export const selectValidationFilters = (state) => state.validation.filters;
@@ -561,6 +1028,22 @@ export const selectFilteredValidationResults = (state) => {
   return filteredResults;
 };
 
+export const selectReconciliation = (state) => state.validation.reconciliation;
+const EMPTY_RUN_HISTORY = [];
+export const selectValidationRuns = (state) => state.validation.runHistory || EMPTY_RUN_HISTORY;
+export const selectValidationRunComparison = (state) => state.validation.runComparison || null;
+
+const EMPTY_PROFILES = [];
+export const selectValidationProfiles = (state) => state.validation.profiles || EMPTY_PROFILES;
+
+const EMPTY_CORRECTIONS = [];
+export const selectCorrections = (state) => state.validation.corrections || EMPTY_CORRECTIONS;
+export const selectSequenceReport = (state) => state.validation.sequenceReport || null;
+export const selectReconciliationResultsForCreditNote = (state, creditNoteId) =>
+  state.validation.reconciliation.results.filter(r => r.recordId === creditNoteId);
+export const selectReconciliationResultsForInvoice = (state, invoiceId) =>
+  state.validation.reconciliation.results.filter(r => r.relatedRecordId === invoiceId);
+
 export const selectValidationResultsByRecord = (state, recordId) =>
   selectValidationResults(state).filter(result => result.recordId === recordId);
 
@@ -583,6 +1066,7 @@ export const selectValidationStatistics = (state) => {
       low: summary.lowSeverityCount
     },
     financialImpact: {
+      baseCurrency: summary.baseCurrency,
       totalDiscrepancyAmount: summary.totalDiscrepancyAmount,
       averageDiscrepancyAmount: summary.averageDiscrepancyAmount,
       maxDiscrepancyAmount: summary.maxDiscrepancyAmount
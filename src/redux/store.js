@@ -6,6 +6,8 @@ import reportsReducer from './slices/reportsSlice.js';
 import masterDataReducer from './slices/masterDataSlice.js';
 import userManagementReducer from './slices/userManagementSlice.js';
 import auditReducer from './slices/auditSlice.js';
+import discrepancyCaseReducer from './slices/discrepancyCaseSlice.js';
+import approvalWorkflowReducer from './slices/approvalWorkflowSlice.js';
 import { authMiddleware, apiResponseMiddleware } from './middleware/authMiddleware.js';
 
 // Import slices here as they are created
@@ -20,6 +22,8 @@ export const store = configureStore({
     masterData: masterDataReducer,
     userManagement: userManagementReducer,
     audit: auditReducer,
+    discrepancyCases: discrepancyCaseReducer,
+    approvalWorkflow: approvalWorkflowReducer,
     [api.reducerPath]: api.reducer
     // Add other reducers here as they are created
     // invoices: invoiceSlice,
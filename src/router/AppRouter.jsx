@@ -13,6 +13,7 @@ const ImportData = lazy(() => import("../pages/MasterData/ImportData.jsx"));
 const ExportData = lazy(() => import("../pages/MasterData/ExportData.jsx"));
 const Customers = lazy(() => import("../pages/References/Customers.jsx"));
 const Products = lazy(() => import("../pages/References/Products.jsx"));
+const Promotions = lazy(() => import("../pages/References/Promotions.jsx"));
 const Invoices = lazy(() => import("../pages/Transactions/Invoices.jsx"));
 const CreditNotes = lazy(() => import("../pages/Transactions/CreditNotes.jsx"));
 const Reports = lazy(() => import("../pages/Reports/Reports.jsx"));
@@ -109,6 +110,17 @@ const AppRouter = () => {
             }
           />
 
+          <Route
+            path="/references/promotions"
+            element={
+              <ProtectedRoute requiredPermissions={["manage_master_data"]}>
+                <Layout>
+                  <Promotions />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+
           <Route
             path="/transactions/invoices"
             element={
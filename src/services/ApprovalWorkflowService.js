@@ -0,0 +1,253 @@
+/**
+ * ApprovalWorkflowService
+ *
+ * Approval workflow for invoices and credit notes. Decides which transitions
+ * a user's role allows, enforces maker-checker (the submitter cannot approve
+ * or reject their own document), requires rejection reasons, blocks approval
+ * while critical discrepancies are open, and keeps a per-document history.
+ */
+
+import {
+  APPROVAL_ACTIONS,
+  APPROVAL_STATUSES,
+  APPROVAL_TRANSITIONS,
+  WORKFLOW_STAGES
+} from '../types/invoice.js';
+import { CLOSED_CASE_STATUSES, SEVERITY_LEVELS } from '../types/validation.js';
+
+const STORAGE_KEY = 'approval_workflow_history';
+
+// Actions that are the checker step of maker-checker
+const CHECKER_ACTIONS = [APPROVAL_ACTIONS.APPROVE, APPROVAL_ACTIONS.REJECT];
+
+const isSameUser = (a, b) => {
+  if (!a || !b) {
+    return false;
+  }
+  if (a.id && b.id) {
+    return String(a.id) === String(b.id);
+  }
+  return Boolean(a.name) && String(a.name).toLowerCase() === String(b.name || '').toLowerCase();
+};
+
+/**
+ * Acting user for workflow checks and history
+ * @param {import('../types/auth.js').User|null} user - Signed-in user
+ * @returns {{id: string, name: string, role: string}|null}
+ */
+export const toWorkflowUser = (user) => user && {
+  id: String(user.id),
+  name: [user.firstname, user.lastname].filter(Boolean).join(' ') || user.username,
+  role: user.role
+};
+
+/**
+ * Approval workflow service class
+ */
+export class ApprovalWorkflowService {
+  constructor(storageKey = STORAGE_KEY) {
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * Load the history of every document, keyed by document key
+   * @returns {Object<string, import('../types/invoice.js').ApprovalHistoryEntry[]>}
+   */
+  getAllHistory() {
+    try {
+      const history = localStorage.getItem(this.storageKey);
+      return history ? JSON.parse(history) : {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Persist the history of every document
+   * @param {Object<string, import('../types/invoice.js').ApprovalHistoryEntry[]>} history
+   */
+  storeHistory(history) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(history));
+    } catch (error) {
+      console.error('Failed to save approval history:', error);
+    }
+  }
+
+  /**
+   * Key of a document in the history
+   * @param {string} documentType
+   * @param {string|number} documentId
+   * @returns {string}
+   */
+  getDocumentKey(documentType, documentId) {
+    return `${documentType}:${documentId}`;
+  }
+
+  /**
+   * Transition history of a document, oldest first
+   * @param {string} documentType
+   * @param {string|number} documentId
+   * @returns {import('../types/invoice.js').ApprovalHistoryEntry[]}
+   */
+  getHistory(documentType, documentId) {
+    return this.getAllHistory()[this.getDocumentKey(documentType, documentId)] || [];
+  }
+
+  /**
+   * Current status: the target of the last transition, or the document's own status
+   * @param {Object} document
+   * @param {import('../types/invoice.js').ApprovalHistoryEntry[]} history
+   * @returns {string}
+   */
+  getCurrentStatus(document, history = []) {
+    return history.length > 0 ? history[history.length - 1].to : document.status;
+  }
+
+  /**
+   * Who submitted the document for approval. Documents never submitted
+   * through the workflow count as submitted by their creator.
+   * @param {Object} document
+   * @param {import('../types/invoice.js').ApprovalHistoryEntry[]} history
+   * @returns {{id: string|null, name: string|null}}
+   */
+  getSubmitter(document, history = []) {
+    const submission = [...history].reverse().find(entry => entry.action === APPROVAL_ACTIONS.SUBMIT);
+    return submission ? submission.user : { id: null, name: document.submittedBy || document.createdBy || null };
+  }
+
+  /**
+   * Count critical discrepancies of a document that are still open: critical
+   * validation results whose case is not closed, and open critical cases.
+   * @param {Object} document
+   * @param {import('../types/validation.js').ValidationResult[]} results
+   * @param {import('../types/validation.js').DiscrepancyCase[]} cases
+   * @returns {number}
+   */
+  countOpenCriticalDiscrepancies(document, results = [], cases = []) {
+    const recordId = String(document.id);
+    const criticalCases = cases.filter(caseItem =>
+      String(caseItem.recordId) === recordId && caseItem.severity === SEVERITY_LEVELS.CRITICAL);
+    const closedSources = new Set(criticalCases
+      .filter(caseItem => CLOSED_CASE_STATUSES.includes(caseItem.status))
+      .map(caseItem => caseItem.sourceId));
+
+    const openResults = results.filter(result =>
+      String(result.recordId) === recordId &&
+      result.severity === SEVERITY_LEVELS.CRITICAL &&
+      !closedSources.has(result.id) &&
+      !closedSources.has(`alert_${result.id}`));
+    const resultSources = new Set(openResults.flatMap(result => [result.id, `alert_${result.id}`]));
+
+    const openCases = criticalCases.filter(caseItem =>
+      !CLOSED_CASE_STATUSES.includes(caseItem.status) && !resultSources.has(caseItem.sourceId));
+
+    return openResults.length + openCases.length;
+  }
+
+  /**
+   * Workflow column value for a status
+   * @param {string} status
+   * @param {number} [openCriticalCount=0]
+   * @returns {string}
+   */
+  getWorkflowStage(status, openCriticalCount = 0) {
+    switch (status) {
+      case APPROVAL_STATUSES.APPROVED:
+        return WORKFLOW_STAGES.APPROVED;
+      case APPROVAL_STATUSES.REJECTED:
+        return WORKFLOW_STAGES.REJECTED;
+      case APPROVAL_STATUSES.PROCESSED:
+        return WORKFLOW_STAGES.PROCESSED;
+      default:
+        return openCriticalCount > 0 ? WORKFLOW_STAGES.REVIEW_REQUIRED : WORKFLOW_STAGES.PENDING_APPROVAL;
+    }
+  }
+
+  /**
+   * Why a user may not take an action on a document
+   * @param {Object} document
+   * @param {string} action
+   * @param {Object} context
+   * @param {{id: string, name: string, role: string}} context.user - Acting user
+   * @param {import('../types/invoice.js').ApprovalHistoryEntry[]} [context.history]
+   * @param {number} [context.openCriticalCount=0]
+   * @returns {string|null} Reason the action is blocked, or null if it is allowed
+   */
+  getBlockingReason(document, action, { user, history = [], openCriticalCount = 0 }) {
+    const transition = APPROVAL_TRANSITIONS[action];
+    if (!transition) {
+      return `Unknown workflow action: ${action}`;
+    }
+
+    const status = this.getCurrentStatus(document, history);
+    if (!transition.from.includes(status)) {
+      return `Cannot ${action} a document that is ${status}`;
+    }
+    if (!user || !transition.roles.includes(user.role)) {
+      return `Role ${user?.role || 'unknown'} is not allowed to ${action} documents`;
+    }
+    if (CHECKER_ACTIONS.includes(action) && isSameUser(user, this.getSubmitter(document, history))) {
+      return `You cannot ${action} a document you submitted`;
+    }
+    if (action === APPROVAL_ACTIONS.APPROVE && openCriticalCount > 0) {
+      return `Cannot approve while ${openCriticalCount} critical discrepancies are open`;
+    }
+    return null;
+  }
+
+  /**
+   * Actions a user can see for a document at its current status, with the
+   * reason each one is blocked (null if allowed)
+   * @param {Object} document
+   * @param {Object} context - See getBlockingReason
+   * @returns {Array<{action: string, blockedReason: string|null}>}
+   */
+  getAvailableActions(document, context) {
+    const status = this.getCurrentStatus(document, context.history);
+    return Object.entries(APPROVAL_TRANSITIONS)
+      .filter(([, transition]) => transition.from.includes(status) && transition.roles.includes(context.user?.role))
+      .map(([action]) => ({ action, blockedReason: this.getBlockingReason(document, action, context) }));
+  }
+
+  /**
+   * Take a workflow action and record it in the document's history
+   * @param {string} documentType
+   * @param {Object} document
+   * @param {string} action
+   * @param {Object} context - See getBlockingReason
+   * @param {string} [context.reason] - Required when rejecting
+   * @returns {import('../types/invoice.js').ApprovalHistoryEntry} Recorded entry
+   */
+  transition(documentType, document, action, { user, reason = '', openCriticalCount = 0 }) {
+    const key = this.getDocumentKey(documentType, document.id);
+    const allHistory = this.getAllHistory();
+    const history = allHistory[key] || [];
+
+    const blockedReason = this.getBlockingReason(document, action, { user, history, openCriticalCount });
+    if (blockedReason) {
+      throw new Error(blockedReason);
+    }
+    if (action === APPROVAL_ACTIONS.REJECT && !reason.trim()) {
+      throw new Error('A rejection reason is required');
+    }
+
+    const entry = {
+      id: `transition_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      documentType,
+      documentId: String(document.id),
+      action,
+      from: this.getCurrentStatus(document, history),
+      to: APPROVAL_TRANSITIONS[action].to,
+      user: { id: String(user.id), name: user.name, role: user.role },
+      reason: reason.trim() || null,
+      at: new Date().toISOString()
+    };
+
+    this.storeHistory({ ...allHistory, [key]: [...history, entry] });
+    return entry;
+  }
+}
+
+// Export singleton instance
+export default new ApprovalWorkflowService();
@@ -169,6 +169,23 @@ class AuditService {
     });
   }
 
+  /**
+   * Log changes made to invoice data, with the values before and after
+   * @param {string} userId - User ID
+   * @param {string} action - Data change action
+   * @param {Object} details - Additional details, including before and after values
+   */
+  async logDataChangeEvent(userId, action, details = {}) {
+    await this.logEvent({
+      userId,
+      action,
+      module: 'data_change',
+      severity: 'warning',
+      details: JSON.stringify(details),
+      description: this.getDataChangeDescription(action, details)
+    });
+  }
+
   /**
    * Log security events
    * @param {string} userId - User ID (if applicable)
@@ -377,6 +394,21 @@ class AuditService {
     }
   }
 
+  /**
+   * Get data change event description
+   * @private
+   */
+  getDataChangeDescription(action, details) {
+    switch (action) {
+      case 'APPLY_CORRECTION':
+        return `Applied correction to invoice ${details.invoiceNumber || details.recordId || 'unknown'}: ${Object.keys(details.after || {}).join(', ')}`;
+      case 'WORKFLOW_TRANSITION':
+        return `${details.action} ${details.documentType} ${details.documentNumber || details.documentId}: ${details.from} to ${details.to}${details.reason ? ` (${details.reason})` : ''}`;
+      default:
+        return `Data change event: ${action}`;
+    }
+  }
+
   /**
    * Get configuration event description
    * @private
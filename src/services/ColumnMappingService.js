@@ -0,0 +1,190 @@
+/**
+ * ColumnMappingService
+ *
+ * Stores named CSV column-mapping profiles per distributor and finds the
+ * profile to apply when a file with known headers is uploaded again.
+ */
+
+import { CSV_COLUMN_MAPPINGS, MAPPABLE_INVOICE_FIELDS } from '../types/invoice.js';
+
+const STORAGE_KEY = 'fileProcessing_columnMappingProfiles';
+
+/**
+ * Column mapping service class
+ */
+export class ColumnMappingService {
+  constructor(storageKey = STORAGE_KEY) {
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * Normalize a header for comparison
+   * @param {string} header
+   * @returns {string}
+   */
+  normalizeHeader(header) {
+    return String(header || '').toLowerCase().trim().replace(/\s+/g, '_');
+  }
+
+  /**
+   * Order-independent signature of a header row
+   * @param {string[]} headers
+   * @returns {string}
+   */
+  getHeaderSignature(headers = []) {
+    return headers
+      .map(header => this.normalizeHeader(header))
+      .filter(Boolean)
+      .sort()
+      .join('|');
+  }
+
+  /**
+   * Load saved profiles
+   * @returns {import('../types/invoice.js').ColumnMappingProfile[]}
+   */
+  getProfiles() {
+    try {
+      const profiles = localStorage.getItem(this.storageKey);
+      return profiles ? JSON.parse(profiles) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Persist profiles
+   * @param {import('../types/invoice.js').ColumnMappingProfile[]} profiles
+   */
+  storeProfiles(profiles) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(profiles));
+    } catch (error) {
+      console.error('Failed to save column mapping profiles:', error);
+    }
+  }
+
+  /**
+   * Create or update a profile. A profile with the same distributor and
+   * header signature is replaced.
+   * @param {Object} profile
+   * @returns {import('../types/invoice.js').ColumnMappingProfile} Saved profile
+   */
+  saveProfile(profile) {
+    if (!profile.name || !profile.name.trim()) {
+      throw new Error('Mapping profile name is required');
+    }
+    if (!profile.mappings || profile.mappings.length === 0) {
+      throw new Error('Mapping profile must map at least one field');
+    }
+
+    const profiles = this.getProfiles();
+    const signature = this.getHeaderSignature(profile.headers);
+    const distributorCode = (profile.distributorCode || '').trim();
+    const existing = profiles.find(p =>
+      p.id === profile.id ||
+      (p.distributorCode === distributorCode && this.getHeaderSignature(p.headers) === signature)
+    );
+    const now = new Date().toISOString();
+
+    const saved = {
+      id: existing?.id || profile.id || `mapping_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      name: profile.name.trim(),
+      distributorCode,
+      headers: [...(profile.headers || [])],
+      mappings: profile.mappings.map(mapping => ({ ...mapping })),
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    this.storeProfiles([...profiles.filter(p => p !== existing), saved]);
+    return saved;
+  }
+
+  /**
+   * Delete a profile
+   * @param {string} profileId
+   * @returns {boolean} True if a profile was removed
+   */
+  deleteProfile(profileId) {
+    const profiles = this.getProfiles();
+    const remaining = profiles.filter(p => p.id !== profileId);
+    this.storeProfiles(remaining);
+    return remaining.length !== profiles.length;
+  }
+
+  /**
+   * Find the profile saved for a header row. When several distributors share
+   * the same layout, the one for the given distributor (or the most recently
+   * updated) wins.
+   * @param {string[]} headers
+   * @param {import('../types/invoice.js').ColumnMappingProfile[]} [profiles]
+   * @param {string} [distributorCode]
+   * @returns {import('../types/invoice.js').ColumnMappingProfile|null}
+   */
+  findProfileForHeaders(headers, profiles = this.getProfiles(), distributorCode = '') {
+    const signature = this.getHeaderSignature(headers);
+    if (!signature) {
+      return null;
+    }
+
+    const candidates = profiles
+      .filter(p => this.getHeaderSignature(p.headers) === signature)
+      .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+
+    return candidates.find(p => distributorCode && p.distributorCode === distributorCode) ||
+      candidates[0] ||
+      null;
+  }
+
+  /**
+   * Suggest mappings for a header row using the standard header variations
+   * @param {string[]} headers
+   * @returns {import('../types/invoice.js').ColumnMapping[]}
+   */
+  suggestMappings(headers = []) {
+    const mappings = [];
+
+    Object.keys(MAPPABLE_INVOICE_FIELDS).forEach(field => {
+      const variations = [
+        this.normalizeHeader(field),
+        ...(CSV_COLUMN_MAPPINGS.standard[field] || [])
+      ];
+      const source = headers.find(header => variations.includes(this.normalizeHeader(header)));
+      if (source) {
+        mappings.push({ field, source });
+      }
+    });
+
+    return mappings;
+  }
+
+  /**
+   * Source columns no mapping reads from, which would be dropped on import
+   * @param {string[]} headers
+   * @param {import('../types/invoice.js').ColumnMapping[]} mappings
+   * @returns {string[]}
+   */
+  getUnmappedHeaders(headers = [], mappings = []) {
+    const sources = new Set(mappings.filter(m => m.source).map(m => m.source));
+    return headers.filter(header => String(header ?? '').trim() && !sources.has(header));
+  }
+
+  /**
+   * Required fields not covered by a set of mappings
+   * @param {import('../types/invoice.js').ColumnMapping[]} mappings
+   * @returns {string[]}
+   */
+  getMissingRequiredFields(mappings = []) {
+    const mapped = new Set(mappings
+      .filter(m => m.source || (m.constant !== undefined && m.constant !== ''))
+      .map(m => m.field));
+
+    return Object.entries(MAPPABLE_INVOICE_FIELDS)
+      .filter(([field, definition]) => definition.required && !mapped.has(field))
+      .map(([field]) => field);
+  }
+}
+
+// Export singleton instance
+export default new ColumnMappingService();
@@ -0,0 +1,143 @@
+/**
+ * CorrectionService
+ *
+ * Turns validation results into proposed fixes (set the field to the
+ * recalculated value) and applies the fixes reviewers accepted to invoice
+ * records, producing a before/after change for each corrected record.
+ */
+
+import {
+  CORRECTABLE_FIELDS,
+  CORRECTION_STATUSES
+} from '../types/validation.js';
+
+/**
+ * Correction service class
+ */
+export class CorrectionService {
+  /**
+   * Proposal id for a record field
+   * @param {string} recordId
+   * @param {string} field
+   * @returns {string}
+   */
+  getProposalId(recordId, field) {
+    return `${recordId}:${field}`;
+  }
+
+  /**
+   * Propose fixes for the results that have a recalculated value for a
+   * correctable record field
+   * @param {import('../types/validation.js').ValidationResult[]} results - Validation results
+   * @param {Object[]} records - Records the results belong to
+   * @returns {import('../types/validation.js').CorrectionProposal[]}
+   */
+  proposeCorrections(results, records) {
+    const recordsById = new Map(records.map(record => [record.id, record]));
+    const proposals = new Map();
+    const createdAt = new Date().toISOString();
+
+    results.forEach(result => {
+      const record = recordsById.get(result.recordId);
+      if (!record || !CORRECTABLE_FIELDS.includes(result.field) || result.ruleId) {
+        return;
+      }
+      if (typeof result.calculatedValue !== 'number' || !Number.isFinite(result.calculatedValue)) {
+        return;
+      }
+      if (Number(record[result.field]) === result.calculatedValue) {
+        return;
+      }
+
+      const id = this.getProposalId(record.id, result.field);
+      if (proposals.has(id)) {
+        return;
+      }
+
+      proposals.set(id, {
+        id,
+        recordId: record.id,
+        invoiceNumber: record.invoiceNumber || record.invNo || '',
+        field: result.field,
+        currentValue: record[result.field] ?? null,
+        proposedValue: result.calculatedValue,
+        severity: result.severity,
+        reason: result.message,
+        status: CORRECTION_STATUSES.PROPOSED,
+        createdAt,
+        reviewedAt: null,
+        reviewedBy: null,
+        appliedAt: null
+      });
+    });
+
+    return [...proposals.values()];
+  }
+
+  /**
+   * Combine regenerated proposals with existing ones. Applied proposals are
+   * kept as history, and a review decision carries over while the proposed
+   * value is unchanged.
+   * @param {import('../types/validation.js').CorrectionProposal[]} existing
+   * @param {import('../types/validation.js').CorrectionProposal[]} generated
+   * @returns {import('../types/validation.js').CorrectionProposal[]}
+   */
+  mergeProposals(existing, generated) {
+    const previous = new Map(
+      existing
+        .filter(proposal => proposal.status !== CORRECTION_STATUSES.APPLIED)
+        .map(proposal => [proposal.id, proposal])
+    );
+
+    const merged = generated.map(proposal => {
+      const earlier = previous.get(proposal.id);
+      return earlier && earlier.proposedValue === proposal.proposedValue ? earlier : proposal;
+    });
+
+    return [...existing.filter(proposal => proposal.status === CORRECTION_STATUSES.APPLIED), ...merged];
+  }
+
+  /**
+   * Apply accepted proposals to records
+   * @param {import('../types/validation.js').CorrectionProposal[]} proposals - Proposals to apply; only accepted ones are used
+   * @param {Object[]} records - Current records
+   * @returns {{changes: Array<{recordId: string, invoiceNumber: string, proposalIds: string[], before: Object, after: Object}>, records: Object[]}}
+   *   One change per corrected record, and the corrected records
+   */
+  applyCorrections(proposals, records) {
+    const recordsById = new Map(records.map(record => [record.id, record]));
+    const changes = new Map();
+
+    proposals
+      .filter(proposal => proposal.status === CORRECTION_STATUSES.ACCEPTED)
+      .forEach(proposal => {
+        const record = recordsById.get(proposal.recordId);
+        if (!record) {
+          return;
+        }
+
+        if (!changes.has(record.id)) {
+          changes.set(record.id, {
+            recordId: record.id,
+            invoiceNumber: proposal.invoiceNumber,
+            proposalIds: [],
+            before: {},
+            after: {}
+          });
+        }
+
+        const change = changes.get(record.id);
+        change.proposalIds.push(proposal.id);
+        change.before[proposal.field] = record[proposal.field] ?? null;
+        change.after[proposal.field] = proposal.proposedValue;
+      });
+
+    return {
+      changes: [...changes.values()],
+      records: [...changes.values()].map(change => ({ ...recordsById.get(change.recordId), ...change.after }))
+    };
+  }
+}
+
+// Export singleton instance
+export default new CorrectionService();
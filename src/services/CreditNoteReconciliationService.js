@@ -0,0 +1,192 @@
+/**
+ * CreditNoteReconciliationService
+ *
+ * Links credit notes back to the invoices they credit and checks that the
+ * credited quantity, amount and VAT stay consistent with the original
+ * invoice line, cumulatively across all credit notes raised against it.
+ */
+
+import { FinancialCalculations } from '../utils/FinancialCalculations.js';
+import {
+  DEFAULT_VALIDATION_CONFIG,
+  SEVERITY_LEVELS,
+  VALIDATION_FIELDS,
+  createEmptyValidationResult
+} from '../types/validation.js';
+
+// Credit notes in these statuses do not count toward credited totals
+const IGNORED_CREDIT_NOTE_STATUSES = ['REJECTED'];
+
+/**
+ * Credit note reconciliation service
+ */
+export class CreditNoteReconciliationService {
+  constructor(tolerances = DEFAULT_VALIDATION_CONFIG.tolerances) {
+    this.tolerances = { ...DEFAULT_VALIDATION_CONFIG.tolerances, ...tolerances };
+  }
+
+  /**
+   * Invoice number a credit note refers to
+   * @param {Object} creditNote
+   * @returns {string}
+   */
+  getOriginalInvoiceNumber(creditNote) {
+    return String(creditNote.relatedInvoice || creditNote.originalInvNo || creditNote.invNo || '').trim();
+  }
+
+  /**
+   * Matching key for an invoice line
+   * @param {string} invNo
+   * @param {Object} line - Invoice or credit note line
+   * @returns {string}
+   */
+  buildKey(invNo, line) {
+    return [invNo, line.customerCode || '', line.productCode || '']
+      .map(part => String(part).trim().toUpperCase())
+      .join('|');
+  }
+
+  /**
+   * Quantity in base units
+   * @param {Object} line
+   * @returns {number}
+   */
+  getBaseQuantity(line) {
+    return (Number(line.quantity) || 0) * (Number(line.uomConvFactor) || 1);
+  }
+
+  /**
+   * Reconcile credit notes against original invoices
+   * @param {Object[]} invoices - Invoice lines
+   * @param {Object[]} creditNotes - Credit note lines
+   * @returns {{
+   *   results: import('../types/validation.js').ValidationResult[],
+   *   matches: Array<{creditNoteId: string|number, invoiceId: string|number}>,
+   *   balances: Object<string, Object>,
+   *   summary: {totalCreditNotes: number, matched: number, orphans: number, overCredits: number, vatMismatches: number}
+   * }}
+   */
+  reconcile(invoices = [], creditNotes = []) {
+    const results = [];
+    const matches = [];
+    const balances = {};
+    const summary = { totalCreditNotes: creditNotes.length, matched: 0, orphans: 0, overCredits: 0, vatMismatches: 0 };
+
+    const invoiceIndex = new Map();
+    invoices.forEach(invoice => {
+      invoiceIndex.set(this.buildKey(invoice.invNo, invoice), invoice);
+    });
+
+    // Apply credit notes in the order they were raised
+    const ordered = creditNotes
+      .filter(note => !IGNORED_CREDIT_NOTE_STATUSES.includes(String(note.status || '').toUpperCase()))
+      .sort((a, b) => Date.parse(a.createDate || a.invoiceDate || 0) - Date.parse(b.createDate || b.invoiceDate || 0));
+
+    ordered.forEach(note => {
+      const invNo = this.getOriginalInvoiceNumber(note);
+      const invoice = invoiceIndex.get(this.buildKey(invNo, note));
+
+      if (!invoice) {
+        summary.orphans++;
+        results.push({
+          ...createEmptyValidationResult(note.id, VALIDATION_FIELDS.INVOICE_NUMBER),
+          originalValue: invNo,
+          calculatedValue: '',
+          severity: SEVERITY_LEVELS.HIGH,
+          message: `Orphan credit note ${note.invNo}: no invoice ${invNo} for customer ${note.customerCode} and product ${note.productCode}`
+        });
+        return;
+      }
+
+      summary.matched++;
+      matches.push({ creditNoteId: note.id, invoiceId: invoice.id });
+
+      const balance = balances[invoice.id] || (balances[invoice.id] = {
+        invoiceId: invoice.id,
+        invNo: invoice.invNo,
+        originalQuantity: this.getBaseQuantity(invoice),
+        originalAmount: Number(invoice.netAmount) || 0,
+        creditedQuantity: 0,
+        creditedAmount: 0,
+        creditNoteIds: []
+      });
+
+      balance.creditedQuantity += this.getBaseQuantity(note);
+      balance.creditedAmount = FinancialCalculations.applyRounding(balance.creditedAmount + (Number(note.netAmount) || 0), 2);
+      balance.creditNoteIds.push(note.id);
+
+      const noteResults = [
+        this.checkOverCredit(note, invoice, VALIDATION_FIELDS.QUANTITY, balance.creditedQuantity, balance.originalQuantity, 0),
+        this.checkOverCredit(note, invoice, VALIDATION_FIELDS.NET_AMOUNT, balance.creditedAmount, balance.originalAmount, this.tolerances.totalCalculation),
+        this.checkVat(note, invoice)
+      ].filter(Boolean);
+
+      if (noteResults.some(result => result.field !== VALIDATION_FIELDS.VAT_AMOUNT)) {
+        summary.overCredits++;
+      }
+      if (noteResults.some(result => result.field === VALIDATION_FIELDS.VAT_AMOUNT)) {
+        summary.vatMismatches++;
+      }
+
+      results.push(...noteResults);
+    });
+
+    return { results, matches, balances, summary };
+  }
+
+  /**
+   * Report a cumulative credit that exceeds the original invoice
+   * @returns {import('../types/validation.js').ValidationResult|null}
+   */
+  checkOverCredit(note, invoice, field, credited, original, tolerance) {
+    const overage = FinancialCalculations.applyRounding(credited - original, 2);
+    if (overage <= tolerance) {
+      return null;
+    }
+
+    return {
+      ...createEmptyValidationResult(note.id, field),
+      originalValue: credited,
+      calculatedValue: original,
+      discrepancy: field === VALIDATION_FIELDS.NET_AMOUNT ? overage : 0,
+      discrepancyPercentage: FinancialCalculations.calculatePercentageDifference(original, credited),
+      severity: SEVERITY_LEVELS.CRITICAL,
+      message: `Over-credit on invoice ${invoice.invNo}: credited ${field === VALIDATION_FIELDS.QUANTITY ? 'quantity' : 'amount'} ${credited} exceeds original ${original} by ${overage}`,
+      relatedRecordId: invoice.id
+    };
+  }
+
+  /**
+   * Check the credit note VAT against the original invoice's VAT rate
+   * @returns {import('../types/validation.js').ValidationResult|null}
+   */
+  checkVat(note, invoice) {
+    const invoiceNet = Number(invoice.netAmount) || 0;
+    if (invoiceNet === 0 || note.vatTaxAmount === undefined || note.vatTaxAmount === null) {
+      return null;
+    }
+
+    const ratio = (Number(invoice.vatTaxAmount) || 0) / invoiceNet;
+    const expectedVat = FinancialCalculations.applyRounding((Number(note.netAmount) || 0) * ratio, 2);
+    const actualVat = Number(note.vatTaxAmount) || 0;
+    const discrepancy = FinancialCalculations.applyRounding(Math.abs(actualVat - expectedVat), 2);
+
+    if (discrepancy <= this.tolerances.taxCalculation) {
+      return null;
+    }
+
+    return {
+      ...createEmptyValidationResult(note.id, VALIDATION_FIELDS.VAT_AMOUNT),
+      originalValue: actualVat,
+      calculatedValue: expectedVat,
+      discrepancy,
+      discrepancyPercentage: FinancialCalculations.calculatePercentageDifference(actualVat, expectedVat),
+      severity: SEVERITY_LEVELS.MEDIUM,
+      message: `Credit note VAT does not match invoice ${invoice.invNo} VAT rate: Expected ${expectedVat}, found ${actualVat}`,
+      relatedRecordId: invoice.id
+    };
+  }
+}
+
+// Export singleton instance
+export default new CreditNoteReconciliationService();
@@ -0,0 +1,188 @@
+/**
+ * CurrencyValidator Service
+ *
+ * Holds the exchange-rate master and checks invoice currencies: the currency
+ * must be allowed for the invoice's distributor, and amounts in any other
+ * currency than the base currency must be convertible on the invoice date so
+ * summaries and reports can be totalled in the base currency.
+ */
+
+import { BASE_CURRENCY } from '../types/invoice.js';
+import {
+  SEVERITY_LEVELS,
+  VALIDATION_FIELDS,
+  createEmptyValidationResult
+} from '../types/validation.js';
+
+/**
+ * Normalize an exchange rate from the master data import format
+ * @param {Object} rate - Raw exchange rate record
+ * @returns {import('../types/validation.js').ExchangeRate|null} Null when the record is incomplete
+ */
+export const normalizeExchangeRate = (rate) => {
+  const fromCurrency = String(rate?.fromCurrency || '').trim().toUpperCase();
+  const toCurrency = String(rate?.toCurrency || '').trim().toUpperCase();
+  const value = Number(rate?.rate);
+  const effectiveDate = String(rate?.effectiveDate || '').trim();
+
+  if (!fromCurrency || !toCurrency || !(value > 0) || isNaN(Date.parse(effectiveDate))) {
+    return null;
+  }
+
+  return { fromCurrency, toCurrency, rate: value, effectiveDate };
+};
+
+/**
+ * Currency of a record; records without one are in the base currency
+ * @param {Object} record - Invoice record
+ * @param {string} [baseCurrency]
+ * @returns {string}
+ */
+export const getRecordCurrency = (record, baseCurrency = BASE_CURRENCY) =>
+  String(record?.currency || baseCurrency).trim().toUpperCase();
+
+/**
+ * Validates invoice currencies and converts amounts with the exchange-rate master
+ */
+export class CurrencyValidator {
+  constructor(rates = []) {
+    this.rates = new Map();
+    this.setRates(rates);
+  }
+
+  /**
+   * Replace the exchange-rate master
+   * @param {Object[]} rates - Exchange rate records
+   */
+  setRates(rates = []) {
+    this.rates = new Map();
+    rates.forEach(rate => {
+      const normalized = normalizeExchangeRate(rate);
+      if (!normalized) return;
+
+      const pair = `${normalized.fromCurrency}/${normalized.toCurrency}`;
+      if (!this.rates.has(pair)) {
+        this.rates.set(pair, []);
+      }
+      this.rates.get(pair).push(normalized);
+    });
+
+    // Oldest first, so the rate for a date is the last one not after it
+    this.rates.forEach(pairRates => pairRates.sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate)));
+  }
+
+  /**
+   * Whether an exchange-rate master has been loaded
+   * @returns {boolean}
+   */
+  hasRates() {
+    return this.rates.size > 0;
+  }
+
+  /**
+   * Rate of a pair in effect on a date
+   * @param {string} pair - 'FROM/TO'
+   * @param {string} [date] - Invoice date; the latest rate is used when missing
+   * @returns {number|null}
+   */
+  findPairRate(pair, date) {
+    const pairRates = this.rates.get(pair);
+    if (!pairRates) {
+      return null;
+    }
+
+    const day = date && !isNaN(Date.parse(date)) ? String(date).slice(0, 10) : null;
+    const effective = day
+      ? pairRates.filter(rate => rate.effectiveDate <= day).pop()
+      : pairRates[pairRates.length - 1];
+    return effective ? effective.rate : null;
+  }
+
+  /**
+   * Units of one currency per unit of another on a date. Inverse pairs are
+   * used when only the opposite direction was imported.
+   * @param {string} fromCurrency
+   * @param {string} toCurrency
+   * @param {string} [date]
+   * @returns {number|null} Null when no rate was in effect
+   */
+  getRate(fromCurrency, toCurrency, date) {
+    const from = String(fromCurrency).toUpperCase();
+    const to = String(toCurrency).toUpperCase();
+    if (from === to) {
+      return 1;
+    }
+
+    const direct = this.findPairRate(`${from}/${to}`, date);
+    if (direct !== null) {
+      return direct;
+    }
+
+    const inverse = this.findPairRate(`${to}/${from}`, date);
+    return inverse !== null ? 1 / inverse : null;
+  }
+
+  /**
+   * Convert an amount between currencies
+   * @param {number} amount
+   * @param {string} fromCurrency
+   * @param {string} toCurrency
+   * @param {string} [date]
+   * @returns {number|null} Unrounded amount, or null when no rate was in effect
+   */
+  convert(amount, fromCurrency, toCurrency, date) {
+    const rate = this.getRate(fromCurrency, toCurrency, date);
+    return rate === null ? null : amount * rate;
+  }
+
+  /**
+   * Currencies a record's distributor may invoice in
+   * @param {Object} record - Invoice record
+   * @param {Object} settings - Currency config section
+   * @returns {string[]} Allowed codes, empty when any currency is allowed
+   */
+  getAllowedCurrencies(record, settings = {}) {
+    const distributorCode = record.distCode || record.distributorCode;
+    const distributorCurrencies = settings.distributorCurrencies || {};
+    const allowed = distributorCode && distributorCurrencies[distributorCode]
+      ? distributorCurrencies[distributorCode]
+      : settings.allowedCurrencies || [];
+    return allowed.map(code => String(code).toUpperCase());
+  }
+
+  /**
+   * Validate a record's currency
+   * @param {Object} record - Invoice record
+   * @param {Object} settings - Currency config section
+   * @returns {import('../types/validation.js').ValidationResult[]}
+   */
+  validate(record, settings = {}) {
+    const baseCurrency = settings.baseCurrency || BASE_CURRENCY;
+    const currency = getRecordCurrency(record, baseCurrency);
+    const allowed = this.getAllowedCurrencies(record, settings);
+    const distributorCode = record.distCode || record.distributorCode;
+
+    if (allowed.length > 0 && !allowed.includes(currency)) {
+      return [{
+        ...createEmptyValidationResult(record.id, VALIDATION_FIELDS.CURRENCY),
+        originalValue: currency,
+        calculatedValue: allowed.join(', '),
+        severity: SEVERITY_LEVELS.HIGH,
+        message: `Currency ${currency} is not allowed${distributorCode ? ` for distributor ${distributorCode}` : ''} (allowed: ${allowed.join(', ')})`
+      }];
+    }
+
+    const date = record.invoiceDate ?? record.date;
+    if (this.getRate(currency, baseCurrency, date) === null) {
+      return [{
+        ...createEmptyValidationResult(record.id, VALIDATION_FIELDS.CURRENCY),
+        originalValue: currency,
+        calculatedValue: baseCurrency,
+        severity: SEVERITY_LEVELS.MEDIUM,
+        message: `No ${currency}/${baseCurrency} exchange rate in effect on ${date || 'the invoice date'}: amounts cannot be converted to ${baseCurrency}`
+      }];
+    }
+
+    return [];
+  }
+}
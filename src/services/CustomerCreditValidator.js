@@ -0,0 +1,344 @@
+/**
+ * CustomerCreditValidator Service
+ *
+ * Checks invoices against the Customer master: customer status, credit limit
+ * exposure (open invoices plus the current batch), due dates derived from
+ * the customer's payment term code and the customer's tax ID and branch on
+ * full tax invoices.
+ */
+
+import { FinancialCalculations } from '../utils/FinancialCalculations.js';
+import { TaxIdValidator } from '../utils/TaxIdValidator.js';
+import { TAX_INVOICE_TYPES } from '../types/invoice.js';
+import {
+  CUSTOMER_STATUSES,
+  SEVERITY_LEVELS,
+  VALIDATION_FIELDS,
+  createEmptyValidationResult
+} from '../types/validation.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Severity raised for invoices issued to customers in a non-active status
+const STATUS_SEVERITY = {
+  [CUSTOMER_STATUSES.SUSPENDED]: SEVERITY_LEVELS.CRITICAL,
+  [CUSTOMER_STATUSES.INACTIVE]: SEVERITY_LEVELS.HIGH,
+  [CUSTOMER_STATUSES.PENDING]: SEVERITY_LEVELS.MEDIUM
+};
+
+/**
+ * Normalize a customer from either the Prisma model (code/status) or the
+ * master data import format (customerCode)
+ * @param {Object} customer - Raw customer record
+ * @returns {Object|null} Normalized customer
+ */
+export const normalizeCustomer = (customer) => {
+  const code = customer?.code ?? customer?.customerCode;
+  if (!code) {
+    return null;
+  }
+
+  let status = String(customer.status || '').toUpperCase();
+  if (!Object.values(CUSTOMER_STATUSES).includes(status)) {
+    status = customer.isActive === false ? CUSTOMER_STATUSES.INACTIVE : CUSTOMER_STATUSES.ACTIVE;
+  }
+
+  const creditLimit = Number(customer.creditLimit);
+
+  return {
+    code: String(code).trim(),
+    name: customer.name ?? customer.customerName ?? '',
+    status,
+    creditLimit: creditLimit > 0 ? creditLimit : null,
+    invTermCode: customer.invTermCode ? String(customer.invTermCode).trim() : '',
+    segment: customer.customerHier3 ? String(customer.customerHier3).trim() : '',
+    taxId: TaxIdValidator.normalizeTaxId(customer.taxRegNo ?? customer.taxId),
+    branchCode: TaxIdValidator.normalizeBranchCode(customer.branchCode)
+  };
+};
+
+/**
+ * Whether a record is a full tax invoice: VAT is charged and it is not
+ * marked as an abbreviated tax invoice
+ * @param {Object} record - Invoice record
+ * @returns {boolean}
+ */
+export const isFullTaxInvoice = (record) =>
+  record.taxInvoiceType !== TAX_INVOICE_TYPES.ABBREVIATED &&
+  Number(record.vatTaxAmount ?? record.taxAmount) > 0;
+
+/**
+ * Amount an invoice adds to customer exposure
+ * @param {Object} invoice
+ * @returns {number}
+ */
+export const getInvoiceExposure = (invoice) => {
+  const amount = invoice.newTotalNetAmount ?? invoice.totalNetAmount ?? invoice.totalAmount;
+  return Number(amount) || 0;
+};
+
+/**
+ * Validates invoices against customer master data
+ */
+export class CustomerCreditValidator {
+  constructor(customers = []) {
+    this.customers = new Map();
+    this.openExposure = new Map();
+    this.openInvoiceIds = new Set();
+    this.setCustomers(customers);
+  }
+
+  /**
+   * Replace the customer master
+   * @param {Object[]} customers - Customer master records
+   */
+  setCustomers(customers = []) {
+    this.customers = new Map();
+    customers.forEach(customer => {
+      const normalized = normalizeCustomer(customer);
+      if (normalized) {
+        this.customers.set(normalized.code, normalized);
+      }
+    });
+  }
+
+  /**
+   * Replace the previously stored open invoices counted toward exposure
+   * @param {Object[]} invoices - Stored invoices
+   * @param {string[]} openStatuses - Invoice statuses that are still open
+   */
+  setOpenInvoices(invoices = [], openStatuses = []) {
+    this.openExposure = new Map();
+    this.openInvoiceIds = new Set();
+
+    invoices.forEach(invoice => {
+      if (!invoice?.customerCode) return;
+      if (invoice.status && openStatuses.length > 0 && !openStatuses.includes(String(invoice.status).toUpperCase())) {
+        return;
+      }
+
+      this.openInvoiceIds.add(invoice.id);
+      const customerCode = String(invoice.customerCode).trim();
+      this.openExposure.set(customerCode, (this.openExposure.get(customerCode) || 0) + getInvoiceExposure(invoice));
+    });
+  }
+
+  /**
+   * Whether a customer master has been loaded
+   * @returns {boolean}
+   */
+  hasCustomers() {
+    return this.customers.size > 0;
+  }
+
+  /**
+   * Look up a customer by code
+   * @param {string} customerCode
+   * @returns {Object|null}
+   */
+  getCustomer(customerCode) {
+    return customerCode ? this.customers.get(String(customerCode).trim()) || null : null;
+  }
+
+  /**
+   * Create exposure tracking for a batch. Stored invoices that are part of the
+   * batch are removed from the opening balance so they are not counted twice.
+   * @param {Object[]} records - Batch records
+   * @returns {Map<string, number>} Running exposure per customer code
+   */
+  createBatchExposure(records = []) {
+    const exposure = new Map(this.openExposure);
+
+    records.forEach(record => {
+      if (record?.customerCode && this.openInvoiceIds.has(record.id)) {
+        const customerCode = String(record.customerCode).trim();
+        exposure.set(customerCode, (exposure.get(customerCode) || 0) - getInvoiceExposure(record));
+      }
+    });
+
+    return exposure;
+  }
+
+  /**
+   * Resolve payment term days for a term code
+   * @param {string} termCode - Customer invTermCode
+   * @param {Object<string, number>} paymentTerms - Known term codes
+   * @returns {number|null} Days, or null when the code is unknown
+   */
+  resolveTermDays(termCode, paymentTerms = {}) {
+    if (!termCode) {
+      return null;
+    }
+
+    const code = termCode.toUpperCase();
+    if (paymentTerms[code] !== undefined) {
+      return Number(paymentTerms[code]);
+    }
+
+    // Codes such as 'NET30', 'CR45' or '030' carry the day count
+    const match = code.match(/(\d+)/);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  /**
+   * Validate a record against the customer master
+   * @param {Object} record - Invoice record
+   * @param {Object} context
+   * @param {Function} context.determineSeverity - Maps discrepancy percentage to severity
+   * @param {Object<string, number>} context.paymentTerms - Known term codes
+   * @param {Map<string, number>|null} context.exposure - Running batch exposure; null validates against stored invoices only
+   * @returns {import('../types/validation.js').ValidationResult[]}
+   */
+  validate(record, context) {
+    if (!record.customerCode) {
+      return [];
+    }
+
+    const customer = this.getCustomer(record.customerCode);
+    if (!customer) {
+      return [{
+        ...createEmptyValidationResult(record.id, VALIDATION_FIELDS.CUSTOMER_CODE),
+        originalValue: record.customerCode,
+        calculatedValue: '',
+        severity: SEVERITY_LEVELS.MEDIUM,
+        message: `Unknown customer ${record.customerCode}: not found in customer master`
+      }];
+    }
+
+    return [
+      this.checkStatus(record, customer),
+      this.checkCreditLimit(record, customer, context),
+      this.checkDueDate(record, customer, context)
+    ].filter(Boolean);
+  }
+
+  /**
+   * Report invoices issued to customers that are not active
+   * @returns {import('../types/validation.js').ValidationResult|null}
+   */
+  checkStatus(record, customer) {
+    if (customer.status === CUSTOMER_STATUSES.ACTIVE) {
+      return null;
+    }
+
+    return {
+      ...createEmptyValidationResult(record.id, VALIDATION_FIELDS.CUSTOMER_STATUS),
+      originalValue: customer.status,
+      calculatedValue: CUSTOMER_STATUSES.ACTIVE,
+      severity: STATUS_SEVERITY[customer.status],
+      message: `Invoice issued to ${customer.status.toLowerCase()} customer ${customer.code}`
+    };
+  }
+
+  /**
+   * Add the invoice to customer exposure and report a credit limit breach
+   * @returns {import('../types/validation.js').ValidationResult|null}
+   */
+  checkCreditLimit(record, customer, context) {
+    const exposureMap = context.exposure;
+    const previous = exposureMap
+      ? exposureMap.get(customer.code) || 0
+      : (this.openExposure.get(customer.code) || 0) - (this.openInvoiceIds.has(record.id) ? getInvoiceExposure(record) : 0);
+    const exposure = FinancialCalculations.applyRounding(previous + getInvoiceExposure(record), 2);
+
+    if (exposureMap) {
+      exposureMap.set(customer.code, exposure);
+    }
+
+    if (customer.creditLimit === null || exposure <= customer.creditLimit) {
+      return null;
+    }
+
+    const overage = FinancialCalculations.applyRounding(exposure - customer.creditLimit, 2);
+    const discrepancyPercentage = (overage / customer.creditLimit) * 100;
+
+    return {
+      ...createEmptyValidationResult(record.id, VALIDATION_FIELDS.CREDIT_LIMIT),
+      originalValue: exposure,
+      calculatedValue: customer.creditLimit,
+      discrepancy: overage,
+      discrepancyPercentage,
+      severity: context.determineSeverity(discrepancyPercentage),
+      message: `Credit limit exceeded for customer ${customer.code}: exposure ${exposure} over limit ${customer.creditLimit} by ${overage}`
+    };
+  }
+
+  /**
+   * Check the due date against the customer's payment term
+   * @returns {import('../types/validation.js').ValidationResult|null}
+   */
+  checkDueDate(record, customer, context) {
+    const termDays = this.resolveTermDays(customer.invTermCode, context.paymentTerms);
+    const invoiceDate = Date.parse(record.invoiceDate ?? record.date);
+    const dueDate = Date.parse(record.dueDate);
+
+    if (termDays === null || isNaN(invoiceDate) || isNaN(dueDate)) {
+      return null;
+    }
+
+    const actualDays = Math.round((dueDate - invoiceDate) / DAY_MS);
+    if (actualDays === termDays) {
+      return null;
+    }
+
+    const expectedDueDate = new Date(invoiceDate + termDays * DAY_MS).toISOString().split('T')[0];
+
+    return {
+      ...createEmptyValidationResult(record.id, VALIDATION_FIELDS.DUE_DATE),
+      originalValue: record.dueDate,
+      calculatedValue: expectedDueDate,
+      severity: actualDays > termDays ? SEVERITY_LEVELS.HIGH : SEVERITY_LEVELS.LOW,
+      message: `Due date does not match payment term ${customer.invTermCode} (${termDays} days): expected ${expectedDueDate}, found ${record.dueDate} (${actualDays} days)`
+    };
+  }
+
+  /**
+   * Check the customer's tax ID and branch code on a full tax invoice. The
+   * values printed on the invoice are used when the file carries them,
+   * otherwise the customer master's.
+   * @param {Object} record - Invoice record
+   * @returns {import('../types/validation.js').ValidationResult[]}
+   */
+  validateTaxId(record) {
+    if (!isFullTaxInvoice(record)) {
+      return [];
+    }
+
+    const customer = this.getCustomer(record.customerCode);
+    if (!record.customerTaxId && !customer) {
+      // Nothing to check without the customer master or a tax ID in the file
+      return [];
+    }
+
+    const customerLabel = record.customerCode ? ` for customer ${record.customerCode}` : '';
+    const taxId = TaxIdValidator.validateTaxId(record.customerTaxId || customer?.taxId, { required: true });
+    const branchCode = TaxIdValidator.validateBranchCode(record.customerBranchCode ?? customer?.branchCode);
+    const results = [];
+
+    if (!taxId.isValid) {
+      results.push({
+        ...createEmptyValidationResult(record.id, VALIDATION_FIELDS.CUSTOMER_TAX_ID),
+        originalValue: taxId.value,
+        calculatedValue: '',
+        severity: SEVERITY_LEVELS.HIGH,
+        message: taxId.value
+          ? `Invalid customer tax ID ${taxId.value}${customerLabel}: ${taxId.message}`
+          : `Full tax invoice is missing the customer's tax ID${customerLabel}`
+      });
+    }
+
+    if (!branchCode.isValid) {
+      results.push({
+        ...createEmptyValidationResult(record.id, VALIDATION_FIELDS.CUSTOMER_BRANCH_CODE),
+        originalValue: branchCode.value,
+        calculatedValue: '',
+        severity: SEVERITY_LEVELS.MEDIUM,
+        message: `Invalid customer branch code ${branchCode.value}${customerLabel}: ${branchCode.message}`
+      });
+    }
+
+    return results;
+  }
+}
+
+export default CustomerCreditValidator;
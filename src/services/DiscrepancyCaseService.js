@@ -0,0 +1,296 @@
+/**
+ * DiscrepancyCaseService
+ *
+ * Tracks discrepancies as cases: assignment to a user or distributor, a
+ * status lifecycle, threaded comments and SLA due dates by severity. Cases
+ * are persisted through DataService, so they keep working offline.
+ */
+
+import { DataService } from './DataService.js';
+import {
+  CASE_ASSIGNEE_TYPES,
+  CASE_SLA_HOURS,
+  CASE_SLA_STATES,
+  CASE_STATUSES,
+  CASE_STATUS_TRANSITIONS,
+  CLOSED_CASE_STATUSES,
+  SEVERITY_LEVELS
+} from '../types/validation.js';
+
+const STORAGE_KEY = 'discrepancy_cases';
+const HOUR_MS = 60 * 60 * 1000;
+
+const DATA_SERVICE_CONFIG = {
+  primarySource: 'localStorage',
+  fallbackSource: 'localStorage',
+  offlineMode: false,
+  syncEnabled: false
+};
+
+const createId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Arrange comments into threads of replies
+ * @param {import('../types/validation.js').CaseComment[]} comments - Comments, oldest first
+ * @returns {Array<import('../types/validation.js').CaseComment & {replies: Array}>} Top-level comments with nested replies
+ */
+export const buildCommentThreads = (comments = []) => {
+  const nodes = new Map(comments.map(comment => [comment.id, { ...comment, replies: [] }]));
+  const threads = [];
+
+  nodes.forEach(node => {
+    const parent = node.parentId ? nodes.get(node.parentId) : null;
+    (parent ? parent.replies : threads).push(node);
+  });
+
+  return threads;
+};
+
+/**
+ * Whether a case is closed (resolved or written off)
+ * @param {import('../types/validation.js').DiscrepancyCase} caseItem
+ * @returns {boolean}
+ */
+export const isCaseClosed = (caseItem) => CLOSED_CASE_STATUSES.includes(caseItem.status);
+
+/**
+ * Discrepancy case service class
+ */
+export class DiscrepancyCaseService {
+  /**
+   * @param {Object} [options]
+   * @param {DataService} [options.dataService] - Data service to persist through; created on first use by default
+   * @param {string} [options.storageKey] - Collection key for cases
+   * @param {Object<string, number>} [options.slaHours] - Hours to close a case, by severity
+   */
+  constructor({ dataService = null, storageKey = STORAGE_KEY, slaHours = CASE_SLA_HOURS } = {}) {
+    this.dataService = dataService;
+    this.storageKey = storageKey;
+    this.slaHours = slaHours;
+  }
+
+  /**
+   * Data service with a connected adapter
+   * @returns {Promise<DataService>}
+   */
+  async getDataService() {
+    if (!this.dataService) {
+      this.dataService = new DataService(DATA_SERVICE_CONFIG);
+    }
+    if (!this.dataService.currentAdapter) {
+      await this.dataService.switchAdapter(this.dataService.config.primarySource);
+    }
+    return this.dataService;
+  }
+
+  /**
+   * Load all cases
+   * @returns {Promise<import('../types/validation.js').DiscrepancyCase[]>}
+   */
+  async getCases() {
+    const dataService = await this.getDataService();
+    const cases = await dataService.read({ key: this.storageKey });
+    return Array.isArray(cases) ? cases : [];
+  }
+
+  /**
+   * Load one case
+   * @param {string} caseId
+   * @returns {Promise<import('../types/validation.js').DiscrepancyCase>}
+   */
+  async getCase(caseId) {
+    const caseItem = (await this.getCases()).find(existing => existing.id === caseId);
+    if (!caseItem) {
+      throw new Error(`Case ${caseId} not found`);
+    }
+    return caseItem;
+  }
+
+  /**
+   * Persist a case
+   * @param {import('../types/validation.js').DiscrepancyCase} caseItem
+   * @returns {Promise<import('../types/validation.js').DiscrepancyCase>}
+   */
+  async saveCase(caseItem) {
+    const dataService = await this.getDataService();
+    await dataService.write(caseItem, { key: this.storageKey, id: caseItem.id });
+    return caseItem;
+  }
+
+  /**
+   * SLA due date for a severity
+   * @param {string} severity
+   * @param {string} [from] - Start of the SLA, defaults to now
+   * @returns {string} ISO due date
+   */
+  calculateDueDate(severity, from = new Date().toISOString()) {
+    const hours = this.slaHours[severity] ?? this.slaHours[SEVERITY_LEVELS.MEDIUM];
+    return new Date(new Date(from).getTime() + hours * HOUR_MS).toISOString();
+  }
+
+  /**
+   * SLA timer of a case. The timer stops when the case is closed.
+   * @param {import('../types/validation.js').DiscrepancyCase} caseItem
+   * @param {Date} [now]
+   * @returns {{state: string, remainingMs: number}} Timer state and time left (negative once overdue)
+   */
+  getSlaStatus(caseItem, now = new Date()) {
+    const due = new Date(caseItem.dueAt).getTime();
+
+    if (isCaseClosed(caseItem)) {
+      const remainingMs = due - new Date(caseItem.closedAt).getTime();
+      return { state: remainingMs >= 0 ? CASE_SLA_STATES.MET : CASE_SLA_STATES.BREACHED, remainingMs };
+    }
+
+    const remainingMs = due - now.getTime();
+    if (remainingMs < 0) {
+      return { state: CASE_SLA_STATES.OVERDUE, remainingMs };
+    }
+
+    const windowMs = due - new Date(caseItem.openedAt).getTime();
+    return {
+      state: remainingMs <= windowMs / 4 ? CASE_SLA_STATES.DUE_SOON : CASE_SLA_STATES.ON_TRACK,
+      remainingMs
+    };
+  }
+
+  /**
+   * Open a case for a discrepancy alert or validation result. An existing
+   * open case for the same source is returned instead of a duplicate.
+   * @param {Object} source - Alert or validation result
+   * @param {string} [openedBy] - Who opened the case
+   * @returns {Promise<import('../types/validation.js').DiscrepancyCase>}
+   */
+  async openCase(source, openedBy = 'system') {
+    const existing = (await this.getCases())
+      .find(caseItem => caseItem.sourceId === source.id && !isCaseClosed(caseItem));
+    if (existing) {
+      return existing;
+    }
+
+    const now = new Date().toISOString();
+    const severity = source.severity || SEVERITY_LEVELS.MEDIUM;
+
+    return this.saveCase({
+      id: createId('case'),
+      sourceId: source.id,
+      recordId: source.recordId,
+      field: source.field,
+      severity,
+      title: source.message || '',
+      discrepancy: source.discrepancy ?? 0,
+      distributorCode: source.distributorCode || '',
+      status: CASE_STATUSES.OPEN,
+      assignee: null,
+      openedAt: now,
+      dueAt: this.calculateDueDate(severity, now),
+      closedAt: null,
+      updatedAt: now,
+      comments: [],
+      history: [{ action: 'opened', by: openedBy, at: now, from: null, to: CASE_STATUSES.OPEN }]
+    });
+  }
+
+  /**
+   * Assign a case to a user or distributor
+   * @param {string} caseId
+   * @param {{type: 'user' | 'distributor', id: string, name?: string}|null} assignee - null to unassign
+   * @param {string} [assignedBy]
+   * @returns {Promise<import('../types/validation.js').DiscrepancyCase>}
+   */
+  async assignCase(caseId, assignee, assignedBy = 'system') {
+    if (assignee && (!Object.values(CASE_ASSIGNEE_TYPES).includes(assignee.type) || !assignee.id)) {
+      throw new Error('A case must be assigned to a user or distributor');
+    }
+
+    const caseItem = await this.getCase(caseId);
+    const now = new Date().toISOString();
+    const next = assignee ? { type: assignee.type, id: String(assignee.id), name: assignee.name || String(assignee.id) } : null;
+
+    return this.saveCase({
+      ...caseItem,
+      assignee: next,
+      updatedAt: now,
+      history: [
+        ...caseItem.history,
+        { action: 'assigned', by: assignedBy, at: now, from: caseItem.assignee?.name || null, to: next?.name || null }
+      ]
+    });
+  }
+
+  /**
+   * Move a case to another status. Closing a case stops its SLA timer;
+   * reopening it starts a new one.
+   * @param {string} caseId
+   * @param {string} status
+   * @param {string} [changedBy]
+   * @returns {Promise<import('../types/validation.js').DiscrepancyCase>}
+   */
+  async updateStatus(caseId, status, changedBy = 'system') {
+    const caseItem = await this.getCase(caseId);
+    if (!(CASE_STATUS_TRANSITIONS[caseItem.status] || []).includes(status)) {
+      throw new Error(`Cannot move case from ${caseItem.status} to ${status}`);
+    }
+
+    const now = new Date().toISOString();
+    const reopened = status === CASE_STATUSES.OPEN;
+
+    return this.saveCase({
+      ...caseItem,
+      status,
+      closedAt: CLOSED_CASE_STATUSES.includes(status) ? now : null,
+      openedAt: reopened ? now : caseItem.openedAt,
+      dueAt: reopened ? this.calculateDueDate(caseItem.severity, now) : caseItem.dueAt,
+      updatedAt: now,
+      history: [...caseItem.history, { action: 'status', by: changedBy, at: now, from: caseItem.status, to: status }]
+    });
+  }
+
+  /**
+   * Add a comment, or a reply to an existing comment
+   * @param {string} caseId
+   * @param {Object} comment
+   * @param {string} comment.text
+   * @param {{id: string, name: string}} comment.author
+   * @param {string} [comment.parentId] - Comment being replied to
+   * @returns {Promise<import('../types/validation.js').DiscrepancyCase>}
+   */
+  async addComment(caseId, { text, author, parentId = null }) {
+    if (!text || !text.trim()) {
+      throw new Error('Comment text is required');
+    }
+
+    const caseItem = await this.getCase(caseId);
+    if (parentId && !caseItem.comments.some(comment => comment.id === parentId)) {
+      throw new Error(`Comment ${parentId} not found`);
+    }
+
+    const now = new Date().toISOString();
+    return this.saveCase({
+      ...caseItem,
+      updatedAt: now,
+      comments: [
+        ...caseItem.comments,
+        { id: createId('comment'), parentId, author, text: text.trim(), createdAt: now }
+      ]
+    });
+  }
+
+  /**
+   * Open cases assigned to a user, most urgent first
+   * @param {import('../types/validation.js').DiscrepancyCase[]} cases
+   * @param {string} userId
+   * @returns {import('../types/validation.js').DiscrepancyCase[]}
+   */
+  getCasesAssignedTo(cases, userId) {
+    return cases
+      .filter(caseItem =>
+        !isCaseClosed(caseItem) &&
+        caseItem.assignee?.type === CASE_ASSIGNEE_TYPES.USER &&
+        caseItem.assignee.id === String(userId))
+      .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt));
+  }
+}
+
+// Export singleton instance
+export default new DiscrepancyCaseService();
@@ -0,0 +1,212 @@
+/**
+ * DuplicateDetectionService
+ *
+ * Finds invoices that were ingested more than once, either as exact
+ * duplicates (same invoice number and distributor) or as possible duplicates
+ * (same customer, product, date and amount under a different number).
+ */
+
+import {
+  DEFAULT_DUPLICATE_DETECTION_CONFIG,
+  DUPLICATE_KEY_FIELDS,
+  DUPLICATE_MATCH_TYPES,
+  DUPLICATE_RESOLUTIONS
+} from '../types/invoice.js';
+
+/**
+ * Duplicate detection service class
+ */
+export class DuplicateDetectionService {
+  /**
+   * Resolve the value of a logical key on a record
+   * @param {Object} record
+   * @param {string} key - Logical key from DUPLICATE_KEY_FIELDS, or a plain field name
+   * @returns {string} Normalized value ('' when missing)
+   */
+  getKeyValue(record, key) {
+    const fields = DUPLICATE_KEY_FIELDS[key] || [key];
+    const field = fields.find(name => record[name] !== undefined && record[name] !== null && record[name] !== '');
+    if (!field) {
+      return '';
+    }
+
+    const value = record[field];
+    if (key === 'date') {
+      const date = value instanceof Date ? value.toISOString() : String(value);
+      return date.slice(0, 10);
+    }
+    return String(value).trim().toUpperCase();
+  }
+
+  /**
+   * Build a composite matching key. The first key must have a value,
+   * otherwise the record cannot be matched on this key set.
+   * @param {Object} record
+   * @param {string[]} keys
+   * @returns {string|null}
+   */
+  buildMatchKey(record, keys) {
+    if (keys.length === 0) {
+      return null;
+    }
+
+    const values = keys.map(key => this.getKeyValue(record, key));
+    return values[0] ? values.join('|') : null;
+  }
+
+  /**
+   * Amount of a record used for near-duplicate comparison
+   * @param {Object} record
+   * @returns {number|null}
+   */
+  getAmount(record) {
+    const value = this.getKeyValue(record, 'amount');
+    return value === '' ? null : Number(value);
+  }
+
+  /**
+   * Detect duplicates among new records and against existing records
+   * @param {Object[]} newRecords - Records being ingested
+   * @param {Object[]} existingRecords - Previously stored records
+   * @param {Object} config - Detection configuration
+   * @returns {import('../types/invoice.js').DuplicateMatch[]}
+   */
+  detect(newRecords = [], existingRecords = [], config = DEFAULT_DUPLICATE_DETECTION_CONFIG) {
+    return this.createIndex(existingRecords, config).check(newRecords);
+  }
+
+  /**
+   * Create an index of stored records that batches of new records can be
+   * checked against one after another. Each checked batch is added to the
+   * index, so a streamed file is indexed once rather than once per chunk.
+   * Stored records that are not in memory can be added a page at a time.
+   * @param {Object[]} existingRecords - Previously stored records
+   * @param {Object} config - Detection configuration
+   * @returns {{check: function(Object[]): import('../types/invoice.js').DuplicateMatch[], add: function(Object[]): void}}
+   */
+  createIndex(existingRecords = [], config = DEFAULT_DUPLICATE_DETECTION_CONFIG) {
+    const settings = { ...DEFAULT_DUPLICATE_DETECTION_CONFIG, ...config };
+    if (!settings.enabled) {
+      return { check: () => [], add: () => {} };
+    }
+
+    const compareAmount = settings.nearKeys.includes('amount');
+    const nearKeys = settings.nearKeys.filter(key => key !== 'amount');
+    const exactIndex = new Map();
+    const nearIndex = new Map();
+
+    // Entries keep only what matches are built from, not the whole record
+    const addToIndex = (record, source) => {
+      const entry = {
+        id: record.id,
+        fileId: record.metadata?.fileId,
+        fileName: record.metadata?.fileName || '',
+        amount: this.getAmount(record),
+        source
+      };
+      const exactKey = this.buildMatchKey(record, settings.exactKeys);
+      if (exactKey && !exactIndex.has(exactKey)) {
+        exactIndex.set(exactKey, entry);
+      }
+
+      const nearKey = this.buildMatchKey(record, nearKeys);
+      if (nearKey) {
+        if (!nearIndex.has(nearKey)) {
+          nearIndex.set(nearKey, []);
+        }
+        nearIndex.get(nearKey).push(entry);
+      }
+    };
+
+    const add = (storedRecords = []) => {
+      storedRecords.forEach(record => addToIndex(record, 'stored'));
+    };
+
+    add(existingRecords);
+
+    const check = (newRecords = []) => {
+      const matches = [];
+      const detectedAt = new Date().toISOString();
+
+      newRecords.forEach(record => {
+        const exactKey = this.buildMatchKey(record, settings.exactKeys);
+        const exact = exactKey ? exactIndex.get(exactKey) : null;
+
+        if (exact) {
+          matches.push(this.createMatch(record, exact, DUPLICATE_MATCH_TYPES.DUPLICATE, settings.exactKeys, detectedAt));
+          return; // An exact duplicate is not indexed again
+        }
+
+        const nearKey = this.buildMatchKey(record, nearKeys);
+        const amount = this.getAmount(record);
+        const near = (nearKey ? nearIndex.get(nearKey) || [] : []).find(candidate => {
+          if (!compareAmount) return true;
+          return amount !== null && candidate.amount !== null &&
+            Math.abs(amount - candidate.amount) <= settings.amountTolerance;
+        });
+
+        if (near) {
+          matches.push(this.createMatch(record, near, DUPLICATE_MATCH_TYPES.POSSIBLE_DUPLICATE, settings.nearKeys, detectedAt));
+        }
+
+        addToIndex(record, 'file');
+      });
+
+      return matches;
+    };
+
+    return { check, add };
+  }
+
+  /**
+   * Create a duplicate match entry
+   * @returns {import('../types/invoice.js').DuplicateMatch}
+   */
+  createMatch(record, matched, matchType, matchedOn, detectedAt) {
+    return {
+      id: `dup_${record.id}_${matched.id}`,
+      recordId: record.id,
+      matchedRecordId: matched.id,
+      matchType,
+      matchedOn: [...matchedOn],
+      source: matched.source,
+      fileName: record.metadata?.fileName || '',
+      matchedFileName: matched.fileName,
+      fileId: record.metadata?.fileId,
+      matchedFileId: matched.fileId,
+      resolution: DUPLICATE_RESOLUTIONS.UNRESOLVED,
+      detectedAt
+    };
+  }
+
+  /**
+   * Merge a duplicate into the record it matched. Values already present on
+   * the kept record win; empty fields are filled from the duplicate.
+   * @param {Object} keptRecord
+   * @param {Object} duplicateRecord
+   * @returns {Object} Merged record
+   */
+  mergeRecords(keptRecord, duplicateRecord) {
+    const merged = { ...keptRecord };
+
+    Object.entries(duplicateRecord).forEach(([field, value]) => {
+      if (field === 'id' || field === 'metadata') return;
+      const current = merged[field];
+      const isEmpty = current === undefined || current === null || current === '' ||
+        (Array.isArray(current) && current.length === 0);
+      if (isEmpty) {
+        merged[field] = value;
+      }
+    });
+
+    merged.metadata = {
+      ...keptRecord.metadata,
+      mergedFrom: [...(keptRecord.metadata?.mergedFrom || []), duplicateRecord.id]
+    };
+
+    return merged;
+  }
+}
+
+// Export singleton instance
+export default new DuplicateDetectionService();
@@ -8,6 +8,8 @@
 import jsPDF from "jspdf";
 import "jspdf-autotable";
 import * as XLSX from "xlsx";
+import { BASE_CURRENCY } from "../types/invoice.js";
+import ReportService from "./ReportService.js";
 
 class ExportService {
   // Static property to track active exports
@@ -315,17 +317,18 @@ class ExportService {
     doc.text("Summary", margin, yPosition);
     yPosition += 10;
 
+    const baseCurrency = report.data.summary.baseCurrency || BASE_CURRENCY;
     const summaryData = [
       ["Total Records", report.data.summary.totalRecords.toString()],
       ["Valid Records", report.data.summary.validRecords.toString()],
       ["Invalid Records", report.data.summary.invalidRecords.toString()],
       [
         "Total Discrepancy Amount",
-        `$${report.data.summary.totalDiscrepancyAmount.toFixed(2)}`,
+        `${baseCurrency} ${report.data.summary.totalDiscrepancyAmount.toFixed(2)}`,
       ],
       [
         "Average Discrepancy",
-        `$${report.data.summary.averageDiscrepancyAmount.toFixed(2)}`,
+        `${baseCurrency} ${report.data.summary.averageDiscrepancyAmount.toFixed(2)}`,
       ],
     ];
 
@@ -397,7 +400,7 @@ class ExportService {
           record.field,
           record.originalValue.toString(),
           record.calculatedValue.toString(),
-          `$${record.discrepancy.toFixed(2)}`,
+          `${record.currency || baseCurrency} ${record.discrepancy.toFixed(2)}`,
           record.severity,
         ]);
 
@@ -532,12 +535,15 @@ class ExportService {
 
     // Detailed results sheet
     if (report.data.records.length > 0) {
+      const baseCurrency = report.data.summary?.baseCurrency || BASE_CURRENCY;
       const detailsHeaders = [
         "Record ID",
         "Field",
         "Original Value",
         "Calculated Value",
         "Discrepancy",
+        "Currency",
+        `Discrepancy (${baseCurrency})`,
         "Discrepancy %",
         "Severity",
         "Validated At",
@@ -552,6 +558,8 @@ class ExportService {
           record.originalValue,
           record.calculatedValue,
           record.discrepancy,
+          record.currency || baseCurrency,
+          ReportService.getBaseAmount(record),
           record.discrepancyPercentage ||
             ((record.discrepancy / record.originalValue) * 100).toFixed(2),
           record.severity,
@@ -564,17 +572,17 @@ class ExportService {
 
       // Add formulas if requested
       if (includeFormulas) {
-        // Add a formula to calculate total discrepancy
+        // Add a formula to calculate total discrepancy in the base currency
         const totalRow = report.data.records.length + 2;
         XLSX.utils.sheet_add_aoa(
           detailsSheet,
           [
             [
               "Total Discrepancy:",
-              { f: `SUM(E2:E${report.data.records.length + 1})` },
+              { f: `SUM(G2:G${report.data.records.length + 1})` },
             ],
           ],
-          { origin: `D${totalRow}` }
+          { origin: `F${totalRow}` }
         );
       }
 
@@ -697,6 +705,8 @@ class ExportService {
       "Original Value",
       "Calculated Value",
       "Discrepancy",
+      "Currency",
+      `Discrepancy (${report.data.summary?.baseCurrency || BASE_CURRENCY})`,
       "Discrepancy Percentage",
       "Severity",
       "Validated At",
@@ -713,6 +723,8 @@ class ExportService {
         record.originalValue,
         record.calculatedValue,
         record.discrepancy,
+        `"${record.currency || report.data.summary?.baseCurrency || BASE_CURRENCY}"`,
+        ReportService.getBaseAmount(record),
         record.discrepancyPercentage ||
           ((record.discrepancy / record.originalValue) * 100).toFixed(2),
         `"${record.severity}"`,
@@ -0,0 +1,193 @@
+/**
+ * FileStreamingService
+ *
+ * Runs streaming parses of large invoice files in the file streaming
+ * worker and exposes pause, resume and cancel for each running stream.
+ * Falls back to parsing on the main thread where workers are unavailable.
+ */
+
+import { StreamingFileParser } from '../utils/StreamingFileParser.js';
+import { ValidationEngine } from './ValidationEngine.js';
+
+/**
+ * File streaming service class
+ */
+export class FileStreamingService {
+  constructor() {
+    this.streams = new Map();
+  }
+
+  /**
+   * Whether streams can run in a web worker
+   * @returns {boolean}
+   */
+  static isWorkerSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  /**
+   * Start streaming a file
+   * @param {string} streamId - Identifier used to control the stream (the upload id)
+   * @param {File} file - File to parse
+   * @param {Object} options - StreamingFileParser options plus validate, validationConfig
+   *   and the masterData records are validated against (see ValidationEngine.setMasterData)
+   * @param {Object} handlers
+   * @param {Function} handlers.onChunk - Receives each chunk; may return a promise
+   * @param {Function} [handlers.onProgress] - Receives progress updates
+   * @returns {Promise<Object>} - Parse summary
+   */
+  start(streamId, file, options = {}, handlers = {}) {
+    if (this.streams.has(streamId)) {
+      return Promise.reject(new Error(`Stream ${streamId} is already running`));
+    }
+
+    const run = FileStreamingService.isWorkerSupported()
+      ? this.startInWorker(streamId, file, options, handlers)
+      : this.startInline(streamId, file, options, handlers);
+
+    return run.finally(() => {
+      this.streams.delete(streamId);
+    });
+  }
+
+  /**
+   * Stream a file in a dedicated worker
+   * @returns {Promise<Object>}
+   */
+  startInWorker(streamId, file, options, { onChunk, onProgress }) {
+    const worker = new Worker(new URL('../workers/file-streaming.worker.js', import.meta.url), { type: 'module' });
+    let cancelled = false;
+
+    this.streams.set(streamId, {
+      pause: () => worker.postMessage({ type: 'pause' }),
+      resume: () => worker.postMessage({ type: 'resume' }),
+      cancel: () => {
+        cancelled = true;
+        worker.postMessage({ type: 'cancel' });
+      }
+    });
+
+    return new Promise((resolve, reject) => {
+      worker.onmessage = async (event) => {
+        const { type, data, error } = event.data;
+
+        switch (type) {
+          case 'chunk':
+            try {
+              if (!cancelled && onChunk) {
+                await onChunk(data);
+              }
+              // Acknowledged after a cancel too, so the worker can see it and finish
+              worker.postMessage({ type: 'ack' });
+            } catch (chunkError) {
+              // A chunk that could not be handled would be lost, so stop the stream
+              cancelled = true;
+              worker.postMessage({ type: 'cancel' });
+              worker.terminate();
+              reject(chunkError);
+            }
+            break;
+          case 'progress':
+            onProgress?.(data);
+            break;
+          case 'complete':
+            worker.terminate();
+            resolve(data);
+            break;
+          case 'error':
+            worker.terminate();
+            reject(new Error(error || 'Streaming failed'));
+            break;
+          default:
+            break;
+        }
+      };
+
+      worker.onerror = (event) => {
+        worker.terminate();
+        reject(new Error(event.message || 'Streaming worker failed'));
+      };
+
+      worker.postMessage({ type: 'start', data: { file, options } });
+    });
+  }
+
+  /**
+   * Stream a file on the main thread
+   * @returns {Promise<Object>}
+   */
+  startInline(streamId, file, options, { onChunk, onProgress }) {
+    const { validate = false, validationConfig, masterData, ...parserOptions } = options;
+    const engine = validate ? new ValidationEngine(validationConfig) : null;
+    engine?.setMasterData(masterData);
+
+    const parser = new StreamingFileParser({
+      ...parserOptions,
+      validateChunk: engine
+        ? async (records) => {
+          const results = [];
+          for (const record of records) {
+            results.push(...await engine.validateRecord(record));
+          }
+          return results;
+        }
+        : null
+    });
+
+    this.streams.set(streamId, {
+      pause: () => parser.pause(),
+      resume: () => parser.resume(),
+      cancel: () => parser.cancel()
+    });
+
+    return parser.parse(file, { onChunk, onProgress });
+  }
+
+  /**
+   * Pause a running stream
+   * @param {string} streamId
+   * @returns {boolean} True if the stream exists
+   */
+  pause(streamId) {
+    return this.control(streamId, 'pause');
+  }
+
+  /**
+   * Resume a paused stream
+   * @param {string} streamId
+   * @returns {boolean} True if the stream exists
+   */
+  resume(streamId) {
+    return this.control(streamId, 'resume');
+  }
+
+  /**
+   * Cancel a running stream
+   * @param {string} streamId
+   * @returns {boolean} True if the stream exists
+   */
+  cancel(streamId) {
+    return this.control(streamId, 'cancel');
+  }
+
+  /**
+   * Whether a stream is running
+   * @param {string} streamId
+   * @returns {boolean}
+   */
+  isActive(streamId) {
+    return this.streams.has(streamId);
+  }
+
+  control(streamId, action) {
+    const stream = this.streams.get(streamId);
+    if (!stream) {
+      return false;
+    }
+    stream[action]();
+    return true;
+  }
+}
+
+// Export singleton instance
+export default new FileStreamingService();
@@ -0,0 +1,133 @@
+/**
+ * FixedWidthLayoutService
+ *
+ * Stores named fixed-width TXT layouts and finds the layout that fits a file
+ * by the record length of its lines, so distributor exports with a known
+ * layout are parsed without asking again.
+ */
+
+import { TxtParser } from '../utils/TxtParser.js';
+
+const STORAGE_KEY = 'fileProcessing_fixedWidthLayouts';
+
+/**
+ * Fixed-width layout service class
+ */
+export class FixedWidthLayoutService {
+  constructor(storageKey = STORAGE_KEY) {
+    this.storageKey = storageKey;
+    this.parser = new TxtParser();
+  }
+
+  /**
+   * Load saved layouts
+   * @returns {import('../types/invoice.js').FixedWidthLayout[]}
+   */
+  getLayouts() {
+    try {
+      const layouts = localStorage.getItem(this.storageKey);
+      return layouts ? JSON.parse(layouts) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Persist layouts
+   * @param {import('../types/invoice.js').FixedWidthLayout[]} layouts
+   */
+  storeLayouts(layouts) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(layouts));
+    } catch (error) {
+      console.error('Failed to save fixed-width layouts:', error);
+    }
+  }
+
+  /**
+   * Create or update a layout. Layouts are checked the way the parser
+   * applies them, so a saved layout can always be used for an import.
+   * @param {Object} layout
+   * @returns {import('../types/invoice.js').FixedWidthLayout} Saved layout
+   * @throws {Error} When the layout has no name or cannot be applied
+   */
+  saveLayout(layout) {
+    if (!layout?.name || !String(layout.name).trim()) {
+      throw new Error('Fixed-width layout name is required');
+    }
+    this.parser.validateFixedWidthLayout(layout);
+
+    const layouts = this.getLayouts();
+    const existing = layouts.find(l => l.id === layout.id);
+    const now = new Date().toISOString();
+
+    const saved = {
+      ...layout,
+      id: existing?.id || layout.id || `layout_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      name: String(layout.name).trim(),
+      controlTotals: layout.controlTotals || [],
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    this.storeLayouts([...layouts.filter(l => l !== existing), saved]);
+    return saved;
+  }
+
+  /**
+   * Delete a layout
+   * @param {string} layoutId
+   * @returns {boolean} True if a layout was removed
+   */
+  deleteLayout(layoutId) {
+    const layouts = this.getLayouts();
+    const remaining = layouts.filter(l => l.id !== layoutId);
+    this.storeLayouts(remaining);
+    return remaining.length !== layouts.length;
+  }
+
+  /**
+   * Line length of a record type: the end of its last field or discriminator
+   * @param {import('../types/invoice.js').FixedWidthRecordType} recordType
+   * @returns {number}
+   */
+  getRecordLength(recordType) {
+    const spans = [...(recordType?.fields || []), recordType?.discriminator].filter(Boolean);
+    return Math.max(0, ...spans.map(span => span.start + span.length));
+  }
+
+  /**
+   * Whether every line belongs to a record type of the layout and is padded
+   * to that record type's length
+   * @param {import('../types/invoice.js').FixedWidthLayout} layout
+   * @param {string[]} lines - Sample lines of the file
+   * @returns {boolean}
+   */
+  matchesLines(layout, lines = []) {
+    const sample = lines.map(line => line.replace(/\r$/, '')).filter(line => line.trim());
+    if (sample.length === 0 || !layout?.recordTypes) {
+      return false;
+    }
+
+    return sample.every(line => {
+      const recordType = this.parser.resolveFixedWidthRecordType(line, layout);
+      return Boolean(recordType) && line.length === this.getRecordLength(layout.recordTypes[recordType]);
+    });
+  }
+
+  /**
+   * Find the saved layout for a file's lines. When several layouts fit, the
+   * most recently updated wins.
+   * @param {string[]} lines - Sample lines of the file
+   * @param {import('../types/invoice.js').FixedWidthLayout[]} [layouts]
+   * @returns {import('../types/invoice.js').FixedWidthLayout|null}
+   */
+  findLayoutForLines(lines, layouts = this.getLayouts()) {
+    return [...layouts]
+      .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))
+      .find(layout => this.matchesLines(layout, lines)) || null;
+  }
+}
+
+// Export singleton instance
+export default new FixedWidthLayoutService();
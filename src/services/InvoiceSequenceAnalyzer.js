@@ -0,0 +1,311 @@
+/**
+ * InvoiceSequenceAnalyzer Service
+ *
+ * Checks invoice numbers (invNo) per distributor and period. Each number is
+ * split into a prefix and a running number; numbers must use the
+ * distributor's prefix, running numbers should not have gaps, issue dates
+ * should not go back as numbers go up, and a number must not be reused for
+ * another invoice.
+ */
+
+import {
+  SEQUENCE_ISSUE_TYPES,
+  SEQUENCE_PERIODS,
+  SEVERITY_LEVELS,
+  VALIDATION_FIELDS,
+  createEmptyValidationResult
+} from '../types/validation.js';
+
+const ISSUE_SEVERITY = {
+  [SEQUENCE_ISSUE_TYPES.FOREIGN_PREFIX]: SEVERITY_LEVELS.HIGH,
+  [SEQUENCE_ISSUE_TYPES.REUSED]: SEVERITY_LEVELS.HIGH,
+  [SEQUENCE_ISSUE_TYPES.GAP]: SEVERITY_LEVELS.MEDIUM,
+  [SEQUENCE_ISSUE_TYPES.OUT_OF_ORDER]: SEVERITY_LEVELS.MEDIUM
+};
+
+/**
+ * Split an invoice number into its prefix and trailing running number
+ * @param {string} invoiceNumber - e.g. 'IV2403-00012'
+ * @returns {{invoiceNumber: string, prefix: string, number: number, width: number}|null} Null without a running number
+ */
+export const parseInvoiceNumber = (invoiceNumber) => {
+  const value = String(invoiceNumber ?? '').trim().toUpperCase();
+  const match = value.match(/^(.*?)(\d+)$/);
+  if (!match) {
+    return null;
+  }
+
+  return { invoiceNumber: value, prefix: match[1], number: parseInt(match[2], 10), width: match[2].length };
+};
+
+/**
+ * Invoice number of a record, from the Prisma model (invNo) or a parsed file (invoiceNumber)
+ * @param {Object} record
+ * @returns {string}
+ */
+export const getInvoiceNumber = (record) => String(record?.invNo ?? record?.invoiceNumber ?? '').trim().toUpperCase();
+
+const getDistributorCode = (record) => String(record?.distCode || record?.distributorCode || '').trim();
+
+const toDay = (value) => {
+  if (!value) return '';
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? '' : date.toISOString().split('T')[0];
+};
+
+const getPeriod = (day, period) => {
+  if (period === SEQUENCE_PERIODS.NONE || !day) return '';
+  return period === SEQUENCE_PERIODS.YEAR ? day.slice(0, 4) : day.slice(0, 7);
+};
+
+const formatNumber = (prefix, number, width) => `${prefix}${String(number).padStart(width, '0')}`;
+
+/**
+ * Analyzes invoice number sequences per distributor
+ */
+export class InvoiceSequenceAnalyzer {
+  constructor(distributors = []) {
+    this.prefixes = new Map();
+    this.setDistributors(distributors);
+  }
+
+  /**
+   * Replace the distributor master the expected prefixes come from
+   * @param {Object[]} distributors - Distributor records with code and prefix
+   */
+  setDistributors(distributors = []) {
+    this.prefixes = new Map();
+    distributors.forEach(distributor => {
+      const code = String(distributor?.code ?? distributor?.distCode ?? '').trim();
+      if (code) {
+        this.prefixes.set(code, String(distributor.prefix || '').trim().toUpperCase());
+      }
+    });
+  }
+
+  /**
+   * Whether a distributor master has been loaded
+   * @returns {boolean}
+   */
+  hasDistributors() {
+    return this.prefixes.size > 0;
+  }
+
+  /**
+   * Another distributor whose prefix an invoice number uses; the longest prefix wins
+   * @param {string} invoiceNumber
+   * @param {string} distributorCode - Distributor the invoice belongs to
+   * @returns {string|null}
+   */
+  findPrefixOwner(invoiceNumber, distributorCode) {
+    let owner = null;
+    this.prefixes.forEach((prefix, code) => {
+      if (code !== distributorCode && prefix && invoiceNumber.startsWith(prefix) &&
+        (!owner || prefix.length > this.prefixes.get(owner).length)) {
+        owner = code;
+      }
+    });
+    return owner;
+  }
+
+  /**
+   * Group records into invoices. Lines of an invoice share its number, issue
+   * date and customer; the same number with another date or customer is a
+   * separate invoice reusing the number.
+   * @param {Object[]} records
+   * @returns {Object[]} One entry per distributor and invoice number
+   */
+  collectInvoices(records) {
+    const invoices = new Map();
+
+    records.forEach((record, index) => {
+      const distributorCode = getDistributorCode(record);
+      const invoiceNumber = getInvoiceNumber(record);
+      if (!distributorCode || !invoiceNumber) return;
+
+      const key = `${distributorCode}|${invoiceNumber}`;
+      if (!invoices.has(key)) {
+        invoices.set(key, { distributorCode, invoiceNumber, documents: new Map() });
+      }
+
+      const day = toDay(record.invoiceDate ?? record.date);
+      const customerCode = String(record.customerCode || '').trim();
+      const documentKey = `${day}|${customerCode}`;
+      const { documents } = invoices.get(key);
+      if (!documents.has(documentKey)) {
+        documents.set(documentKey, { recordId: record.id, index, day, customerCode });
+      }
+    });
+
+    return [...invoices.values()].map(invoice => {
+      const [first, ...reuses] = invoice.documents.values();
+      return { ...invoice, ...first, reuses };
+    });
+  }
+
+  /**
+   * Analyze the invoice numbers of a batch
+   * @param {Object[]} records - Invoice records or lines
+   * @param {Object} settings - Invoice sequence config section
+   * @returns {import('../types/validation.js').InvoiceSequenceReport}
+   */
+  analyze(records = [], settings = {}) {
+    const period = settings.period || SEQUENCE_PERIODS.MONTH;
+    const issues = [];
+    const addIssue = (type, invoice, message, expected) => {
+      issues.push({
+        type,
+        recordId: invoice.recordId,
+        invoiceNumber: invoice.invoiceNumber,
+        distributorCode: invoice.distributorCode,
+        period: getPeriod(invoice.day, period),
+        severity: ISSUE_SEVERITY[type],
+        message,
+        expected,
+        index: invoice.index
+      });
+    };
+
+    const sequences = new Map();
+    const invoices = this.collectInvoices(records);
+
+    invoices.forEach(invoice => {
+      const { distributorCode, invoiceNumber } = invoice;
+
+      invoice.reuses.forEach(reuse => {
+        addIssue(
+          SEQUENCE_ISSUE_TYPES.REUSED,
+          { ...invoice, ...reuse },
+          `Invoice number ${invoiceNumber} of distributor ${distributorCode} is reused: issued on ${invoice.day || 'an unknown date'} to ${invoice.customerCode || 'no customer'} and on ${reuse.day || 'an unknown date'} to ${reuse.customerCode || 'no customer'}`,
+          `${invoice.day} ${invoice.customerCode}`.trim()
+        );
+      });
+
+      const expectedPrefix = this.prefixes.get(distributorCode) || '';
+      if (expectedPrefix && !invoiceNumber.startsWith(expectedPrefix)) {
+        const owner = this.findPrefixOwner(invoiceNumber, distributorCode);
+        addIssue(
+          SEQUENCE_ISSUE_TYPES.FOREIGN_PREFIX,
+          invoice,
+          `Invoice number ${invoiceNumber} does not use distributor ${distributorCode}'s prefix ${expectedPrefix}${owner ? ` (it uses the prefix of distributor ${owner})` : ''}`,
+          expectedPrefix
+        );
+        return;
+      }
+
+      const parsed = parseInvoiceNumber(invoiceNumber);
+      if (!parsed) return;
+
+      const invoicePeriod = getPeriod(invoice.day, period);
+      const key = `${distributorCode}|${invoicePeriod}|${parsed.prefix}`;
+      if (!sequences.has(key)) {
+        sequences.set(key, {
+          distributorCode,
+          period: invoicePeriod,
+          prefix: parsed.prefix,
+          expectedPrefix,
+          entries: []
+        });
+      }
+      sequences.get(key).entries.push({ ...invoice, ...parsed });
+    });
+
+    const report = [...sequences.values()].map(({ entries, ...sequence }) => {
+      const sorted = entries.sort((a, b) => a.number - b.number || a.index - b.index);
+      const missingRanges = [];
+      let latest = null;
+
+      sorted.forEach((entry, position) => {
+        const previous = sorted[position - 1];
+        if (previous && entry.number - previous.number > 1) {
+          const from = previous.number + 1;
+          const to = entry.number - 1;
+          const width = Math.max(previous.width, entry.width);
+          const label = from === to
+            ? formatNumber(sequence.prefix, from, width)
+            : `${formatNumber(sequence.prefix, from, width)} – ${formatNumber(sequence.prefix, to, width)}`;
+          missingRanges.push({ from, to, count: to - from + 1, label });
+          addIssue(
+            SEQUENCE_ISSUE_TYPES.GAP,
+            entry,
+            `${from === to ? `Invoice number ${label} is` : `Invoice numbers ${label} are`} missing before ${entry.invoiceNumber}`,
+            label
+          );
+        }
+
+        if (entry.day && latest && entry.day < latest.day) {
+          addIssue(
+            SEQUENCE_ISSUE_TYPES.OUT_OF_ORDER,
+            entry,
+            `Invoice ${entry.invoiceNumber} is dated ${entry.day}, before ${latest.invoiceNumber} dated ${latest.day}`,
+            latest.day
+          );
+        }
+        if (entry.day && (!latest || entry.day > latest.day)) {
+          latest = entry;
+        }
+      });
+
+      return {
+        ...sequence,
+        firstNumber: sorted[0].number,
+        lastNumber: sorted[sorted.length - 1].number,
+        invoiceCount: sorted.length,
+        missingCount: missingRanges.reduce((sum, range) => sum + range.count, 0),
+        missingRanges
+      };
+    });
+
+    const totals = {
+      sequences: report.length,
+      invoices: invoices.length,
+      missing: report.reduce((sum, sequence) => sum + sequence.missingCount, 0)
+    };
+    Object.values(SEQUENCE_ISSUE_TYPES).forEach(type => {
+      totals[type] = issues.filter(issue => issue.type === type).length;
+    });
+
+    return {
+      generatedAt: new Date().toISOString(),
+      period,
+      sequences: report.sort((a, b) =>
+        a.distributorCode.localeCompare(b.distributorCode) ||
+        a.period.localeCompare(b.period) ||
+        a.prefix.localeCompare(b.prefix)
+      ),
+      // The record index only orders the issues; reports do not carry it
+      issues: issues
+        .sort((a, b) => a.index - b.index)
+        .map(issue => {
+          const { index: _index, ...reported } = issue;
+          return reported;
+        }),
+      totals
+    };
+  }
+
+  /**
+   * Validation results of a report's issues, keyed by record id
+   * @param {import('../types/validation.js').InvoiceSequenceReport} report
+   * @returns {Map<string, import('../types/validation.js').ValidationResult[]>}
+   */
+  toValidationResults(report) {
+    const results = new Map();
+    report.issues.forEach(issue => {
+      if (!results.has(issue.recordId)) {
+        results.set(issue.recordId, []);
+      }
+      results.get(issue.recordId).push({
+        ...createEmptyValidationResult(issue.recordId, VALIDATION_FIELDS.INVOICE_NUMBER),
+        originalValue: issue.invoiceNumber,
+        calculatedValue: issue.expected,
+        severity: issue.severity,
+        message: issue.message,
+        sequenceIssue: issue.type
+      });
+    });
+    return results;
+  }
+}
+
+export default InvoiceSequenceAnalyzer;
@@ -2,18 +2,32 @@
  * MasterDataService
  *
  * Service for handling master data import/export operations including
- * customer data, product data, and reference data management.
+ * customer data, product data, reference data, exchange rate, promotion and
+ * distributor management.
  */
 
 import { FileValidator } from "../utils/FileValidator.js";
 import { CsvParser } from "../utils/CsvParser.js";
+import { TaxIdValidator } from "../utils/TaxIdValidator.js";
+import { DateParser } from "../utils/DateParser.js";
+import {
+  CUSTOMER_STATUSES,
+  PROMOTION_DISCOUNT_TYPES,
+} from "../types/validation.js";
 
 /**
  * Master Data Service class
  */
 export class MasterDataService {
   constructor() {
-    this.supportedDataTypes = ["customers", "products", "references"];
+    this.supportedDataTypes = [
+      "customers",
+      "products",
+      "references",
+      "exchangeRates",
+      "promotions",
+      "distributors",
+    ];
     this.importHistory = this.loadImportHistory();
     this.exportHistory = this.loadExportHistory();
   }
@@ -128,6 +142,9 @@ export class MasterDataService {
       customers: ["customerCode", "customerName", "email"],
       products: ["productCode", "productName", "unitPrice"],
       references: ["referenceType", "referenceCode", "referenceValue"],
+      exchangeRates: ["fromCurrency", "toCurrency", "rate", "effectiveDate"],
+      promotions: ["promoCode", "discountType", "discountValue", "startDate"],
+      distributors: ["code", "name"],
     };
 
     return fieldMappings[dataType] || [];
@@ -146,10 +163,41 @@ export class MasterDataService {
         "city",
         "country",
         "taxId",
+        "branchCode",
         "creditLimit",
+        "status",
+        "invTermCode",
+      ],
+      products: [
+        "category",
+        "description",
+        "taxRate",
+        "isActive",
+        "listPrice",
+        "uomSmall",
+        "uomBig",
+        "convFactor",
       ],
-      products: ["category", "description", "taxRate", "isActive"],
       references: ["description", "isActive", "sortOrder"],
+      exchangeRates: ["source"],
+      promotions: [
+        "description",
+        "eligibleProducts",
+        "eligibleCustomers",
+        "endDate",
+        "maxQuantity",
+        "isActive",
+      ],
+      distributors: [
+        "prefix",
+        "taxId",
+        "branchCode",
+        "address",
+        "contactAdmin",
+        "email",
+        "contactName",
+        "isActive",
+      ],
     };
 
     return fieldMappings[dataType] || [];
@@ -173,6 +221,19 @@ export class MasterDataService {
         if (record.creditLimit && isNaN(parseFloat(record.creditLimit))) {
           errors.push(`Row ${rowNumber}: Credit limit must be a number`);
         }
+        if (
+          record.status &&
+          !Object.values(CUSTOMER_STATUSES).includes(
+            record.status.toUpperCase()
+          )
+        ) {
+          errors.push(
+            `Row ${rowNumber}: Status must be one of ${Object.values(
+              CUSTOMER_STATUSES
+            ).join(", ")}`
+          );
+        }
+        errors.push(...this.validateTaxFields(record, rowNumber));
         break;
 
       case "products":
@@ -189,6 +250,18 @@ export class MasterDataService {
             `Row ${rowNumber}: Tax rate must be a number between 0 and 100`
           );
         }
+        if (record.listPrice && isNaN(parseFloat(record.listPrice))) {
+          errors.push(`Row ${rowNumber}: List price must be a number`);
+        }
+        if (
+          record.convFactor &&
+          (isNaN(parseFloat(record.convFactor)) ||
+            parseFloat(record.convFactor) <= 0)
+        ) {
+          errors.push(
+            `Row ${rowNumber}: Conversion factor must be a positive number`
+          );
+        }
         break;
 
       case "references":
@@ -196,11 +269,90 @@ export class MasterDataService {
           errors.push(`Row ${rowNumber}: Reference type cannot be empty`);
         }
         break;
+
+      case "exchangeRates":
+        ["fromCurrency", "toCurrency"].forEach((field) => {
+          if (!/^[A-Za-z]{3}$/.test(String(record[field] || "").trim())) {
+            errors.push(
+              `Row ${rowNumber}: ${field} must be a 3-letter currency code`
+            );
+          }
+        });
+        if (!(parseFloat(record.rate) > 0)) {
+          errors.push(`Row ${rowNumber}: Rate must be a positive number`);
+        }
+        if (!DateParser.parseDate(record.effectiveDate)) {
+          errors.push(`Row ${rowNumber}: Effective date must be a valid date`);
+        }
+        break;
+
+      case "promotions": {
+        const discountType = String(record.discountType || "")
+          .trim()
+          .toLowerCase();
+        if (!Object.values(PROMOTION_DISCOUNT_TYPES).includes(discountType)) {
+          errors.push(
+            `Row ${rowNumber}: Discount type must be one of ${Object.values(
+              PROMOTION_DISCOUNT_TYPES
+            ).join(", ")}`
+          );
+        }
+        if (!(parseFloat(record.discountValue) > 0)) {
+          errors.push(
+            `Row ${rowNumber}: Discount value must be a positive number`
+          );
+        } else if (
+          discountType === PROMOTION_DISCOUNT_TYPES.PERCENTAGE &&
+          parseFloat(record.discountValue) > 100
+        ) {
+          errors.push(
+            `Row ${rowNumber}: Percentage discount cannot exceed 100`
+          );
+        }
+        const startDate = DateParser.parseDate(record.startDate);
+        const endDate = DateParser.parseDate(record.endDate);
+        if (!startDate) {
+          errors.push(`Row ${rowNumber}: Start date must be a valid date`);
+        }
+        if (record.endDate && !endDate) {
+          errors.push(`Row ${rowNumber}: End date must be a valid date`);
+        } else if (startDate && endDate && endDate < startDate) {
+          errors.push(`Row ${rowNumber}: End date cannot be before start date`);
+        }
+        if (record.maxQuantity && !(parseFloat(record.maxQuantity) > 0)) {
+          errors.push(
+            `Row ${rowNumber}: Max quantity must be a positive number`
+          );
+        }
+        break;
+      }
+
+      case "distributors":
+        if (record.email && !this.isValidEmail(record.email)) {
+          errors.push(`Row ${rowNumber}: Invalid email format`);
+        }
+        errors.push(...this.validateTaxFields(record, rowNumber));
+        break;
     }
 
     return errors;
   }
 
+  /**
+   * Validate a record's Thai tax ID and branch code when present
+   * @param {Object} record - Record to validate
+   * @param {number} rowNumber - Row number for error reporting
+   * @returns {Array} Array of error messages
+   */
+  validateTaxFields(record, rowNumber) {
+    return [
+      TaxIdValidator.validateTaxId(record.taxId ?? record.taxRegNo),
+      TaxIdValidator.validateBranchCode(record.branchCode),
+    ]
+      .filter((result) => !result.isValid)
+      .map((result) => `Row ${rowNumber}: ${result.message}`);
+  }
+
   /**
    * Import master data
    * @param {File} file - File to import
@@ -394,6 +546,18 @@ export class MasterDataService {
         processed.creditLimit = record.creditLimit
           ? parseFloat(record.creditLimit)
           : 0;
+        processed.status = record.status
+          ? record.status.trim().toUpperCase()
+          : CUSTOMER_STATUSES.ACTIVE;
+        processed.invTermCode = record.invTermCode?.trim() || "";
+        if (record.taxId) {
+          processed.taxId = TaxIdValidator.normalizeTaxId(record.taxId);
+        }
+        if (record.branchCode) {
+          processed.branchCode = TaxIdValidator.normalizeBranchCode(
+            record.branchCode
+          );
+        }
         break;
 
       case "products":
@@ -401,6 +565,14 @@ export class MasterDataService {
         processed.productName = record.productName?.trim();
         processed.unitPrice = parseFloat(record.unitPrice);
         processed.taxRate = record.taxRate ? parseFloat(record.taxRate) : 0;
+        processed.listPrice = record.listPrice
+          ? parseFloat(record.listPrice)
+          : processed.unitPrice;
+        processed.uomSmall = record.uomSmall?.trim() || "";
+        processed.uomBig = record.uomBig?.trim() || "";
+        processed.convFactor = record.convFactor
+          ? parseFloat(record.convFactor)
+          : 1;
         processed.isActive =
           record.isActive !== "false" && record.isActive !== "0";
         break;
@@ -413,6 +585,48 @@ export class MasterDataService {
           record.isActive !== "false" && record.isActive !== "0";
         processed.sortOrder = record.sortOrder ? parseInt(record.sortOrder) : 0;
         break;
+
+      case "exchangeRates":
+        processed.fromCurrency = record.fromCurrency?.trim().toUpperCase();
+        processed.toCurrency = record.toCurrency?.trim().toUpperCase();
+        processed.rate = parseFloat(record.rate);
+        processed.effectiveDate = this.toDateKey(record.effectiveDate);
+        processed.rateKey = `${processed.fromCurrency}/${processed.toCurrency}@${processed.effectiveDate}`;
+        break;
+
+      case "promotions":
+        processed.promoCode = record.promoCode?.trim().toUpperCase();
+        processed.description = record.description?.trim() || "";
+        // Code lists are kept as ';'-separated text so they export as one column
+        processed.eligibleProducts = this.toCodeList(record.eligibleProducts);
+        processed.eligibleCustomers = this.toCodeList(record.eligibleCustomers);
+        processed.discountType = record.discountType?.trim().toLowerCase();
+        processed.discountValue = parseFloat(record.discountValue);
+        processed.startDate = this.toDateKey(record.startDate);
+        processed.endDate = record.endDate ? this.toDateKey(record.endDate) : "";
+        processed.maxQuantity = record.maxQuantity
+          ? parseFloat(record.maxQuantity)
+          : null;
+        processed.isActive =
+          record.isActive !== "false" && record.isActive !== "0";
+        break;
+
+      case "distributors":
+        processed.code = record.code?.trim();
+        processed.name = record.name?.trim();
+        processed.prefix = record.prefix?.trim().toUpperCase() || "";
+        processed.email = record.email?.toLowerCase().trim();
+        if (record.taxId) {
+          processed.taxId = TaxIdValidator.normalizeTaxId(record.taxId);
+        }
+        if (record.branchCode) {
+          processed.branchCode = TaxIdValidator.normalizeBranchCode(
+            record.branchCode
+          );
+        }
+        processed.isActive =
+          record.isActive !== "false" && record.isActive !== "0";
+        break;
     }
 
     return processed;
@@ -439,6 +653,29 @@ export class MasterDataService {
     return [...existingData, ...uniqueNewRecords];
   }
 
+  /**
+   * Format a date as YYYY-MM-DD as written, so dates entered without a time
+   * do not shift a day when converted to UTC; B.E. years are converted
+   * @param {string} value - Date string
+   * @returns {string} Date key
+   */
+  toDateKey(value) {
+    return DateParser.parseDate(value);
+  }
+
+  /**
+   * Normalize a list of codes separated by ';', '|' or ',' to 'A;B'
+   * @param {string} value - Code list
+   * @returns {string} Codes joined with ';', or '' for all
+   */
+  toCodeList(value) {
+    return String(value || "")
+      .split(/[;|,]/)
+      .map((code) => code.trim())
+      .filter(Boolean)
+      .join(";");
+  }
+
   /**
    * Get key field for data type
    * @param {string} dataType - Type of data
@@ -449,6 +686,8 @@ export class MasterDataService {
       customers: "customerCode",
       products: "productCode",
       references: "referenceCode",
+      exchangeRates: "rateKey",
+      promotions: "promoCode",
     };
 
     return keyFields[dataType] || "id";
@@ -917,6 +1156,15 @@ export class MasterDataService {
     }
   }
 
+  /**
+   * Get stored master data records
+   * @param {string} dataType - Type of data
+   * @returns {Array} Stored records
+   */
+  getMasterData(dataType) {
+    return this.loadFromStorage(`masterData_${dataType}`) || [];
+  }
+
   /**
    * Save data to storage
    */
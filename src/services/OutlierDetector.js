@@ -0,0 +1,294 @@
+/**
+ * OutlierDetector Service
+ *
+ * Flags invoice lines whose effective unit price or quantity is unusual
+ * compared to previously processed invoices for the same product, using the
+ * customer's own history where there is enough of it and the distributor's
+ * history otherwise. Values are tested with a z-score and with IQR fences.
+ */
+
+import { FinancialCalculations } from '../utils/FinancialCalculations.js';
+import {
+  DEFAULT_VALIDATION_CONFIG,
+  VALIDATION_FIELDS,
+  VALIDATION_RESULT_TYPES,
+  createEmptyValidationResult
+} from '../types/validation.js';
+
+const METRICS = [VALIDATION_FIELDS.UNIT_PRICE, VALIDATION_FIELDS.QUANTITY];
+
+const METRIC_LABELS = {
+  [VALIDATION_FIELDS.UNIT_PRICE]: 'Unit price',
+  [VALIDATION_FIELDS.QUANTITY]: 'Quantity'
+};
+
+// Baseline scopes, most specific first
+const SCOPES = ['customer', 'distributor'];
+
+/**
+ * Unit price and quantity of an invoice line, both per small unit
+ * @param {Object} record - Line-level invoice record
+ * @returns {{unitPrice: number|null, quantity: number}|null} Null when the record has no product or quantity
+ */
+export const getLineMetrics = (record) => {
+  const quantity = Number(record?.quantity);
+  if (!record?.productCode || !quantity) {
+    return null;
+  }
+
+  const convFactor = Number(record.uomConvFactor) || 1;
+  const smallUnits = quantity * convFactor;
+  const amount = Number(record.netAmount ?? record.amount);
+
+  return {
+    unitPrice: Number.isFinite(amount) ? FinancialCalculations.applyRounding(amount / smallUnits, 4) : null,
+    quantity: smallUnits
+  };
+};
+
+/**
+ * Value at a quantile of a sorted list, with linear interpolation
+ * @param {Function} at - Returns the i-th sorted value
+ * @param {number} length - Number of values
+ * @param {number} q - Quantile between 0 and 1
+ * @returns {number}
+ */
+const quantile = (at, length, q) => {
+  const position = (length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return at(lower) + (at(upper) - at(lower)) * (position - lower);
+};
+
+/**
+ * Detects statistical outliers against historical invoices
+ */
+export class OutlierDetector {
+  constructor(history = []) {
+    this.groups = new Map();
+    this.setHistory(history);
+  }
+
+  /**
+   * Group key for a metric, scope and product
+   * @returns {string}
+   */
+  getGroupKey(metric, scope, scopeCode, productCode) {
+    return [metric, scope, scopeCode, productCode].join('|');
+  }
+
+  /**
+   * Customer and distributor codes of a record
+   * @param {Object} record
+   * @returns {{customer: string, distributor: string}}
+   */
+  getScopeCodes(record) {
+    const distributorCode = record.distCode ?? record.distributorCode;
+    return {
+      customer: record.customerCode ? String(record.customerCode).trim() : '',
+      distributor: distributorCode ? String(distributorCode).trim() : ''
+    };
+  }
+
+  /**
+   * Replace the historical invoices baselines are built from
+   * @param {Object[]} records - Previously processed line-level invoices
+   */
+  setHistory(records = []) {
+    this.groups = new Map();
+
+    records.forEach(record => {
+      const metrics = getLineMetrics(record);
+      if (!metrics) return;
+
+      const productCode = String(record.productCode).trim();
+      const scopeCodes = this.getScopeCodes(record);
+
+      METRICS.forEach(metric => {
+        const value = metrics[metric];
+        if (value === null) return;
+
+        SCOPES.forEach(scope => {
+          if (!scopeCodes[scope]) return;
+
+          const key = this.getGroupKey(metric, scope, scopeCodes[scope], productCode);
+          if (!this.groups.has(key)) {
+            this.groups.set(key, { values: [], sum: 0, sumSquares: 0, valuesById: new Map() });
+          }
+          const group = this.groups.get(key);
+          group.values.push(value);
+          group.sum += value;
+          group.sumSquares += value * value;
+          if (record.id !== undefined) {
+            group.valuesById.set(record.id, value);
+          }
+        });
+      });
+    });
+
+    this.groups.forEach(group => group.values.sort((a, b) => a - b));
+  }
+
+  /**
+   * Whether any history has been loaded
+   * @returns {boolean}
+   */
+  hasHistory() {
+    return this.groups.size > 0;
+  }
+
+  /**
+   * Baseline statistics for a group. A record that is itself part of the
+   * history is left out, so it is not compared against its own value.
+   * @param {string} metric
+   * @param {string} scope
+   * @param {string} scopeCode
+   * @param {string} productCode
+   * @param {string} [excludeRecordId] - Record to leave out of the baseline
+   * @returns {import('../types/validation.js').OutlierBaseline|null} Null when there is no history
+   */
+  getBaseline(metric, scope, scopeCode, productCode, excludeRecordId) {
+    const group = this.groups.get(this.getGroupKey(metric, scope, scopeCode, productCode));
+    if (!group) {
+      return null;
+    }
+
+    const { values } = group;
+    let { sum, sumSquares } = group;
+    let skipIndex = -1;
+
+    if (excludeRecordId !== undefined && group.valuesById.has(excludeRecordId)) {
+      const excluded = group.valuesById.get(excludeRecordId);
+      skipIndex = values.indexOf(excluded);
+      sum -= excluded;
+      sumSquares -= excluded * excluded;
+    }
+
+    const count = values.length - (skipIndex >= 0 ? 1 : 0);
+    if (count === 0) {
+      return null;
+    }
+
+    const at = (index) => (skipIndex >= 0 && index >= skipIndex ? values[index + 1] : values[index]);
+    const mean = sum / count;
+    // Clamp float noise so a constant history has no spread
+    const variance = count > 1 ? (sumSquares - count * mean * mean) / (count - 1) : 0;
+    const stdDev = variance > 1e-9 ? Math.sqrt(variance) : 0;
+    const q1 = quantile(at, count, 0.25);
+    const q3 = quantile(at, count, 0.75);
+
+    return {
+      metric,
+      scope,
+      scopeCode,
+      productCode,
+      count,
+      mean,
+      stdDev,
+      min: at(0),
+      max: at(count - 1),
+      q1,
+      median: quantile(at, count, 0.5),
+      q3,
+      iqr: q3 - q1
+    };
+  }
+
+  /**
+   * Most specific baseline with enough observations
+   * @param {string} metric
+   * @param {Object} record
+   * @param {number} minSamples
+   * @returns {import('../types/validation.js').OutlierBaseline|null}
+   */
+  resolveBaseline(metric, record, minSamples) {
+    const productCode = String(record.productCode).trim();
+    const scopeCodes = this.getScopeCodes(record);
+
+    for (const scope of SCOPES) {
+      if (!scopeCodes[scope]) continue;
+      const baseline = this.getBaseline(metric, scope, scopeCodes[scope], productCode, record.id);
+      if (baseline && baseline.count >= minSamples) {
+        return baseline;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check a record's unit price and quantity against history
+   * @param {Object} record - Line-level invoice record
+   * @param {Object} context
+   * @param {Function} context.determineSeverity - Maps deviation percentage to severity
+   * @param {Object} [context.settings] - Outlier settings (see ValidationConfig.outliers)
+   * @returns {import('../types/validation.js').ValidationResult[]}
+   */
+  validate(record, context) {
+    const metrics = getLineMetrics(record);
+    if (!metrics) {
+      return [];
+    }
+
+    const settings = { ...DEFAULT_VALIDATION_CONFIG.outliers, ...context.settings };
+
+    return METRICS
+      .map(metric => {
+        if (metrics[metric] === null) return null;
+        const baseline = this.resolveBaseline(metric, record, Math.max(1, settings.minSamples));
+        return baseline ? this.checkValue(record, metric, metrics[metric], baseline, settings, context) : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Test one value against its baseline
+   * @returns {import('../types/validation.js').ValidationResult|null}
+   */
+  checkValue(record, metric, value, baseline, settings, context) {
+    // Without a spread floor a constant history would flag any rounding difference
+    const spreadFloor = Math.abs(baseline.median) * (settings.minSpreadRatio || 0);
+    const stdDev = Math.max(baseline.stdDev, spreadFloor);
+    const iqr = Math.max(baseline.iqr, spreadFloor);
+
+    const zScore = stdDev > 0 ? (value - baseline.mean) / stdDev : null;
+    const lowerFence = baseline.q1 - settings.iqrMultiplier * iqr;
+    const upperFence = baseline.q3 + settings.iqrMultiplier * iqr;
+
+    const zScoreOutlier = settings.zScoreThreshold > 0 && zScore !== null &&
+      Math.abs(zScore) >= settings.zScoreThreshold;
+    const iqrOutlier = settings.iqrMultiplier > 0 && (value < lowerFence || value > upperFence);
+
+    if (!zScoreOutlier && !iqrOutlier) {
+      return null;
+    }
+
+    const discrepancyPercentage = FinancialCalculations.calculatePercentageDifference(baseline.median, value);
+    const direction = value > baseline.median ? 'high' : 'low';
+    const round = (number) => FinancialCalculations.applyRounding(number, 4);
+
+    return {
+      ...createEmptyValidationResult(record.id, metric),
+      type: VALIDATION_RESULT_TYPES.ANOMALY,
+      originalValue: value,
+      calculatedValue: round(baseline.median),
+      discrepancy: round(Math.abs(value - baseline.median)),
+      discrepancyPercentage,
+      severity: context.determineSeverity(discrepancyPercentage),
+      baseline: {
+        ...baseline,
+        mean: round(baseline.mean),
+        stdDev: round(baseline.stdDev),
+        q1: round(baseline.q1),
+        median: round(baseline.median),
+        q3: round(baseline.q3),
+        iqr: round(baseline.iqr),
+        lowerFence: round(lowerFence),
+        upperFence: round(upperFence),
+        zScore: zScore === null ? null : FinancialCalculations.applyRounding(zScore, 2)
+      },
+      message: `${METRIC_LABELS[metric]} ${value} for product ${baseline.productCode} is unusually ${direction} ` +
+        `for ${baseline.scope} ${baseline.scopeCode} (median ${round(baseline.median)} over ${baseline.count} invoices` +
+        `${zScore === null ? '' : `, z-score ${FinancialCalculations.applyRounding(zScore, 2)}`})`
+    };
+  }
+}
@@ -0,0 +1,287 @@
+/**
+ * ProductMasterValidator Service
+ *
+ * Cross-checks invoice lines against the Product master: product existence
+ * and status, unit of measure, conversion factor and list price.
+ */
+
+import { FinancialCalculations } from '../utils/FinancialCalculations.js';
+import {
+  SEVERITY_LEVELS,
+  VALIDATION_FIELDS,
+  createEmptyValidationResult
+} from '../types/validation.js';
+
+/**
+ * Normalize a product from either the Prisma model (code/listPrice) or the
+ * master data import format (productCode/unitPrice)
+ * @param {Object} product - Raw product record
+ * @returns {Object|null} Normalized product
+ */
+export const normalizeProduct = (product) => {
+  const code = product?.code ?? product?.productCode;
+  if (!code) {
+    return null;
+  }
+
+  const listPrice = product.listPrice ?? product.unitPrice;
+  const convFactor = product.convFactor ?? product.uomConvFactor;
+
+  return {
+    code: String(code).trim(),
+    name: product.name ?? product.productName ?? '',
+    listPrice: listPrice === undefined || listPrice === null || listPrice === '' ? null : Number(listPrice),
+    uomSmall: product.uomSmall ?? '',
+    uomBig: product.uomBig ?? '',
+    convFactor: convFactor ? Number(convFactor) : 1,
+    isActive: product.isActive !== false && product.isActive !== 'false' && product.isActive !== '0'
+  };
+};
+
+/**
+ * Validates invoice lines against product master data
+ */
+export class ProductMasterValidator {
+  constructor(products = []) {
+    this.products = new Map();
+    this.setProducts(products);
+  }
+
+  /**
+   * Replace the product catalog
+   * @param {Object[]} products - Product master records
+   */
+  setProducts(products = []) {
+    this.products = new Map();
+    products.forEach(product => {
+      const normalized = normalizeProduct(product);
+      if (normalized) {
+        this.products.set(normalized.code, normalized);
+      }
+    });
+  }
+
+  /**
+   * Whether a catalog has been loaded
+   * @returns {boolean}
+   */
+  hasProducts() {
+    return this.products.size > 0;
+  }
+
+  /**
+   * Look up a product by code
+   * @param {string} productCode
+   * @returns {Object|null}
+   */
+  getProduct(productCode) {
+    return productCode ? this.products.get(String(productCode).trim()) || null : null;
+  }
+
+  /**
+   * Convert a quantity into small units
+   * @param {number} quantity - Quantity in the invoiced UOM
+   * @param {string} uomCode - Invoiced UOM
+   * @param {Object} product - Normalized product
+   * @returns {number} Quantity in small units
+   */
+  toSmallUnits(quantity, uomCode, product) {
+    if (uomCode && product.uomBig && uomCode === product.uomBig) {
+      return quantity * product.convFactor;
+    }
+    return quantity;
+  }
+
+  /**
+   * Validate a record (and its line items) against the catalog
+   * @param {Object} record - Invoice record
+   * @param {Object} context
+   * @param {Function} context.determineSeverity - Maps discrepancy percentage to severity
+   * @param {number} context.tolerance - Absolute price tolerance
+   * @param {'small' | 'big'} context.priceUnit - UOM the listPrice is quoted in
+   * @returns {import('../types/validation.js').ValidationResult[]}
+   */
+  validate(record, context) {
+    const results = [];
+
+    if (record.productCode) {
+      results.push(...this.validateInvoiceLine(record, context));
+    }
+
+    (record.lineItems || []).forEach((lineItem, index) => {
+      if (lineItem.productCode) {
+        results.push(...this.validateLineItem(record.id, lineItem, index, context));
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Validate a line-level invoice row (Prisma Invoice shape)
+   * @param {Object} record
+   * @param {Object} context
+   * @returns {import('../types/validation.js').ValidationResult[]}
+   */
+  validateInvoiceLine(record, context) {
+    const product = this.getProduct(record.productCode);
+    const statusResult = this.checkProductStatus(record.id, VALIDATION_FIELDS.PRODUCT_CODE, record.productCode, product);
+    if (!product) {
+      return [statusResult];
+    }
+
+    const results = [statusResult];
+
+    // Masters imported without UOMs cannot tell a valid UOM from an unknown one
+    const uoms = [product.uomSmall, product.uomBig].filter(Boolean);
+    if (record.uomCode && uoms.length > 0 && !uoms.includes(record.uomCode)) {
+      results.push({
+        ...createEmptyValidationResult(record.id, VALIDATION_FIELDS.UOM_CODE),
+        originalValue: record.uomCode,
+        calculatedValue: uoms.join('/'),
+        severity: SEVERITY_LEVELS.HIGH,
+        message: `UOM '${record.uomCode}' is not defined for product ${product.code}`
+      });
+      return results.filter(Boolean); // Cannot convert quantities for an unknown UOM
+    }
+
+    if (record.uomConvFactor !== undefined && record.uomConvFactor !== null && record.uomConvFactor !== '') {
+      const invoicedFactor = Number(record.uomConvFactor);
+      if (invoicedFactor !== product.convFactor) {
+        const discrepancyPercentage = FinancialCalculations.calculatePercentageDifference(invoicedFactor, product.convFactor);
+        results.push({
+          ...createEmptyValidationResult(record.id, VALIDATION_FIELDS.UOM_CONV_FACTOR),
+          originalValue: invoicedFactor,
+          calculatedValue: product.convFactor,
+          discrepancy: Math.abs(invoicedFactor - product.convFactor),
+          discrepancyPercentage,
+          severity: SEVERITY_LEVELS.HIGH,
+          message: `Conversion factor mismatch for product ${product.code}: master ${product.convFactor}, invoice ${invoicedFactor}`
+        });
+      }
+    }
+
+    const quantity = Number(record.quantity);
+    const amount = record.netAmount ?? record.amount;
+    if (product.listPrice === null || !quantity || amount === undefined || amount === null) {
+      return results.filter(Boolean);
+    }
+
+    // Net amounts are stated after promotional discount
+    const invoicedGross = Number(amount) + (Number(record.promoDiscount) || 0);
+    const expectedGross = this.calculateExpectedAmount(quantity, record.uomCode, product, context.priceUnit);
+
+    results.push(this.checkAmount(
+      record.id,
+      record.netAmount !== undefined ? VALIDATION_FIELDS.NET_AMOUNT : VALIDATION_FIELDS.AMOUNT,
+      invoicedGross,
+      expectedGross,
+      context,
+      `Price deviation for product ${product.code} (${quantity} ${record.uomCode || product.uomSmall} at list price ${product.listPrice})`
+    ));
+
+    return results.filter(Boolean);
+  }
+
+  /**
+   * Validate a parsed invoice line item
+   * @param {string} recordId
+   * @param {import('../types/invoice.js').InvoiceLineItem} lineItem
+   * @param {number} index
+   * @param {Object} context
+   * @returns {import('../types/validation.js').ValidationResult[]}
+   */
+  validateLineItem(recordId, lineItem, index, context) {
+    const field = `${VALIDATION_FIELDS.LINE_ITEM_PRICE}_${index}`;
+    const product = this.getProduct(lineItem.productCode);
+    const statusResult = this.checkProductStatus(recordId, field, lineItem.productCode, product);
+
+    if (!product || product.listPrice === null || typeof lineItem.unitPrice !== 'number') {
+      return [statusResult].filter(Boolean);
+    }
+
+    const expectedPrice = context.priceUnit === 'big'
+      ? FinancialCalculations.applyRounding(product.listPrice / product.convFactor, 2)
+      : product.listPrice;
+
+    return [
+      statusResult,
+      this.checkAmount(
+        recordId,
+        field,
+        lineItem.unitPrice,
+        expectedPrice,
+        context,
+        `Line item ${index + 1} price deviation for product ${product.code}`
+      )
+    ].filter(Boolean);
+  }
+
+  /**
+   * Expected amount for a quantity at list price
+   * @param {number} quantity
+   * @param {string} uomCode
+   * @param {Object} product
+   * @param {'small' | 'big'} priceUnit
+   * @returns {number}
+   */
+  calculateExpectedAmount(quantity, uomCode, product, priceUnit = 'small') {
+    const smallUnits = this.toSmallUnits(quantity, uomCode, product);
+    const pricedUnits = priceUnit === 'big' ? smallUnits / product.convFactor : smallUnits;
+    return FinancialCalculations.applyRounding(pricedUnits * product.listPrice, 2);
+  }
+
+  /**
+   * Report unknown or inactive products
+   * @returns {import('../types/validation.js').ValidationResult|null}
+   */
+  checkProductStatus(recordId, field, productCode, product) {
+    if (!product) {
+      return {
+        ...createEmptyValidationResult(recordId, field),
+        originalValue: productCode,
+        calculatedValue: '',
+        severity: SEVERITY_LEVELS.HIGH,
+        message: `Unknown product ${productCode}: not found in product master`
+      };
+    }
+
+    if (!product.isActive) {
+      return {
+        ...createEmptyValidationResult(recordId, field),
+        originalValue: productCode,
+        calculatedValue: productCode,
+        severity: SEVERITY_LEVELS.MEDIUM,
+        message: `Product ${productCode} is inactive in product master`
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Compare an invoiced amount with the list-price amount
+   * @returns {import('../types/validation.js').ValidationResult|null}
+   */
+  checkAmount(recordId, field, originalValue, calculatedValue, context, label) {
+    const discrepancy = FinancialCalculations.applyRounding(Math.abs(originalValue - calculatedValue), 2);
+
+    if (discrepancy <= context.tolerance) {
+      return null; // Within tolerance
+    }
+
+    const discrepancyPercentage = FinancialCalculations.calculatePercentageDifference(originalValue, calculatedValue);
+
+    return {
+      ...createEmptyValidationResult(recordId, field),
+      originalValue,
+      calculatedValue,
+      discrepancy,
+      discrepancyPercentage,
+      severity: context.determineSeverity(discrepancyPercentage),
+      message: `${label}: Expected ${calculatedValue}, found ${originalValue}`
+    };
+  }
+}
+
+export default ProductMasterValidator;
@@ -0,0 +1,216 @@
+/**
+ * PromotionValidator Service
+ *
+ * Holds the promotion master and checks each invoice line's promoDiscount
+ * against the promotions in effect on its invoice date for its product and
+ * customer. Discounts no promotion covers are unearned, discounts above what
+ * the best eligible promotion allows are over-applied, and discounts only an
+ * ended promotion would cover are expired.
+ */
+
+import { FinancialCalculations } from '../utils/FinancialCalculations.js';
+import { DateParser } from '../utils/DateParser.js';
+import {
+  PROMOTION_DISCOUNT_TYPES,
+  PROMOTION_ISSUE_TYPES,
+  SEVERITY_LEVELS,
+  VALIDATION_FIELDS,
+  createEmptyValidationResult
+} from '../types/validation.js';
+
+/**
+ * Split a list of codes as written in the master data file, e.g. 'P001;P002'
+ * @param {string|string[]} value - Codes separated by ';', '|' or ','
+ * @returns {string[]} Trimmed codes
+ */
+export const parseCodeList = (value) =>
+  (Array.isArray(value) ? value : String(value ?? '').split(/[;|,]/))
+    .map(code => String(code).trim())
+    .filter(Boolean);
+
+/**
+ * Normalize a promotion from the master data import format
+ * @param {Object} promotion - Raw promotion record
+ * @returns {import('../types/validation.js').Promotion|null} Null when the record is incomplete
+ */
+export const normalizePromotion = (promotion) => {
+  const promoCode = String(promotion?.promoCode || '').trim().toUpperCase();
+  const discountType = String(promotion?.discountType || '').trim().toLowerCase();
+  const discountValue = Number(promotion?.discountValue);
+  const startDate = DateParser.parseDate(promotion?.startDate);
+  const maxQuantity = Number(promotion?.maxQuantity);
+
+  if (!promoCode || !Object.values(PROMOTION_DISCOUNT_TYPES).includes(discountType) ||
+    !(discountValue > 0) || !startDate) {
+    return null;
+  }
+
+  return {
+    promoCode,
+    description: promotion.description || '',
+    eligibleProducts: parseCodeList(promotion.eligibleProducts),
+    eligibleCustomers: parseCodeList(promotion.eligibleCustomers),
+    discountType,
+    discountValue,
+    startDate,
+    endDate: DateParser.parseDate(promotion.endDate),
+    maxQuantity: maxQuantity > 0 ? maxQuantity : null,
+    isActive: promotion.isActive !== false && promotion.isActive !== 'false' && promotion.isActive !== '0'
+  };
+};
+
+/**
+ * Validates promotional discounts against the promotion master
+ */
+export class PromotionValidator {
+  constructor(promotions = []) {
+    this.promotions = [];
+    this.setPromotions(promotions);
+  }
+
+  /**
+   * Replace the promotion master. Inactive promotions cannot be earned.
+   * @param {Object[]} promotions - Promotion records
+   */
+  setPromotions(promotions = []) {
+    this.promotions = promotions
+      .map(normalizePromotion)
+      .filter(promotion => promotion && promotion.isActive);
+  }
+
+  /**
+   * Whether a promotion master has been loaded
+   * @returns {boolean}
+   */
+  hasPromotions() {
+    return this.promotions.length > 0;
+  }
+
+  /**
+   * Promotions covering the record's product and customer, whatever their dates
+   * @param {Object} record - Invoice record
+   * @returns {import('../types/validation.js').Promotion[]}
+   */
+  getEligiblePromotions(record) {
+    const productCode = String(record.productCode ?? '').trim();
+    const customerCode = String(record.customerCode ?? '').trim();
+
+    return this.promotions.filter(promotion =>
+      (promotion.eligibleProducts.length === 0 || promotion.eligibleProducts.includes(productCode)) &&
+      (promotion.eligibleCustomers.length === 0 || promotion.eligibleCustomers.includes(customerCode))
+    );
+  }
+
+  /**
+   * Whether a promotion runs on a date
+   * @param {import('../types/validation.js').Promotion} promotion
+   * @param {string} date - YYYY-MM-DD
+   * @returns {boolean}
+   */
+  isInEffect(promotion, date) {
+    return promotion.startDate <= date && (!promotion.endDate || date <= promotion.endDate);
+  }
+
+  /**
+   * Discount a promotion allows on a line. Percentages apply to the amount
+   * before the discount; units beyond maxQuantity earn nothing.
+   * @param {import('../types/validation.js').Promotion} promotion
+   * @param {Object} record - Invoice record
+   * @returns {number} Earned discount
+   */
+  calculateEarnedDiscount(promotion, record) {
+    const quantity = Number(record.quantity) || 0;
+    const discountedQuantity = promotion.maxQuantity ? Math.min(quantity, promotion.maxQuantity) : quantity;
+    // Net amounts are stated after promotional discount
+    const grossAmount = Number(record.netAmount ?? record.amount ?? 0) + (Number(record.promoDiscount) || 0);
+
+    let earned;
+    switch (promotion.discountType) {
+      case PROMOTION_DISCOUNT_TYPES.PERCENTAGE: {
+        const discountedShare = quantity > 0 ? discountedQuantity / quantity : 1;
+        earned = grossAmount * discountedShare * promotion.discountValue / 100;
+        break;
+      }
+      case PROMOTION_DISCOUNT_TYPES.AMOUNT_PER_UNIT:
+        earned = discountedQuantity * promotion.discountValue;
+        break;
+      default:
+        earned = promotion.discountValue;
+    }
+
+    return FinancialCalculations.applyRounding(earned, 2);
+  }
+
+  /**
+   * Check a record's promotional discount
+   * @param {Object} record - Invoice or credit note line
+   * @param {Object} context
+   * @param {Function} context.determineSeverity - Maps discrepancy percentage to severity
+   * @param {number} context.tolerance - Absolute discount tolerance
+   * @returns {import('../types/validation.js').ValidationResult[]}
+   */
+  validate(record, context) {
+    const promoDiscount = Number(record.promoDiscount) || 0;
+    const date = DateParser.parseDate(record.invoiceDate ?? record.date);
+    if (promoDiscount <= 0 || !date) {
+      return [];
+    }
+
+    const eligible = this.getEligiblePromotions(record);
+    const inEffect = eligible.filter(promotion => this.isInEffect(promotion, date));
+
+    if (inEffect.length === 0) {
+      const ended = eligible
+        .filter(promotion => promotion.endDate && promotion.endDate < date)
+        .sort((a, b) => b.endDate.localeCompare(a.endDate))[0];
+
+      return [ended
+        ? this.createResult(record, promoDiscount, PROMOTION_ISSUE_TYPES.EXPIRED, ended,
+          `Promotional discount ${promoDiscount} applied under promotion ${ended.promoCode}, which ended on ${ended.endDate} before invoice date ${date}`)
+        : this.createResult(record, promoDiscount, PROMOTION_ISSUE_TYPES.UNEARNED, null,
+          `Promotional discount ${promoDiscount} is not earned: no promotion for product ${record.productCode || '-'} and customer ${record.customerCode || '-'} is in effect on ${date}`)];
+    }
+
+    // Lines do not name their promotion, so the most generous one is assumed
+    const best = inEffect
+      .map(promotion => ({ promotion, earned: this.calculateEarnedDiscount(promotion, record) }))
+      .sort((a, b) => b.earned - a.earned)[0];
+
+    const excess = FinancialCalculations.applyRounding(promoDiscount - best.earned, 2);
+    if (excess <= context.tolerance) {
+      return [];
+    }
+
+    const discrepancyPercentage = FinancialCalculations.calculatePercentageDifference(promoDiscount, best.earned);
+    const limit = best.promotion.maxQuantity && Number(record.quantity) > best.promotion.maxQuantity
+      ? ` (limited to ${best.promotion.maxQuantity} units)`
+      : '';
+
+    return [{
+      ...this.createResult(record, promoDiscount, PROMOTION_ISSUE_TYPES.OVER_APPLIED, best.promotion,
+        `Promotional discount ${promoDiscount} exceeds the ${best.earned} earned under promotion ${best.promotion.promoCode}${limit} by ${excess}`),
+      calculatedValue: best.earned,
+      discrepancy: excess,
+      discrepancyPercentage,
+      severity: context.determineSeverity(discrepancyPercentage)
+    }];
+  }
+
+  /**
+   * Result flagging a promotional discount; values default to nothing earned
+   * @returns {import('../types/validation.js').ValidationResult}
+   */
+  createResult(record, promoDiscount, promotionIssue, promotion, message) {
+    return {
+      ...createEmptyValidationResult(record.id, VALIDATION_FIELDS.PROMO_DISCOUNT),
+      originalValue: promoDiscount,
+      calculatedValue: 0,
+      discrepancy: promoDiscount,
+      discrepancyPercentage: 100,
+      severity: SEVERITY_LEVELS.HIGH,
+      message,
+      promotionIssue,
+      promoCode: promotion ? promotion.promoCode : null
+    };
+  }
+}
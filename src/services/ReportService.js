@@ -10,8 +10,21 @@ import {
   REPORT_TYPES,
   SEVERITY_LEVELS 
 } from '../types/reports.js';
+import { BASE_CURRENCY } from '../types/invoice.js';
+import { NON_MONETARY_FIELDS } from '../types/validation.js';
 
 class ReportService {
+  /**
+   * Discrepancy of a result in the base currency. Results from before
+   * currency conversion have no baseDiscrepancy and are already in it;
+   * results that could not be converted count as 0.
+   * @param {Object} result - Validation result
+   * @returns {number}
+   */
+  static getBaseAmount(result) {
+    return result.baseDiscrepancy === undefined ? result.discrepancy : result.baseDiscrepancy || 0;
+  }
+
   /**
    * Generate report data based on template and filters
    * @param {Object} template - Report template
@@ -81,13 +94,13 @@ class ReportService {
     // Discrepancy amount filter
     if (filters.minDiscrepancyAmount > 0) {
       filteredResults = filteredResults.filter(result => 
-        result.discrepancy >= filters.minDiscrepancyAmount
+        this.getBaseAmount(result) >= filters.minDiscrepancyAmount
       );
     }
 
     if (filters.maxDiscrepancyAmount !== null && filters.maxDiscrepancyAmount !== undefined) {
       filteredResults = filteredResults.filter(result => 
-        result.discrepancy <= filters.maxDiscrepancyAmount
+        this.getBaseAmount(result) <= filters.maxDiscrepancyAmount
       );
     }
 
@@ -145,7 +158,7 @@ class ReportService {
       case 'validatedAt':
         return new Date(result.validatedAt);
       case 'discrepancy':
-        return result.discrepancy;
+        return this.getBaseAmount(result);
       case 'severity':
         const severityOrder = { low: 1, medium: 2, high: 3, critical: 4 };
         return severityOrder[result.severity] || 0;
@@ -168,7 +181,7 @@ class ReportService {
     const totalRecords = filteredResults.length;
     const validRecords = filteredResults.filter(r => r.severity === 'low' || r.discrepancy === 0).length;
     const invalidRecords = totalRecords - validRecords;
-    const totalDiscrepancyAmount = filteredResults.reduce((sum, r) => sum + r.discrepancy, 0);
+    const totalDiscrepancyAmount = filteredResults.reduce((sum, r) => sum + this.getBaseAmount(r), 0);
 
     const severityBreakdown = {
       low: filteredResults.filter(r => r.severity === 'low').length,
@@ -187,7 +200,10 @@ class ReportService {
       totalDiscrepancies: totalRecords,
       totalDiscrepancyAmount,
       averageDiscrepancyAmount: totalRecords > 0 ? totalDiscrepancyAmount / totalRecords : 0,
-      maxDiscrepancyAmount: totalRecords > 0 ? Math.max(...filteredResults.map(r => r.discrepancy)) : 0,
+      maxDiscrepancyAmount: totalRecords > 0 ? Math.max(...filteredResults.map(r => this.getBaseAmount(r))) : 0,
+      baseCurrency: originalSummary?.baseCurrency || BASE_CURRENCY,
+      unconvertedCount: filteredResults
+        .filter(r => r.baseDiscrepancy === null && r.discrepancy && !NON_MONETARY_FIELDS.includes(r.field)).length,
       severityBreakdown,
       customerBreakdown,
       timeBreakdown,
@@ -251,7 +267,7 @@ class ReportService {
     // Discrepancy amount distribution
     if (template.type === 'analysis' || template.type === 'detailed') {
       const topDiscrepancies = filteredResults
-        .sort((a, b) => b.discrepancy - a.discrepancy)
+        .sort((a, b) => this.getBaseAmount(b) - this.getBaseAmount(a))
         .slice(0, 10);
 
       charts.push({
@@ -260,14 +276,14 @@ class ReportService {
         type: 'bar',
         data: topDiscrepancies.map((r, index) => ({
           name: `${r.recordId.substring(0, 8)}...`,
-          value: r.discrepancy,
+          value: this.getBaseAmount(r),
           field: r.field,
           severity: r.severity,
           rank: index + 1
         })),
         config: {
           xAxisLabel: 'Records',
-          yAxisLabel: 'Discrepancy Amount ($)',
+          yAxisLabel: `Discrepancy Amount (${summary.baseCurrency})`,
           showGrid: true,
           showValues: true
         }
@@ -359,8 +375,8 @@ class ReportService {
       }
       
       acc[result.field].count++;
-      acc[result.field].totalDiscrepancy += result.discrepancy;
-      acc[result.field].maxDiscrepancy = Math.max(acc[result.field].maxDiscrepancy, result.discrepancy);
+      acc[result.field].totalDiscrepancy += this.getBaseAmount(result);
+      acc[result.field].maxDiscrepancy = Math.max(acc[result.field].maxDiscrepancy, this.getBaseAmount(result));
       acc[result.field].averageDiscrepancy = acc[result.field].totalDiscrepancy / acc[result.field].count;
       acc[result.field].records.push(result);
       
@@ -385,7 +401,7 @@ class ReportService {
       }
       
       acc[result.severity].count++;
-      acc[result.severity].totalDiscrepancy += result.discrepancy;
+      acc[result.severity].totalDiscrepancy += this.getBaseAmount(result);
       acc[result.severity].averageDiscrepancy = acc[result.severity].totalDiscrepancy / acc[result.severity].count;
       acc[result.severity].records.push(result);
       
@@ -412,7 +428,7 @@ class ReportService {
       }
       
       acc[customerId].count++;
-      acc[customerId].totalDiscrepancy += result.discrepancy;
+      acc[customerId].totalDiscrepancy += this.getBaseAmount(result);
       acc[customerId].averageDiscrepancy = acc[customerId].totalDiscrepancy / acc[customerId].count;
       acc[customerId].records.push(result);
       
@@ -439,7 +455,7 @@ class ReportService {
       }
       
       acc[date].count++;
-      acc[date].totalDiscrepancy += result.discrepancy;
+      acc[date].totalDiscrepancy += this.getBaseAmount(result);
       acc[date].averageDiscrepancy = acc[date].totalDiscrepancy / acc[date].count;
       acc[date].records.push(result);
       
@@ -0,0 +1,226 @@
+/**
+ * StreamedRecordStore
+ *
+ * Holds the records of streamed files outside the Redux store. Records are
+ * written to IndexedDB chunk by chunk and read back a page at a time, so a
+ * large file is never held in memory as a whole. Where IndexedDB is not
+ * available (older browsers, tests) records are kept in memory instead.
+ */
+
+const DB_NAME = 'invoiceValidation_streamedRecords';
+const DB_VERSION = 1;
+const STORE_NAME = 'records';
+
+const DEFAULT_PAGE_SIZE = 100;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Streamed record store class
+ */
+export class StreamedRecordStore {
+  constructor(dbName = DB_NAME) {
+    this.dbName = dbName;
+    this.db = null;
+    // Records written per file, so appends know the next row index
+    this.counts = new Map();
+    // Fallback storage when IndexedDB is unavailable
+    this.memory = new Map();
+  }
+
+  /**
+   * Whether records can be persisted to IndexedDB
+   * @returns {boolean}
+   */
+  static isIndexedDBSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open the database, creating the record store on first use
+   * @returns {Promise<IDBDatabase>}
+   */
+  async open() {
+    if (this.db) {
+      return this.db;
+    }
+
+    const request = indexedDB.open(this.dbName, DB_VERSION);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+        // Keyed by [fileId, row index] so a file's rows are read back in order
+        request.result.createObjectStore(STORE_NAME, { keyPath: ['fileId', 'index'] });
+      }
+    };
+    this.db = await requestToPromise(request);
+    return this.db;
+  }
+
+  /**
+   * Append a chunk of records to a file
+   * @param {string} fileId - Upload id
+   * @param {Object[]} records - Parsed records
+   * @returns {Promise<number>} Records stored for the file so far
+   */
+  async append(fileId, records = []) {
+    const start = this.count(fileId);
+    this.counts.set(fileId, start + records.length);
+
+    if (!StreamedRecordStore.isIndexedDBSupported()) {
+      if (!this.memory.has(fileId)) {
+        this.memory.set(fileId, []);
+      }
+      this.memory.get(fileId).push(...records);
+      return this.count(fileId);
+    }
+
+    const db = await this.open();
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_NAME], 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      records.forEach((record, offset) => store.put({ fileId, index: start + offset, record }));
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Failed to store streamed records'));
+    });
+
+    return this.count(fileId);
+  }
+
+  /**
+   * Read a page of a file's records in file order
+   * @param {string} fileId - Upload id
+   * @param {number} [offset] - Index of the first record
+   * @param {number} [limit] - Maximum number of records
+   * @returns {Promise<Object[]>}
+   */
+  async getPage(fileId, offset = 0, limit = DEFAULT_PAGE_SIZE) {
+    if (limit <= 0) {
+      return [];
+    }
+
+    if (!StreamedRecordStore.isIndexedDBSupported()) {
+      return (this.memory.get(fileId) || []).slice(offset, offset + limit).filter(Boolean);
+    }
+
+    const db = await this.open();
+    const store = db.transaction([STORE_NAME], 'readonly').objectStore(STORE_NAME);
+    const entries = await requestToPromise(
+      store.getAll(IDBKeyRange.bound([fileId, offset], [fileId, offset + limit - 1]))
+    );
+    return entries.map(entry => entry.record);
+  }
+
+  /**
+   * Number of rows written for a file in this session. Removed records keep
+   * their row index, so they are still counted.
+   * @param {string} fileId - Upload id
+   * @returns {number}
+   */
+  count(fileId) {
+    return this.counts.get(fileId) || 0;
+  }
+
+  /**
+   * Find a record of a file by its id
+   * @param {string} fileId - Upload id
+   * @param {string} recordId - Record id
+   * @returns {Promise<{index: number, record: Object}|null>}
+   */
+  async find(fileId, recordId) {
+    if (!StreamedRecordStore.isIndexedDBSupported()) {
+      const records = this.memory.get(fileId) || [];
+      const index = records.findIndex(record => record?.id === recordId);
+      return index === -1 ? null : { index, record: records[index] };
+    }
+
+    const db = await this.open();
+    const store = db.transaction([STORE_NAME], 'readonly').objectStore(STORE_NAME);
+    const request = store.openCursor(IDBKeyRange.bound([fileId, 0], [fileId, Infinity]));
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor && cursor.value.record.id !== recordId) {
+          cursor.continue();
+          return;
+        }
+        resolve(cursor ? { index: cursor.value.index, record: cursor.value.record } : null);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Remove one record of a file. Its row index is left unused, so a page
+   * containing it returns one record fewer.
+   * @param {string} fileId - Upload id
+   * @param {string} recordId - Record id
+   * @returns {Promise<Object|null>} The removed record
+   */
+  async remove(fileId, recordId) {
+    const entry = await this.find(fileId, recordId);
+    if (!entry) {
+      return null;
+    }
+
+    if (!StreamedRecordStore.isIndexedDBSupported()) {
+      // Keep later records at their row index, as in IndexedDB
+      this.memory.get(fileId)[entry.index] = undefined;
+      return entry.record;
+    }
+
+    const db = await this.open();
+    const store = db.transaction([STORE_NAME], 'readwrite').objectStore(STORE_NAME);
+    await requestToPromise(store.delete([fileId, entry.index]));
+    return entry.record;
+  }
+
+  /**
+   * Replace one record of a file
+   * @param {string} fileId - Upload id
+   * @param {string} recordId - Record id
+   * @param {function(Object): Object} updater - Returns the new record from the stored one
+   * @returns {Promise<Object|null>} The updated record
+   */
+  async update(fileId, recordId, updater) {
+    const entry = await this.find(fileId, recordId);
+    if (!entry) {
+      return null;
+    }
+
+    const record = updater(entry.record);
+    if (!StreamedRecordStore.isIndexedDBSupported()) {
+      this.memory.get(fileId)[entry.index] = record;
+      return record;
+    }
+
+    const db = await this.open();
+    const store = db.transaction([STORE_NAME], 'readwrite').objectStore(STORE_NAME);
+    await requestToPromise(store.put({ fileId, index: entry.index, record }));
+    return record;
+  }
+
+  /**
+   * Remove a file's records
+   * @param {string} fileId - Upload id
+   * @returns {Promise<void>}
+   */
+  async clear(fileId) {
+    this.counts.delete(fileId);
+
+    if (!StreamedRecordStore.isIndexedDBSupported()) {
+      this.memory.delete(fileId);
+      return;
+    }
+
+    const db = await this.open();
+    const store = db.transaction([STORE_NAME], 'readwrite').objectStore(STORE_NAME);
+    await requestToPromise(store.delete(IDBKeyRange.bound([fileId, 0], [fileId, Infinity])));
+  }
+}
+
+// Export singleton instance
+export default new StreamedRecordStore();
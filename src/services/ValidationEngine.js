@@ -6,12 +6,27 @@
  */
 
 import { FinancialCalculations } from '../utils/FinancialCalculations.js';
+import { ValidationRuleRegistry } from './ValidationRuleRegistry.js';
+import { ProductMasterValidator } from './ProductMasterValidator.js';
+import { CustomerCreditValidator } from './CustomerCreditValidator.js';
+import { OutlierDetector } from './OutlierDetector.js';
+import { CurrencyValidator, getRecordCurrency } from './CurrencyValidator.js';
+import { InvoiceSequenceAnalyzer } from './InvoiceSequenceAnalyzer.js';
+import { PromotionValidator } from './PromotionValidator.js';
+import { matchValidationProfile } from './ValidationProfileService.js';
 import {
   DEFAULT_VALIDATION_CONFIG,
+  DEFAULT_VALIDATION_PROFILE_ID,
+  VALIDATION_PROFILE_SECTIONS,
   SEVERITY_LEVELS,
   VALIDATION_FIELDS,
   VALIDATION_ERROR_TYPES,
+  VALIDATION_RESULT_TYPES,
+  VAT_CATEGORIES,
+  VAT_PRICING_MODES,
+  THAI_VAT_PROFILE,
   createEmptyValidationResult,
+  NON_MONETARY_FIELDS,
   createEmptyValidationSummary
 } from '../types/validation.js';
 
@@ -21,6 +36,18 @@ import {
 export class ValidationEngine {
   constructor(config = DEFAULT_VALIDATION_CONFIG) {
     this.config = { ...DEFAULT_VALIDATION_CONFIG, ...config };
+    this.ruleRegistry = new ValidationRuleRegistry(this.config.customRules || []);
+    this.productValidator = new ProductMasterValidator();
+    this.customerValidator = new CustomerCreditValidator();
+    this.outlierDetector = new OutlierDetector();
+    this.currencyValidator = new CurrencyValidator();
+    this.sequenceAnalyzer = new InvoiceSequenceAnalyzer();
+    this.promotionValidator = new PromotionValidator();
+    this.validationProfiles = [];
+    this.profileConfigs = new Map();
+    this.batchExposure = null;
+    this.batchSequenceResults = null;
+    this.sequenceReport = null;
     this.results = [];
     this.summary = createEmptyValidationSummary();
     this.isValidating = false;
@@ -32,22 +59,59 @@ export class ValidationEngine {
    * @returns {Promise<import('../types/validation.js').ValidationResult[]>}
    */
   async validateRecord(record) {
+    const profile = this.resolveValidationProfile(record);
+    const baseConfig = this.config;
+    const baseCurrency = this.getBaseCurrency();
+    const currency = getRecordCurrency(record, baseCurrency);
+
+    // Checks read this.config, so swap in the profile's and currency's settings for this record only
+    this.config = this.getCurrencyConfig(profile ? this.getProfileConfig(profile) : baseConfig, currency);
+
+    try {
+      const exchangeRate = this.currencyValidator.getRate(currency, baseCurrency, record.invoiceDate ?? record.date);
+
+      return this.checkRecord(record).map(result => ({
+        ...result,
+        profileId: profile ? profile.id : DEFAULT_VALIDATION_PROFILE_ID,
+        profileVersion: profile ? profile.version : null,
+        currency,
+        exchangeRate,
+        baseDiscrepancy: this.getBaseDiscrepancy(result, exchangeRate)
+      }));
+    } finally {
+      this.config = baseConfig;
+    }
+  }
+
+  /**
+   * Run the enabled checks on a record with the current config
+   * @param {import('../types/invoice.js').InvoiceRecord} record
+   * @returns {import('../types/validation.js').ValidationResult[]}
+   */
+  checkRecord(record) {
     const validationResults = [];
 
     try {
-      // Validate tax calculation
-      if (this.config.rules.validateTaxCalculation) {
-        const taxValidation = this.validateTaxCalculation(record);
-        if (taxValidation) {
-          validationResults.push(taxValidation);
+      const vatProfile = this.resolveVatProfile(record);
+
+      if (vatProfile) {
+        // VAT profile replaces the generic tax/total checks
+        validationResults.push(...this.validateVatProfile(record, vatProfile));
+      } else {
+        // Validate tax calculation
+        if (this.config.rules.validateTaxCalculation) {
+          const taxValidation = this.validateTaxCalculation(record);
+          if (taxValidation) {
+            validationResults.push(taxValidation);
+          }
         }
-      }
 
-      // Validate total calculation
-      if (this.config.rules.validateTotalCalculation) {
-        const totalValidation = this.validateTotalCalculation(record);
-        if (totalValidation) {
-          validationResults.push(totalValidation);
+        // Validate total calculation
+        if (this.config.rules.validateTotalCalculation) {
+          const totalValidation = this.validateTotalCalculation(record);
+          if (totalValidation) {
+            validationResults.push(totalValidation);
+          }
         }
       }
 
@@ -65,6 +129,46 @@ export class ValidationEngine {
         validationResults.push(...lineItemValidations);
       }
 
+      // Cross-check lines against the product master
+      if (this.config.rules.validateProductMaster && this.productValidator.hasProducts()) {
+        validationResults.push(...this.validateProductMaster(record));
+      }
+
+      // Check customer status, credit exposure and payment terms
+      if (this.config.rules.validateCustomerCredit && this.customerValidator.hasCustomers()) {
+        validationResults.push(...this.validateCustomerCredit(record));
+      }
+
+      // Check promotional discounts against the promotions in effect on the invoice date
+      if (this.config.rules.validatePromotions && this.promotionValidator.hasPromotions()) {
+        validationResults.push(...this.validatePromotions(record));
+      }
+
+      // Full tax invoices must show the customer's valid tax ID and branch
+      if (this.config.rules.validateCustomerTaxId) {
+        validationResults.push(...this.customerValidator.validateTaxId(record));
+      }
+
+      // Flag unit prices and quantities that are unusual for this customer or distributor
+      if (this.config.rules.detectOutliers && this.outlierDetector.hasHistory()) {
+        validationResults.push(...this.detectOutliers(record));
+      }
+
+      // Check the currency is allowed for the distributor and can be converted to the base currency
+      if (this.config.rules.validateCurrency) {
+        validationResults.push(...this.validateCurrency(record));
+      }
+
+      // Report the batch's invoice number sequence findings on their records
+      if (this.config.rules.validateInvoiceSequence && this.batchSequenceResults) {
+        validationResults.push(...(this.batchSequenceResults.get(record.id) || []));
+      }
+
+      // Evaluate user-defined rules
+      if (this.config.rules.validateCustomRules) {
+        validationResults.push(...this.validateCustomRules(record));
+      }
+
       return validationResults;
     } catch (error) {
       console.error('Error validating record:', error);
@@ -93,11 +197,26 @@ export class ValidationEngine {
       this.results = [];
       this.summary = {
         ...createEmptyValidationSummary(),
+        baseCurrency: this.getBaseCurrency(),
         batchId,
         validationStartTime: startTime.toISOString(),
         totalRecords: records.length
       };
 
+      // Results whose discrepancy counts toward the amount totals
+      let amountCount = 0;
+
+      // Credit exposure accumulates across the batch
+      this.batchExposure = this.customerValidator.createBatchExposure(records);
+
+      // Invoice number sequences span the whole batch
+      this.sequenceReport = this.config.rules.validateInvoiceSequence
+        ? this.sequenceAnalyzer.analyze(records, this.config.invoiceSequence)
+        : null;
+      this.batchSequenceResults = this.sequenceReport
+        ? this.sequenceAnalyzer.toValidationResults(this.sequenceReport)
+        : null;
+
       for (let i = 0; i < records.length; i++) {
         const record = records[i];
         
@@ -142,9 +261,17 @@ export class ValidationEngine {
                 break;
             }
 
-            // Add to total discrepancy amount
-            if (typeof validation.discrepancy === 'number') {
-              this.summary.totalDiscrepancyAmount += validation.discrepancy;
+            if (validation.type === VALIDATION_RESULT_TYPES.ANOMALY) {
+              this.summary.anomalyCount++;
+            }
+
+            // Add to total discrepancy amount, in the base currency. Unit and
+            // factor discrepancies are not amounts and are left out.
+            if (typeof validation.baseDiscrepancy === 'number') {
+              this.summary.totalDiscrepancyAmount += validation.baseDiscrepancy;
+              amountCount++;
+            } else if (validation.discrepancy && !NON_MONETARY_FIELDS.includes(validation.field)) {
+              this.summary.unconvertedCount++;
             }
           });
         }
@@ -160,9 +287,9 @@ export class ValidationEngine {
       this.summary.validationEndTime = endTime.toISOString();
       this.summary.processingTimeMs = endTime.getTime() - startTime.getTime();
       
-      if (this.summary.totalDiscrepancies > 0) {
-        this.summary.averageDiscrepancyAmount = this.summary.totalDiscrepancyAmount / this.summary.totalDiscrepancies;
-        this.summary.maxDiscrepancyAmount = Math.max(...this.results.map(r => r.discrepancy || 0));
+      if (amountCount > 0) {
+        this.summary.averageDiscrepancyAmount = this.summary.totalDiscrepancyAmount / amountCount;
+        this.summary.maxDiscrepancyAmount = Math.max(...this.results.map(r => r.baseDiscrepancy || 0));
       }
 
       // Final progress report
@@ -193,6 +320,8 @@ export class ValidationEngine {
       throw error;
     } finally {
       this.isValidating = false;
+      this.batchExposure = null;
+      this.batchSequenceResults = null;
     }
   }
 
@@ -206,10 +335,11 @@ export class ValidationEngine {
       return null; // No tax to validate
     }
 
-    const taxCalculation = FinancialCalculations.calculateTax(
+    const taxCalculation = FinancialCalculations.calculateTaxWithPolicy(
       record.amount,
       record.taxRate,
-      { precision: 2, roundingMethod: 'round' }
+      this.getRoundingPolicy(),
+      record.lineItems
     );
 
     if (!taxCalculation.isValid) {
@@ -233,7 +363,7 @@ export class ValidationEngine {
       taxCalculation.taxAmount
     );
 
-    return {
+    return this.explainRounding({
       ...createEmptyValidationResult(record.id, VALIDATION_FIELDS.TAX_AMOUNT),
       originalValue: record.taxAmount,
       calculatedValue: taxCalculation.taxAmount,
@@ -241,7 +371,7 @@ export class ValidationEngine {
       discrepancyPercentage,
       severity: this.determineSeverity(discrepancyPercentage),
       message: `Tax calculation discrepancy: Expected ${taxCalculation.taxAmount}, found ${record.taxAmount}`
-    };
+    }, record.amount, record.taxRate, record.lineItems);
   }
 
   /**
@@ -254,7 +384,7 @@ export class ValidationEngine {
       record.amount,
       record.taxAmount,
       record.discountAmount,
-      { precision: 2, roundingMethod: 'round' }
+      this.getRoundingOptions()
     );
 
     if (!totalCalculation.isValid) {
@@ -289,6 +419,168 @@ export class ValidationEngine {
     };
   }
 
+  /**
+   * Resolve the VAT profile that applies to a record
+   * @param {import('../types/invoice.js').InvoiceRecord} record 
+   * @returns {import('../types/validation.js').VatProfile|null} Profile, or null when generic tax checks apply
+   */
+  resolveVatProfile(record) {
+    const vatConfig = this.config.vat;
+    if (!vatConfig) {
+      return null;
+    }
+
+    const baseProfile = { ...THAI_VAT_PROFILE, ...vatConfig.defaultProfile };
+    const distributorCode = record.distCode || record.distributorCode;
+    const override = distributorCode ? vatConfig.distributorProfiles?.[distributorCode] : null;
+
+    if (override) {
+      return { ...baseProfile, ...override };
+    }
+
+    return vatConfig.enabled ? baseProfile : null;
+  }
+
+  /**
+   * Determine the VAT category of a record under a profile
+   * @param {import('../types/invoice.js').InvoiceRecord} record 
+   * @param {import('../types/validation.js').VatProfile} profile 
+   * @returns {string} One of VAT_CATEGORIES
+   */
+  resolveVatCategory(record, profile) {
+    if (Object.values(VAT_CATEGORIES).includes(record.vatCategory)) {
+      return record.vatCategory;
+    }
+    if (record.productCode && profile.exemptProductCodes?.includes(record.productCode)) {
+      return VAT_CATEGORIES.EXEMPT;
+    }
+    if (record.customerCode && profile.zeroRatedCustomerCodes?.includes(record.customerCode)) {
+      return VAT_CATEGORIES.ZERO_RATED;
+    }
+    return VAT_CATEGORIES.STANDARD;
+  }
+
+  /**
+   * Validate VAT, net and total amounts against a VAT profile.
+   * Exclusive pricing adds VAT on top of the net amount; inclusive pricing
+   * treats the total as the VAT-inclusive price and back-calculates VAT from it.
+   * Works with both Prisma invoice fields (netAmount/vatTaxAmount/totalNetAmount)
+   * and parsed file fields (amount/taxAmount/totalAmount).
+   * @param {import('../types/invoice.js').InvoiceRecord} record 
+   * @param {import('../types/validation.js').VatProfile} profile 
+   * @returns {import('../types/validation.js').ValidationResult[]}
+   */
+  validateVatProfile(record, profile) {
+    const results = [];
+    const fields = {
+      net: 'netAmount' in record ? VALIDATION_FIELDS.NET_AMOUNT : 'amount',
+      vat: 'vatTaxAmount' in record ? VALIDATION_FIELDS.VAT_AMOUNT : VALIDATION_FIELDS.TAX_AMOUNT,
+      total: 'totalNetAmount' in record ? VALIDATION_FIELDS.TOTAL_NET_AMOUNT : VALIDATION_FIELDS.TOTAL_AMOUNT
+    };
+    const netAmount = Number(record[fields.net]) || 0;
+    const vatAmount = Number(record[fields.vat]) || 0;
+    const totalAmount = Number(record[fields.total]) || 0;
+    const discountAmount = Number(record.discountAmount) || 0;
+
+    const category = this.resolveVatCategory(record, profile);
+    const rate = category === VAT_CATEGORIES.STANDARD ? profile.standardRate : 0;
+    const isInclusive = profile.pricingMode === VAT_PRICING_MODES.INCLUSIVE;
+    const label = `${profile.name} ${rate}%, ${category}, ${profile.pricingMode} pricing`;
+
+    const taxCalculation = isInclusive
+      ? FinancialCalculations.calculateInclusiveTax(totalAmount, rate, this.getRoundingOptions())
+      : FinancialCalculations.calculateTaxWithPolicy(netAmount, rate, this.getRoundingPolicy(), record.lineItems);
+
+    if (!taxCalculation.isValid) {
+      return [{
+        ...createEmptyValidationResult(record.id, fields.vat),
+        severity: SEVERITY_LEVELS.CRITICAL,
+        message: `VAT calculation failed (${label}): ${taxCalculation.breakdown.error}`,
+        originalValue: vatAmount,
+        calculatedValue: 'error'
+      }];
+    }
+
+    const expectedVat = taxCalculation.taxAmount;
+    const expectedTotal = isInclusive
+      ? totalAmount
+      : this.roundAmount(netAmount + expectedVat - discountAmount);
+
+    if (this.config.rules.validateTaxCalculation) {
+      const vatDiscrepancy = this.createAmountDiscrepancy(
+        record.id, fields.vat, vatAmount, expectedVat,
+        this.config.tolerances.taxCalculation, `VAT discrepancy (${label})`
+      );
+      results.push(vatDiscrepancy && !isInclusive
+        ? this.explainRounding(vatDiscrepancy, netAmount, rate, record.lineItems)
+        : vatDiscrepancy);
+    }
+
+    if (this.config.rules.validateTotalCalculation) {
+      results.push(isInclusive
+        ? this.createAmountDiscrepancy(
+          record.id, fields.net, netAmount, taxCalculation.taxableAmount,
+          this.config.tolerances.totalCalculation, `Net amount discrepancy (${label})`
+        )
+        : this.createAmountDiscrepancy(
+          record.id, fields.total, totalAmount,
+          this.roundAmount(netAmount + vatAmount - discountAmount),
+          this.config.tolerances.totalCalculation, `Total calculation discrepancy (${label})`
+        ));
+    }
+
+    // Recalculated fields must match the profile's own recalculation
+    if (profile.validateRecalculatedFields) {
+      if (typeof record.newVatTaxAmount === 'number') {
+        results.push(this.createAmountDiscrepancy(
+          record.id, VALIDATION_FIELDS.NEW_VAT_AMOUNT, record.newVatTaxAmount, expectedVat,
+          this.config.tolerances.taxCalculation, `Recalculated VAT discrepancy (${label})`
+        ));
+      }
+      if (typeof record.newTotalNetAmount === 'number') {
+        results.push(this.createAmountDiscrepancy(
+          record.id, VALIDATION_FIELDS.NEW_TOTAL_NET_AMOUNT, record.newTotalNetAmount, expectedTotal,
+          this.config.tolerances.totalCalculation, `Recalculated total discrepancy (${label})`
+        ));
+      }
+    }
+
+    return results.filter(Boolean);
+  }
+
+  /**
+   * Build a discrepancy result when an amount differs from its expected value
+   * @param {string} recordId 
+   * @param {string} field 
+   * @param {number} originalValue 
+   * @param {number} calculatedValue 
+   * @param {number} tolerance 
+   * @param {string} label - Message prefix
+   * @returns {import('../types/validation.js').ValidationResult|null}
+   */
+  createAmountDiscrepancy(recordId, field, originalValue, calculatedValue, tolerance, label) {
+    const discrepancy = FinancialCalculations.applyRounding(Math.abs(originalValue - calculatedValue), 2);
+
+    if (discrepancy <= tolerance) {
+      return null; // Within tolerance
+    }
+
+    const discrepancyPercentage = FinancialCalculations.calculatePercentageDifference(
+      originalValue,
+      calculatedValue
+    );
+
+    return {
+      ...createEmptyValidationResult(recordId, field),
+      originalValue,
+      calculatedValue,
+      discrepancy,
+      discrepancyPercentage,
+      severity: this.determineSeverity(discrepancyPercentage),
+      message: `${label}: Expected ${calculatedValue}, found ${originalValue}`
+    };
+  }
+
   /**
    * Validate discount calculation for a record
    * @param {import('../types/invoice.js').InvoiceRecord} record 
@@ -306,7 +598,7 @@ export class ValidationEngine {
       record.amount,
       discountPercentage,
       'percentage',
-      { precision: 2, roundingMethod: 'round' }
+      this.getRoundingOptions()
     );
 
     if (!discountCalculation.isValid) {
@@ -358,7 +650,7 @@ export class ValidationEngine {
       const lineItemCalculation = FinancialCalculations.calculateLineItemTotal(
         lineItem.quantity,
         lineItem.unitPrice,
-        { precision: 2, roundingMethod: 'round' }
+        this.getRoundingOptions()
       );
 
       if (!lineItemCalculation.isValid) {
@@ -395,6 +687,337 @@ export class ValidationEngine {
     return validationResults;
   }
 
+  /**
+   * Evaluate registered custom rules for a record
+   * @param {import('../types/invoice.js').InvoiceRecord} record 
+   * @returns {import('../types/validation.js').ValidationResult[]}
+   */
+  validateCustomRules(record) {
+    return this.ruleRegistry.evaluate(record, (percentage) => this.determineSeverity(percentage));
+  }
+
+  /**
+   * Validate product, UOM, conversion factor and list price against the product master
+   * @param {import('../types/invoice.js').InvoiceRecord} record 
+   * @returns {import('../types/validation.js').ValidationResult[]}
+   */
+  validateProductMaster(record) {
+    return this.productValidator.validate(record, {
+      determineSeverity: (percentage) => this.determineSeverity(percentage),
+      tolerance: this.config.tolerances.priceCalculation ?? DEFAULT_VALIDATION_CONFIG.tolerances.priceCalculation,
+      priceUnit: this.config.productMaster?.priceUnit || 'small'
+    });
+  }
+
+  /**
+   * Load the product master used by line-level validation
+   * @param {Object[]} products - Product master records
+   */
+  setProductMaster(products) {
+    this.productValidator.setProducts(products);
+  }
+
+  /**
+   * Validate customer status, credit limit and due date against the customer master
+   * @param {import('../types/invoice.js').InvoiceRecord} record 
+   * @returns {import('../types/validation.js').ValidationResult[]}
+   */
+  validateCustomerCredit(record) {
+    return this.customerValidator.validate(record, {
+      determineSeverity: (percentage) => this.determineSeverity(percentage),
+      paymentTerms: this.config.customerCredit?.paymentTerms || {},
+      exposure: this.batchExposure
+    });
+  }
+
+  /**
+   * Load the customer master and previously stored invoices used for credit checks
+   * @param {Object[]} customers - Customer master records
+   * @param {Object[]} openInvoices - Stored invoices counted toward credit exposure
+   */
+  setCustomerMaster(customers, openInvoices = []) {
+    this.customerValidator.setCustomers(customers);
+    this.customerValidator.setOpenInvoices(
+      openInvoices,
+      this.config.customerCredit?.openInvoiceStatuses || []
+    );
+  }
+
+  /**
+   * Check the record's promoDiscount against the promotion master
+   * @param {import('../types/invoice.js').InvoiceRecord} record 
+   * @returns {import('../types/validation.js').ValidationResult[]}
+   */
+  validatePromotions(record) {
+    return this.promotionValidator.validate(record, {
+      determineSeverity: (percentage) => this.determineSeverity(percentage),
+      tolerance: this.config.tolerances.discountCalculation
+    });
+  }
+
+  /**
+   * Load the promotion master promotional discounts are checked against
+   * @param {import('../types/validation.js').Promotion[]} promotions - Promotion records
+   */
+  setPromotions(promotions = []) {
+    this.promotionValidator.setPromotions(promotions);
+  }
+
+  /**
+   * Compare unit price and quantity against the historical distribution for the product
+   * @param {import('../types/invoice.js').InvoiceRecord} record 
+   * @returns {import('../types/validation.js').ValidationResult[]}
+   */
+  detectOutliers(record) {
+    return this.outlierDetector.validate(record, {
+      determineSeverity: (percentage) => this.determineSeverity(percentage),
+      settings: this.config.outliers
+    });
+  }
+
+  /**
+   * Load the previously processed invoices outlier baselines are built from
+   * @param {Object[]} invoices - Historical line-level invoices
+   */
+  setOutlierHistory(invoices = []) {
+    this.outlierDetector.setHistory(invoices);
+  }
+
+  /**
+   * Check the record's currency against the distributor's allowed currencies and the exchange-rate master
+   * @param {import('../types/invoice.js').InvoiceRecord} record 
+   * @returns {import('../types/validation.js').ValidationResult[]}
+   */
+  validateCurrency(record) {
+    return this.currencyValidator.validate(record, this.config.currency);
+  }
+
+  /**
+   * Load the exchange-rate master used to convert amounts to the base currency
+   * @param {import('../types/validation.js').ExchangeRate[]} rates - Exchange rate records
+   */
+  setExchangeRates(rates = []) {
+    this.currencyValidator.setRates(rates);
+  }
+
+  /**
+   * Load the distributor master invoice number prefixes are checked against
+   * @param {Object[]} distributors - Distributor records with code and prefix
+   */
+  setDistributorMaster(distributors = []) {
+    this.sequenceAnalyzer.setDistributors(distributors);
+  }
+
+  /**
+   * Load all master data at once, as workers receive it
+   * @param {Object} [masterData]
+   * @param {Object[]} [masterData.products] - Product master
+   * @param {Object[]} [masterData.customers] - Customer master
+   * @param {Object[]} [masterData.openInvoices] - Stored invoices counted toward credit exposure
+   * @param {Object[]} [masterData.history] - Historical invoices for outlier baselines
+   * @param {Object[]} [masterData.profiles] - Active validation profiles
+   * @param {Object[]} [masterData.exchangeRates] - Exchange-rate master
+   * @param {Object[]} [masterData.distributors] - Distributor master with invoice number prefixes
+   * @param {Object[]} [masterData.promotions] - Promotion master
+   */
+  setMasterData({
+    products = [],
+    customers = [],
+    openInvoices = [],
+    history = [],
+    profiles = [],
+    exchangeRates = [],
+    distributors = [],
+    promotions = []
+  } = {}) {
+    this.setValidationProfiles(profiles);
+    this.setProductMaster(products);
+    this.setCustomerMaster(customers, openInvoices);
+    this.setOutlierHistory(history);
+    this.setExchangeRates(exchangeRates);
+    this.setDistributorMaster(distributors);
+    this.setPromotions(promotions);
+  }
+
+  /**
+   * Invoice number sequence report of the last batch
+   * @returns {import('../types/validation.js').InvoiceSequenceReport|null} Null when the check was disabled
+   */
+  getSequenceReport() {
+    return this.sequenceReport;
+  }
+
+  /**
+   * Currency summaries and reports are converted to
+   * @returns {string}
+   */
+  getBaseCurrency() {
+    return this.config.currency?.baseCurrency || DEFAULT_VALIDATION_CONFIG.currency.baseCurrency;
+  }
+
+  /**
+   * Config with a currency's tolerance overrides applied
+   * @param {import('../types/validation.js').ValidationConfig} config 
+   * @param {string} currency 
+   * @returns {import('../types/validation.js').ValidationConfig}
+   */
+  getCurrencyConfig(config, currency) {
+    const overrides = config.currency?.tolerances?.[currency];
+    return overrides ? { ...config, tolerances: { ...config.tolerances, ...overrides } } : config;
+  }
+
+  /**
+   * Discrepancy of a result in the base currency
+   * @param {import('../types/validation.js').ValidationResult} result 
+   * @param {number|null} exchangeRate - Rate from the record's currency to the base currency
+   * @returns {number|null} Null when there is no rate to convert with, or the
+   *   discrepancy is not an amount (quantities, conversion factors)
+   */
+  getBaseDiscrepancy(result, exchangeRate) {
+    if (typeof result.discrepancy !== 'number' || NON_MONETARY_FIELDS.includes(result.field)) {
+      return null;
+    }
+    if (exchangeRate === 1) {
+      return result.discrepancy;
+    }
+    return exchangeRate === null ? null : this.roundAmount(result.discrepancy * exchangeRate);
+  }
+
+  /**
+   * Load the validation profiles assigned to distributors and customer segments
+   * @param {import('../types/validation.js').ValidationProfile[]} profiles - Profiles; archived ones are ignored
+   */
+  setValidationProfiles(profiles = []) {
+    this.validationProfiles = profiles.filter(profile => profile.active !== false);
+    this.profileConfigs = new Map();
+  }
+
+  /**
+   * Profile that applies to a record, by distributor code or customer segment
+   * (customerHier3 on the record, or from the customer master)
+   * @param {import('../types/invoice.js').InvoiceRecord} record 
+   * @returns {import('../types/validation.js').ValidationProfile|null}
+   */
+  resolveValidationProfile(record) {
+    if (this.validationProfiles.length === 0) {
+      return null;
+    }
+
+    return matchValidationProfile(this.validationProfiles, {
+      distributorCode: record.distCode || record.distributorCode,
+      customerSegment: record.customerHier3 || this.customerValidator.getCustomer(record.customerCode)?.segment
+    });
+  }
+
+  /**
+   * Base config with a profile's overrides applied
+   * @param {import('../types/validation.js').ValidationProfile} profile 
+   * @returns {import('../types/validation.js').ValidationConfig}
+   */
+  getProfileConfig(profile) {
+    const key = `${profile.id}@${profile.version}`;
+    if (!this.profileConfigs.has(key)) {
+      const config = { ...this.config };
+      VALIDATION_PROFILE_SECTIONS.forEach(section => {
+        config[section] = { ...this.config[section], ...profile[section] };
+      });
+      this.profileConfigs.set(key, config);
+    }
+    return this.profileConfigs.get(key);
+  }
+
+  /**
+   * Rounding options for FinancialCalculations from the active config
+   * @returns {{precision: number, roundingMethod: string}}
+   */
+  getRoundingOptions() {
+    const rounding = this.config.rounding || DEFAULT_VALIDATION_CONFIG.rounding;
+    return { precision: rounding.precision ?? 2, roundingMethod: rounding.method || 'round' };
+  }
+
+  /**
+   * Rounding policy for tax from the active config
+   * @returns {import('../types/validation.js').RoundingPolicy}
+   */
+  getRoundingPolicy() {
+    const { precision, roundingMethod } = this.getRoundingOptions();
+    const scope = this.config.rounding?.scope || DEFAULT_VALIDATION_CONFIG.rounding.scope;
+    return { precision, method: roundingMethod, scope };
+  }
+
+  /**
+   * Add the rounding policy that reproduces the file's tax amount to a tax
+   * discrepancy, so a distributor rounding differently is told apart from a wrong amount
+   * @param {import('../types/validation.js').ValidationResult} result - Tax discrepancy
+   * @param {number} taxableAmount 
+   * @param {number} taxRate 
+   * @param {import('../types/invoice.js').InvoiceLineItem[]} [lineItems] 
+   * @returns {import('../types/validation.js').ValidationResult}
+   */
+  explainRounding(result, taxableAmount, taxRate, lineItems) {
+    const policy = FinancialCalculations.findRoundingPolicy(
+      result.originalValue, taxableAmount, taxRate, lineItems, this.getRoundingPolicy().precision
+    );
+    if (!policy) {
+      return result;
+    }
+
+    const description = FinancialCalculations.describeRoundingPolicy(policy);
+    return {
+      ...result,
+      roundingExplanation: { ...policy, description },
+      message: `${result.message}. The file's value matches ${description} rounding`
+    };
+  }
+
+  /**
+   * Round a recalculated amount with the active rounding policy
+   * @param {number} value 
+   * @returns {number}
+   */
+  roundAmount(value) {
+    const { precision, roundingMethod } = this.getRoundingOptions();
+    return FinancialCalculations.applyRounding(value, precision, roundingMethod);
+  }
+
+  /**
+   * Register a custom validation rule
+   * @param {import('../types/validation.js').ValidationRuleDefinition} definition 
+   * @returns {import('../types/validation.js').ValidationRuleDefinition}
+   */
+  registerRule(definition) {
+    const rule = this.ruleRegistry.register(definition);
+    this.config = { ...this.config, customRules: this.ruleRegistry.list() };
+    return rule;
+  }
+
+  /**
+   * Remove a custom validation rule
+   * @param {string} ruleId 
+   * @returns {boolean}
+   */
+  unregisterRule(ruleId) {
+    const removed = this.ruleRegistry.unregister(ruleId);
+    this.config = { ...this.config, customRules: this.ruleRegistry.list() };
+    return removed;
+  }
+
+  /**
+   * Get registered custom validation rules
+   * @returns {import('../types/validation.js').ValidationRuleDefinition[]}
+   */
+  getCustomRules() {
+    return this.ruleRegistry.list();
+  }
+
+  /**
+   * Custom rules from the config that were skipped as invalid
+   * @returns {{id: string, errors: string[]}[]}
+   */
+  getRejectedRules() {
+    return this.ruleRegistry.rejected;
+  }
+
   /**
    * Determine severity level based on discrepancy percentage
    * @param {number} discrepancyPercentage 
@@ -441,7 +1064,11 @@ export class ValidationEngine {
    * @param {import('../types/validation.js').ValidationConfig} newConfig 
    */
   updateConfig(newConfig) {
+    if (newConfig.customRules) {
+      this.ruleRegistry.replaceAll(newConfig.customRules);
+    }
     this.config = { ...this.config, ...newConfig };
+    this.profileConfigs = new Map();
   }
 
   /**
@@ -450,6 +1077,7 @@ export class ValidationEngine {
   clearResults() {
     this.results = [];
     this.summary = createEmptyValidationSummary();
+    this.sequenceReport = null;
   }
 
   /**
@@ -489,6 +1117,7 @@ export class ValidationEngine {
         total: this.summary.totalRecords
       },
       financialImpact: {
+        baseCurrency: this.summary.baseCurrency,
         totalDiscrepancyAmount: this.summary.totalDiscrepancyAmount,
         averageDiscrepancyAmount: this.summary.averageDiscrepancyAmount,
         maxDiscrepancyAmount: this.summary.maxDiscrepancyAmount
@@ -11,7 +11,11 @@ import {
   validateRecord, 
   revalidateRecords,
   updateValidationConfig,
-  clearValidationResults 
+  clearValidationResults,
+  setValidationResults,
+  addValidationError,
+  loadValidationRuns,
+  getValidationMasterData
 } from '../redux/slices/validationSlice.js';
 import { 
   selectAllRecords, 
@@ -19,7 +23,8 @@ import {
   selectInvalidRecords 
 } from '../redux/slices/fileProcessingSlice.js';
 import { DEFAULT_VALIDATION_CONFIG } from '../types/validation.js';
-import { webWorkerService } from './WebWorkerService.js';
+import validationRunHistoryService from './ValidationRunHistoryService.js';
+import validationWorkerPool, { ValidationWorkerPool } from './ValidationWorkerPool.js';
 
 /**
  * ValidationIntegrationService class for high-level validation operations
@@ -27,7 +32,7 @@ import { webWorkerService } from './WebWorkerService.js';
 export class ValidationIntegrationService {
   constructor() {
     this.defaultConfig = DEFAULT_VALIDATION_CONFIG;
-    this.useWebWorker = webWorkerService.constructor.isSupported();
+    this.useWebWorker = ValidationWorkerPool.isSupported();
     this.initializeWebWorker();
   }
 
@@ -37,8 +42,8 @@ export class ValidationIntegrationService {
   async initializeWebWorker() {
     if (this.useWebWorker) {
       try {
-        await webWorkerService.initializeValidationWorker();
-        console.log('Web Worker initialized for background validation');
+        await validationWorkerPool.initialize();
+        console.log('Web Worker pool initialized for background validation');
       } catch (error) {
         console.warn('Failed to initialize Web Worker, falling back to main thread:', error);
         this.useWebWorker = false;
@@ -108,37 +113,63 @@ export class ValidationIntegrationService {
    */
   async validateWithWebWorker(records, onProgress) {
     try {
-      const result = await webWorkerService.validateRecords(records, (progressData) => {
-        if (onProgress) {
-          onProgress({
-            batchId: `worker_${Date.now()}`,
-            totalRecords: progressData.total,
-            processedRecords: progressData.processed,
-            currentRecord: progressData.processed + 1,
-            status: 'processing',
-            progressPercentage: progressData.percentage,
-            currentOperation: `Processing record ${progressData.processed + 1} of ${progressData.total}`
-          });
+      // Workers run the same engine as validateBatch, so give them the same config and master data
+      const state = store.getState();
+      const masterData = getValidationMasterData(state);
+
+      const result = await validationWorkerPool.validateRecords(records, {
+        config: state.validation.config,
+        ...masterData,
+        openInvoices: selectAllRecords(state),
+        history: selectAllRecords(state),
+        onProgress: (progressData) => {
+          if (onProgress) {
+            onProgress({
+              batchId: `worker_${Date.now()}`,
+              totalRecords: progressData.total,
+              processedRecords: progressData.processed,
+              currentRecord: progressData.processed + 1,
+              status: 'processing',
+              progressPercentage: progressData.percentage,
+              currentOperation: `Processing record ${progressData.processed + 1} of ${progressData.total}`
+            });
+          }
         }
       });
 
+      const validatedAt = new Date().toISOString();
+
       // Update Redux store with Web Worker results
-      store.dispatch({
-        type: 'validation/setValidationResults',
-        payload: {
-          results: result.results,
+      store.dispatch(setValidationResults({
+        results: result.results,
+        summary: result.summary,
+        batchId: result.summary.batchId,
+        sequenceReport: result.sequenceReport,
+        validatedAt
+      }));
+
+      try {
+        validationRunHistoryService.recordRun({
           summary: result.summary,
-          batchId: `worker_${Date.now()}`,
-          validatedAt: new Date().toISOString()
-        }
-      });
+          results: result.results,
+          records,
+          config: {
+            ...state.validation.config,
+            profiles: masterData.profiles.map(({ id, version }) => ({ id, version }))
+          }
+        });
+      } catch (historyError) {
+        // The results are valid; only comparing against this run is lost
+        store.dispatch(addValidationError({ type: 'run_history', message: historyError.message }));
+      }
+      store.dispatch(loadValidationRuns());
 
       return {
         success: true,
         summary: result.summary,
-        batchId: `worker_${Date.now()}`,
+        batchId: result.summary.batchId,
         recordsValidated: records.length,
-        validatedAt: new Date().toISOString(),
+        validatedAt,
         processedWithWebWorker: true
       };
     } catch (error) {
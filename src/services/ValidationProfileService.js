@@ -0,0 +1,186 @@
+/**
+ * ValidationProfileService
+ *
+ * Stores named validation profiles (thresholds, tolerances, enabled rules and
+ * rounding) assigned to distributors or customer segments. Every save adds a
+ * new version and earlier versions are kept, so a stored result can always be
+ * traced back to the exact settings it was validated with.
+ */
+
+import { createValidationProfile } from '../types/validation.js';
+
+const STORAGE_KEY = 'validation_profiles';
+
+const normalizeCodes = (codes = []) =>
+  [...new Set(codes.map(code => String(code).trim()).filter(Boolean))];
+
+/**
+ * Find the profile that applies to a record. A distributor assignment wins
+ * over a customer segment assignment; among equal matches the first profile wins.
+ * @param {import('../types/validation.js').ValidationProfile[]} profiles - Active profiles
+ * @param {Object} target
+ * @param {string} [target.distributorCode] - Record distributor code
+ * @param {string} [target.customerSegment] - Record customer segment (customerHier3)
+ * @returns {import('../types/validation.js').ValidationProfile|null}
+ */
+export const matchValidationProfile = (profiles, { distributorCode, customerSegment } = {}) => {
+  const distributor = distributorCode ? String(distributorCode).trim() : '';
+  const segment = customerSegment ? String(customerSegment).trim() : '';
+
+  return (distributor && profiles.find(profile => profile.assignments?.distributorCodes?.includes(distributor))) ||
+    (segment && profiles.find(profile => profile.assignments?.customerSegments?.includes(segment))) ||
+    null;
+};
+
+/**
+ * Validation profile service class
+ */
+export class ValidationProfileService {
+  constructor(storageKey = STORAGE_KEY) {
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * Load every stored profile version
+   * @returns {import('../types/validation.js').ValidationProfile[]}
+   */
+  getAllVersions() {
+    try {
+      const profiles = localStorage.getItem(this.storageKey);
+      return profiles ? JSON.parse(profiles) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Persist profile versions
+   * @param {import('../types/validation.js').ValidationProfile[]} versions
+   */
+  storeVersions(versions) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(versions));
+    } catch (error) {
+      console.error('Failed to save validation profiles:', error);
+    }
+  }
+
+  /**
+   * Versions of one profile, oldest first
+   * @param {string} profileId
+   * @returns {import('../types/validation.js').ValidationProfile[]}
+   */
+  getProfileVersions(profileId) {
+    return this.getAllVersions()
+      .filter(profile => profile.id === profileId)
+      .sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Get a profile version
+   * @param {string} profileId
+   * @param {number} [version] - Defaults to the latest version
+   * @returns {import('../types/validation.js').ValidationProfile|null}
+   */
+  getProfile(profileId, version) {
+    const versions = this.getProfileVersions(profileId);
+    if (version === undefined || version === null) {
+      return versions[versions.length - 1] || null;
+    }
+    return versions.find(profile => profile.version === version) || null;
+  }
+
+  /**
+   * Latest version of each profile
+   * @param {Object} [options]
+   * @param {boolean} [options.includeArchived=false] - Include archived profiles
+   * @returns {import('../types/validation.js').ValidationProfile[]}
+   */
+  getProfiles({ includeArchived = false } = {}) {
+    const latest = new Map();
+    this.getAllVersions().forEach(profile => {
+      const current = latest.get(profile.id);
+      if (!current || profile.version > current.version) {
+        latest.set(profile.id, profile);
+      }
+    });
+
+    return [...latest.values()]
+      .filter(profile => includeArchived || profile.active)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Save a profile as a new version. Assignments may not overlap with
+   * another active profile, otherwise a record could match either.
+   * @param {Partial<import('../types/validation.js').ValidationProfile>} profile
+   * @returns {import('../types/validation.js').ValidationProfile} Saved version
+   */
+  saveProfile(profile) {
+    if (!profile.name || !profile.name.trim()) {
+      throw new Error('Validation profile name is required');
+    }
+
+    const assignments = {
+      distributorCodes: normalizeCodes(profile.assignments?.distributorCodes),
+      customerSegments: normalizeCodes(profile.assignments?.customerSegments)
+    };
+
+    const id = profile.id || `profile_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const others = this.getProfiles().filter(existing => existing.id !== id);
+    const overlap = (field) => assignments[field].find(code =>
+      others.some(existing => existing.assignments[field].includes(code)));
+
+    const distributorOverlap = overlap('distributorCodes');
+    if (distributorOverlap) {
+      throw new Error(`Distributor ${distributorOverlap} is already assigned to another validation profile`);
+    }
+    const segmentOverlap = overlap('customerSegments');
+    if (segmentOverlap) {
+      throw new Error(`Customer segment ${segmentOverlap} is already assigned to another validation profile`);
+    }
+
+    const previous = this.getProfile(id);
+    const { version: _version, createdAt: _createdAt, ...definition } = profile;
+    const saved = createValidationProfile({
+      ...definition,
+      id,
+      name: profile.name.trim(),
+      version: (previous?.version || 0) + 1,
+      active: profile.active !== false,
+      assignments,
+      createdAt: new Date().toISOString()
+    });
+
+    this.storeVersions([...this.getAllVersions(), saved]);
+    return saved;
+  }
+
+  /**
+   * Archive a profile. This adds an inactive version, so results that
+   * reference earlier versions stay explainable.
+   * @param {string} profileId
+   * @returns {import('../types/validation.js').ValidationProfile|null} Archived version, or null if not found
+   */
+  archiveProfile(profileId) {
+    const latest = this.getProfile(profileId);
+    if (!latest) {
+      return null;
+    }
+    if (!latest.active) {
+      return latest;
+    }
+
+    const archived = {
+      ...latest,
+      version: latest.version + 1,
+      active: false,
+      createdAt: new Date().toISOString()
+    };
+    this.storeVersions([...this.getAllVersions(), archived]);
+    return archived;
+  }
+}
+
+// Export singleton instance
+export default new ValidationProfileService();
@@ -0,0 +1,231 @@
+/**
+ * ValidationRuleRegistry Service
+ *
+ * Holds user-defined validation rules, compiles their expressions once at
+ * registration time and evaluates them against invoice records, producing
+ * results in the standard ValidationResult shape.
+ */
+
+import { RuleExpression } from '../utils/RuleExpression.js';
+import { FinancialCalculations } from '../utils/FinancialCalculations.js';
+import {
+  CUSTOM_RULE_SEVERITY_AUTO,
+  SEVERITY_LEVELS,
+  createEmptyValidationResult,
+  createValidationRule
+} from '../types/validation.js';
+
+const VALID_SEVERITIES = [...Object.values(SEVERITY_LEVELS), CUSTOM_RULE_SEVERITY_AUTO];
+
+/**
+ * Registry of compiled custom validation rules
+ */
+export class ValidationRuleRegistry {
+  constructor(definitions = []) {
+    this.rules = new Map();
+    // Definitions skipped by the last replaceAll, with the reasons
+    this.rejected = [];
+    this.replaceAll(definitions);
+  }
+
+  /**
+   * Validate a rule definition without registering it
+   * @param {import('../types/validation.js').ValidationRuleDefinition} definition
+   * @returns {{isValid: boolean, errors: string[]}}
+   */
+  validateDefinition(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object') {
+      return { isValid: false, errors: ['Rule definition must be an object'] };
+    }
+    if (!definition.id || typeof definition.id !== 'string') {
+      errors.push('Rule id is required');
+    }
+    if (!definition.field || typeof definition.field !== 'string') {
+      errors.push('Rule field is required');
+    }
+    if (!definition.assertion) {
+      errors.push('Rule assertion is required');
+    }
+    if (definition.severity && !VALID_SEVERITIES.includes(definition.severity)) {
+      errors.push(`Invalid severity '${definition.severity}'. Allowed: ${VALID_SEVERITIES.join(', ')}`);
+    }
+
+    ['condition', 'assertion', 'expected'].forEach(key => {
+      if (definition[key]) {
+        try {
+          RuleExpression.compile(definition[key]);
+        } catch (error) {
+          errors.push(`Invalid ${key} expression: ${error.message}`);
+        }
+      }
+    });
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * Register (or replace) a rule definition
+   * @param {import('../types/validation.js').ValidationRuleDefinition} definition
+   * @returns {import('../types/validation.js').ValidationRuleDefinition} Normalized definition
+   * @throws {Error} - If the definition is invalid
+   */
+  register(definition) {
+    const validation = this.validateDefinition(definition);
+    if (!validation.isValid) {
+      throw new Error(`Invalid validation rule${definition?.id ? ` '${definition.id}'` : ''}: ${validation.errors.join('; ')}`);
+    }
+
+    const normalized = createValidationRule(definition);
+    this.rules.set(normalized.id, {
+      definition: normalized,
+      condition: normalized.condition ? RuleExpression.compile(normalized.condition) : null,
+      assertion: RuleExpression.compile(normalized.assertion),
+      expected: normalized.expected ? RuleExpression.compile(normalized.expected) : null
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Remove a rule
+   * @param {string} ruleId
+   * @returns {boolean} Whether a rule was removed
+   */
+  unregister(ruleId) {
+    return this.rules.delete(ruleId);
+  }
+
+  /**
+   * Replace all registered rules. Invalid definitions are skipped rather than
+   * failing the whole set, and reported in the returned list.
+   * @param {import('../types/validation.js').ValidationRuleDefinition[]} definitions
+   * @returns {{id: string, errors: string[]}[]} Skipped definitions
+   */
+  replaceAll(definitions = []) {
+    this.rules = new Map();
+    this.rejected = [];
+
+    definitions.forEach(definition => {
+      const { isValid, errors } = this.validateDefinition(definition);
+      if (isValid) {
+        this.register(definition);
+      } else {
+        this.rejected.push({ id: definition?.id || '', errors });
+      }
+    });
+
+    return this.rejected;
+  }
+
+  /**
+   * Get a rule definition by ID
+   * @param {string} ruleId
+   * @returns {import('../types/validation.js').ValidationRuleDefinition|null}
+   */
+  get(ruleId) {
+    return this.rules.get(ruleId)?.definition || null;
+  }
+
+  /**
+   * List all rule definitions
+   * @returns {import('../types/validation.js').ValidationRuleDefinition[]}
+   */
+  list() {
+    return [...this.rules.values()].map(rule => rule.definition);
+  }
+
+  /**
+   * Remove all rules
+   */
+  clear() {
+    this.rules.clear();
+  }
+
+  /**
+   * Evaluate all enabled rules against a record
+   * @param {import('../types/invoice.js').InvoiceRecord} record - Record to validate
+   * @param {Function} determineSeverity - Maps a discrepancy percentage to a severity level
+   * @returns {import('../types/validation.js').ValidationResult[]}
+   */
+  evaluate(record, determineSeverity) {
+    const results = [];
+
+    this.rules.forEach(rule => {
+      if (!rule.definition.enabled) return;
+
+      const result = this.evaluateRule(rule, record, determineSeverity);
+      if (result) {
+        results.push(result);
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Evaluate a single compiled rule
+   * @param {Object} rule - Compiled rule
+   * @param {import('../types/invoice.js').InvoiceRecord} record
+   * @param {Function} determineSeverity
+   * @returns {import('../types/validation.js').ValidationResult|null}
+   */
+  evaluateRule(rule, record, determineSeverity) {
+    const { definition } = rule;
+
+    try {
+      if (rule.condition && !RuleExpression.evaluate(rule.condition, record)) {
+        return null; // Rule does not apply to this record
+      }
+
+      if (RuleExpression.evaluate(rule.assertion, record)) {
+        return null; // Assertion holds
+      }
+
+      const actual = RuleExpression.resolvePath(record, definition.field);
+      const expected = rule.expected ? RuleExpression.evaluate(rule.expected, record) : null;
+      const isNumeric = typeof actual === 'number' && typeof expected === 'number' && isFinite(expected);
+
+      const discrepancy = isNumeric ? FinancialCalculations.applyRounding(Math.abs(actual - expected), 2) : 0;
+      const discrepancyPercentage = isNumeric
+        ? FinancialCalculations.calculatePercentageDifference(actual, expected)
+        : 0;
+
+      let severity = definition.severity;
+      if (severity === CUSTOM_RULE_SEVERITY_AUTO) {
+        severity = isNumeric ? determineSeverity(discrepancyPercentage) : SEVERITY_LEVELS.MEDIUM;
+      }
+
+      const calculatedValue = expected === null || expected === undefined
+        ? ''
+        : (isNumeric ? FinancialCalculations.applyRounding(expected, 2) : expected);
+
+      const message = definition.message
+        ? RuleExpression.interpolate(definition.message, { ...record, actual, expected: calculatedValue, rule: definition })
+        : `Rule '${definition.name}' failed for ${definition.field}`;
+
+      return {
+        ...createEmptyValidationResult(record.id, definition.field),
+        originalValue: actual ?? '',
+        calculatedValue,
+        discrepancy,
+        discrepancyPercentage,
+        severity,
+        message,
+        ruleId: definition.id
+      };
+    } catch (error) {
+      return {
+        ...createEmptyValidationResult(record.id, definition.field),
+        severity: SEVERITY_LEVELS.CRITICAL,
+        message: `Rule '${definition.name}' could not be evaluated: ${error.message}`,
+        originalValue: 'error',
+        calculatedValue: 'error',
+        ruleId: definition.id
+      };
+    }
+  }
+}
+
+export default ValidationRuleRegistry;
@@ -0,0 +1,278 @@
+/**
+ * ValidationRunHistoryService
+ *
+ * Keeps every validateBatch run with its summary, fingerprints of the config
+ * and inputs it used and the keys of its discrepancies, and compares two runs
+ * to show which discrepancies a resubmission introduced, resolved or left
+ * unchanged. Runs are stored in localStorage, so only what the comparison
+ * needs is kept.
+ */
+
+import { getInvoiceNumber } from './InvoiceSequenceAnalyzer.js';
+
+const STORAGE_KEY = 'validation_runHistory';
+const MAX_RUNS = 50;
+
+// Record fields that change between parses of the same data
+const VOLATILE_RECORD_FIELDS = ['id', 'metadata', 'status'];
+
+/**
+ * Validation run history service class
+ */
+export class ValidationRunHistoryService {
+  constructor(storageKey = STORAGE_KEY, maxRuns = MAX_RUNS) {
+    this.storageKey = storageKey;
+    this.maxRuns = maxRuns;
+  }
+
+  /**
+   * JSON with object keys sorted, so equal values always serialize the same way
+   * @param {*} value
+   * @returns {string}
+   */
+  stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+  }
+
+  /**
+   * 32-bit FNV-1a hash as hex
+   * @param {string} text
+   * @returns {string}
+   */
+  hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Fingerprint of validated records. Ignores record ids, parse metadata and
+   * record order, so re-uploading the same file gives the same fingerprint.
+   * @param {Object[]} records
+   * @returns {string}
+   */
+  createInputsFingerprint(records = []) {
+    const recordHashes = records
+      .map(record => {
+        const content = { ...record };
+        VOLATILE_RECORD_FIELDS.forEach(field => delete content[field]);
+        return this.hash(this.stableStringify(content));
+      })
+      .sort();
+
+    return `${records.length}:${this.hash(recordHashes.join('|'))}`;
+  }
+
+  /**
+   * Fingerprint of a validation config
+   * @param {import('../types/validation.js').ValidationConfig} config
+   * @returns {string}
+   */
+  createConfigFingerprint(config = {}) {
+    return this.hash(this.stableStringify(config));
+  }
+
+  /**
+   * Key that identifies the same discrepancy across runs. Record ids are
+   * regenerated on every parse, so the invoice number (invNo or
+   * invoiceNumber) is used instead.
+   * @param {import('../types/validation.js').ValidationResult} result
+   * @param {Object} [record] - Record the result belongs to
+   * @returns {string}
+   */
+  getDiscrepancyKey(result, record) {
+    const invoiceNumber = getInvoiceNumber(record) || result.recordId;
+    return [invoiceNumber, record?.customerCode || '', result.field, result.ruleId || ''].join('|');
+  }
+
+  /**
+   * Split a discrepancy key back into its parts
+   * @param {string} key
+   * @returns {{invoiceNumber: string, customerCode: string, field: string, ruleId: string}}
+   */
+  parseDiscrepancyKey(key = '') {
+    const parts = key.split('|');
+    // Read from the end, in case the invoice number contains the separator
+    const [customerCode = '', field = '', ruleId = ''] = parts.slice(-3);
+    return { invoiceNumber: parts.slice(0, -3).join('|'), customerCode, field, ruleId };
+  }
+
+  /**
+   * Load stored runs, newest first
+   * @returns {import('../types/validation.js').ValidationRun[]}
+   */
+  getRuns() {
+    try {
+      const runs = localStorage.getItem(this.storageKey);
+      return runs ? JSON.parse(runs) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Persist runs
+   * @param {import('../types/validation.js').ValidationRun[]} runs
+   * @returns {boolean} False when the runs could not be saved, e.g. storage is full
+   */
+  storeRuns(runs) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(runs));
+      return true;
+    } catch (error) {
+      console.error('Failed to save validation run history:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Run without its discrepancies, for listing
+   * @param {import('../types/validation.js').ValidationRun} run
+   * @returns {Object}
+   */
+  summarizeRun({ results, ...run }) {
+    return { ...run, discrepancyCount: results.length };
+  }
+
+  /**
+   * Get a stored run
+   * @param {string} runId
+   * @returns {import('../types/validation.js').ValidationRun|null}
+   */
+  getRun(runId) {
+    return this.getRuns().find(run => run.id === runId) || null;
+  }
+
+  /**
+   * Store a completed validateBatch run. Only the newest runs are kept, and
+   * older runs are dropped when storage is full.
+   * @param {Object} run
+   * @param {import('../types/validation.js').ValidationSummary} run.summary - Batch summary
+   * @param {import('../types/validation.js').ValidationResult[]} run.results - Batch results
+   * @param {Object[]} run.records - Records that were validated
+   * @param {import('../types/validation.js').ValidationConfig} run.config - Config used
+   * @param {string} [run.label] - Display label
+   * @returns {import('../types/validation.js').ValidationRun}
+   * @throws {Error} When the run cannot be saved even on its own
+   */
+  recordRun({ summary, results = [], records = [], config = {}, label }) {
+    const recordsById = new Map(records.map(record => [record.id, record]));
+    const fileNames = [...new Set(records.map(record => record.metadata?.fileName).filter(Boolean))];
+
+    const run = {
+      id: summary.batchId || `run_${Date.now()}`,
+      label: label || fileNames.join(', ') || `${records.length} records`,
+      createdAt: summary.validationEndTime || new Date().toISOString(),
+      configFingerprint: this.createConfigFingerprint(config),
+      inputsFingerprint: this.createInputsFingerprint(records),
+      recordCount: records.length,
+      summary,
+      results: results.map(result => ({
+        key: this.getDiscrepancyKey(result, recordsById.get(result.recordId)),
+        severity: result.severity,
+        discrepancy: result.discrepancy
+      }))
+    };
+
+    const runs = [run, ...this.getRuns().filter(existing => existing.id !== run.id)].slice(0, this.maxRuns);
+    while (!this.storeRuns(runs)) {
+      if (runs.length === 1) {
+        throw new Error(`Validation run ${run.id} could not be saved: browser storage is full`);
+      }
+      runs.pop();
+    }
+    return run;
+  }
+
+  /**
+   * Delete a stored run
+   * @param {string} runId
+   * @returns {boolean} True if a run was removed
+   */
+  deleteRun(runId) {
+    const runs = this.getRuns();
+    const remaining = runs.filter(run => run.id !== runId);
+    this.storeRuns(remaining);
+    return remaining.length !== runs.length;
+  }
+
+  /**
+   * Remove all stored runs
+   */
+  clearHistory() {
+    this.storeRuns([]);
+  }
+
+  /**
+   * Compare two runs
+   * @param {import('../types/validation.js').ValidationRun} baseRun - Earlier run
+   * @param {import('../types/validation.js').ValidationRun} targetRun - Later run
+   * @returns {import('../types/validation.js').ValidationRunComparison}
+   */
+  compareRuns(baseRun, targetRun) {
+    const groupByKey = (results) => {
+      const groups = new Map();
+      results.forEach(result => {
+        if (!groups.has(result.key)) {
+          groups.set(result.key, []);
+        }
+        groups.get(result.key).push({ ...this.parseDiscrepancyKey(result.key), ...result });
+      });
+      return groups;
+    };
+
+    const baseResults = groupByKey(baseRun.results);
+    const targetResults = groupByKey(targetRun.results);
+    const comparison = {
+      baseRunId: baseRun.id,
+      targetRunId: targetRun.id,
+      introduced: [],
+      resolved: [],
+      unchanged: [],
+      configChanged: baseRun.configFingerprint !== targetRun.configFingerprint,
+      inputsChanged: baseRun.inputsFingerprint !== targetRun.inputsFingerprint,
+      comparedAt: new Date().toISOString()
+    };
+
+    // Results are paired in order when one key occurs more than once,
+    // e.g. the same invoice number appearing twice in a file
+    targetResults.forEach((targets, key) => {
+      const bases = baseResults.get(key) || [];
+      targets.forEach((target, index) => {
+        const base = bases[index];
+        if (!base) {
+          comparison.introduced.push(target);
+          return;
+        }
+        comparison.unchanged.push({
+          key,
+          base,
+          target,
+          changed: base.severity !== target.severity || base.discrepancy !== target.discrepancy
+        });
+      });
+    });
+
+    baseResults.forEach((bases, key) => {
+      const targetCount = targetResults.get(key)?.length || 0;
+      comparison.resolved.push(...bases.slice(targetCount));
+    });
+
+    return comparison;
+  }
+}
+
+// Export singleton instance
+export default new ValidationRunHistoryService();
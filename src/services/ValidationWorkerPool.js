@@ -0,0 +1,303 @@
+/**
+ * ValidationWorkerPool
+ *
+ * Validates large batches across several validation workers. Records are
+ * sharded by customer so credit exposure is checked the same way it is in a
+ * single ValidationEngine batch. Invoice number sequences run across
+ * customers, so they are analysed once over the whole batch on this thread.
+ * Results are merged back in record order so the outcome does not depend on
+ * which worker finishes first.
+ */
+
+import WebWorkerService from './WebWorkerService.js';
+import { InvoiceSequenceAnalyzer } from './InvoiceSequenceAnalyzer.js';
+import {
+  DEFAULT_VALIDATION_CONFIG,
+  SEVERITY_LEVELS,
+  createEmptyValidationSummary
+} from '../types/validation.js';
+
+// Leave a core for the UI thread
+const DEFAULT_POOL_SIZE = Math.max(
+  1,
+  Math.min(4, ((typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2) - 1)
+);
+
+const SUMMARY_COUNT_FIELDS = [
+  'totalRecords',
+  'validRecords',
+  'invalidRecords',
+  'totalDiscrepancies',
+  'criticalCount',
+  'highSeverityCount',
+  'mediumSeverityCount',
+  'lowSeverityCount',
+  'anomalyCount',
+  'totalDiscrepancyAmount',
+  'unconvertedCount'
+];
+
+const SEVERITY_COUNT_FIELDS = {
+  [SEVERITY_LEVELS.CRITICAL]: 'criticalCount',
+  [SEVERITY_LEVELS.HIGH]: 'highSeverityCount',
+  [SEVERITY_LEVELS.MEDIUM]: 'mediumSeverityCount',
+  [SEVERITY_LEVELS.LOW]: 'lowSeverityCount'
+};
+
+/**
+ * ValidationWorkerPool class for sharded background validation
+ */
+export class ValidationWorkerPool {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.size] - Number of workers
+   * @param {Function} [options.createWorker] - Creates a worker wrapper with the WebWorkerService interface
+   */
+  constructor(options = {}) {
+    this.size = Math.max(1, options.size || DEFAULT_POOL_SIZE);
+    this.createWorker = options.createWorker || (() => new WebWorkerService());
+    this.workers = [];
+    this.isProcessing = false;
+    this.sequenceAnalyzer = new InvoiceSequenceAnalyzer();
+  }
+
+  /**
+   * Check if the pool can run in this environment
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return WebWorkerService.isSupported();
+  }
+
+  /**
+   * Start the workers and wait until each answers a ping
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.workers.length > 0) {
+      return;
+    }
+
+    const workers = Array.from({ length: this.size }, () => this.createWorker());
+    try {
+      await Promise.all(workers.map(worker => worker.initializeValidationWorker()));
+    } catch (error) {
+      workers.forEach(worker => worker.terminateWorker());
+      throw error;
+    }
+    this.workers = workers;
+  }
+
+  /**
+   * Split records into shards, keeping each customer's records together.
+   * Customers are assigned in order of first appearance to the smallest
+   * shard, so the same input always produces the same shards.
+   * @param {Object[]} records - Records to shard
+   * @param {number} shardCount - Number of shards
+   * @returns {Array<Array<{record: Object, index: number}>>}
+   */
+  static shardRecords(records, shardCount) {
+    const groups = new Map();
+
+    records.forEach((record, index) => {
+      // Credit exposure is keyed by customer code; other records can go anywhere
+      const customerCode = record?.customerCode ? String(record.customerCode).trim() : '';
+      const groupId = customerCode ? `customer:${customerCode}` : `record:${index}`;
+      if (!groups.has(groupId)) {
+        groups.set(groupId, []);
+      }
+      groups.get(groupId).push({ record, index });
+    });
+
+    const shards = Array.from({ length: Math.max(1, shardCount) }, () => []);
+    groups.forEach(entries => {
+      const target = shards.reduce((smallest, shard) => (shard.length < smallest.length ? shard : smallest));
+      target.push(...entries);
+    });
+
+    return shards.filter(shard => shard.length > 0);
+  }
+
+  /**
+   * Add batch-level results, such as invoice sequence findings, to the
+   * per-record results and the merged summary
+   * @param {Map<string, Object[]>} resultsByRecord - Worker results by record id
+   * @param {Map<string, Object[]>} batchResults - Batch-level results by record id
+   * @param {import('../types/validation.js').ValidationSummary} summary - Merged summary, updated in place
+   */
+  static addBatchResults(resultsByRecord, batchResults, summary) {
+    batchResults.forEach((recordResults, recordId) => {
+      if (!resultsByRecord.has(recordId)) {
+        resultsByRecord.set(recordId, []);
+        summary.validRecords--;
+        summary.invalidRecords++;
+      }
+      resultsByRecord.get(recordId).push(...recordResults);
+
+      summary.totalDiscrepancies += recordResults.length;
+      recordResults.forEach(result => {
+        const field = SEVERITY_COUNT_FIELDS[result.severity];
+        if (field) {
+          summary[field]++;
+        }
+      });
+    });
+  }
+
+  /**
+   * Merge shard summaries into one batch summary
+   * @param {import('../types/validation.js').ValidationSummary[]} summaries - Shard summaries
+   * @param {Object} [batch]
+   * @param {string} [batch.batchId] - Batch id for the merged summary
+   * @param {number} [batch.processingTimeMs] - Wall-clock time for the whole batch
+   * @returns {import('../types/validation.js').ValidationSummary}
+   */
+  static mergeSummaries(summaries, { batchId = '', processingTimeMs } = {}) {
+    const merged = createEmptyValidationSummary();
+
+    summaries.forEach(summary => {
+      SUMMARY_COUNT_FIELDS.forEach(field => {
+        merged[field] += summary[field] || 0;
+      });
+      merged.maxDiscrepancyAmount = Math.max(merged.maxDiscrepancyAmount, summary.maxDiscrepancyAmount || 0);
+    });
+
+    if (summaries.length > 0) {
+      merged.validationStartTime = summaries.map(s => s.validationStartTime).sort()[0];
+      merged.validationEndTime = summaries.map(s => s.validationEndTime).sort().pop();
+      merged.baseCurrency = summaries[0].baseCurrency || merged.baseCurrency;
+    }
+
+    merged.averageDiscrepancyAmount = merged.totalDiscrepancies > 0
+      ? merged.totalDiscrepancyAmount / merged.totalDiscrepancies
+      : 0;
+    merged.processingTimeMs = processingTimeMs ?? Math.max(0, ...summaries.map(s => s.processingTimeMs || 0));
+    merged.batchId = batchId;
+
+    return merged;
+  }
+
+  /**
+   * Validate records across the pool
+   * @param {Object[]} records - Records to validate
+   * @param {Object} [options]
+   * @param {import('../types/validation.js').ValidationConfig} [options.config] - Active validation config
+   * @param {Object[]} [options.products] - Product master
+   * @param {Object[]} [options.customers] - Customer master
+   * @param {Object[]} [options.openInvoices] - Stored invoices counted toward credit exposure
+   * @param {Object[]} [options.history] - Historical invoices for outlier baselines
+   * @param {Object[]} [options.profiles] - Active validation profiles
+   * @param {Object[]} [options.exchangeRates] - Exchange-rate master
+   * @param {Object[]} [options.distributors] - Distributor master with invoice number prefixes
+   * @param {Object[]} [options.promotions] - Promotion master
+   * @param {Function} [options.onProgress] - Receives {processed, total, percentage} for the whole batch
+   * @returns {Promise<{results: Object[], summary: Object, sequenceReport: Object|null}>}
+   */
+  async validateRecords(records, options = {}) {
+    const { onProgress, ...context } = options;
+    const config = { ...DEFAULT_VALIDATION_CONFIG, ...context.config };
+
+    if (this.isProcessing) {
+      throw new Error('Worker pool is already processing');
+    }
+
+    await this.initialize();
+    this.isProcessing = true;
+
+    const startTime = Date.now();
+    const shards = ValidationWorkerPool.shardRecords(records, this.workers.length);
+    const processed = shards.map(() => 0);
+
+    const reportProgress = (shardIndex, shardProcessed) => {
+      processed[shardIndex] = shardProcessed;
+      if (onProgress) {
+        const total = processed.reduce((sum, count) => sum + count, 0);
+        onProgress({
+          processed: total,
+          total: records.length,
+          percentage: Math.round((total / records.length) * 100)
+        });
+      }
+    };
+
+    try {
+      // Shards split distributors, so workers skip the sequence check
+      const workerContext = {
+        ...context,
+        config: { ...context.config, rules: { ...config.rules, validateInvoiceSequence: false } }
+      };
+      const shardResults = await Promise.all(shards.map((shard, shardIndex) =>
+        this.workers[shardIndex].validateRecords(
+          shard.map(entry => entry.record),
+          (progress) => reportProgress(shardIndex, progress.processed),
+          workerContext
+        )
+      ));
+
+      const resultsByRecord = new Map();
+      shardResults.flatMap(shardResult => shardResult.results).forEach(result => {
+        if (!resultsByRecord.has(result.recordId)) {
+          resultsByRecord.set(result.recordId, []);
+        }
+        resultsByRecord.get(result.recordId).push(result);
+      });
+
+      const summary = ValidationWorkerPool.mergeSummaries(
+        shardResults.map(shardResult => shardResult.summary),
+        {
+          batchId: `pool_${startTime}_${Math.random().toString(36).substr(2, 9)}`,
+          processingTimeMs: Date.now() - startTime
+        }
+      );
+
+      // Invoice sequences are analysed once over the whole batch
+      let sequenceReport = null;
+      if (config.rules.validateInvoiceSequence) {
+        this.sequenceAnalyzer.setDistributors(context.distributors || []);
+        sequenceReport = this.sequenceAnalyzer.analyze(records, config.invoiceSequence);
+        ValidationWorkerPool.addBatchResults(
+          resultsByRecord,
+          this.sequenceAnalyzer.toValidationResults(sequenceReport),
+          summary
+        );
+      }
+
+      // Put results back in record order, keeping each record's own result order
+      const results = [...new Set(records.map(record => record.id))]
+        .flatMap(recordId => resultsByRecord.get(recordId) || []);
+
+      // Only results with a base-currency amount count toward the average
+      const amountCount = results.filter(result => typeof result.baseDiscrepancy === 'number').length;
+      summary.averageDiscrepancyAmount = amountCount > 0 ? summary.totalDiscrepancyAmount / amountCount : 0;
+
+      return { results, summary, sequenceReport };
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Get pool status
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      size: this.size,
+      initialized: this.workers.length > 0,
+      processing: this.isProcessing,
+      supported: ValidationWorkerPool.isSupported()
+    };
+  }
+
+  /**
+   * Terminate all workers
+   */
+  terminate() {
+    this.workers.forEach(worker => worker.terminateWorker());
+    this.workers = [];
+    this.isProcessing = false;
+  }
+}
+
+// Export singleton instance
+export default new ValidationWorkerPool();
@@ -14,7 +14,10 @@ class WebWorkerService {
     }
 
     try {
-      this.worker = new Worker("/validation-worker.js");
+      this.worker = new Worker(
+        new URL("../workers/validation.worker.js", import.meta.url),
+        { type: "module" }
+      );
       this.worker.onmessage = this.handleWorkerMessage.bind(this);
       this.worker.onerror = this.handleWorkerError.bind(this);
 
@@ -78,7 +81,9 @@ class WebWorkerService {
   }
 
   // Validate records using web worker
-  validateRecords(records, onProgress = null) {
+  // options: the worker ValidationEngine's config and the master data records are
+  // validated against (see ValidationEngine.setMasterData)
+  validateRecords(records, onProgress = null, options = {}) {
     return new Promise((resolve, reject) => {
       if (!this.worker) {
         reject(new Error("Worker not initialized"));
@@ -120,7 +125,7 @@ class WebWorkerService {
       // Send validation request
       this.worker.postMessage({
         type: "validate",
-        data: { records },
+        data: { records, ...options },
       });
     });
   }
@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ApprovalWorkflowService, toWorkflowUser } from '../ApprovalWorkflowService';
+import { APPROVAL_ACTIONS, APPROVAL_DOCUMENT_TYPES, APPROVAL_STATUSES, WORKFLOW_STAGES } from '../../types/invoice';
+import { CASE_STATUSES } from '../../types/validation';
+
+const INVOICE = APPROVAL_DOCUMENT_TYPES.INVOICE;
+
+const maker = { id: '1', name: 'Dist Maker', role: 'DIST' };
+const checker = { id: '2', name: 'HQ Checker', role: 'HQ' };
+const admin = { id: '3', name: 'Admin', role: 'ADMIN' };
+
+const invoice = { id: 10, invNo: 'INV-010', status: APPROVAL_STATUSES.PENDING, createdBy: 'Dist Maker' };
+
+describe('ApprovalWorkflowService', () => {
+  let service;
+
+  beforeEach(() => {
+    localStorage.clear();
+    service = new ApprovalWorkflowService('test_approvalHistory');
+  });
+
+  describe('transition', () => {
+    it('should enforce roles, maker-checker and rejection reasons and record history', () => {
+      expect(() => service.transition(INVOICE, invoice, APPROVAL_ACTIONS.APPROVE, { user: admin }))
+        .toThrow('Role ADMIN is not allowed to approve documents');
+      // The creator counts as submitter of documents never submitted through the workflow
+      expect(() => service.transition(INVOICE, invoice, APPROVAL_ACTIONS.APPROVE, { user: maker }))
+        .toThrow('You cannot approve a document you submitted');
+      expect(() => service.transition(INVOICE, invoice, APPROVAL_ACTIONS.REJECT, { user: checker, reason: ' ' }))
+        .toThrow('A rejection reason is required');
+
+      service.transition(INVOICE, invoice, APPROVAL_ACTIONS.REJECT, { user: checker, reason: 'Wrong VAT rate' });
+      service.transition(INVOICE, invoice, APPROVAL_ACTIONS.SUBMIT, { user: maker });
+      expect(() => service.transition(INVOICE, invoice, APPROVAL_ACTIONS.PROCESS, { user: admin }))
+        .toThrow('Cannot process a document that is PENDING');
+      service.transition(INVOICE, invoice, APPROVAL_ACTIONS.APPROVE, { user: checker });
+      service.transition(INVOICE, invoice, APPROVAL_ACTIONS.PROCESS, { user: admin });
+
+      const history = service.getHistory(INVOICE, invoice.id);
+      expect(history.map(entry => [entry.action, entry.from, entry.to, entry.user.id])).toEqual([
+        ['reject', 'PENDING', 'REJECTED', '2'],
+        ['submit', 'REJECTED', 'PENDING', '1'],
+        ['approve', 'PENDING', 'APPROVED', '2'],
+        ['process', 'APPROVED', 'PROCESSED', '3']
+      ]);
+      expect(history[0].reason).toBe('Wrong VAT rate');
+      expect(service.getCurrentStatus(invoice, history)).toBe(APPROVAL_STATUSES.PROCESSED);
+    });
+
+    it('should block approval while critical discrepancies are open', () => {
+      expect(() => service.transition(INVOICE, invoice, APPROVAL_ACTIONS.APPROVE, { user: checker, openCriticalCount: 2 }))
+        .toThrow('Cannot approve while 2 critical discrepancies are open');
+      expect(service.getAvailableActions(invoice, { user: checker, openCriticalCount: 2 })).toEqual([
+        { action: APPROVAL_ACTIONS.APPROVE, blockedReason: 'Cannot approve while 2 critical discrepancies are open' },
+        { action: APPROVAL_ACTIONS.REJECT, blockedReason: null }
+      ]);
+    });
+  });
+
+  describe('countOpenCriticalDiscrepancies', () => {
+    it('should count critical results and cases of the document that are not closed', () => {
+      const results = [
+        { id: 'r1', recordId: '10', severity: 'critical' },
+        { id: 'r2', recordId: '10', severity: 'critical' },
+        { id: 'r3', recordId: '10', severity: 'high' },
+        { id: 'r4', recordId: '11', severity: 'critical' }
+      ];
+      const cases = [
+        { sourceId: 'alert_r1', recordId: '10', severity: 'critical', status: CASE_STATUSES.RESOLVED },
+        { sourceId: 'alert_r2', recordId: '10', severity: 'critical', status: CASE_STATUSES.OPEN },
+        { sourceId: 'alert_old', recordId: '10', severity: 'critical', status: CASE_STATUSES.INVESTIGATING }
+      ];
+
+      expect(service.countOpenCriticalDiscrepancies(invoice, results, cases)).toBe(2);
+      expect(service.getWorkflowStage(APPROVAL_STATUSES.PENDING, 2)).toBe(WORKFLOW_STAGES.REVIEW_REQUIRED);
+      expect(service.getWorkflowStage(APPROVAL_STATUSES.PENDING, 0)).toBe(WORKFLOW_STAGES.PENDING_APPROVAL);
+    });
+  });
+
+  describe('toWorkflowUser', () => {
+    it('should build the acting user from the signed-in user', () => {
+      expect(toWorkflowUser({ id: 5, username: 'hq', firstname: 'Hana', lastname: 'Q', role: 'HQ' }))
+        .toEqual({ id: '5', name: 'Hana Q', role: 'HQ' });
+      expect(toWorkflowUser(null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Unit tests for ColumnMappingService
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import { ColumnMappingService } from '../ColumnMappingService.js';
+
+describe('ColumnMappingService', () => {
+  const profile = {
+    name: 'Distributor A export',
+    distributorCode: 'D001',
+    headers: ['Doc No', 'Outlet', 'Net', 'Doc Date'],
+    mappings: [
+      { field: 'invoiceNumber', source: 'Doc No' },
+      { field: 'customerName', source: 'Outlet' },
+      { field: 'amount', source: 'Net', decimalSeparator: ',' },
+      { field: 'date', source: 'Doc Date', dateFormat: 'DD/MM/YYYY' }
+    ]
+  };
+
+  let service;
+
+  beforeEach(() => {
+    localStorage.clear();
+    service = new ColumnMappingService('test_columnMappingProfiles');
+  });
+
+  test('should save and load profiles', () => {
+    const saved = service.saveProfile(profile);
+
+    expect(saved.id).toMatch(/^mapping_/);
+    expect(service.getProfiles()).toEqual([saved]);
+  });
+
+  test('should replace a profile saved for the same distributor and headers', () => {
+    const first = service.saveProfile(profile);
+    const second = service.saveProfile({ ...profile, name: 'Renamed', headers: ['doc no', 'OUTLET', 'Doc Date', 'Net'] });
+
+    expect(second.id).toBe(first.id);
+    expect(service.getProfiles()).toHaveLength(1);
+    expect(service.getProfiles()[0].name).toBe('Renamed');
+  });
+
+  test('should require a name and at least one mapping', () => {
+    expect(() => service.saveProfile({ ...profile, name: ' ' })).toThrow('name is required');
+    expect(() => service.saveProfile({ ...profile, mappings: [] })).toThrow('at least one field');
+  });
+
+  test('should find profiles by header set regardless of order and case', () => {
+    const saved = service.saveProfile(profile);
+
+    expect(service.findProfileForHeaders(['doc date', 'NET', 'Outlet', 'Doc No'])).toEqual(saved);
+    expect(service.findProfileForHeaders(['Doc No', 'Outlet'])).toBeNull();
+  });
+
+  test('should prefer the profile of the given distributor', () => {
+    service.saveProfile(profile);
+    const other = service.saveProfile({ ...profile, name: 'Distributor B', distributorCode: 'D002' });
+
+    expect(service.findProfileForHeaders(profile.headers, undefined, 'D002')).toEqual(other);
+  });
+
+  test('should delete profiles', () => {
+    const saved = service.saveProfile(profile);
+
+    expect(service.deleteProfile(saved.id)).toBe(true);
+    expect(service.getProfiles()).toEqual([]);
+  });
+
+  test('should suggest mappings from standard header variations', () => {
+    const mappings = service.suggestMappings(['Invoice No', 'Client', 'Net Amount', 'Doc Date']);
+
+    expect(mappings).toEqual([
+      { field: 'invoiceNumber', source: 'Invoice No' },
+      { field: 'customerName', source: 'Client' },
+      { field: 'amount', source: 'Net Amount' }
+    ]);
+    expect(service.getMissingRequiredFields(mappings)).toEqual(['date']);
+    expect(service.getMissingRequiredFields([...mappings, { field: 'date', constant: '2024-01-01' }])).toEqual([]);
+  });
+
+  test('should list source columns no mapping reads from', () => {
+    const headers = ['Invoice No', 'Client', 'Net Amount', 'Doc Date', 'Route', ''];
+    const mappings = service.suggestMappings(headers);
+
+    expect(service.getUnmappedHeaders(headers, mappings)).toEqual(['Doc Date', 'Route']);
+    expect(service.getUnmappedHeaders(headers, [...mappings, { field: 'date', source: 'Doc Date' }])).toEqual(['Route']);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { CorrectionService } from '../CorrectionService';
+import { CORRECTION_STATUSES, VALIDATION_FIELDS } from '../../types/validation';
+
+const records = [
+  { id: 'a-1', invoiceNumber: 'INV-001', taxAmount: 9, totalAmount: 109, newVatTaxAmount: 8 },
+  { id: 'a-2', invoiceNumber: 'INV-002', taxAmount: 7, totalAmount: 107 }
+];
+
+const createResult = (recordId, field, calculatedValue, overrides = {}) => ({
+  recordId,
+  field,
+  originalValue: 0,
+  calculatedValue,
+  severity: 'high',
+  message: `${field} discrepancy`,
+  ...overrides
+});
+
+describe('CorrectionService', () => {
+  const service = new CorrectionService();
+
+  describe('proposeCorrections', () => {
+    it('should propose recalculated values for correctable fields only', () => {
+      const proposals = service.proposeCorrections([
+        createResult('a-1', VALIDATION_FIELDS.TAX_AMOUNT, 7),
+        createResult('a-1', VALIDATION_FIELDS.TAX_AMOUNT, 7),
+        createResult('a-1', VALIDATION_FIELDS.NEW_VAT_AMOUNT, 7),
+        createResult('a-1', VALIDATION_FIELDS.UNIT_PRICE, 10, { type: 'anomaly' }),
+        createResult('a-2', VALIDATION_FIELDS.TOTAL_AMOUNT, 'error'),
+        createResult('a-2', VALIDATION_FIELDS.TAX_AMOUNT, 7),
+        createResult('a-2', VALIDATION_FIELDS.TOTAL_AMOUNT, 100, { ruleId: 'custom' }),
+        createResult('missing', VALIDATION_FIELDS.TAX_AMOUNT, 7)
+      ], records);
+
+      expect(proposals.map(p => [p.id, p.currentValue, p.proposedValue])).toEqual([
+        ['a-1:taxAmount', 9, 7],
+        ['a-1:newVatTaxAmount', 8, 7]
+      ]);
+      expect(proposals[0]).toMatchObject({ invoiceNumber: 'INV-001', status: CORRECTION_STATUSES.PROPOSED, reason: 'taxAmount discrepancy' });
+    });
+  });
+
+  describe('mergeProposals', () => {
+    it('should keep review decisions for unchanged proposals and applied history', () => {
+      const [tax, vat] = service.proposeCorrections([
+        createResult('a-1', VALIDATION_FIELDS.TAX_AMOUNT, 7),
+        createResult('a-1', VALIDATION_FIELDS.NEW_VAT_AMOUNT, 7)
+      ], records);
+      const existing = [
+        { ...tax, status: CORRECTION_STATUSES.ACCEPTED },
+        { ...vat, status: CORRECTION_STATUSES.REJECTED },
+        { id: 'a-2:taxAmount', status: CORRECTION_STATUSES.APPLIED }
+      ];
+
+      const merged = service.mergeProposals(existing, [tax, { ...vat, proposedValue: 7.5 }]);
+
+      expect(merged.map(p => [p.id, p.status])).toEqual([
+        ['a-2:taxAmount', CORRECTION_STATUSES.APPLIED],
+        ['a-1:taxAmount', CORRECTION_STATUSES.ACCEPTED],
+        ['a-1:newVatTaxAmount', CORRECTION_STATUSES.PROPOSED]
+      ]);
+    });
+  });
+
+  describe('applyCorrections', () => {
+    it('should apply accepted proposals with one before/after change per record', () => {
+      const proposals = service.proposeCorrections([
+        createResult('a-1', VALIDATION_FIELDS.TAX_AMOUNT, 7),
+        createResult('a-1', VALIDATION_FIELDS.TOTAL_AMOUNT, 107),
+        createResult('a-2', VALIDATION_FIELDS.TOTAL_AMOUNT, 110)
+      ], records).map(p => ({
+        ...p,
+        status: p.recordId === 'a-1' ? CORRECTION_STATUSES.ACCEPTED : CORRECTION_STATUSES.REJECTED
+      }));
+
+      const { changes, records: corrected } = service.applyCorrections(proposals, records);
+
+      expect(changes).toEqual([{
+        recordId: 'a-1',
+        invoiceNumber: 'INV-001',
+        proposalIds: ['a-1:taxAmount', 'a-1:totalAmount'],
+        before: { taxAmount: 9, totalAmount: 109 },
+        after: { taxAmount: 7, totalAmount: 107 }
+      }]);
+      expect(corrected).toEqual([{ ...records[0], taxAmount: 7, totalAmount: 107 }]);
+      expect(records[0].taxAmount).toBe(9);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for CreditNoteReconciliationService
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import { CreditNoteReconciliationService } from '../CreditNoteReconciliationService.js';
+import { SEVERITY_LEVELS, VALIDATION_FIELDS } from '../../types/validation.js';
+
+describe('CreditNoteReconciliationService', () => {
+  const invoices = [
+    {
+      id: 1,
+      invNo: 'INV-001',
+      customerCode: 'CUST001',
+      productCode: 'PROD001',
+      quantity: 10,
+      uomConvFactor: 1,
+      netAmount: 1000,
+      vatTaxAmount: 70
+    }
+  ];
+
+  const creditNote = {
+    id: 'cn-1',
+    invNo: 'CN-001',
+    relatedInvoice: 'INV-001',
+    customerCode: 'CUST001',
+    productCode: 'PROD001',
+    quantity: 4,
+    uomConvFactor: 1,
+    netAmount: 400,
+    vatTaxAmount: 28,
+    createDate: '2024-01-15',
+    status: 'APPROVED'
+  };
+
+  let service;
+
+  beforeEach(() => {
+    service = new CreditNoteReconciliationService();
+  });
+
+  test('should match credit notes to the invoice line they credit', () => {
+    const { results, matches, balances, summary } = service.reconcile(invoices, [creditNote]);
+
+    expect(results).toEqual([]);
+    expect(matches).toEqual([{ creditNoteId: 'cn-1', invoiceId: 1 }]);
+    expect(balances[1]).toMatchObject({ creditedQuantity: 4, creditedAmount: 400, originalQuantity: 10 });
+    expect(summary.matched).toBe(1);
+  });
+
+  test('should fall back to invNo when no related invoice is given', () => {
+    const { matches } = service.reconcile(invoices, [{ ...creditNote, relatedInvoice: undefined, invNo: 'INV-001' }]);
+    expect(matches).toHaveLength(1);
+  });
+
+  test('should report orphan credit notes', () => {
+    const { results, summary } = service.reconcile(invoices, [{ ...creditNote, productCode: 'PROD999' }]);
+
+    expect(summary.orphans).toBe(1);
+    expect(results[0].field).toBe(VALIDATION_FIELDS.INVOICE_NUMBER);
+    expect(results[0].severity).toBe(SEVERITY_LEVELS.HIGH);
+  });
+
+  test('should detect cumulative over-credits on the credit note that crosses the limit', () => {
+    const notes = [
+      creditNote,
+      { ...creditNote, id: 'cn-2', invNo: 'CN-002', createDate: '2024-01-20', quantity: 8, netAmount: 800, vatTaxAmount: 56 }
+    ];
+
+    const { results, summary } = service.reconcile(invoices, notes);
+
+    expect(summary.overCredits).toBe(1);
+    expect(results.every(r => r.recordId === 'cn-2' && r.relatedRecordId === 1)).toBe(true);
+    expect(results.map(r => r.field)).toEqual([VALIDATION_FIELDS.QUANTITY, VALIDATION_FIELDS.NET_AMOUNT]);
+    expect(results[1].discrepancy).toBe(200);
+  });
+
+  test('should ignore rejected credit notes', () => {
+    const rejected = { ...creditNote, id: 'cn-2', quantity: 10, netAmount: 1000, vatTaxAmount: 70, status: 'REJECTED' };
+    expect(service.reconcile(invoices, [creditNote, rejected]).results).toEqual([]);
+  });
+
+  test('should compare quantities in base units', () => {
+    const { results } = service.reconcile(invoices, [{ ...creditNote, quantity: 1, uomConvFactor: 12 }]);
+    expect(results.map(r => r.field)).toEqual([VALIDATION_FIELDS.QUANTITY]);
+  });
+
+  test('should flag VAT that does not follow the invoice VAT rate', () => {
+    const { results, summary } = service.reconcile(invoices, [{ ...creditNote, vatTaxAmount: 40 }]);
+
+    expect(summary.vatMismatches).toBe(1);
+    expect(results[0].field).toBe(VALIDATION_FIELDS.VAT_AMOUNT);
+    expect(results[0].calculatedValue).toBe(28);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { CurrencyValidator, normalizeExchangeRate } from '../CurrencyValidator';
+import { SEVERITY_LEVELS, VALIDATION_FIELDS } from '../../types/validation';
+
+const rates = [
+  { fromCurrency: 'usd', toCurrency: 'THB', rate: '36', effectiveDate: '2024-04-01' },
+  { fromCurrency: 'USD', toCurrency: 'THB', rate: 35, effectiveDate: '2024-01-01' },
+  { fromCurrency: 'THB', toCurrency: 'JPY', rate: 4, effectiveDate: '2024-01-01' },
+  { fromCurrency: 'EUR', toCurrency: 'THB', rate: 0, effectiveDate: '2024-01-01' }
+];
+
+describe('CurrencyValidator', () => {
+  describe('getRate', () => {
+    it('should use the latest rate in effect on the date, inverse pairs and 1 for the same currency', () => {
+      const validator = new CurrencyValidator(rates);
+
+      expect(validator.getRate('USD', 'THB', '2024-03-31')).toBe(35);
+      expect(validator.getRate('USD', 'THB', '2024-04-01T10:00:00Z')).toBe(36);
+      expect(validator.getRate('USD', 'THB')).toBe(36);
+      expect(validator.getRate('USD', 'THB', '2023-12-31')).toBeNull();
+      expect(validator.getRate('JPY', 'THB', '2024-02-01')).toBe(0.25);
+      expect(validator.getRate('thb', 'THB')).toBe(1);
+      expect(validator.convert(10, 'USD', 'THB', '2024-02-01')).toBe(350);
+      // Rates that are not positive are not loaded
+      expect(validator.getRate('EUR', 'THB', '2024-02-01')).toBeNull();
+      expect(normalizeExchangeRate(rates[3])).toBeNull();
+    });
+  });
+
+  describe('validate', () => {
+    it('should flag currencies not allowed for the distributor and missing rates', () => {
+      const validator = new CurrencyValidator(rates);
+      const settings = { baseCurrency: 'THB', allowedCurrencies: [], distributorCurrencies: { D1: ['THB'] } };
+      const record = { id: 'inv-1', distCode: 'D1', currency: 'USD', date: '2024-02-01' };
+
+      expect(validator.validate(record, settings)).toEqual([
+        expect.objectContaining({
+          field: VALIDATION_FIELDS.CURRENCY,
+          originalValue: 'USD',
+          severity: SEVERITY_LEVELS.HIGH,
+          message: 'Currency USD is not allowed for distributor D1 (allowed: THB)'
+        })
+      ]);
+      expect(validator.validate({ ...record, distCode: 'D2' }, settings)).toEqual([]);
+      expect(validator.validate({ ...record, distCode: 'D2', currency: 'EUR' }, settings)).toEqual([
+        expect.objectContaining({ severity: SEVERITY_LEVELS.MEDIUM, calculatedValue: 'THB' })
+      ]);
+      // Records without a currency are in the base currency
+      expect(validator.validate({ id: 'inv-2', distCode: 'D1' }, settings)).toEqual([]);
+    });
+  });
+});
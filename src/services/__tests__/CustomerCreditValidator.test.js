@@ -0,0 +1,131 @@
+/**
+ * Unit tests for CustomerCreditValidator service
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import { CustomerCreditValidator, normalizeCustomer } from '../CustomerCreditValidator.js';
+import { CUSTOMER_STATUSES, SEVERITY_LEVELS, VALIDATION_FIELDS } from '../../types/validation.js';
+
+describe('CustomerCreditValidator', () => {
+  const customers = [
+    { code: 'C001', name: 'Shop A', status: 'ACTIVE', creditLimit: 1000, invTermCode: 'NET30' },
+    { code: 'C002', name: 'Shop B', status: 'SUSPENDED', creditLimit: 0 },
+    { customerCode: 'C003', customerName: 'Shop C', creditLimit: 500, invTermCode: 'COD' }
+  ];
+
+  const context = {
+    determineSeverity: (percentage) => (percentage >= 20 ? SEVERITY_LEVELS.CRITICAL : SEVERITY_LEVELS.LOW),
+    paymentTerms: { COD: 0 },
+    exposure: null
+  };
+
+  const invoice = {
+    id: 'inv-1',
+    customerCode: 'C001',
+    totalNetAmount: 600,
+    invoiceDate: '2024-03-01',
+    dueDate: '2024-03-31'
+  };
+
+  let validator;
+
+  beforeEach(() => {
+    validator = new CustomerCreditValidator(customers);
+  });
+
+  describe('normalizeCustomer', () => {
+    test('should default status from isActive and ignore empty credit limits', () => {
+      expect(normalizeCustomer({ customerCode: 'X', isActive: false, creditLimit: '' })).toMatchObject({
+        code: 'X',
+        status: CUSTOMER_STATUSES.INACTIVE,
+        creditLimit: null
+      });
+    });
+  });
+
+  test('should pass active customers within limit and terms', () => {
+    expect(validator.validate(invoice, context)).toEqual([]);
+  });
+
+  test('should flag suspended and unknown customers', () => {
+    const suspended = validator.validate({ ...invoice, customerCode: 'C002' }, context);
+    expect(suspended).toHaveLength(1);
+    expect(suspended[0].field).toBe(VALIDATION_FIELDS.CUSTOMER_STATUS);
+    expect(suspended[0].severity).toBe(SEVERITY_LEVELS.CRITICAL);
+
+    const unknown = validator.validate({ ...invoice, customerCode: 'C999' }, context);
+    expect(unknown[0].field).toBe(VALIDATION_FIELDS.CUSTOMER_CODE);
+  });
+
+  test('should accumulate exposure across a batch and report the overage', () => {
+    const exposure = validator.createBatchExposure([]);
+    const batchContext = { ...context, exposure };
+
+    expect(validator.validate(invoice, batchContext)).toEqual([]);
+
+    const results = validator.validate({ ...invoice, id: 'inv-2' }, batchContext);
+    expect(results).toHaveLength(1);
+    expect(results[0].field).toBe(VALIDATION_FIELDS.CREDIT_LIMIT);
+    expect(results[0].originalValue).toBe(1200);
+    expect(results[0].discrepancy).toBe(200);
+    expect(results[0].severity).toBe(SEVERITY_LEVELS.CRITICAL);
+  });
+
+  test('should include open stored invoices without double counting', () => {
+    validator.setOpenInvoices([
+      { id: 'old-1', customerCode: 'C001', totalNetAmount: 300, status: 'APPROVED' },
+      { id: 'old-2', customerCode: 'C001', totalNetAmount: 900, status: 'PROCESSED' },
+      { id: 'inv-1', customerCode: 'C001', totalNetAmount: 600, status: 'PENDING' }
+    ], ['PENDING', 'APPROVED']);
+
+    // 300 open + 600 for this invoice; its stored copy is not counted again
+    expect(validator.validate(invoice, context)).toEqual([]);
+
+    const results = validator.validate({ ...invoice, id: 'inv-3', totalNetAmount: 200 }, context);
+    expect(results[0].originalValue).toBe(1100);
+    expect(results[0].discrepancy).toBe(100);
+  });
+
+  test('should check due dates against payment terms', () => {
+    const late = validator.validate({ ...invoice, dueDate: '2024-04-15' }, context);
+    expect(late).toHaveLength(1);
+    expect(late[0].field).toBe(VALIDATION_FIELDS.DUE_DATE);
+    expect(late[0].calculatedValue).toBe('2024-03-31');
+    expect(late[0].severity).toBe(SEVERITY_LEVELS.HIGH);
+
+    const cod = validator.validate({ ...invoice, customerCode: 'C003', totalNetAmount: 100, dueDate: '2024-03-01' }, context);
+    expect(cod).toEqual([]);
+  });
+
+  test('should resolve term days from mapped and numbered codes', () => {
+    expect(validator.resolveTermDays('COD', { COD: 0 })).toBe(0);
+    expect(validator.resolveTermDays('cr45')).toBe(45);
+    expect(validator.resolveTermDays('CASH')).toBeNull();
+  });
+
+  test('should check the customer tax ID and branch on full tax invoices', () => {
+    const taxInvoice = { ...invoice, vatTaxAmount: 42 };
+    validator.setCustomers([
+      ...customers,
+      { code: 'C004', status: 'ACTIVE', taxRegNo: '0-1055-50123-45-1', branchCode: '1' }
+    ]);
+
+    const missing = validator.validateTaxId(taxInvoice);
+    expect(missing).toHaveLength(1);
+    expect(missing[0]).toMatchObject({
+      field: VALIDATION_FIELDS.CUSTOMER_TAX_ID,
+      severity: SEVERITY_LEVELS.HIGH,
+      message: "Full tax invoice is missing the customer's tax ID for customer C001"
+    });
+
+    expect(validator.validateTaxId({ ...taxInvoice, customerCode: 'C004' })).toEqual([]);
+    // Values printed on the invoice take precedence over the master
+    expect(validator.validateTaxId({ ...taxInvoice, customerCode: 'C004', customerTaxId: '0105550123452', customerBranchCode: 'B1' })
+      .map(result => result.field)).toEqual([VALIDATION_FIELDS.CUSTOMER_TAX_ID, VALIDATION_FIELDS.CUSTOMER_BRANCH_CODE]);
+
+    // Abbreviated tax invoices, invoices without VAT and unknown customers are not checked
+    expect(validator.validateTaxId({ ...taxInvoice, taxInvoiceType: 'abbreviated' })).toEqual([]);
+    expect(validator.validateTaxId(invoice)).toEqual([]);
+    expect(validator.validateTaxId({ ...taxInvoice, customerCode: 'C999' })).toEqual([]);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { DiscrepancyCaseService, buildCommentThreads } from '../DiscrepancyCaseService';
+import { CASE_ASSIGNEE_TYPES, CASE_SLA_STATES, CASE_STATUSES } from '../../types/validation';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const alert = {
+  id: 'alert_r1',
+  recordId: 'r1',
+  field: 'totalAmount',
+  severity: 'high',
+  message: 'Total amount mismatch',
+  discrepancy: 12.5
+};
+
+describe('DiscrepancyCaseService', () => {
+  let service;
+
+  beforeEach(() => {
+    localStorage.clear();
+    service = new DiscrepancyCaseService({ storageKey: 'test_cases' });
+  });
+
+  describe('openCase', () => {
+    it('should open one case per alert with an SLA due date by severity', async () => {
+      const opened = await service.openCase(alert, 'Auditor');
+      const again = await service.openCase(alert);
+
+      expect(opened).toMatchObject({
+        sourceId: 'alert_r1',
+        recordId: 'r1',
+        status: CASE_STATUSES.OPEN,
+        assignee: null,
+        comments: []
+      });
+      expect(new Date(opened.dueAt) - new Date(opened.openedAt)).toBe(24 * HOUR_MS);
+      expect(again.id).toBe(opened.id);
+
+      // Persisted through DataService, so a new service instance sees the case
+      const reloaded = await new DiscrepancyCaseService({ storageKey: 'test_cases' }).getCases();
+      expect(reloaded).toEqual([opened]);
+    });
+  });
+
+  describe('assignCase and updateStatus', () => {
+    it('should assign cases and follow the status lifecycle', async () => {
+      const opened = await service.openCase(alert);
+
+      const assigned = await service.assignCase(opened.id, { type: CASE_ASSIGNEE_TYPES.DISTRIBUTOR, id: 'D1' });
+      expect(assigned.assignee).toEqual({ type: 'distributor', id: 'D1', name: 'D1' });
+      await expect(service.assignCase(opened.id, { type: 'team', id: 'x' }))
+        .rejects.toThrow('A case must be assigned to a user or distributor');
+
+      await service.updateStatus(opened.id, CASE_STATUSES.WAITING_ON_DISTRIBUTOR);
+      const resolved = await service.updateStatus(opened.id, CASE_STATUSES.RESOLVED, 'Auditor');
+      expect(resolved.closedAt).not.toBeNull();
+      expect(resolved.history.map(entry => entry.action)).toEqual(['opened', 'assigned', 'status', 'status']);
+
+      await expect(service.updateStatus(opened.id, CASE_STATUSES.INVESTIGATING))
+        .rejects.toThrow('Cannot move case from resolved to investigating');
+
+      const reopened = await service.updateStatus(opened.id, CASE_STATUSES.OPEN);
+      expect(reopened.closedAt).toBeNull();
+      expect(new Date(reopened.dueAt) - new Date(reopened.openedAt)).toBe(24 * HOUR_MS);
+    });
+  });
+
+  describe('addComment', () => {
+    it('should thread replies under their parent comment', async () => {
+      const opened = await service.openCase(alert);
+      const author = { id: 'u1', name: 'Auditor' };
+
+      const withComment = await service.addComment(opened.id, { text: 'Asked distributor', author });
+      const parentId = withComment.comments[0].id;
+      const withReply = await service.addComment(opened.id, { text: 'Credit note coming', author, parentId });
+
+      const threads = buildCommentThreads(withReply.comments);
+      expect(threads).toHaveLength(1);
+      expect(threads[0].replies.map(reply => reply.text)).toEqual(['Credit note coming']);
+
+      await expect(service.addComment(opened.id, { text: ' ', author })).rejects.toThrow('Comment text is required');
+      await expect(service.addComment(opened.id, { text: 'x', author, parentId: 'missing' }))
+        .rejects.toThrow('Comment missing not found');
+    });
+  });
+
+  describe('getSlaStatus and getCasesAssignedTo', () => {
+    it('should report SLA timers and the open cases of a user', () => {
+      const openedAt = '2024-01-01T00:00:00.000Z';
+      const base = {
+        status: CASE_STATUSES.OPEN,
+        openedAt,
+        dueAt: '2024-01-02T00:00:00.000Z',
+        closedAt: null,
+        assignee: { type: CASE_ASSIGNEE_TYPES.USER, id: 'u1', name: 'Auditor' }
+      };
+
+      expect(service.getSlaStatus(base, new Date('2024-01-01T12:00:00.000Z')).state).toBe(CASE_SLA_STATES.ON_TRACK);
+      expect(service.getSlaStatus(base, new Date('2024-01-01T20:00:00.000Z')).state).toBe(CASE_SLA_STATES.DUE_SOON);
+      expect(service.getSlaStatus(base, new Date('2024-01-02T01:00:00.000Z'))).toEqual({
+        state: CASE_SLA_STATES.OVERDUE,
+        remainingMs: -HOUR_MS
+      });
+      expect(service.getSlaStatus({ ...base, status: CASE_STATUSES.WRITTEN_OFF, closedAt: '2024-01-03T00:00:00.000Z' }).state)
+        .toBe(CASE_SLA_STATES.BREACHED);
+
+      const cases = [
+        { ...base, id: 'late', dueAt: '2024-01-05T00:00:00.000Z' },
+        { ...base, id: 'early' },
+        { ...base, id: 'closed', status: CASE_STATUSES.RESOLVED },
+        { ...base, id: 'other', assignee: { type: CASE_ASSIGNEE_TYPES.USER, id: 'u2', name: 'Other' } }
+      ];
+      expect(service.getCasesAssignedTo(cases, 'u1').map(caseItem => caseItem.id)).toEqual(['early', 'late']);
+    });
+  });
+});
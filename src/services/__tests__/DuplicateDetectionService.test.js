@@ -0,0 +1,111 @@
+/**
+ * Unit tests for DuplicateDetectionService
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import { DuplicateDetectionService } from '../DuplicateDetectionService.js';
+import { DUPLICATE_MATCH_TYPES, DUPLICATE_RESOLUTIONS } from '../../types/invoice.js';
+
+describe('DuplicateDetectionService', () => {
+  const invoice = {
+    id: 'r1',
+    invNo: 'INV-001',
+    distCode: 'D001',
+    customerCode: 'C001',
+    productCode: 'P001',
+    invoiceDate: '2024-01-15',
+    totalNetAmount: 107,
+    metadata: { fileName: 'jan.csv' }
+  };
+
+  let service;
+
+  beforeEach(() => {
+    service = new DuplicateDetectionService();
+  });
+
+  test('should flag exact duplicates against stored records', () => {
+    const matches = service.detect([{ ...invoice, id: 'r2', metadata: { fileName: 'feb.csv' } }], [invoice]);
+
+    expect(matches).toHaveLength(1);
+    expect(matches[0]).toMatchObject({
+      recordId: 'r2',
+      matchedRecordId: 'r1',
+      matchType: DUPLICATE_MATCH_TYPES.DUPLICATE,
+      source: 'stored',
+      matchedFileName: 'jan.csv',
+      resolution: DUPLICATE_RESOLUTIONS.UNRESOLVED
+    });
+  });
+
+  test('should flag duplicates within the same file', () => {
+    const matches = service.detect([invoice, { ...invoice, id: 'r2' }], []);
+
+    expect(matches).toHaveLength(1);
+    expect(matches[0].source).toBe('file');
+  });
+
+  test('should not flag other lines of the same invoice', () => {
+    expect(service.detect([invoice, { ...invoice, id: 'r2', productCode: 'P002', totalNetAmount: 50 }], [])).toEqual([]);
+  });
+
+  test('should flag possible duplicates under a different number', () => {
+    const matches = service.detect([{ ...invoice, id: 'r2', invNo: 'INV-900', totalNetAmount: 107.005 }], [invoice]);
+
+    expect(matches).toHaveLength(1);
+    expect(matches[0].matchType).toBe(DUPLICATE_MATCH_TYPES.POSSIBLE_DUPLICATE);
+    expect(matches[0].matchedOn).toContain('amount');
+  });
+
+  test('should not flag near matches with different amounts', () => {
+    expect(service.detect([{ ...invoice, id: 'r2', invNo: 'INV-900', totalNetAmount: 200 }], [invoice])).toEqual([]);
+  });
+
+  test('should support parsed file field names and custom keys', () => {
+    const parsed = { id: 'p1', invoiceNumber: 'A-1', customerCode: 'C1', date: '2024-01-15T00:00:00.000Z', totalAmount: 10 };
+    const config = { exactKeys: ['invNo'], nearKeys: ['customerCode', 'amount'] };
+
+    expect(service.detect([{ ...parsed, id: 'p2' }], [parsed], config)[0].matchType).toBe(DUPLICATE_MATCH_TYPES.DUPLICATE);
+    expect(service.detect([{ ...parsed, id: 'p2', invoiceNumber: 'A-2' }], [parsed], config)[0].matchType)
+      .toBe(DUPLICATE_MATCH_TYPES.POSSIBLE_DUPLICATE);
+  });
+
+  test('should check batches against an index that grows with each batch', () => {
+    const index = service.createIndex([invoice]);
+    const next = { ...invoice, id: 'r2', invNo: 'INV-002', totalNetAmount: 50, metadata: {} };
+
+    expect(index.check([next])).toEqual([]);
+    // The first batch is now indexed, so a later batch matches it
+    expect(index.check([{ ...next, id: 'r3', metadata: { fileName: 'feb.csv' } }])).toEqual([
+      expect.objectContaining({ recordId: 'r3', matchedRecordId: 'r2', source: 'file', matchedFileName: '' })
+    ]);
+    expect(index.check([{ ...invoice, id: 'r4' }])[0]).toMatchObject({ matchedRecordId: 'r1', source: 'stored' });
+    expect(service.createIndex([invoice], { enabled: false }).check([{ ...invoice, id: 'r2' }])).toEqual([]);
+  });
+
+  test('should match against stored records added to the index later', () => {
+    const index = service.createIndex([]);
+    index.add([{ ...invoice, metadata: { fileId: 'upload-1', fileName: 'large.csv' } }]);
+
+    expect(index.check([{ ...invoice, id: 'r2' }])).toEqual([
+      expect.objectContaining({ matchedRecordId: 'r1', source: 'stored', matchedFileId: 'upload-1' })
+    ]);
+  });
+
+  test('should skip detection when disabled or the primary key is missing', () => {
+    expect(service.detect([{ ...invoice, id: 'r2' }], [invoice], { enabled: false })).toEqual([]);
+    expect(service.detect([{ id: 'x1' }, { id: 'x2' }], [])).toEqual([]);
+  });
+
+  test('should merge by filling empty fields from the duplicate', () => {
+    const merged = service.mergeRecords(
+      { ...invoice, customerCode: '', metadata: { fileName: 'jan.csv' } },
+      { ...invoice, id: 'r2', customerCode: 'C009', totalNetAmount: 999 }
+    );
+
+    expect(merged.id).toBe('r1');
+    expect(merged.customerCode).toBe('C009');
+    expect(merged.totalNetAmount).toBe(107);
+    expect(merged.metadata).toEqual({ fileName: 'jan.csv', mergedFrom: ['r2'] });
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Unit tests for FileStreamingService
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { FileStreamingService } from '../FileStreamingService.js';
+
+// Stands in for the file streaming worker: sends one chunk when started
+class FakeWorker {
+  constructor() {
+    this.messages = [];
+    this.terminate = vi.fn();
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(message) {
+    this.messages.push(message.type);
+    if (message.type === 'start') {
+      setTimeout(() => this.onmessage({ data: { type: 'chunk', data: { records: [{ id: 'r-1' }], errors: [] } } }));
+    }
+  }
+}
+
+describe('FileStreamingService', () => {
+  let service;
+
+  beforeEach(() => {
+    FakeWorker.instances = [];
+    vi.stubGlobal('Worker', FakeWorker);
+    service = new FileStreamingService();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  test('should stop the worker and reject when a chunk cannot be handled', async () => {
+    const onChunk = vi.fn().mockRejectedValue(new Error('QuotaExceededError'));
+
+    await expect(service.start('upload-1', new Blob(['a,b']), {}, { onChunk })).rejects.toThrow('QuotaExceededError');
+
+    const [worker] = FakeWorker.instances;
+    expect(onChunk).toHaveBeenCalledTimes(1);
+    expect(worker.messages).toEqual(['start', 'cancel']);
+    expect(worker.terminate).toHaveBeenCalled();
+    expect(service.streams.has('upload-1')).toBe(false);
+  });
+});
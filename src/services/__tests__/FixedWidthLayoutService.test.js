@@ -0,0 +1,73 @@
+/**
+ * Unit tests for FixedWidthLayoutService
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import { FixedWidthLayoutService } from '../FixedWidthLayoutService.js';
+
+describe('FixedWidthLayoutService', () => {
+  const layout = {
+    name: 'ERP A extract',
+    recordTypes: {
+      header: {
+        discriminator: { start: 0, length: 1, value: 'H' },
+        fields: [
+          { name: 'invoiceNumber', start: 1, length: 10 },
+          { name: 'date', start: 11, length: 8, type: 'date', datePattern: 'YYYYMMDD' }
+        ]
+      },
+      detail: {
+        discriminator: { start: 0, length: 1, value: 'D' },
+        fields: [
+          { name: 'productCode', start: 1, length: 8 },
+          { name: 'totalAmount', start: 9, length: 10, type: 'number', impliedDecimals: 2 }
+        ]
+      }
+    }
+  };
+
+  const header = 'H' + 'INV-001'.padEnd(10) + '20240131';
+  const detail = (code, total) => 'D' + code.padEnd(8) + String(total).padStart(10, '0');
+
+  let service;
+
+  beforeEach(() => {
+    localStorage.clear();
+    service = new FixedWidthLayoutService('test_fixedWidthLayouts');
+  });
+
+  test('should save, update and delete layouts', () => {
+    const saved = service.saveLayout(layout);
+
+    expect(saved.id).toMatch(/^layout_/);
+    expect(saved.controlTotals).toEqual([]);
+    expect(service.getLayouts()).toEqual([saved]);
+
+    const renamed = service.saveLayout({ ...saved, name: 'ERP A v2' });
+    expect(renamed).toMatchObject({ id: saved.id, name: 'ERP A v2', createdAt: saved.createdAt });
+    expect(service.getLayouts()).toHaveLength(1);
+
+    expect(service.deleteLayout(saved.id)).toBe(true);
+    expect(service.getLayouts()).toEqual([]);
+  });
+
+  test('should reject layouts the parser cannot apply', () => {
+    expect(() => service.saveLayout({ ...layout, name: ' ' })).toThrow('name is required');
+    expect(() => service.saveLayout({ name: 'No detail', recordTypes: { header: layout.recordTypes.header } }))
+      .toThrow('detail record type');
+    expect(service.getLayouts()).toEqual([]);
+  });
+
+  test('should match layouts by the record length of each line type', () => {
+    const saved = service.saveLayout(layout);
+
+    expect(service.getRecordLength(layout.recordTypes.header)).toBe(19);
+    expect(service.getRecordLength(layout.recordTypes.detail)).toBe(19);
+    expect(service.findLayoutForLines([header, detail('P001', 10700), detail('P002', 5350) + '\r', ''])).toEqual(saved);
+
+    // Lines of another length, or of no declared record type, do not fit
+    expect(service.findLayoutForLines([header, detail('P001', 10700) + '   '])).toBeNull();
+    expect(service.findLayoutForLines([header, 'X' + detail('P001', 10700).slice(1)])).toBeNull();
+    expect(service.findLayoutForLines([])).toBeNull();
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import { InvoiceSequenceAnalyzer, parseInvoiceNumber } from '../InvoiceSequenceAnalyzer';
+import { SEQUENCE_ISSUE_TYPES, SEQUENCE_PERIODS, SEVERITY_LEVELS, VALIDATION_FIELDS } from '../../types/validation';
+
+const distributors = [
+  { code: 'D1', prefix: 'iv' },
+  { code: 'D2', prefix: 'SO' }
+];
+
+const invoice = (id, invNo, date, customerCode = 'C1', distCode = 'D1') => ({
+  id, invNo, date, customerCode, distCode
+});
+
+describe('InvoiceSequenceAnalyzer', () => {
+  describe('parseInvoiceNumber', () => {
+    it('should split the prefix from the trailing running number', () => {
+      expect(parseInvoiceNumber('iv2403-00012')).toEqual({
+        invoiceNumber: 'IV2403-00012', prefix: 'IV2403-', number: 12, width: 5
+      });
+      expect(parseInvoiceNumber('IV-A')).toBeNull();
+    });
+  });
+
+  describe('analyze', () => {
+    it('should report missing ranges and out-of-order issue dates per distributor and month', () => {
+      const analyzer = new InvoiceSequenceAnalyzer(distributors);
+      const report = analyzer.analyze([
+        invoice('r1', 'IV0001', '2024-03-01'),
+        invoice('r2', 'IV0002', '2024-03-03'),
+        // Second line of IV0002
+        invoice('r3', 'IV0002', '2024-03-03'),
+        invoice('r4', 'IV0005', '2024-03-02'),
+        invoice('r5', 'IV0007', '2024-03-04'),
+        // April starts its own sequence
+        invoice('r6', 'IV0010', '2024-04-01'),
+        // Records without a distributor are not analyzed
+        { id: 'r7', invNo: 'IV0099', date: '2024-03-05' }
+      ]);
+
+      expect(report.sequences).toEqual([
+        expect.objectContaining({
+          distributorCode: 'D1',
+          period: '2024-03',
+          prefix: 'IV',
+          firstNumber: 1,
+          lastNumber: 7,
+          invoiceCount: 4,
+          missingCount: 3,
+          missingRanges: [
+            { from: 3, to: 4, count: 2, label: 'IV0003 – IV0004' },
+            { from: 6, to: 6, count: 1, label: 'IV0006' }
+          ]
+        }),
+        expect.objectContaining({ period: '2024-04', invoiceCount: 1, missingRanges: [] })
+      ]);
+      expect(report.issues.map(issue => [issue.type, issue.recordId, issue.message])).toEqual([
+        [SEQUENCE_ISSUE_TYPES.GAP, 'r4', 'Invoice numbers IV0003 – IV0004 are missing before IV0005'],
+        [SEQUENCE_ISSUE_TYPES.OUT_OF_ORDER, 'r4', 'Invoice IV0005 is dated 2024-03-02, before IV0002 dated 2024-03-03'],
+        [SEQUENCE_ISSUE_TYPES.GAP, 'r5', 'Invoice number IV0006 is missing before IV0007']
+      ]);
+      expect(report.totals).toEqual(expect.objectContaining({
+        sequences: 2, invoices: 5, missing: 3,
+        [SEQUENCE_ISSUE_TYPES.GAP]: 2,
+        [SEQUENCE_ISSUE_TYPES.OUT_OF_ORDER]: 1
+      }));
+
+      const yearly = analyzer.analyze([
+        invoice('r1', 'IV0009', '2024-03-31'),
+        invoice('r2', 'IV0010', '2024-04-01')
+      ], { period: SEQUENCE_PERIODS.YEAR });
+      expect(yearly.sequences).toEqual([expect.objectContaining({ period: '2024', invoiceCount: 2 })]);
+      expect(yearly.issues).toEqual([]);
+    });
+
+    it('should flag foreign prefixes and numbers reused for another invoice', () => {
+      const analyzer = new InvoiceSequenceAnalyzer(distributors);
+      const report = analyzer.analyze([
+        invoice('r1', 'IV0001', '2024-03-01'),
+        invoice('r2', 'SO0009', '2024-03-02'),
+        invoice('r3', 'IV0002', '2024-03-03'),
+        invoice('r4', 'IV0002', '2024-03-05', 'C2'),
+        // The same number at another distributor is not a reuse
+        invoice('r5', 'SO0002', '2024-03-05', 'C3', 'D2')
+      ]);
+
+      expect(report.issues).toEqual([
+        expect.objectContaining({
+          type: SEQUENCE_ISSUE_TYPES.FOREIGN_PREFIX,
+          recordId: 'r2',
+          severity: SEVERITY_LEVELS.HIGH,
+          expected: 'IV',
+          message: "Invoice number SO0009 does not use distributor D1's prefix IV (it uses the prefix of distributor D2)"
+        }),
+        expect.objectContaining({
+          type: SEQUENCE_ISSUE_TYPES.REUSED,
+          recordId: 'r4',
+          severity: SEVERITY_LEVELS.HIGH,
+          message: 'Invoice number IV0002 of distributor D1 is reused: issued on 2024-03-03 to C1 and on 2024-03-05 to C2'
+        })
+      ]);
+      // The foreign number stays out of D1's sequence
+      expect(report.sequences.find(sequence => sequence.distributorCode === 'D1').lastNumber).toBe(2);
+    });
+  });
+
+  describe('toValidationResults', () => {
+    it('should turn issues into invoice number results keyed by record', () => {
+      const analyzer = new InvoiceSequenceAnalyzer(distributors);
+      const results = analyzer.toValidationResults(analyzer.analyze([
+        invoice('r1', 'IV0001', '2024-03-01'),
+        invoice('r2', 'IV0003', '2024-03-02')
+      ]));
+
+      expect([...results.keys()]).toEqual(['r2']);
+      expect(results.get('r2')).toEqual([
+        expect.objectContaining({
+          recordId: 'r2',
+          field: VALIDATION_FIELDS.INVOICE_NUMBER,
+          originalValue: 'IV0003',
+          calculatedValue: 'IV0002',
+          severity: SEVERITY_LEVELS.MEDIUM,
+          sequenceIssue: SEQUENCE_ISSUE_TYPES.GAP
+        })
+      ]);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Unit tests for MasterDataService
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import { MasterDataService } from '../MasterDataService.js';
+
+describe('MasterDataService', () => {
+  let service;
+
+  beforeEach(() => {
+    localStorage.clear();
+    service = new MasterDataService();
+  });
+
+  describe('distributors', () => {
+    const distributor = { code: 'D001', name: 'Bangkok Trading', prefix: 'bkt', taxId: '0-1055-50123-45-1', branchCode: '1' };
+
+    test('should check tax IDs and branch codes on import', () => {
+      expect(service.validateDataStructure([distributor], 'distributors')).toEqual({ isValid: true, errors: [], warnings: [] });
+
+      const { isValid, errors } = service.validateDataStructure([{ ...distributor, taxId: '0105550123452' }], 'distributors');
+      expect(isValid).toBe(false);
+      expect(errors).toEqual([expect.stringMatching(/^Row 1: /)]);
+    });
+
+    test('should normalize tax IDs, branch codes and prefixes', () => {
+      expect(service.processRecord(distributor, 'distributors', {})).toMatchObject({
+        code: 'D001',
+        prefix: 'BKT',
+        taxId: '0105550123451',
+        branchCode: '00001',
+        isActive: true
+      });
+    });
+  });
+});
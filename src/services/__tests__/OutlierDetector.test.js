@@ -0,0 +1,106 @@
+/**
+ * Unit tests for OutlierDetector service
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import { OutlierDetector, getLineMetrics } from '../OutlierDetector.js';
+import { SEVERITY_LEVELS, VALIDATION_FIELDS, VALIDATION_RESULT_TYPES } from '../../types/validation.js';
+
+describe('OutlierDetector', () => {
+  // One case of 12 pieces per line, priced around 10 per piece
+  const createLine = (id, unitPrice, overrides = {}) => ({
+    id,
+    distCode: 'D1',
+    customerCode: 'C001',
+    productCode: 'P001',
+    uomCode: 'CS',
+    uomConvFactor: 12,
+    quantity: 1,
+    netAmount: unitPrice * 12,
+    ...overrides
+  });
+
+  const history = [9.8, 10, 10.2, 10, 9.9, 10.1, 10, 10].map((price, index) => createLine(`h-${index}`, price));
+
+  const context = {
+    determineSeverity: (percentage) => (percentage >= 20 ? SEVERITY_LEVELS.CRITICAL : SEVERITY_LEVELS.MEDIUM)
+  };
+
+  let detector;
+
+  beforeEach(() => {
+    detector = new OutlierDetector(history);
+  });
+
+  describe('getLineMetrics', () => {
+    test('should express unit price and quantity per small unit', () => {
+      expect(getLineMetrics(createLine('x', 10, { quantity: 2, netAmount: 240 }))).toEqual({ unitPrice: 10, quantity: 24 });
+      expect(getLineMetrics({ productCode: 'P001', quantity: 0 })).toBeNull();
+    });
+  });
+
+  describe('validate', () => {
+    test('should flag an unusual unit price as an anomaly with its baseline', () => {
+      const results = detector.validate(createLine('new', 15), context);
+
+      expect(results).toHaveLength(1);
+      expect(results[0]).toMatchObject({
+        recordId: 'new',
+        field: VALIDATION_FIELDS.UNIT_PRICE,
+        type: VALIDATION_RESULT_TYPES.ANOMALY,
+        originalValue: 15,
+        calculatedValue: 10,
+        discrepancy: 5,
+        discrepancyPercentage: 50,
+        severity: SEVERITY_LEVELS.CRITICAL
+      });
+      expect(results[0].baseline).toMatchObject({
+        metric: VALIDATION_FIELDS.UNIT_PRICE,
+        scope: 'customer',
+        scopeCode: 'C001',
+        productCode: 'P001',
+        count: 8,
+        median: 10,
+        min: 9.8,
+        max: 10.2
+      });
+      expect(results[0].baseline.zScore).toBeGreaterThan(3);
+    });
+
+    test('should flag an unusual quantity', () => {
+      const results = detector.validate(createLine('new', 10, { quantity: 10, netAmount: 1200 }), context);
+
+      expect(results.map(result => result.field)).toEqual([VALIDATION_FIELDS.QUANTITY]);
+      expect(results[0].originalValue).toBe(120);
+    });
+
+    test('should not flag values within the distribution or rounding noise on a constant history', () => {
+      expect(detector.validate(createLine('new', 10.1), context)).toEqual([]);
+      expect(detector.validate(createLine('new', 10, { netAmount: 120.12 }), context)).toEqual([]);
+    });
+
+    test('should leave a record that is part of the history out of its own baseline', () => {
+      detector.setHistory([...history, createLine('new', 15)]);
+
+      const results = detector.validate(createLine('new', 15), context);
+
+      expect(results).toHaveLength(1);
+      expect(results[0].baseline.count).toBe(8);
+    });
+
+    test('should fall back to the distributor history when the customer has too few invoices', () => {
+      detector.setHistory([...history, createLine('h-c2', 10, { customerCode: 'C002' })]);
+
+      const results = detector.validate(createLine('new', 15, { customerCode: 'C002' }), context);
+
+      expect(results[0].baseline).toMatchObject({ scope: 'distributor', scopeCode: 'D1', count: 9 });
+      expect(detector.validate(createLine('new', 15, { customerCode: 'C002', distCode: 'D2' }), context)).toEqual([]);
+    });
+
+    test('should respect configured thresholds', () => {
+      const settings = { zScoreThreshold: 0, iqrMultiplier: 0 };
+
+      expect(detector.validate(createLine('new', 15), { ...context, settings })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit tests for ProductMasterValidator service
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import { ProductMasterValidator, normalizeProduct } from '../ProductMasterValidator.js';
+import { SEVERITY_LEVELS, VALIDATION_FIELDS } from '../../types/validation.js';
+
+describe('ProductMasterValidator', () => {
+  const products = [
+    { code: 'P001', name: 'Oreo 133g', listPrice: 20, uomSmall: 'PCS', uomBig: 'CS', convFactor: 12, isActive: true },
+    { code: 'P002', name: 'Halls', listPrice: 10, uomSmall: 'PCS', uomBig: 'CS', convFactor: 24, isActive: false }
+  ];
+
+  const context = {
+    determineSeverity: (percentage) => (percentage >= 20 ? SEVERITY_LEVELS.CRITICAL : SEVERITY_LEVELS.LOW),
+    tolerance: 0.01,
+    priceUnit: 'small'
+  };
+
+  const invoice = {
+    id: 'inv-1',
+    productCode: 'P001',
+    uomCode: 'CS',
+    uomConvFactor: 12,
+    quantity: 2,
+    netAmount: 480,
+    promoDiscount: 0
+  };
+
+  let validator;
+
+  beforeEach(() => {
+    validator = new ProductMasterValidator(products);
+  });
+
+  describe('normalizeProduct', () => {
+    test('should accept master data import records', () => {
+      expect(normalizeProduct({ productCode: ' P9 ', productName: 'X', unitPrice: '15.5', isActive: 'false' })).toEqual({
+        code: 'P9',
+        name: 'X',
+        listPrice: 15.5,
+        uomSmall: '',
+        uomBig: '',
+        convFactor: 1,
+        isActive: false
+      });
+    });
+
+    test('should skip records without a code', () => {
+      expect(normalizeProduct({ name: 'No code' })).toBeNull();
+    });
+  });
+
+  test('should accept lines priced at list price after UOM conversion', () => {
+    expect(validator.validate(invoice, context)).toEqual([]);
+    expect(validator.validate({ ...invoice, uomCode: 'PCS', quantity: 5, netAmount: 100 }, context)).toEqual([]);
+  });
+
+  test('should add promotional discount back before comparing', () => {
+    expect(validator.validate({ ...invoice, netAmount: 430, promoDiscount: 50 }, context)).toEqual([]);
+  });
+
+  test('should flag price deviations', () => {
+    const results = validator.validate({ ...invoice, netAmount: 400 }, context);
+
+    expect(results).toHaveLength(1);
+    expect(results[0].field).toBe(VALIDATION_FIELDS.NET_AMOUNT);
+    expect(results[0].calculatedValue).toBe(480);
+    expect(results[0].discrepancy).toBe(80);
+    expect(results[0].severity).toBe(SEVERITY_LEVELS.CRITICAL);
+  });
+
+  test('should support list prices quoted per big unit', () => {
+    const results = validator.validate({ ...invoice, uomCode: 'PCS', quantity: 6, netAmount: 10 }, { ...context, priceUnit: 'big' });
+    expect(results).toEqual([]);
+  });
+
+  test('should flag unknown and inactive products', () => {
+    const unknown = validator.validate({ ...invoice, productCode: 'P999' }, context);
+    expect(unknown).toHaveLength(1);
+    expect(unknown[0].field).toBe(VALIDATION_FIELDS.PRODUCT_CODE);
+    expect(unknown[0].severity).toBe(SEVERITY_LEVELS.HIGH);
+
+    const inactive = validator.validate({ ...invoice, productCode: 'P002', uomConvFactor: 24, netAmount: 480 }, context);
+    expect(inactive).toHaveLength(1);
+    expect(inactive[0].message).toContain('inactive');
+  });
+
+  test('should flag conversion factor mismatches and undefined UOMs', () => {
+    const mismatch = validator.validate({ ...invoice, uomConvFactor: 10 }, context);
+    expect(mismatch).toHaveLength(1);
+    expect(mismatch[0].field).toBe(VALIDATION_FIELDS.UOM_CONV_FACTOR);
+    expect(mismatch[0].calculatedValue).toBe(12);
+
+    const badUom = validator.validate({ ...invoice, uomCode: 'BOX' }, context);
+    expect(badUom).toHaveLength(1);
+    expect(badUom[0].field).toBe(VALIDATION_FIELDS.UOM_CODE);
+  });
+
+  test('should skip the UOM check when the master defines no UOMs', () => {
+    validator = new ProductMasterValidator([{ ...products[0], uomSmall: '', uomBig: '', convFactor: 1 }]);
+
+    expect(validator.validate({ ...invoice, uomCode: 'PCS', uomConvFactor: 1, quantity: 5, netAmount: 100 }, context)).toEqual([]);
+
+    const results = validator.validate({ ...invoice, uomCode: 'PCS', uomConvFactor: 1, quantity: 5, netAmount: 80 }, context);
+    expect(results).toHaveLength(1);
+    expect(results[0].field).toBe(VALIDATION_FIELDS.NET_AMOUNT);
+  });
+
+  test('should check parsed line items by unit price', () => {
+    const record = {
+      id: 'file-1',
+      lineItems: [
+        { productCode: 'P001', quantity: 1, unitPrice: 20, lineTotal: 20 },
+        { productCode: 'P001', quantity: 1, unitPrice: 25, lineTotal: 25 }
+      ]
+    };
+
+    const results = validator.validate(record, context);
+    expect(results).toHaveLength(1);
+    expect(results[0].field).toBe(`${VALIDATION_FIELDS.LINE_ITEM_PRICE}_1`);
+  });
+});
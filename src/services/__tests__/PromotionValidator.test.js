@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { PromotionValidator, normalizePromotion, parseCodeList } from '../PromotionValidator';
+import { PROMOTION_ISSUE_TYPES, SEVERITY_LEVELS, VALIDATION_FIELDS } from '../../types/validation';
+
+const promotions = [
+  {
+    promoCode: 'oreo10', eligibleProducts: 'P001;P002', eligibleCustomers: '', discountType: 'percentage',
+    discountValue: '10', startDate: '2024-01-01', endDate: '2024-03-31', maxQuantity: '10'
+  },
+  {
+    promoCode: 'TANG5', eligibleProducts: 'P003', eligibleCustomers: 'C001|C002', discountType: 'amount_per_unit',
+    discountValue: 5, startDate: '2024-02-01', endDate: ''
+  },
+  { promoCode: 'OLD', eligibleProducts: 'P003', discountType: 'fixed_amount', discountValue: 50, startDate: '2023-01-01', endDate: '2023-12-31' },
+  { promoCode: 'OFF', discountType: 'fixed_amount', discountValue: 50, startDate: '2024-01-01', isActive: 'false' }
+];
+
+const context = {
+  determineSeverity: (percentage) => (percentage > 10 ? SEVERITY_LEVELS.HIGH : SEVERITY_LEVELS.LOW),
+  tolerance: 0.01
+};
+
+describe('PromotionValidator', () => {
+  it('should normalize promotions and drop incomplete or inactive ones', () => {
+    expect(parseCodeList('P001; P002,,P003')).toEqual(['P001', 'P002', 'P003']);
+    expect(normalizePromotion(promotions[0])).toMatchObject({
+      promoCode: 'OREO10', eligibleProducts: ['P001', 'P002'], eligibleCustomers: [],
+      discountValue: 10, endDate: '2024-03-31', maxQuantity: 10, isActive: true
+    });
+    expect(normalizePromotion({ ...promotions[0], discountType: 'bogus' })).toBeNull();
+
+    const validator = new PromotionValidator(promotions);
+    expect(validator.promotions.map(promotion => promotion.promoCode)).toEqual(['OREO10', 'TANG5', 'OLD']);
+    expect(new PromotionValidator().hasPromotions()).toBe(false);
+  });
+
+  it('should accept discounts earned under a promotion in effect', () => {
+    const validator = new PromotionValidator(promotions);
+    // 10% of 1,000 before the discount
+    const record = { id: 'inv-1', productCode: 'P001', customerCode: 'C009', invoiceDate: '2024-02-15', quantity: 10, netAmount: 900, promoDiscount: 100 };
+
+    expect(validator.validate(record, context)).toEqual([]);
+    expect(validator.validate({ ...record, promoDiscount: 0 }, context)).toEqual([]);
+    expect(validator.validate({ ...record, productCode: 'P003', customerCode: 'C002', promoDiscount: 50 }, context)).toEqual([]);
+  });
+
+  it('should flag over-applied discounts, limiting units to the max quantity', () => {
+    const validator = new PromotionValidator(promotions);
+    // 20 units for 2,000 before the discount, but only 10 units earn 10%
+    const record = { id: 'inv-2', productCode: 'P002', invoiceDate: '15/02/2567', quantity: 20, netAmount: 1800, promoDiscount: 200 };
+
+    expect(validator.validate(record, context)).toEqual([
+      expect.objectContaining({
+        field: VALIDATION_FIELDS.PROMO_DISCOUNT,
+        originalValue: 200,
+        calculatedValue: 100,
+        discrepancy: 100,
+        discrepancyPercentage: 50,
+        severity: SEVERITY_LEVELS.HIGH,
+        promotionIssue: PROMOTION_ISSUE_TYPES.OVER_APPLIED,
+        promoCode: 'OREO10',
+        message: 'Promotional discount 200 exceeds the 100 earned under promotion OREO10 (limited to 10 units) by 100'
+      })
+    ]);
+  });
+
+  it('should flag expired and unearned discounts', () => {
+    const validator = new PromotionValidator(promotions);
+    const record = { id: 'inv-3', productCode: 'P003', customerCode: 'C005', invoiceDate: '2024-02-15', quantity: 2, netAmount: 90, promoDiscount: 10 };
+
+    // TANG5 is running but not for this customer; OLD covers everyone but has ended
+    expect(validator.validate(record, context)).toEqual([
+      expect.objectContaining({
+        severity: SEVERITY_LEVELS.HIGH,
+        calculatedValue: 0,
+        promotionIssue: PROMOTION_ISSUE_TYPES.EXPIRED,
+        promoCode: 'OLD',
+        message: 'Promotional discount 10 applied under promotion OLD, which ended on 2023-12-31 before invoice date 2024-02-15'
+      })
+    ]);
+    expect(validator.validate({ ...record, productCode: 'P009' }, context)).toEqual([
+      expect.objectContaining({ promotionIssue: PROMOTION_ISSUE_TYPES.UNEARNED, promoCode: null })
+    ]);
+    // Promotions that have not started yet are not earned either
+    expect(validator.validate({ ...record, customerCode: 'C001', invoiceDate: '2024-01-15' }, context)).toEqual([
+      expect.objectContaining({ promotionIssue: PROMOTION_ISSUE_TYPES.EXPIRED })
+    ]);
+    expect(validator.validate({ ...record, productCode: 'P001', invoiceDate: '2023-06-01' }, context)).toEqual([
+      expect.objectContaining({ promotionIssue: PROMOTION_ISSUE_TYPES.UNEARNED })
+    ]);
+  });
+});
@@ -4,7 +4,14 @@
 
 import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
 import { ValidationEngine } from '../ValidationEngine.js';
-import { SEVERITY_LEVELS, VALIDATION_FIELDS, DEFAULT_VALIDATION_CONFIG } from '../../types/validation.js';
+import {
+  SEVERITY_LEVELS,
+  VALIDATION_FIELDS,
+  DEFAULT_VALIDATION_CONFIG,
+  THAI_VAT_PROFILE,
+  VAT_CATEGORIES,
+  VAT_PRICING_MODES
+} from '../../types/validation.js';
 import { createEmptyInvoiceRecord } from '../../types/invoice.js';
 
 describe('ValidationEngine', () => {
@@ -407,4 +414,535 @@ describe('ValidationEngine', () => {
       expect(results.length).toBeGreaterThan(0);
     });
   });
-});
\ No newline at end of file
+
+  describe('custom rules', () => {
+    const promoRule = {
+      id: 'promo-cap-mt',
+      name: 'MT promo cap',
+      field: 'promoDiscount',
+      condition: "customerHier3 == 'MT'",
+      assertion: 'promoDiscount <= netAmount * 0.3',
+      expected: 'netAmount * 0.3',
+      message: 'Promo discount {{actual}} exceeds 30% of net amount ({{expected}})'
+    };
+
+    const baseRecord = {
+      ...createEmptyInvoiceRecord(),
+      id: 'test-1',
+      amount: 100,
+      totalAmount: 100,
+      netAmount: 100,
+      promoDiscount: 40,
+      customerHier3: 'MT'
+    };
+
+    test('should report violations in the standard result shape', async () => {
+      validationEngine.registerRule(promoRule);
+
+      const results = await validationEngine.validateRecord(baseRecord);
+      const ruleResult = results.find(r => r.ruleId === 'promo-cap-mt');
+
+      expect(ruleResult).toBeDefined();
+      expect(ruleResult.field).toBe('promoDiscount');
+      expect(ruleResult.originalValue).toBe(40);
+      expect(ruleResult.calculatedValue).toBe(30);
+      expect(ruleResult.discrepancy).toBe(10);
+      expect(ruleResult.severity).toBe(SEVERITY_LEVELS.CRITICAL);
+      expect(ruleResult.message).toBe('Promo discount 40 exceeds 30% of net amount (30)');
+    });
+
+    test('should skip records that do not match the condition', async () => {
+      validationEngine.registerRule(promoRule);
+
+      const results = await validationEngine.validateRecord({ ...baseRecord, customerHier3: 'TT' });
+      expect(results.find(r => r.ruleId === 'promo-cap-mt')).toBeUndefined();
+    });
+
+    test('should use fixed severity when configured', async () => {
+      validationEngine.registerRule({
+        id: 'qty-multiple',
+        field: 'quantity',
+        assertion: 'quantity % uomConvFactor == 0',
+        severity: SEVERITY_LEVELS.HIGH,
+        message: 'Quantity {{quantity}} is not a multiple of {{uomConvFactor}}'
+      });
+
+      const results = await validationEngine.validateRecord({ ...baseRecord, quantity: 25, uomConvFactor: 12 });
+      const ruleResult = results.find(r => r.ruleId === 'qty-multiple');
+
+      expect(ruleResult.severity).toBe(SEVERITY_LEVELS.HIGH);
+      expect(ruleResult.message).toBe('Quantity 25 is not a multiple of 12');
+    });
+
+    test('should reject invalid rule definitions', () => {
+      expect(() => validationEngine.registerRule({ id: 'broken', field: 'x', assertion: 'x >' }))
+        .toThrow(/Invalid assertion expression/);
+      expect(() => validationEngine.registerRule({ id: 'no-field', assertion: 'true' }))
+        .toThrow(/Rule field is required/);
+    });
+
+    test('should load rules from config and honour the rule toggle', async () => {
+      const engine = new ValidationEngine({ customRules: [promoRule] });
+      expect(engine.getCustomRules()).toHaveLength(1);
+
+      engine.updateConfig({ rules: { ...engine.config.rules, validateCustomRules: false } });
+      const results = await engine.validateRecord(baseRecord);
+      expect(results.find(r => r.ruleId === 'promo-cap-mt')).toBeUndefined();
+    });
+
+    test('should include rule violations in batch summaries', async () => {
+      validationEngine.registerRule(promoRule);
+
+      const summary = await validationEngine.validateBatch([baseRecord, { ...baseRecord, id: 'test-2', promoDiscount: 10 }]);
+
+      expect(summary.invalidRecords).toBe(1);
+      expect(summary.criticalCount).toBe(1);
+    });
+
+    test('should skip invalid rules from config and keep the others running', async () => {
+      const broken = { id: 'broken', field: 'promoDiscount', assertion: 'promoDiscount >' };
+      const engine = new ValidationEngine({ customRules: [broken, promoRule] });
+
+      expect(engine.getCustomRules().map(rule => rule.id)).toEqual(['promo-cap-mt']);
+      expect(engine.getRejectedRules()).toEqual([
+        { id: 'broken', errors: [expect.stringMatching(/^Invalid assertion expression/)] }
+      ]);
+
+      engine.updateConfig({ customRules: [promoRule, { id: 'no-field', assertion: 'true' }] });
+      expect(engine.getRejectedRules()).toEqual([{ id: 'no-field', errors: ['Rule field is required'] }]);
+
+      const summary = await engine.validateBatch([baseRecord]);
+      expect(summary.criticalCount).toBe(1);
+    });
+
+    test('should unregister rules', async () => {
+      validationEngine.registerRule(promoRule);
+      expect(validationEngine.unregisterRule('promo-cap-mt')).toBe(true);
+
+      const results = await validationEngine.validateRecord(baseRecord);
+      expect(results).toEqual([]);
+    });
+  });
+
+  describe('VAT profiles', () => {
+    const invoice = {
+      id: 'inv-1',
+      distCode: 'D001',
+      customerCode: 'C001',
+      productCode: 'P001',
+      netAmount: 1000,
+      vatTaxAmount: 70,
+      totalNetAmount: 1070,
+      newVatTaxAmount: 70,
+      newTotalNetAmount: 1070
+    };
+
+    const withVat = (vat) => new ValidationEngine({
+      vat: { ...DEFAULT_VALIDATION_CONFIG.vat, ...vat }
+    });
+
+    test('should not apply a profile unless enabled or assigned', () => {
+      expect(validationEngine.resolveVatProfile(invoice)).toBeNull();
+    });
+
+    test('should validate exclusive pricing at 7%', async () => {
+      const engine = withVat({ enabled: true });
+
+      expect(await engine.validateRecord(invoice)).toEqual([]);
+
+      const results = await engine.validateRecord({ ...invoice, vatTaxAmount: 100, totalNetAmount: 1100 });
+      expect(results).toHaveLength(1);
+      expect(results[0].field).toBe(VALIDATION_FIELDS.VAT_AMOUNT);
+      expect(results[0].calculatedValue).toBe(70);
+    });
+
+    test('should back-calculate VAT for distributors quoting inclusive prices', async () => {
+      const engine = withVat({ distributorProfiles: { D001: { pricingMode: VAT_PRICING_MODES.INCLUSIVE } } });
+      const inclusive = {
+        ...invoice,
+        netAmount: 934.58,
+        vatTaxAmount: 65.42,
+        totalNetAmount: 1000,
+        newVatTaxAmount: 65.42,
+        newTotalNetAmount: 1000
+      };
+
+      expect(await engine.validateRecord(inclusive)).toEqual([]);
+      // Distributors without an assignment keep the generic checks
+      expect(engine.resolveVatProfile({ ...inclusive, distCode: 'D002' })).toBeNull();
+
+      const results = await engine.validateRecord({ ...inclusive, vatTaxAmount: 70 });
+      expect(results).toHaveLength(1);
+      expect(results[0].field).toBe(VALIDATION_FIELDS.VAT_AMOUNT);
+      expect(results[0].calculatedValue).toBe(65.42);
+      expect(results[0].message).toContain('inclusive pricing');
+    });
+
+    test('should expect zero VAT for zero-rated and exempt records', async () => {
+      const engine = withVat({
+        enabled: true,
+        defaultProfile: { ...THAI_VAT_PROFILE, zeroRatedCustomerCodes: ['EXPORT01'] }
+      });
+      const zeroRated = { ...invoice, customerCode: 'EXPORT01', vatTaxAmount: 0, totalNetAmount: 1000, newVatTaxAmount: 0, newTotalNetAmount: 1000 };
+
+      expect(await engine.validateRecord(zeroRated)).toEqual([]);
+
+      const results = await engine.validateRecord({ ...invoice, vatCategory: VAT_CATEGORIES.EXEMPT });
+      const vatResult = results.find(r => r.field === VALIDATION_FIELDS.VAT_AMOUNT);
+      expect(vatResult.calculatedValue).toBe(0);
+      expect(vatResult.severity).toBe(SEVERITY_LEVELS.CRITICAL);
+    });
+
+    test('should verify recalculated fields against the profile', async () => {
+      const engine = withVat({ enabled: true });
+
+      const results = await engine.validateRecord({ ...invoice, newVatTaxAmount: 75, newTotalNetAmount: 1075 });
+
+      expect(results.map(r => r.field)).toEqual([
+        VALIDATION_FIELDS.NEW_VAT_AMOUNT,
+        VALIDATION_FIELDS.NEW_TOTAL_NET_AMOUNT
+      ]);
+    });
+
+    test('should support parsed file fields', async () => {
+      const engine = withVat({ enabled: true });
+      const record = { ...createEmptyInvoiceRecord(), id: 'file-1', amount: 200, taxAmount: 20, totalAmount: 220 };
+
+      const results = await engine.validateRecord(record);
+      expect(results).toHaveLength(1);
+      expect(results[0].field).toBe(VALIDATION_FIELDS.TAX_AMOUNT);
+      expect(results[0].calculatedValue).toBe(14);
+    });
+  });
+
+  describe('product master', () => {
+    const line = {
+      ...createEmptyInvoiceRecord(),
+      id: 'inv-1',
+      productCode: 'P001',
+      uomCode: 'CS',
+      uomConvFactor: 12,
+      quantity: 1,
+      amount: 200,
+      totalAmount: 200
+    };
+
+    test('should skip product checks until a product master is loaded', async () => {
+      expect(await validationEngine.validateRecord(line)).toEqual([]);
+    });
+
+    test('should report list price deviations once loaded', async () => {
+      validationEngine.setProductMaster([
+        { productCode: 'P001', productName: 'Oreo', unitPrice: 20, uomSmall: 'PCS', uomBig: 'CS', convFactor: 12 }
+      ]);
+
+      const results = await validationEngine.validateRecord(line);
+      expect(results).toHaveLength(1);
+      expect(results[0].field).toBe(VALIDATION_FIELDS.AMOUNT);
+      expect(results[0].calculatedValue).toBe(240);
+
+      validationEngine.updateConfig({ rules: { ...validationEngine.config.rules, validateProductMaster: false } });
+      expect(await validationEngine.validateRecord(line)).toEqual([]);
+    });
+
+    test('should load the product master with the rest of the master data', async () => {
+      validationEngine.setMasterData({
+        products: [{ productCode: 'P001', unitPrice: 20, uomSmall: 'PCS', uomBig: 'CS', convFactor: 12 }]
+      });
+
+      expect(await validationEngine.validateRecord(line)).toEqual([
+        expect.objectContaining({ field: VALIDATION_FIELDS.AMOUNT, calculatedValue: 240 })
+      ]);
+    });
+  });
+
+  describe('customer credit', () => {
+    const invoice = {
+      ...createEmptyInvoiceRecord(),
+      id: 'inv-1',
+      customerCode: 'C001',
+      amount: 500,
+      totalAmount: 500
+    };
+
+    test('should raise credit limit breaches across a batch', async () => {
+      validationEngine.setCustomerMaster([{ code: 'C001', status: 'ACTIVE', creditLimit: 800 }]);
+
+      const summary = await validationEngine.validateBatch([invoice, { ...invoice, id: 'inv-2' }]);
+      const breaches = validationEngine.getResultsByRecord('inv-2');
+
+      expect(summary.invalidRecords).toBe(1);
+      expect(breaches).toHaveLength(1);
+      expect(breaches[0].field).toBe(VALIDATION_FIELDS.CREDIT_LIMIT);
+      expect(breaches[0].discrepancy).toBe(200);
+
+      // Batch exposure is not carried into later single-record checks
+      expect(await validationEngine.validateRecord({ ...invoice, id: 'inv-3' })).toEqual([]);
+    });
+
+    test('should require a valid customer tax ID on full tax invoices', async () => {
+      const taxInvoice = { ...invoice, amount: 500, taxRate: 7, taxAmount: 35, totalAmount: 535 };
+      validationEngine.setCustomerMaster([{ code: 'C001', status: 'ACTIVE', taxRegNo: '0105550123452' }]);
+
+      const results = await validationEngine.validateRecord(taxInvoice);
+      expect(results.map(result => result.field)).toEqual([VALIDATION_FIELDS.CUSTOMER_TAX_ID]);
+      expect(results[0].message).toBe('Invalid customer tax ID 0105550123452 for customer C001: Tax ID check digit is invalid');
+
+      validationEngine.updateConfig({ rules: { ...validationEngine.config.rules, validateCustomerTaxId: false } });
+      expect(await validationEngine.validateRecord(taxInvoice)).toEqual([]);
+    });
+  });
+
+  describe('outlier detection', () => {
+    const line = (id, netAmount) => ({
+      ...createEmptyInvoiceRecord(),
+      id,
+      customerCode: 'C001',
+      productCode: 'P001',
+      quantity: 10,
+      netAmount,
+      amount: netAmount,
+      taxAmount: 0,
+      totalAmount: netAmount
+    });
+
+    test('should report anomalies against the loaded history and count them in the summary', async () => {
+      validationEngine.setOutlierHistory([100, 98, 102, 100, 101, 99].map((amount, index) => line(`h-${index}`, amount)));
+
+      const summary = await validationEngine.validateBatch([line('inv-1', 100), line('inv-2', 160)]);
+      const anomalies = validationEngine.getResultsByRecord('inv-2');
+
+      expect(validationEngine.getResultsByRecord('inv-1')).toEqual([]);
+      expect(anomalies).toHaveLength(1);
+      expect(anomalies[0]).toMatchObject({ field: VALIDATION_FIELDS.UNIT_PRICE, type: 'anomaly', calculatedValue: 10 });
+      expect(summary.anomalyCount).toBe(1);
+    });
+
+    test('should leave quantity outliers out of the discrepancy amount totals', async () => {
+      validationEngine.setOutlierHistory([100, 98, 102, 100, 101, 99].map((amount, index) => line(`h-${index}`, amount)));
+
+      const summary = await validationEngine.validateBatch([{ ...line('inv-1', 1000), quantity: 100 }]);
+
+      expect(validationEngine.getResults()).toEqual([
+        expect.objectContaining({ field: VALIDATION_FIELDS.QUANTITY, discrepancy: 90, baseDiscrepancy: null })
+      ]);
+      expect(summary).toMatchObject({
+        totalDiscrepancies: 1,
+        totalDiscrepancyAmount: 0,
+        averageDiscrepancyAmount: 0,
+        maxDiscrepancyAmount: 0,
+        unconvertedCount: 0
+      });
+    });
+  });
+
+  describe('validation profiles', () => {
+    const invoice = {
+      ...createEmptyInvoiceRecord(),
+      id: 'inv-1',
+      distCode: 'D1',
+      customerCode: 'C001',
+      amount: 100,
+      taxRate: 7,
+      taxAmount: 7,
+      totalAmount: 107.4
+    };
+
+    const profile = {
+      id: 'distributor-a',
+      version: 3,
+      active: true,
+      assignments: { distributorCodes: ['D1'], customerSegments: [] },
+      tolerances: { totalCalculation: 0.5 }
+    };
+
+    test('should validate assigned records with the profile and record it on results', async () => {
+      const baseResults = await validationEngine.validateRecord(invoice);
+      expect(baseResults).toHaveLength(1);
+      expect(baseResults[0]).toMatchObject({ profileId: 'default', profileVersion: null });
+
+      validationEngine.setValidationProfiles([profile]);
+
+      expect(await validationEngine.validateRecord(invoice)).toEqual([]);
+      expect(validationEngine.config.tolerances.totalCalculation).toBe(DEFAULT_VALIDATION_CONFIG.tolerances.totalCalculation);
+
+      const stricter = { ...profile, version: 4, tolerances: {}, thresholds: { low: 0, medium: 0.1, high: 0.2, critical: 0.3 } };
+      validationEngine.setValidationProfiles([stricter]);
+      const results = await validationEngine.validateRecord(invoice);
+      expect(results[0]).toMatchObject({ profileId: 'distributor-a', profileVersion: 4, severity: SEVERITY_LEVELS.CRITICAL });
+    });
+
+    test('should match customer segments from the customer master and ignore archived profiles', async () => {
+      validationEngine.setCustomerMaster([{ code: 'C001', status: 'ACTIVE', customerHier3: 'MT', taxRegNo: '0105550123451' }]);
+      validationEngine.setValidationProfiles([
+        { ...profile, assignments: { distributorCodes: [], customerSegments: ['MT'] } }
+      ]);
+      expect(await validationEngine.validateRecord(invoice)).toEqual([]);
+
+      validationEngine.setValidationProfiles([{ ...profile, active: false }]);
+      expect(await validationEngine.validateRecord(invoice)).toHaveLength(1);
+    });
+  });
+
+  describe('currencies', () => {
+    const invoice = {
+      ...createEmptyInvoiceRecord(),
+      id: 'inv-1',
+      distCode: 'D1',
+      currency: 'USD',
+      date: '2024-03-15',
+      amount: 100,
+      taxRate: 7,
+      taxAmount: 7,
+      totalAmount: 108
+    };
+
+    const rates = [
+      { fromCurrency: 'USD', toCurrency: 'THB', rate: 35, effectiveDate: '2024-01-01' },
+      { fromCurrency: 'USD', toCurrency: 'THB', rate: 36, effectiveDate: '2024-04-01' }
+    ];
+
+    test('should report amounts in the base currency using the rate in effect on the invoice date', async () => {
+      validationEngine.setExchangeRates(rates);
+
+      const summary = await validationEngine.validateBatch([invoice]);
+      const [result] = validationEngine.getResults();
+
+      expect(result).toMatchObject({ currency: 'USD', exchangeRate: 35, discrepancy: 1, baseDiscrepancy: 35 });
+      expect(summary).toMatchObject({ baseCurrency: 'THB', totalDiscrepancyAmount: 35, maxDiscrepancyAmount: 35, unconvertedCount: 0 });
+    });
+
+    test('should flag missing rates and currencies the distributor may not invoice in', async () => {
+      const summary = await validationEngine.validateBatch([invoice]);
+      expect(validationEngine.getResults().map(result => result.field)).toEqual([VALIDATION_FIELDS.TOTAL_AMOUNT, VALIDATION_FIELDS.CURRENCY]);
+      expect(summary).toMatchObject({ totalDiscrepancyAmount: 0, unconvertedCount: 1 });
+
+      validationEngine.setExchangeRates(rates);
+      validationEngine.updateConfig({
+        currency: { ...DEFAULT_VALIDATION_CONFIG.currency, allowedCurrencies: ['THB', 'USD'], distributorCurrencies: { D1: ['THB'] } }
+      });
+      const results = await validationEngine.validateRecord(invoice);
+      expect(results[1]).toMatchObject({ field: VALIDATION_FIELDS.CURRENCY, severity: SEVERITY_LEVELS.HIGH, calculatedValue: 'THB' });
+      expect(await validationEngine.validateRecord({ ...invoice, distCode: 'D2' })).toHaveLength(1);
+    });
+
+    test('should apply tolerance overrides of the record currency', async () => {
+      validationEngine.setExchangeRates(rates);
+      validationEngine.updateConfig({
+        currency: { ...DEFAULT_VALIDATION_CONFIG.currency, tolerances: { USD: { totalCalculation: 1 } } }
+      });
+
+      expect(await validationEngine.validateRecord(invoice)).toEqual([]);
+      expect(await validationEngine.validateRecord({ ...invoice, currency: 'THB' })).toHaveLength(1);
+    });
+  });
+
+  describe('promotions', () => {
+    const invoice = {
+      ...createEmptyInvoiceRecord(),
+      id: 'inv-1',
+      productCode: 'P001',
+      date: '2024-02-15',
+      quantity: 10,
+      amount: 900,
+      promoDiscount: 100,
+      taxRate: 7,
+      taxAmount: 63,
+      totalAmount: 963
+    };
+
+    const promotions = [
+      { promoCode: 'OREO10', eligibleProducts: 'P001', discountType: 'percentage', discountValue: 10, startDate: '2024-01-01', endDate: '2024-03-31' }
+    ];
+
+    test('should check promotional discounts once a promotion master is loaded', async () => {
+      expect(await validationEngine.validateRecord({ ...invoice, promoDiscount: 150 })).toEqual([]);
+
+      validationEngine.setPromotions(promotions);
+      expect(await validationEngine.validateRecord(invoice)).toEqual([]);
+      expect(await validationEngine.validateRecord({ ...invoice, promoDiscount: 150, amount: 850, taxAmount: 59.5, totalAmount: 909.5 })).toEqual([
+        expect.objectContaining({ field: VALIDATION_FIELDS.PROMO_DISCOUNT, promotionIssue: 'over_applied', calculatedValue: 100 })
+      ]);
+      expect(await validationEngine.validateRecord({ ...invoice, date: '2024-04-01' })).toEqual([
+        expect.objectContaining({ field: VALIDATION_FIELDS.PROMO_DISCOUNT, promotionIssue: 'expired', promoCode: 'OREO10' })
+      ]);
+
+      validationEngine.updateConfig({ rules: { ...DEFAULT_VALIDATION_CONFIG.rules, validatePromotions: false } });
+      expect(await validationEngine.validateRecord({ ...invoice, date: '2024-04-01' })).toEqual([]);
+    });
+  });
+
+  describe('rounding policies', () => {
+    // VAT rounded on each line: 10 × 0.71 = 7.10, against 7.06 on the document total
+    const invoice = {
+      ...createEmptyInvoiceRecord(),
+      id: 'inv-1',
+      amount: 100.8,
+      taxRate: 7,
+      taxAmount: 7.1,
+      totalAmount: 107.9,
+      lineItems: Array.from({ length: 10 }, (_, index) => ({ id: `line-${index}`, quantity: 1, unitPrice: 10.08, lineTotal: 10.08, taxRate: 7 }))
+    };
+
+    test('should explain tax discrepancies that only come from rounding', async () => {
+      const [result] = await validationEngine.validateRecord(invoice);
+
+      expect(result).toMatchObject({
+        field: VALIDATION_FIELDS.TAX_AMOUNT,
+        calculatedValue: 7.06,
+        roundingExplanation: { scope: 'line', method: 'round', description: 'per-line half-up' }
+      });
+      expect(result.message).toBe("Tax calculation discrepancy: Expected 7.06, found 7.1. The file's value matches per-line half-up rounding");
+    });
+
+    test('should recalculate tax with the configured rounding policy', async () => {
+      validationEngine.updateConfig({ rounding: { ...DEFAULT_VALIDATION_CONFIG.rounding, scope: 'line' } });
+
+      expect(await validationEngine.validateRecord(invoice)).toEqual([]);
+    });
+  });
+
+  describe('invoice sequences', () => {
+    const invoice = (id, invoiceNumber, date) => ({
+      ...createEmptyInvoiceRecord(),
+      id,
+      invoiceNumber,
+      date,
+      distCode: 'D1',
+      customerCode: 'C001'
+    });
+
+    test('should flag gaps and foreign prefixes across a batch and keep the sequence report', async () => {
+      validationEngine.setDistributorMaster([{ code: 'D1', prefix: 'IV' }, { code: 'D2', prefix: 'SO' }]);
+
+      await validationEngine.validateBatch([
+        invoice('inv-1', 'IV0001', '2024-03-01'),
+        invoice('inv-2', 'IV0003', '2024-03-02'),
+        invoice('inv-3', 'SO0001', '2024-03-02')
+      ]);
+
+      expect(validationEngine.getResultsByRecord('inv-1')).toEqual([]);
+      expect(validationEngine.getResultsByRecord('inv-2')).toEqual([
+        expect.objectContaining({ field: VALIDATION_FIELDS.INVOICE_NUMBER, sequenceIssue: 'gap', calculatedValue: 'IV0002' })
+      ]);
+      expect(validationEngine.getResultsByRecord('inv-3')).toEqual([
+        expect.objectContaining({ field: VALIDATION_FIELDS.INVOICE_NUMBER, sequenceIssue: 'foreign_prefix', severity: SEVERITY_LEVELS.HIGH })
+      ]);
+      expect(validationEngine.getSequenceReport().sequences[0].missingRanges).toEqual([
+        { from: 2, to: 2, count: 1, label: 'IV0002' }
+      ]);
+
+      // Sequence findings are not carried into later single-record checks
+      expect(await validationEngine.validateRecord(invoice('inv-4', 'IV0009', '2024-03-03'))).toEqual([]);
+    });
+
+    test('should skip the sequence check when the rule is disabled', async () => {
+      validationEngine.updateConfig({ rules: { ...validationEngine.config.rules, validateInvoiceSequence: false } });
+
+      await validationEngine.validateBatch([invoice('inv-1', 'IV0001', '2024-03-01'), invoice('inv-2', 'IV0005', '2024-03-02')]);
+
+      expect(validationEngine.getResultsByRecord('inv-2')).toEqual([]);
+      expect(validationEngine.getSequenceReport()).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ValidationProfileService, matchValidationProfile } from '../ValidationProfileService';
+
+describe('ValidationProfileService', () => {
+  let service;
+
+  beforeEach(() => {
+    localStorage.clear();
+    service = new ValidationProfileService('test_validationProfiles');
+  });
+
+  describe('saveProfile', () => {
+    it('should add a new version on every save and keep earlier versions', () => {
+      const first = service.saveProfile({
+        name: 'Distributor A contract',
+        assignments: { distributorCodes: ['D1', ' D1 ', ''] },
+        tolerances: { totalCalculation: 0.5 }
+      });
+      const second = service.saveProfile({ ...first, tolerances: { totalCalculation: 1 } });
+
+      expect(first).toMatchObject({ version: 1, active: true, assignments: { distributorCodes: ['D1'], customerSegments: [] } });
+      expect(second).toMatchObject({ id: first.id, version: 2, tolerances: { totalCalculation: 1 } });
+      expect(service.getProfile(first.id, 1).tolerances.totalCalculation).toBe(0.5);
+      expect(service.getProfile(first.id)).toEqual(second);
+      expect(service.getProfiles()).toEqual([second]);
+    });
+
+    it('should require a name and reject overlapping assignments', () => {
+      expect(() => service.saveProfile({ name: ' ' })).toThrow('Validation profile name is required');
+
+      service.saveProfile({ name: 'Modern trade', assignments: { customerSegments: ['MT'] } });
+      expect(() => service.saveProfile({ name: 'Other', assignments: { customerSegments: ['MT'] } }))
+        .toThrow('Customer segment MT is already assigned to another validation profile');
+    });
+  });
+
+  describe('archiveProfile', () => {
+    it('should deactivate the profile as a new version', () => {
+      const profile = service.saveProfile({ name: 'Distributor A', assignments: { distributorCodes: ['D1'] } });
+
+      const archived = service.archiveProfile(profile.id);
+
+      expect(archived).toMatchObject({ version: 2, active: false });
+      expect(service.getProfiles()).toEqual([]);
+      expect(service.getProfiles({ includeArchived: true })).toEqual([archived]);
+      expect(service.getProfile(profile.id, 1)).toEqual(profile);
+      expect(service.archiveProfile('missing')).toBeNull();
+
+      // The distributor can be assigned again once the profile is archived
+      expect(() => service.saveProfile({ name: 'Distributor A 2025', assignments: { distributorCodes: ['D1'] } })).not.toThrow();
+    });
+  });
+
+  describe('matchValidationProfile', () => {
+    const profiles = [
+      { id: 'segment', assignments: { distributorCodes: [], customerSegments: ['MT'] } },
+      { id: 'distributor', assignments: { distributorCodes: ['D1'], customerSegments: [] } }
+    ];
+
+    it('should prefer a distributor assignment over a customer segment', () => {
+      expect(matchValidationProfile(profiles, { distributorCode: 'D1', customerSegment: 'MT' }).id).toBe('distributor');
+      expect(matchValidationProfile(profiles, { distributorCode: 'D2', customerSegment: 'MT' }).id).toBe('segment');
+      expect(matchValidationProfile(profiles, { distributorCode: 'D2' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ValidationRunHistoryService } from '../ValidationRunHistoryService';
+
+const createRecord = (id, invoiceNumber, overrides = {}) => ({
+  id,
+  invoiceNumber,
+  customerCode: 'C1',
+  amount: 100,
+  taxAmount: 7,
+  totalAmount: 107,
+  status: 'valid',
+  metadata: { fileName: 'distributor-a.csv' },
+  ...overrides
+});
+
+const createResult = (recordId, field, overrides = {}) => ({
+  recordId,
+  field,
+  severity: 'high',
+  message: `${field} discrepancy`,
+  originalValue: 10,
+  calculatedValue: 7,
+  discrepancy: 3,
+  ...overrides
+});
+
+describe('ValidationRunHistoryService', () => {
+  let service;
+
+  beforeEach(() => {
+    localStorage.clear();
+    service = new ValidationRunHistoryService('test_runHistory', 3);
+  });
+
+  describe('createInputsFingerprint', () => {
+    it('should ignore record ids, metadata and order', () => {
+      const first = [createRecord('a-1', 'INV-001'), createRecord('a-2', 'INV-002')];
+      const reparsed = [
+        createRecord('b-2', 'INV-002', { metadata: { fileName: 'resubmission.csv' } }),
+        createRecord('b-1', 'INV-001')
+      ];
+
+      expect(service.createInputsFingerprint(reparsed)).toBe(service.createInputsFingerprint(first));
+      expect(service.createInputsFingerprint([createRecord('a-1', 'INV-001', { taxAmount: 8 }), first[1]]))
+        .not.toBe(service.createInputsFingerprint(first));
+    });
+  });
+
+  describe('recordRun', () => {
+    it('should store the run with its summary, fingerprints and discrepancy keys', () => {
+      const records = [createRecord('a-1', 'INV-001')];
+      const config = { tolerances: { taxCalculation: 0.01 } };
+
+      const run = service.recordRun({
+        summary: { batchId: 'batch-1', validationEndTime: '2024-02-01T00:00:00.000Z', totalRecords: 1 },
+        results: [createResult('a-1', 'taxAmount')],
+        records,
+        config
+      });
+
+      expect(run).toMatchObject({
+        id: 'batch-1',
+        label: 'distributor-a.csv',
+        createdAt: '2024-02-01T00:00:00.000Z',
+        recordCount: 1,
+        configFingerprint: service.createConfigFingerprint(config),
+        inputsFingerprint: service.createInputsFingerprint(records)
+      });
+      expect(run.results).toEqual([{ key: 'INV-001|C1|taxAmount|', severity: 'high', discrepancy: 3 }]);
+      expect(service.getRun('batch-1')).toEqual(run);
+    });
+
+    it('should key discrepancies of Prisma records by invNo', () => {
+      const record = { id: 'a-1', invNo: 'iv-001', customerCode: 'C1' };
+      const key = service.getDiscrepancyKey(createResult('a-1', 'taxAmount', { ruleId: 'rule-1' }), record);
+
+      expect(key).toBe('IV-001|C1|taxAmount|rule-1');
+      expect(service.parseDiscrepancyKey(key)).toEqual({ invoiceNumber: 'IV-001', customerCode: 'C1', field: 'taxAmount', ruleId: 'rule-1' });
+    });
+
+    it('should drop older runs when storage is full and report when a run cannot be saved', () => {
+      service.recordRun({ summary: { batchId: 'batch-1' } });
+      const setItem = vi.spyOn(Storage.prototype, 'setItem');
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        // Only one run fits
+        setItem.mockImplementation(function (key, value) {
+          if (JSON.parse(value).length > 1) {
+            throw new DOMException('Quota exceeded', 'QuotaExceededError');
+          }
+        });
+        expect(service.recordRun({ summary: { batchId: 'batch-2' } }).id).toBe('batch-2');
+        expect(setItem).toHaveBeenLastCalledWith('test_runHistory', expect.not.stringContaining('batch-1'));
+
+        setItem.mockImplementation(() => {
+          throw new DOMException('Quota exceeded', 'QuotaExceededError');
+        });
+        expect(() => service.recordRun({ summary: { batchId: 'batch-3' } })).toThrow('browser storage is full');
+      } finally {
+        setItem.mockRestore();
+        errorSpy.mockRestore();
+      }
+    });
+
+    it('should keep only the newest runs', () => {
+      ['batch-1', 'batch-2', 'batch-3', 'batch-4'].forEach(batchId => {
+        service.recordRun({ summary: { batchId }, results: [], records: [] });
+      });
+
+      expect(service.getRuns().map(run => run.id)).toEqual(['batch-4', 'batch-3', 'batch-2']);
+    });
+
+    it('should delete runs', () => {
+      service.recordRun({ summary: { batchId: 'batch-1' } });
+
+      expect(service.deleteRun('batch-1')).toBe(true);
+      expect(service.deleteRun('batch-1')).toBe(false);
+      expect(service.getRuns()).toEqual([]);
+    });
+  });
+
+  describe('compareRuns', () => {
+    it('should split discrepancies into introduced, resolved and unchanged', () => {
+      const config = { tolerances: { taxCalculation: 0.01 } };
+      const original = service.recordRun({
+        summary: { batchId: 'original' },
+        records: [createRecord('a-1', 'INV-001'), createRecord('a-2', 'INV-002'), createRecord('a-3', 'INV-003')],
+        results: [
+          createResult('a-1', 'taxAmount'),
+          createResult('a-2', 'totalAmount'),
+          createResult('a-3', 'taxAmount')
+        ],
+        config
+      });
+      const resubmission = service.recordRun({
+        summary: { batchId: 'resubmission' },
+        records: [
+          createRecord('b-1', 'INV-001', { taxAmount: 8 }),
+          createRecord('b-2', 'INV-002', { totalAmount: 108 }),
+          createRecord('b-3', 'INV-003', { discountAmount: 5 })
+        ],
+        results: [
+          createResult('b-1', 'taxAmount', { severity: 'medium', discrepancy: 1 }),
+          createResult('b-3', 'taxAmount'),
+          createResult('b-3', 'discountAmount')
+        ],
+        config
+      });
+
+      const comparison = service.compareRuns(original, resubmission);
+
+      expect(comparison).toMatchObject({ baseRunId: 'original', targetRunId: 'resubmission', configChanged: false, inputsChanged: true });
+      expect(comparison.introduced.map(r => r.key)).toEqual(['INV-003|C1|discountAmount|']);
+      expect(comparison.resolved.map(r => r.key)).toEqual(['INV-002|C1|totalAmount|']);
+      expect(comparison.unchanged.map(entry => [entry.key, entry.changed])).toEqual([
+        ['INV-001|C1|taxAmount|', true],
+        ['INV-003|C1|taxAmount|', false]
+      ]);
+    });
+
+    it('should flag a changed config', () => {
+      const base = service.recordRun({ summary: { batchId: 'base' }, config: { thresholds: { high: 10 } } });
+      const target = service.recordRun({ summary: { batchId: 'target' }, config: { thresholds: { high: 5 } } });
+
+      expect(service.compareRuns(base, target)).toMatchObject({ configChanged: true, inputsChanged: false });
+    });
+  });
+});
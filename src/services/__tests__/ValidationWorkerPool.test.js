@@ -0,0 +1,187 @@
+import { describe, it, expect, vi } from 'vitest';
+import { ValidationWorkerPool } from '../ValidationWorkerPool';
+import { ValidationEngine } from '../ValidationEngine';
+
+// Runs the same code as the validation worker, without a real Worker
+class InlineWorkerService {
+  constructor(delayMs = 0) {
+    this.delayMs = delayMs;
+    this.initializeValidationWorker = vi.fn().mockResolvedValue();
+    this.terminateWorker = vi.fn();
+  }
+
+  async validateRecords(records, onProgress, { config, products = [], customers = [], openInvoices = [] } = {}) {
+    const engine = new ValidationEngine(config);
+    engine.setProductMaster(products);
+    engine.setCustomerMaster(customers, openInvoices);
+    const summary = await engine.validateBatch(records);
+    onProgress?.({ processed: records.length, total: records.length, percentage: 100 });
+    await new Promise(resolve => setTimeout(resolve, this.delayMs));
+    return { results: engine.getResults(), summary };
+  }
+}
+
+const createRecord = (id, customerCode, overrides = {}) => ({
+  id,
+  invoiceNumber: id.toUpperCase(),
+  customerName: `Customer ${customerCode}`,
+  customerCode,
+  amount: 100,
+  taxRate: 7,
+  taxAmount: 7,
+  discountAmount: 0,
+  totalAmount: 107,
+  date: '2024-01-15',
+  status: 'valid',
+  ...overrides
+});
+
+const records = [
+  createRecord('inv-1', 'C1', { taxAmount: 9, totalAmount: 109 }),
+  createRecord('inv-2', 'C2'),
+  createRecord('inv-3', 'C1', { totalAmount: 150 }),
+  createRecord('inv-4', 'C3', { discountAmount: 10, totalAmount: 107 }),
+  createRecord('inv-5', ''),
+  createRecord('inv-6', 'C2', { taxAmount: 20, totalAmount: 120 })
+];
+
+const config = { tolerances: { taxCalculation: 0.01, totalCalculation: 0.01, discountCalculation: 0.01 } };
+
+describe('ValidationWorkerPool', () => {
+  describe('shardRecords', () => {
+    it('should keep each customer in one shard and balance shard sizes', () => {
+      const shards = ValidationWorkerPool.shardRecords(records, 2);
+
+      const shardOf = (id) => shards.findIndex(shard => shard.some(entry => entry.record.id === id));
+      expect(shardOf('inv-1')).toBe(shardOf('inv-3'));
+      expect(shardOf('inv-2')).toBe(shardOf('inv-6'));
+      expect(shards.map(shard => shard.length)).toEqual([3, 3]);
+      expect(ValidationWorkerPool.shardRecords(records, 2)).toEqual(shards);
+    });
+
+    it('should spread a single distributor\'s customers across shards', () => {
+      const distributorRecords = ['C1', 'C2', 'C3'].map((customerCode, index) =>
+        createRecord(`inv-${index + 1}`, customerCode, { distCode: 'D1' }));
+
+      expect(ValidationWorkerPool.shardRecords(distributorRecords, 3)).toHaveLength(3);
+    });
+
+    it('should not create empty shards', () => {
+      expect(ValidationWorkerPool.shardRecords(records.slice(0, 1), 4)).toHaveLength(1);
+    });
+  });
+
+  describe('validateRecords', () => {
+    it('should give the same results and summary as a single ValidationEngine batch', async () => {
+      const engine = new ValidationEngine(config);
+      const expectedSummary = await engine.validateBatch(records);
+      const expectedResults = engine.getResults();
+
+      // The first worker finishes last, so merge order cannot depend on completion order
+      const delays = [20, 0, 0];
+      const pool = new ValidationWorkerPool({ size: 3, createWorker: () => new InlineWorkerService(delays.shift()) });
+      const { results, summary } = await pool.validateRecords(records, { config });
+
+      const stable = (list) => list.map(({ recordId, field, severity, discrepancy, message }) =>
+        ({ recordId, field, severity, discrepancy, message }));
+      expect(results.length).toBeGreaterThan(0);
+      expect(stable(results)).toEqual(stable(expectedResults));
+      expect(summary).toMatchObject({
+        totalRecords: expectedSummary.totalRecords,
+        validRecords: expectedSummary.validRecords,
+        invalidRecords: expectedSummary.invalidRecords,
+        totalDiscrepancies: expectedSummary.totalDiscrepancies,
+        criticalCount: expectedSummary.criticalCount,
+        highSeverityCount: expectedSummary.highSeverityCount,
+        mediumSeverityCount: expectedSummary.mediumSeverityCount,
+        lowSeverityCount: expectedSummary.lowSeverityCount,
+        maxDiscrepancyAmount: expectedSummary.maxDiscrepancyAmount
+      });
+      expect(summary.totalDiscrepancyAmount).toBeCloseTo(expectedSummary.totalDiscrepancyAmount);
+      expect(summary.batchId).toMatch(/^pool_/);
+    });
+
+    it('should pass the validation context to every worker and report combined progress', async () => {
+      const workers = [];
+      const pool = new ValidationWorkerPool({
+        size: 2,
+        createWorker: () => {
+          const worker = new InlineWorkerService();
+          vi.spyOn(worker, 'validateRecords');
+          workers.push(worker);
+          return worker;
+        }
+      });
+      const onProgress = vi.fn();
+      const customers = [{ customerCode: 'C1', status: 'active' }];
+
+      await pool.validateRecords(records, { config, customers, onProgress });
+
+      workers.forEach(worker => {
+        expect(worker.validateRecords).toHaveBeenCalledWith(
+          expect.any(Array),
+          expect.any(Function),
+          { config: { ...config, rules: expect.objectContaining({ validateInvoiceSequence: false }) }, customers }
+        );
+      });
+      expect(onProgress).toHaveBeenLastCalledWith({ processed: 6, total: 6, percentage: 100 });
+    });
+
+    it('should check invoice number sequences across shards the way a single batch does', async () => {
+      const sequenceConfig = { ...config, invoiceSequence: { period: 'month' } };
+      // One distributor numbering its invoices across three customers, with IV0003 missing
+      const sequenceRecords = ['IV0001', 'IV0002', 'IV0004', 'IV0005'].map((invoiceNumber, index) =>
+        createRecord(`inv-${index + 1}`, `C${index + 1}`, { invoiceNumber, distCode: 'D1' }));
+
+      const engine = new ValidationEngine(sequenceConfig);
+      const expectedSummary = await engine.validateBatch(sequenceRecords);
+      const sequenceResults = (list) => list
+        .filter(result => result.sequenceIssue)
+        .map(({ recordId, sequenceIssue, severity, message }) => ({ recordId, sequenceIssue, severity, message }));
+
+      const pool = new ValidationWorkerPool({ size: 3, createWorker: () => new InlineWorkerService() });
+      const { results, summary, sequenceReport } = await pool.validateRecords(sequenceRecords, { config: sequenceConfig });
+
+      expect(sequenceReport.issues).toHaveLength(1);
+      expect(sequenceReport.issues).toEqual(engine.getSequenceReport().issues);
+      expect(sequenceResults(results)).toEqual(sequenceResults(engine.getResults()));
+      expect(summary).toMatchObject({
+        validRecords: expectedSummary.validRecords,
+        invalidRecords: expectedSummary.invalidRecords,
+        totalDiscrepancies: expectedSummary.totalDiscrepancies
+      });
+    });
+
+    it('should terminate workers that started when initialization fails', async () => {
+      const failing = new InlineWorkerService();
+      failing.initializeValidationWorker.mockRejectedValue(new Error('Worker ping timeout'));
+      const healthy = new InlineWorkerService();
+      const created = [healthy, failing];
+      const pool = new ValidationWorkerPool({ size: 2, createWorker: () => created.shift() });
+
+      await expect(pool.validateRecords(records, { config })).rejects.toThrow('Worker ping timeout');
+      expect(healthy.terminateWorker).toHaveBeenCalled();
+      expect(pool.getStatus()).toMatchObject({ initialized: false, processing: false });
+    });
+  });
+
+  describe('mergeSummaries', () => {
+    it('should add counts and recompute the average', () => {
+      const summary = ValidationWorkerPool.mergeSummaries([
+        { totalRecords: 2, invalidRecords: 1, totalDiscrepancies: 1, totalDiscrepancyAmount: 10, maxDiscrepancyAmount: 10, processingTimeMs: 5 },
+        { totalRecords: 3, invalidRecords: 2, totalDiscrepancies: 3, totalDiscrepancyAmount: 30, maxDiscrepancyAmount: 25, processingTimeMs: 8 }
+      ], { batchId: 'pool_1' });
+
+      expect(summary).toMatchObject({
+        totalRecords: 5,
+        invalidRecords: 3,
+        totalDiscrepancies: 4,
+        totalDiscrepancyAmount: 40,
+        averageDiscrepancyAmount: 10,
+        maxDiscrepancyAmount: 25,
+        processingTimeMs: 8,
+        batchId: 'pool_1'
+      });
+    });
+  });
+});
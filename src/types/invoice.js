@@ -8,6 +8,14 @@
  * @property {string} invoiceNumber - Invoice number
  * @property {string} customerName - Customer name
  * @property {string} customerCode - Customer code/ID
+ * @property {string} [customerTaxId] - Customer's 13-digit taxpayer ID as printed on the invoice
+ * @property {string} [customerBranchCode] - Customer's 5-digit branch code ('00000' for head office)
+ * @property {'full' | 'abbreviated'} [taxInvoiceType] - Kind of tax invoice; full when missing
+ * @property {'invoice' | 'credit_note' | 'debit_note'} [documentType] - Kind of document; invoice when missing
+ * @property {string} [referencedInvoiceNumber] - Invoice a credit or debit note adjusts
+ * @property {string} [sellerName] - Seller name as printed on the invoice
+ * @property {string} [sellerTaxId] - Seller's 13-digit taxpayer ID
+ * @property {string} [sellerBranchCode] - Seller's 5-digit branch code
  * @property {number} amount - Base amount before tax
  * @property {number} taxRate - Tax rate as percentage (e.g., 10 for 10%)
  * @property {number} taxAmount - Calculated tax amount
@@ -15,9 +23,11 @@
  * @property {number} totalAmount - Final total amount
  * @property {string} date - Invoice date in ISO format
  * @property {string} dueDate - Due date in ISO format
- * @property {string} currency - Currency code (e.g., 'USD', 'EUR')
+ * @property {string} currency - ISO 4217 currency code (e.g., 'THB', 'USD'); amounts are in this currency
  * @property {string} status - Record validation status
  * @property {InvoiceLineItem[]} lineItems - Array of line items
+ * @property {InvoiceAllowanceCharge[]} [allowanceCharges] - Document allowances and charges,
+ *   already included in amount
  * @property {Object} metadata - Additional metadata
  */
 
@@ -31,6 +41,17 @@
  * @property {number} lineTotal - Total for this line item
  * @property {number} taxRate - Tax rate for this item
  * @property {number} taxAmount - Tax amount for this item
+ * @property {string} [uomCode] - Unit of measure of the quantity
+ * @property {InvoiceAllowanceCharge[]} [allowanceCharges] - Line allowances and charges,
+ *   already included in lineTotal
+ */
+
+/**
+ * @typedef {Object} InvoiceAllowanceCharge
+ * @property {'allowance' | 'charge'} type - Allowances lower the amount, charges raise it
+ * @property {number} amount - Allowance or charge amount
+ * @property {string} [reasonCode] - Reason code, e.g. '95' for a discount
+ * @property {string} [reason] - Reason text
  */
 
 /**
@@ -55,6 +76,8 @@
  * @property {string} message - Error message
  * @property {string} value - Original value that caused error
  * @property {'validation' | 'parsing' | 'format'} type - Error type
+ * @property {string} [location] - Spreadsheet cell location, e.g. 'Sheet1!A12', or XML element
+ *   path, e.g. '/TaxInvoice_CrossIndustryInvoice/ExchangedDocument/ID'
  */
 
 /**
@@ -66,6 +89,27 @@
  * @property {FileProcessingResult} result - Processing result
  */
 
+// Currency amounts are reported in, and assumed for records without a currency
+export const BASE_CURRENCY = "THB";
+
+// Kinds of tax invoice. Full tax invoices must show the buyer's tax ID and branch.
+export const TAX_INVOICE_TYPES = {
+  FULL: "full",
+  ABBREVIATED: "abbreviated",
+};
+
+// Kinds of invoice document. Credit and debit notes adjust an earlier invoice.
+export const DOCUMENT_TYPES = {
+  INVOICE: "invoice",
+  CREDIT_NOTE: "credit_note",
+  DEBIT_NOTE: "debit_note",
+};
+
+export const ALLOWANCE_CHARGE_TYPES = {
+  ALLOWANCE: "allowance",
+  CHARGE: "charge",
+};
+
 // Default invoice record structure
 export const createEmptyInvoiceRecord = () => ({
   id: "",
@@ -79,7 +123,7 @@ export const createEmptyInvoiceRecord = () => ({
   totalAmount: 0,
   date: "",
   dueDate: "",
-  currency: "USD",
+  currency: BASE_CURRENCY,
   status: "pending",
   lineItems: [],
   metadata: {},
@@ -91,6 +135,8 @@ export const CSV_COLUMN_MAPPINGS = {
     invoiceNumber: ["invoice_number", "invoice_no", "invoice", "number"],
     customerName: ["customer_name", "customer", "client_name", "client"],
     customerCode: ["customer_code", "customer_id", "client_code", "client_id"],
+    customerTaxId: ["customer_tax_id", "tax_id", "tax_reg_no", "buyer_tax_id"],
+    customerBranchCode: ["customer_branch_code", "branch_code", "branch"],
     amount: ["amount", "base_amount", "subtotal", "net_amount"],
     taxRate: ["tax_rate", "vat_rate", "tax_percent", "vat_percent"],
     taxAmount: ["tax_amount", "vat_amount", "tax", "vat"],
@@ -143,6 +189,235 @@ export const VALIDATION_RULES = {
   currency: {
     required: false,
     pattern: /^[A-Z]{3}$/,
-    default: "USD",
+    default: BASE_CURRENCY,
+  },
+};
+
+/**
+ * @typedef {Object} DuplicateMatch
+ * @property {string} id - Match identifier
+ * @property {string} recordId - Newly ingested record flagged as a duplicate
+ * @property {string} matchedRecordId - Record it duplicates
+ * @property {'duplicate' | 'possible_duplicate'} matchType - Duplicate class
+ * @property {string[]} matchedOn - Keys that matched
+ * @property {'file' | 'stored'} source - Whether the match is within the same file or an earlier record
+ * @property {string} fileName - File of the flagged record
+ * @property {string} matchedFileName - File of the matched record
+ * @property {string} [fileId] - Upload the flagged record came from
+ * @property {string} [matchedFileId] - Upload the matched record came from
+ * @property {'unresolved' | 'keep' | 'merge' | 'discard'} resolution - Resolution chosen by the user
+ * @property {string} detectedAt - Detection timestamp
+ */
+
+// Duplicate classes, reported separately from discrepancy severities
+export const DUPLICATE_MATCH_TYPES = {
+  DUPLICATE: "duplicate",
+  POSSIBLE_DUPLICATE: "possible_duplicate",
+};
+
+// Ways a flagged duplicate can be resolved
+export const DUPLICATE_RESOLUTIONS = {
+  UNRESOLVED: "unresolved",
+  KEEP: "keep",
+  MERGE: "merge",
+  DISCARD: "discard",
+};
+
+// Record fields checked for each logical matching key (first present wins)
+export const DUPLICATE_KEY_FIELDS = {
+  invNo: ["invNo", "invoiceNumber"],
+  distCode: ["distCode", "distributorCode"],
+  customerCode: ["customerCode"],
+  productCode: ["productCode"],
+  date: ["invoiceDate", "date"],
+  amount: ["totalNetAmount", "totalAmount"],
+};
+
+// Default duplicate detection settings. Exact keys include productCode so
+// line-level invoices sharing an invoice number are not flagged.
+export const DEFAULT_DUPLICATE_DETECTION_CONFIG = {
+  enabled: true,
+  exactKeys: ["invNo", "distCode", "productCode"],
+  nearKeys: ["customerCode", "productCode", "date", "amount"],
+  amountTolerance: 0.01,
+};
+
+/**
+ * @typedef {Object} ColumnMapping
+ * @property {string} field - Target InvoiceRecord field
+ * @property {string} [source] - Source column header
+ * @property {string|number} [constant] - Constant value used instead of a source column
+ * @property {string} [dateFormat] - Source date format (see DATE_FORMATS)
+ * @property {'.' | ','} [decimalSeparator] - Source decimal separator
+ */
+
+/**
+ * @typedef {Object} ColumnMappingProfile
+ * @property {string} id - Profile identifier
+ * @property {string} name - Display name
+ * @property {string} distributorCode - Distributor the export comes from
+ * @property {string[]} headers - Source headers the profile was created for
+ * @property {ColumnMapping[]} mappings - Column mappings
+ * @property {string} createdAt - Creation timestamp
+ * @property {string} updatedAt - Last update timestamp
+ */
+
+// InvoiceRecord fields that can be targeted by a column mapping
+export const MAPPABLE_INVOICE_FIELDS = {
+  invoiceNumber: { label: "Invoice Number", type: "string", required: true },
+  customerName: { label: "Customer Name", type: "string", required: true },
+  customerCode: { label: "Customer Code", type: "string" },
+  customerTaxId: { label: "Customer Tax ID", type: "string" },
+  customerBranchCode: { label: "Customer Branch Code", type: "string" },
+  amount: { label: "Amount", type: "number", required: true },
+  taxRate: { label: "Tax Rate", type: "number" },
+  taxAmount: { label: "Tax Amount", type: "number" },
+  discountAmount: { label: "Discount Amount", type: "number" },
+  totalAmount: { label: "Total Amount", type: "number" },
+  date: { label: "Invoice Date", type: "date", required: true },
+  dueDate: { label: "Due Date", type: "date" },
+  currency: { label: "Currency", type: "string" },
+};
+
+// Source date formats supported by column mappings. Tokens: YYYY/YY year,
+// BBBB/BB Buddhist-era (B.E.) year, MMM English or Thai month name or
+// abbreviation, MM month, DD day.
+export const DATE_FORMATS = {
+  ISO: "YYYY-MM-DD",
+  DMY: "DD/MM/YYYY",
+  MDY: "MM/DD/YYYY",
+  YMD: "YYYY/MM/DD",
+  COMPACT: "YYYYMMDD",
+  DMY_BE: "DD/MM/BBBB",
+  DAY_MONTH_NAME_BE: "DD MMM BBBB",
+  DAY_MONTH_ABBREVIATION_BE: "DD MMM BB",
+};
+
+// Text encodings of uploaded CSV, TXT and XML files. AUTO detects the encoding
+// from the file's bytes; WINDOWS_874 also decodes TIS-620 exports.
+export const TEXT_ENCODINGS = {
+  AUTO: "auto",
+  UTF_8: "utf-8",
+  WINDOWS_874: "windows-874",
+  UTF_16LE: "utf-16le",
+  UTF_16BE: "utf-16be",
+};
+
+// Encodings users can choose for an upload
+export const TEXT_ENCODING_LABELS = {
+  [TEXT_ENCODINGS.AUTO]: "Detect automatically",
+  [TEXT_ENCODINGS.UTF_8]: "UTF-8",
+  [TEXT_ENCODINGS.WINDOWS_874]: "Thai (TIS-620 / Windows-874)",
+};
+
+/**
+ * @typedef {Object} FixedWidthField
+ * @property {string} name - Record field the value is stored in
+ * @property {number} start - Zero-based start position in the line
+ * @property {number} length - Field width in characters
+ * @property {'string' | 'number' | 'date'} [type] - Value type (default 'string')
+ * @property {number} [impliedDecimals] - Decimal places implied by unpunctuated numbers
+ * @property {string} [datePattern] - Date pattern using the DATE_FORMATS tokens, e.g. 'YYYYMMDD'
+ */
+
+/**
+ * @typedef {Object} FixedWidthRecordType
+ * @property {{start: number, length: number, value: string}} [discriminator] - Position and
+ *   value identifying lines of this record type
+ * @property {FixedWidthField[]} fields - Fields on lines of this record type
+ */
+
+/**
+ * @typedef {Object} FixedWidthControlTotal
+ * @property {string} trailerField - Trailer field holding the control value
+ * @property {'count' | 'sum'} aggregate - How detail lines are aggregated
+ * @property {string} [detailField] - Detail field summed when aggregate is 'sum'
+ * @property {number} [tolerance] - Allowed difference (default 0.01 for sums, 0 for counts)
+ */
+
+/**
+ * @typedef {Object} FixedWidthLayout
+ * @property {string} id - Layout identifier
+ * @property {string} name - Display name
+ * @property {Object<string, FixedWidthRecordType>} recordTypes - Record types keyed by
+ *   FIXED_WIDTH_RECORD_TYPES; only detail is required
+ * @property {FixedWidthControlTotal[]} [controlTotals] - Trailer checks against the detail lines
+ * @property {string} [createdAt] - ISO timestamp, set when the layout is saved
+ * @property {string} [updatedAt] - ISO timestamp of the last save
+ */
+
+// Line types in a fixed-width layout. Header values apply to the detail lines
+// that follow them; trailer lines carry control totals for those details.
+export const FIXED_WIDTH_RECORD_TYPES = {
+  HEADER: "header",
+  DETAIL: "detail",
+  TRAILER: "trailer",
+};
+
+/**
+ * @typedef {Object} ApprovalHistoryEntry
+ * @property {string} id - Entry identifier
+ * @property {'invoice' | 'credit_note'} documentType - Kind of document
+ * @property {string} documentId - Document identifier
+ * @property {'submit' | 'approve' | 'reject' | 'process'} action - Workflow action taken
+ * @property {string} from - Status before the action
+ * @property {string} to - Status after the action
+ * @property {{id: string, name: string, role: string}} user - Who took the action
+ * @property {string|null} reason - Rejection reason or note
+ * @property {string} at - When the action was taken
+ */
+
+// Documents that go through the approval workflow
+export const APPROVAL_DOCUMENT_TYPES = {
+  INVOICE: "invoice",
+  CREDIT_NOTE: "credit_note",
+};
+
+// Approval workflow statuses, shared by InvoiceStatus and CreditNoteStatus
+export const APPROVAL_STATUSES = {
+  PENDING: "PENDING",
+  APPROVED: "APPROVED",
+  REJECTED: "REJECTED",
+  PROCESSED: "PROCESSED",
+};
+
+export const APPROVAL_ACTIONS = {
+  SUBMIT: "submit",
+  APPROVE: "approve",
+  REJECT: "reject",
+  PROCESS: "process",
+};
+
+// Statuses each action moves a document from and to, and the roles allowed
+// to take it. Approving and rejecting is the checker step of maker-checker.
+export const APPROVAL_TRANSITIONS = {
+  [APPROVAL_ACTIONS.SUBMIT]: {
+    from: [APPROVAL_STATUSES.REJECTED],
+    to: APPROVAL_STATUSES.PENDING,
+    roles: ["HQ", "DIST", "USER"],
+  },
+  [APPROVAL_ACTIONS.APPROVE]: {
+    from: [APPROVAL_STATUSES.PENDING],
+    to: APPROVAL_STATUSES.APPROVED,
+    roles: ["HQ", "DIST"],
   },
+  [APPROVAL_ACTIONS.REJECT]: {
+    from: [APPROVAL_STATUSES.PENDING, APPROVAL_STATUSES.APPROVED],
+    to: APPROVAL_STATUSES.REJECTED,
+    roles: ["HQ", "DIST"],
+  },
+  [APPROVAL_ACTIONS.PROCESS]: {
+    from: [APPROVAL_STATUSES.APPROVED],
+    to: APPROVAL_STATUSES.PROCESSED,
+    roles: ["HQ", "ADMIN"],
+  },
+};
+
+// Workflow column values derived from the status
+export const WORKFLOW_STAGES = {
+  PENDING_APPROVAL: "pending_approval",
+  REVIEW_REQUIRED: "review_required",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+  PROCESSED: "processed",
 };
@@ -5,6 +5,8 @@
  * discrepancy detection, and validation results for the Invoice Validation System.
  */
 
+import { BASE_CURRENCY } from './invoice.js';
+
 /**
  * Validation result for a specific field comparison
  * @typedef {Object} ValidationResult
@@ -18,6 +20,121 @@
  * @property {string} message - Human-readable description of the discrepancy
  * @property {Date} validatedAt - When the validation was performed
  * @property {string} validatedBy - User or system that performed validation
+ * @property {string} [ruleId] - ID of the custom rule that produced the result, if any
+ * @property {string} [relatedRecordId] - ID of a related record the result also applies to (e.g. the invoice a credit note credits)
+ * @property {'discrepancy' | 'anomaly'} [type] - Result type; results without a type are discrepancies
+ * @property {string} [profileId] - Validation profile the record was validated with ('default' for the base config)
+ * @property {number|null} [profileVersion] - Version of that profile (null for the base config)
+ * @property {OutlierBaseline} [baseline] - Historical statistics an anomaly was measured against
+ * @property {string} [currency] - Currency of the record's amounts
+ * @property {number|null} [exchangeRate] - Rate to the base currency used for baseDiscrepancy (null when no rate is loaded)
+ * @property {number|null} [baseDiscrepancy] - Discrepancy in the base currency (null when it cannot be converted)
+ * @property {RoundingPolicy & {description: string}} [roundingExplanation] - Rounding policy that reproduces the file's value, when the discrepancy is only a rounding difference
+ * @property {'foreign_prefix' | 'gap' | 'out_of_order' | 'reused'} [sequenceIssue] - Invoice number sequence issue the result reports
+ * @property {'unearned' | 'over_applied' | 'expired'} [promotionIssue] - Promotional discount issue the result reports
+ * @property {string} [promoCode] - Promotion the promotional discount was checked against
+ */
+
+/**
+ * Range of running numbers missing from an invoice number sequence
+ * @typedef {Object} MissingNumberRange
+ * @property {number} from - First missing running number
+ * @property {number} to - Last missing running number
+ * @property {number} count - Numbers missing
+ * @property {string} label - Invoice numbers of the range, e.g. 'INV-0005 – INV-0007'
+ */
+
+/**
+ * Invoice numbers of one distributor, period and prefix
+ * @typedef {Object} InvoiceSequence
+ * @property {string} distributorCode - Distributor code
+ * @property {string} period - 'YYYY-MM', 'YYYY' or '' when numbers run across periods
+ * @property {string} prefix - Invoice number part before the running number
+ * @property {string} expectedPrefix - Distributor's prefix ('' when unknown)
+ * @property {number} firstNumber - Lowest running number
+ * @property {number} lastNumber - Highest running number
+ * @property {number} invoiceCount - Distinct invoice numbers
+ * @property {number} missingCount - Running numbers missing between the first and last
+ * @property {MissingNumberRange[]} missingRanges - Missing running numbers
+ */
+
+/**
+ * Finding of the invoice number sequence analysis
+ * @typedef {Object} InvoiceSequenceIssue
+ * @property {'foreign_prefix' | 'gap' | 'out_of_order' | 'reused'} type - Issue type
+ * @property {string} recordId - Record the issue is reported on
+ * @property {string} invoiceNumber - Invoice number
+ * @property {string} distributorCode - Distributor code
+ * @property {string} period - Sequence period
+ * @property {'low' | 'medium' | 'high' | 'critical'} severity - Severity
+ * @property {string} message - Human-readable description
+ * @property {string} expected - Expected prefix, missing range or date the number conflicts with
+ */
+
+/**
+ * Invoice number sequence report
+ * @typedef {Object} InvoiceSequenceReport
+ * @property {string} generatedAt - ISO timestamp
+ * @property {'month' | 'year' | 'none'} period - How numbers were grouped into periods
+ * @property {InvoiceSequence[]} sequences - Sequences by distributor, period and prefix
+ * @property {InvoiceSequenceIssue[]} issues - Findings in invoice number order
+ * @property {Object<string, number>} totals - Invoice, missing number and issue counts
+ */
+
+/**
+ * How recalculated amounts are rounded
+ * @typedef {Object} RoundingPolicy
+ * @property {number} precision - Decimal places (ignored by satang rounding, which rounds to 0.25)
+ * @property {'round' | 'half_even' | 'truncate' | 'floor' | 'ceil' | 'satang'} method - Rounding method
+ * @property {'document' | 'line'} scope - Round VAT once on the document amount, or per line item and then sum
+ */
+
+/**
+ * Exchange rate from the exchange-rate master. A rate applies from its
+ * effective date until the next rate for the same pair.
+ * @typedef {Object} ExchangeRate
+ * @property {string} fromCurrency - ISO code converted from
+ * @property {string} toCurrency - ISO code converted to
+ * @property {number} rate - Units of toCurrency per unit of fromCurrency
+ * @property {string} effectiveDate - First day the rate applies (YYYY-MM-DD)
+ */
+
+/**
+ * Promotion from the promotion master. Invoice lines do not name the
+ * promotion they were discounted under, so a line's promoDiscount is checked
+ * against every promotion it is eligible for on its invoice date.
+ * @typedef {Object} Promotion
+ * @property {string} promoCode - Promotion code
+ * @property {string} [description] - What the promotion offers
+ * @property {string[]} eligibleProducts - Product codes the promotion covers (empty covers all products)
+ * @property {string[]} eligibleCustomers - Customer codes the promotion covers (empty covers all customers)
+ * @property {'percentage' | 'amount_per_unit' | 'fixed_amount'} discountType - How the discount is calculated
+ * @property {number} discountValue - Percentage of the line amount, amount per unit, or amount per line
+ * @property {string} startDate - First day of the promotion (YYYY-MM-DD)
+ * @property {string} endDate - Last day of the promotion (YYYY-MM-DD, '' when open-ended)
+ * @property {number|null} maxQuantity - Most units per invoice line the discount applies to (null for no limit)
+ * @property {boolean} isActive - Whether the promotion can be applied
+ */
+
+/**
+ * Historical distribution of a metric for one product, used for outlier detection
+ * @typedef {Object} OutlierBaseline
+ * @property {'unitPrice' | 'quantity'} metric - Measured metric (unit price per small unit, or quantity in small units)
+ * @property {'customer' | 'distributor'} scope - Whether the history is the customer's or the distributor's
+ * @property {string} scopeCode - Customer or distributor code
+ * @property {string} productCode - Product code
+ * @property {number} count - Number of historical observations
+ * @property {number} mean - Mean
+ * @property {number} stdDev - Sample standard deviation
+ * @property {number} min - Smallest observation
+ * @property {number} max - Largest observation
+ * @property {number} q1 - First quartile
+ * @property {number} median - Median
+ * @property {number} q3 - Third quartile
+ * @property {number} iqr - Interquartile range
+ * @property {number} lowerFence - q1 - iqrMultiplier * iqr
+ * @property {number} upperFence - q3 + iqrMultiplier * iqr
+ * @property {number|null} zScore - Z-score of the flagged value (null when stdDev is 0)
  */
 
 /**
@@ -31,9 +148,12 @@
  * @property {number} highSeverityCount - Number of high severity discrepancies
  * @property {number} mediumSeverityCount - Number of medium severity discrepancies
  * @property {number} lowSeverityCount - Number of low severity discrepancies
- * @property {number} totalDiscrepancyAmount - Sum of all discrepancy amounts
- * @property {number} averageDiscrepancyAmount - Average discrepancy amount
- * @property {number} maxDiscrepancyAmount - Largest single discrepancy amount
+ * @property {string} baseCurrency - Currency the discrepancy amounts are reported in
+ * @property {number} totalDiscrepancyAmount - Sum of all discrepancy amounts, in the base currency
+ * @property {number} averageDiscrepancyAmount - Average discrepancy amount, in the base currency
+ * @property {number} maxDiscrepancyAmount - Largest single discrepancy amount, in the base currency
+ * @property {number} unconvertedCount - Discrepancies left out of the amounts because no exchange rate was loaded
+ * @property {number} anomalyCount - Number of results that are statistical anomalies
  * @property {Date} validationStartTime - When validation process started
  * @property {Date} validationEndTime - When validation process completed
  * @property {number} processingTimeMs - Total processing time in milliseconds
@@ -52,12 +172,140 @@
  * @property {number} tolerances.taxCalculation - Tax calculation tolerance (percentage)
  * @property {number} tolerances.totalCalculation - Total calculation tolerance (percentage)
  * @property {number} tolerances.discountCalculation - Discount calculation tolerance (percentage)
+ * @property {number} tolerances.priceCalculation - List-price check tolerance (absolute amount)
  * @property {Object} rules - Validation rule configuration
  * @property {boolean} rules.validateTaxCalculation - Whether to validate tax calculations
  * @property {boolean} rules.validateTotalCalculation - Whether to validate total calculations
  * @property {boolean} rules.validateDiscountCalculation - Whether to validate discount calculations
  * @property {boolean} rules.validateLineItemTotals - Whether to validate line item totals
+ * @property {boolean} rules.validateCustomRules - Whether to evaluate user-defined rules
+ * @property {boolean} rules.validateProductMaster - Whether to check lines against the product master (when loaded)
+ * @property {boolean} rules.validateCustomerCredit - Whether to check customer status, credit limit and terms (when loaded)
+ * @property {boolean} rules.detectOutliers - Whether to flag unit prices and quantities outside the historical distribution (when history is loaded)
+ * @property {boolean} rules.validateCurrency - Whether to check the invoice currency is allowed and can be converted to the base currency
+ * @property {boolean} rules.validateCustomerTaxId - Whether full tax invoices must carry the customer's valid tax ID and branch code
+ * @property {boolean} rules.validateInvoiceSequence - Whether batch validation checks invoice number prefixes, gaps, issue date order and reuse per distributor
+ * @property {boolean} rules.validatePromotions - Whether to check promotional discounts against the promotion master (when loaded)
  * @property {boolean} rules.strictMode - Whether to use strict validation mode
+ * @property {ValidationRuleDefinition[]} customRules - User-defined rule definitions
+ * @property {Object} vat - VAT profile selection
+ * @property {boolean} vat.enabled - Apply the default profile to every record
+ * @property {VatProfile} vat.defaultProfile - Profile used when VAT validation applies
+ * @property {Object<string, Partial<VatProfile>>} vat.distributorProfiles - Overrides keyed by distributor code; a listed distributor is always validated with its profile
+ * @property {Object} productMaster - Product master check settings
+ * @property {'small' | 'big'} productMaster.priceUnit - UOM the product listPrice is quoted in
+ * @property {Object} customerCredit - Customer credit check settings
+ * @property {Object<string, number>} customerCredit.paymentTerms - Payment term code to days; codes not listed use the digits they contain
+ * @property {string[]} customerCredit.openInvoiceStatuses - Stored invoice statuses counted toward credit exposure
+ * @property {Object} outliers - Statistical outlier detection settings
+ * @property {number} outliers.zScoreThreshold - Absolute z-score at or above which a value is an outlier (0 disables the z-score test)
+ * @property {number} outliers.iqrMultiplier - IQR fence multiplier (0 disables the IQR test)
+ * @property {number} outliers.minSamples - Fewest historical observations needed before a baseline is used
+ * @property {number} outliers.minSpreadRatio - Smallest spread used by both tests, as a fraction of the median, so a constant history does not flag rounding noise
+ * @property {RoundingPolicy} rounding - Rounding applied to recalculated amounts
+ * @property {Object} currency - Multi-currency settings
+ * @property {string} currency.baseCurrency - Currency summaries and reports are converted to
+ * @property {string[]} currency.allowedCurrencies - Currencies any distributor may invoice in (empty allows all)
+ * @property {Object<string, string[]>} currency.distributorCurrencies - Allowed currencies keyed by distributor code; a listed distributor uses its own list
+ * @property {Object<string, Partial<ValidationConfig['tolerances']>>} currency.tolerances - Tolerance overrides keyed by currency, in that currency's units
+ * @property {Object} invoiceSequence - Invoice number sequence settings
+ * @property {'month' | 'year' | 'none'} invoiceSequence.period - Period running numbers restart in
+ */
+
+/**
+ * Named, versioned set of validation settings assigned to distributors or
+ * customer segments. Saving a profile creates a new version; earlier
+ * versions are kept so stored results can still be explained.
+ * @typedef {Object} ValidationProfile
+ * @property {string} id - Profile identifier
+ * @property {string} name - Display name
+ * @property {string} [description] - What the profile is for, e.g. the contract it implements
+ * @property {number} version - Version number, starting at 1
+ * @property {boolean} active - Whether the profile is assigned to records; archived versions stay inactive
+ * @property {Object} assignments - Records the profile applies to
+ * @property {string[]} assignments.distributorCodes - Distributor codes (distCode)
+ * @property {string[]} assignments.customerSegments - Customer segments (customerHier3)
+ * @property {Partial<ValidationConfig['thresholds']>} thresholds - Severity threshold overrides
+ * @property {Partial<ValidationConfig['tolerances']>} tolerances - Tolerance overrides
+ * @property {Partial<ValidationConfig['rules']>} rules - Enabled rule overrides
+ * @property {Partial<ValidationConfig['rounding']>} rounding - Rounding policy overrides
+ * @property {string} createdAt - When this version was saved
+ */
+
+/**
+ * Proposed fix that sets a record field to the value validation recalculated
+ * @typedef {Object} CorrectionProposal
+ * @property {string} id - `${recordId}:${field}`
+ * @property {string} recordId - Record to correct
+ * @property {string} invoiceNumber - Invoice number of the record
+ * @property {string} field - Record field to set
+ * @property {number} currentValue - Value on the record when the proposal was made
+ * @property {number} proposedValue - Recalculated value
+ * @property {'low' | 'medium' | 'high' | 'critical'} severity - Severity of the discrepancy behind the proposal
+ * @property {string} reason - Message of the discrepancy behind the proposal
+ * @property {'proposed' | 'accepted' | 'rejected' | 'applied'} status - Review status
+ * @property {string} createdAt - When the proposal was made
+ * @property {string|null} reviewedAt - When it was accepted or rejected
+ * @property {string|null} reviewedBy - Who accepted or rejected it
+ * @property {string|null} appliedAt - When it was applied to the record
+ */
+
+/**
+ * Comment on a discrepancy case. Replies point at the comment they answer.
+ * @typedef {Object} CaseComment
+ * @property {string} id - Comment identifier
+ * @property {string|null} parentId - Comment this one replies to, null for a new thread
+ * @property {{id: string, name: string}} author - Who wrote the comment
+ * @property {string} text - Comment text
+ * @property {string} createdAt - When the comment was written
+ */
+
+/**
+ * Discrepancy tracked as a case until it is resolved or written off
+ * @typedef {Object} DiscrepancyCase
+ * @property {string} id - Case identifier
+ * @property {string} sourceId - Alert or validation result the case was opened from
+ * @property {string} recordId - Record with the discrepancy
+ * @property {string} field - Field with the discrepancy
+ * @property {'low' | 'medium' | 'high' | 'critical'} severity - Severity, which sets the SLA
+ * @property {string} title - Discrepancy message
+ * @property {number} discrepancy - Discrepancy amount
+ * @property {string} distributorCode - Distributor of the record, if known
+ * @property {'open' | 'investigating' | 'waiting_on_distributor' | 'resolved' | 'written_off'} status - Case status
+ * @property {{type: 'user' | 'distributor', id: string, name: string}|null} assignee - Who works the case
+ * @property {string} openedAt - When the case was opened or last reopened
+ * @property {string} dueAt - SLA due date
+ * @property {string|null} closedAt - When the case was resolved or written off
+ * @property {string} updatedAt - Last change
+ * @property {CaseComment[]} comments - Comments, oldest first
+ * @property {Array<{action: string, by: string, at: string, from: *, to: *}>} history - Status and assignment changes
+ */
+
+/**
+ * VAT profile describing how a distributor prices and taxes invoices
+ * @typedef {Object} VatProfile
+ * @property {string} id - Profile identifier
+ * @property {string} name - Display name
+ * @property {number} standardRate - Standard VAT rate as percentage
+ * @property {'exclusive' | 'inclusive'} pricingMode - Whether amounts are quoted before or including VAT
+ * @property {string[]} exemptProductCodes - Products that are VAT exempt
+ * @property {string[]} zeroRatedCustomerCodes - Customers billed at 0% (e.g. export)
+ * @property {boolean} validateRecalculatedFields - Whether newVatTaxAmount/newTotalNetAmount are verified
+ */
+
+/**
+ * User-defined validation rule, stored as plain JSON
+ * @typedef {Object} ValidationRuleDefinition
+ * @property {string} id - Unique rule identifier
+ * @property {string} name - Display name of the rule
+ * @property {string} [description] - Longer description of the business rule
+ * @property {string} field - Field reported on the validation result
+ * @property {string} [condition] - Expression; the rule only applies when it is truthy
+ * @property {string} assertion - Expression that must be truthy for the record to pass
+ * @property {string} [expected] - Expression for the expected value (becomes calculatedValue)
+ * @property {'low' | 'medium' | 'high' | 'critical' | 'auto'} severity - Fixed severity, or 'auto' to derive it from the discrepancy percentage
+ * @property {string} message - Message template; {{path}} placeholders resolve against the record, {{actual}} and {{expected}}
+ * @property {boolean} enabled - Whether the rule is evaluated
  */
 
 /**
@@ -131,6 +379,78 @@
  * @property {Date} lastValidationTime - When last validation was performed
  */
 
+/**
+ * Discrepancy stored with a validation run, keyed so it can be matched
+ * across runs even when record ids change between resubmissions
+ * @typedef {Object} ValidationRunResult
+ * @property {string} key - Invoice number, customer, field and rule identifying the discrepancy
+ * @property {'low' | 'medium' | 'high' | 'critical'} severity - Severity level
+ * @property {number} discrepancy - Absolute difference between values
+ */
+
+/**
+ * Discrepancy of a run comparison: a stored result with its key split into parts
+ * @typedef {ValidationRunResult & {invoiceNumber: string, customerCode: string, field: string, ruleId: string}} ValidationRunComparisonEntry
+ */
+
+/**
+ * Persisted validateBatch run
+ * @typedef {Object} ValidationRun
+ * @property {string} id - Batch ID of the run
+ * @property {string} label - Display label, e.g. the file names validated
+ * @property {string} createdAt - When the run completed
+ * @property {string} configFingerprint - Hash of the config the run was validated with
+ * @property {string} inputsFingerprint - Hash of the validated records
+ * @property {number} recordCount - Number of records validated
+ * @property {ValidationSummary} summary - Summary of the run
+ * @property {ValidationRunResult[]} results - Discrepancies found
+ */
+
+/**
+ * Difference between two validation runs
+ * @typedef {Object} ValidationRunComparison
+ * @property {string} baseRunId - Earlier run
+ * @property {string} targetRunId - Later run
+ * @property {ValidationRunComparisonEntry[]} introduced - Discrepancies only in the target run
+ * @property {ValidationRunComparisonEntry[]} resolved - Discrepancies only in the base run
+ * @property {Array<{key: string, base: ValidationRunComparisonEntry, target: ValidationRunComparisonEntry, changed: boolean}>} unchanged - Discrepancies in both runs
+ * @property {boolean} configChanged - Whether the runs used different configs
+ * @property {boolean} inputsChanged - Whether the runs validated different records
+ * @property {string} comparedAt - When the comparison was made
+ */
+
+// VAT pricing modes
+export const VAT_PRICING_MODES = {
+  EXCLUSIVE: 'exclusive',
+  INCLUSIVE: 'inclusive'
+};
+
+// VAT categories for invoice lines
+export const VAT_CATEGORIES = {
+  STANDARD: 'standard',
+  ZERO_RATED: 'zero_rated',
+  EXEMPT: 'exempt'
+};
+
+// Thai VAT profile (7% standard rate, 0% for zero-rated supplies such as export)
+export const THAI_VAT_PROFILE = {
+  id: 'th-vat',
+  name: 'Thai VAT',
+  standardRate: 7,
+  pricingMode: VAT_PRICING_MODES.EXCLUSIVE,
+  exemptProductCodes: [],
+  zeroRatedCustomerCodes: [],
+  validateRecalculatedFields: true
+};
+
+// Customer master statuses
+export const CUSTOMER_STATUSES = {
+  ACTIVE: 'ACTIVE',
+  INACTIVE: 'INACTIVE',
+  SUSPENDED: 'SUSPENDED',
+  PENDING: 'PENDING'
+};
+
 // Default validation configuration
 export const DEFAULT_VALIDATION_CONFIG = {
   thresholds: {
@@ -142,17 +462,83 @@ export const DEFAULT_VALIDATION_CONFIG = {
   tolerances: {
     taxCalculation: 0.01,      // 1 cent tolerance for tax calculations
     totalCalculation: 0.01,    // 1 cent tolerance for total calculations
-    discountCalculation: 0.01  // 1 cent tolerance for discount calculations
+    discountCalculation: 0.01, // 1 cent tolerance for discount calculations
+    priceCalculation: 0.01     // 1 cent tolerance for list-price checks
   },
   rules: {
     validateTaxCalculation: true,
     validateTotalCalculation: true,
     validateDiscountCalculation: true,
     validateLineItemTotals: true,
+    validateCustomRules: true,
+    validateProductMaster: true,
+    validateCustomerCredit: true,
+    detectOutliers: true,
+    validateCurrency: true,
+    validateCustomerTaxId: true,
+    validateInvoiceSequence: true,
+    validatePromotions: true,
     strictMode: false
+  },
+  customRules: [],
+  vat: {
+    enabled: false,
+    defaultProfile: THAI_VAT_PROFILE,
+    distributorProfiles: {}
+  },
+  productMaster: {
+    priceUnit: 'small'
+  },
+  customerCredit: {
+    paymentTerms: { COD: 0 },
+    openInvoiceStatuses: ['PENDING', 'APPROVED']
+  },
+  outliers: {
+    zScoreThreshold: 3,
+    iqrMultiplier: 3,
+    minSamples: 5,
+    minSpreadRatio: 0.05
+  },
+  rounding: {
+    precision: 2,
+    method: 'round',
+    scope: 'document'
+  },
+  currency: {
+    baseCurrency: BASE_CURRENCY,
+    allowedCurrencies: [],
+    distributorCurrencies: {},
+    tolerances: {}
+  },
+  invoiceSequence: {
+    period: 'month'
   }
 };
 
+// Rounding methods. 'round' rounds halves up, 'half_even' rounds halves to the
+// even digit (banker's rounding), 'truncate' drops the extra digits and
+// 'satang' rounds to the nearest 0.25.
+export const ROUNDING_METHODS = {
+  ROUND: 'round',
+  HALF_EVEN: 'half_even',
+  TRUNCATE: 'truncate',
+  FLOOR: 'floor',
+  CEIL: 'ceil',
+  SATANG: 'satang'
+};
+
+// Where VAT is rounded
+export const ROUNDING_SCOPES = {
+  DOCUMENT: 'document',
+  LINE: 'line'
+};
+
+// Profile id recorded on results validated with the base config
+export const DEFAULT_VALIDATION_PROFILE_ID = 'default';
+
+// Config sections a validation profile can override
+export const VALIDATION_PROFILE_SECTIONS = ['thresholds', 'tolerances', 'rules', 'rounding'];
+
 // Severity level mappings
 export const SEVERITY_LEVELS = {
   LOW: 'low',
@@ -161,13 +547,149 @@ export const SEVERITY_LEVELS = {
   CRITICAL: 'critical'
 };
 
+// Severity value that lets a custom rule derive severity from the discrepancy
+export const CUSTOM_RULE_SEVERITY_AUTO = 'auto';
+
 // Validation field types
 export const VALIDATION_FIELDS = {
   TAX_AMOUNT: 'taxAmount',
   TOTAL_AMOUNT: 'totalAmount',
   DISCOUNT_AMOUNT: 'discountAmount',
   LINE_ITEM_TOTAL: 'lineItemTotal',
-  SUBTOTAL: 'subtotal'
+  SUBTOTAL: 'subtotal',
+  VAT_AMOUNT: 'vatTaxAmount',
+  NET_AMOUNT: 'netAmount',
+  TOTAL_NET_AMOUNT: 'totalNetAmount',
+  NEW_VAT_AMOUNT: 'newVatTaxAmount',
+  NEW_TOTAL_NET_AMOUNT: 'newTotalNetAmount',
+  AMOUNT: 'amount',
+  PRODUCT_CODE: 'productCode',
+  UOM_CODE: 'uomCode',
+  UOM_CONV_FACTOR: 'uomConvFactor',
+  LINE_ITEM_PRICE: 'lineItemPrice',
+  CUSTOMER_CODE: 'customerCode',
+  CUSTOMER_STATUS: 'customerStatus',
+  CREDIT_LIMIT: 'creditLimit',
+  DUE_DATE: 'dueDate',
+  INVOICE_NUMBER: 'invNo',
+  QUANTITY: 'quantity',
+  UNIT_PRICE: 'unitPrice',
+  CURRENCY: 'currency',
+  CUSTOMER_TAX_ID: 'customerTaxId',
+  CUSTOMER_BRANCH_CODE: 'customerBranchCode',
+  PROMO_DISCOUNT: 'promoDiscount'
+};
+
+// Fields whose discrepancies are units or factors rather than amounts; they
+// have no base-currency discrepancy and stay out of the amount totals
+export const NON_MONETARY_FIELDS = [VALIDATION_FIELDS.QUANTITY, VALIDATION_FIELDS.UOM_CONV_FACTOR];
+
+// Review status of a correction proposal
+export const CORRECTION_STATUSES = {
+  PROPOSED: 'proposed',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+  APPLIED: 'applied'
+};
+
+// Record fields a correction may set. Other results (line items, master
+// data, anomalies) need a person to decide what the right value is.
+export const CORRECTABLE_FIELDS = [
+  VALIDATION_FIELDS.TAX_AMOUNT,
+  VALIDATION_FIELDS.TOTAL_AMOUNT,
+  VALIDATION_FIELDS.VAT_AMOUNT,
+  VALIDATION_FIELDS.TOTAL_NET_AMOUNT,
+  VALIDATION_FIELDS.NEW_VAT_AMOUNT,
+  VALIDATION_FIELDS.NEW_TOTAL_NET_AMOUNT
+];
+
+// Discrepancy case lifecycle
+export const CASE_STATUSES = {
+  OPEN: 'open',
+  INVESTIGATING: 'investigating',
+  WAITING_ON_DISTRIBUTOR: 'waiting_on_distributor',
+  RESOLVED: 'resolved',
+  WRITTEN_OFF: 'written_off'
+};
+
+// Statuses a case may move to from each status. Closed cases can only be reopened.
+export const CASE_STATUS_TRANSITIONS = {
+  [CASE_STATUSES.OPEN]: [CASE_STATUSES.INVESTIGATING, CASE_STATUSES.WAITING_ON_DISTRIBUTOR, CASE_STATUSES.RESOLVED, CASE_STATUSES.WRITTEN_OFF],
+  [CASE_STATUSES.INVESTIGATING]: [CASE_STATUSES.WAITING_ON_DISTRIBUTOR, CASE_STATUSES.RESOLVED, CASE_STATUSES.WRITTEN_OFF],
+  [CASE_STATUSES.WAITING_ON_DISTRIBUTOR]: [CASE_STATUSES.INVESTIGATING, CASE_STATUSES.RESOLVED, CASE_STATUSES.WRITTEN_OFF],
+  [CASE_STATUSES.RESOLVED]: [CASE_STATUSES.OPEN],
+  [CASE_STATUSES.WRITTEN_OFF]: [CASE_STATUSES.OPEN]
+};
+
+export const CLOSED_CASE_STATUSES = [CASE_STATUSES.RESOLVED, CASE_STATUSES.WRITTEN_OFF];
+
+// Who a case can be assigned to
+export const CASE_ASSIGNEE_TYPES = {
+  USER: 'user',
+  DISTRIBUTOR: 'distributor'
+};
+
+// Hours to close a case, by severity
+export const CASE_SLA_HOURS = {
+  critical: 4,
+  high: 24,
+  medium: 72,
+  low: 168
+};
+
+// SLA timer state of a case. Open cases are due soon in the last quarter of their SLA.
+export const CASE_SLA_STATES = {
+  ON_TRACK: 'on_track',
+  DUE_SOON: 'due_soon',
+  OVERDUE: 'overdue',
+  MET: 'met',
+  BREACHED: 'breached'
+};
+
+// Invoice number sequence issues
+export const SEQUENCE_ISSUE_TYPES = {
+  FOREIGN_PREFIX: 'foreign_prefix',
+  GAP: 'gap',
+  OUT_OF_ORDER: 'out_of_order',
+  REUSED: 'reused'
+};
+
+// How a promotion's discount is calculated: a percentage of the line amount
+// before the discount, an amount per unit, or a fixed amount per line
+export const PROMOTION_DISCOUNT_TYPES = {
+  PERCENTAGE: 'percentage',
+  AMOUNT_PER_UNIT: 'amount_per_unit',
+  FIXED_AMOUNT: 'fixed_amount'
+};
+
+// Promotional discount issues. Unearned discounts have no eligible promotion
+// in effect, over-applied ones exceed what the promotion allows, and expired
+// ones were only covered by a promotion that had ended.
+export const PROMOTION_ISSUE_TYPES = {
+  UNEARNED: 'unearned',
+  OVER_APPLIED: 'over_applied',
+  EXPIRED: 'expired'
+};
+
+// Periods invoice running numbers restart in
+export const SEQUENCE_PERIODS = {
+  MONTH: 'month',
+  YEAR: 'year',
+  NONE: 'none'
+};
+
+// Validation result types. Discrepancies are calculation or master data
+// mismatches; anomalies are values that are unusual compared to history.
+export const VALIDATION_RESULT_TYPES = {
+  DISCREPANCY: 'discrepancy',
+  ANOMALY: 'anomaly'
+};
+
+// How a discrepancy changed between two validation runs
+export const DISCREPANCY_CHANGE_TYPES = {
+  INTRODUCED: 'introduced',
+  RESOLVED: 'resolved',
+  UNCHANGED: 'unchanged'
 };
 
 // Validation error types
@@ -199,6 +721,49 @@ export const createEmptyValidationResult = (recordId, field) => ({
   validatedBy: 'system'
 });
 
+/**
+ * Create a custom validation rule definition with defaults applied
+ * @param {Partial<ValidationRuleDefinition>} definition - Rule definition
+ * @returns {ValidationRuleDefinition}
+ */
+export const createValidationRule = (definition = {}) => ({
+  id: '',
+  name: definition.id || '',
+  description: '',
+  field: '',
+  condition: '',
+  assertion: '',
+  expected: '',
+  severity: CUSTOM_RULE_SEVERITY_AUTO,
+  message: '',
+  enabled: true,
+  ...definition
+});
+
+/**
+ * Create a validation profile with defaults applied
+ * @param {Partial<ValidationProfile>} definition - Profile definition
+ * @returns {ValidationProfile}
+ */
+export const createValidationProfile = (definition = {}) => ({
+  id: '',
+  name: '',
+  description: '',
+  version: 1,
+  active: true,
+  thresholds: {},
+  tolerances: {},
+  rules: {},
+  rounding: {},
+  createdAt: new Date().toISOString(),
+  ...definition,
+  assignments: {
+    distributorCodes: [],
+    customerSegments: [],
+    ...definition.assignments
+  }
+});
+
 /**
  * Create an empty validation summary
  * @returns {ValidationSummary}
@@ -212,9 +777,12 @@ export const createEmptyValidationSummary = () => ({
   highSeverityCount: 0,
   mediumSeverityCount: 0,
   lowSeverityCount: 0,
+  baseCurrency: BASE_CURRENCY,
   totalDiscrepancyAmount: 0,
   averageDiscrepancyAmount: 0,
   maxDiscrepancyAmount: 0,
+  unconvertedCount: 0,
+  anomalyCount: 0,
   validationStartTime: new Date().toISOString(),
   validationEndTime: new Date().toISOString(),
   processingTimeMs: 0,
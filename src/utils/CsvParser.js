@@ -1,12 +1,52 @@
 import Papa from 'papaparse';
-import { createEmptyInvoiceRecord, CSV_COLUMN_MAPPINGS, VALIDATION_RULES } from '../types/invoice';
+import { BASE_CURRENCY, createEmptyInvoiceRecord, CSV_COLUMN_MAPPINGS, TEXT_ENCODINGS, VALIDATION_RULES } from '../types/invoice';
+import { TaxIdValidator } from './TaxIdValidator';
+import { DateParser } from './DateParser';
+import { EncodingDetector } from './EncodingDetector';
 
 /**
  * CSV Parser utility for processing invoice CSV files
  */
 export class CsvParser {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {import('../types/invoice').ColumnMappingProfile} [options.mappingProfile] - Column mapping
+   *   applied instead of the standard header table
+   * @param {string} [options.encoding] - Text encoding from TEXT_ENCODINGS (default: detected)
+   */
+  constructor(options = {}) {
     this.columnMappings = CSV_COLUMN_MAPPINGS.standard;
+    this.mappingProfile = options.mappingProfile || null;
+    this.encoding = options.encoding || TEXT_ENCODINGS.AUTO;
+  }
+
+  /**
+   * Reads the header row and the first data rows of a CSV file
+   * @param {File} file - CSV file to preview
+   * @param {number} rowCount - Number of data rows to read
+   * @returns {Promise<{headers: string[], rows: Object[]}>} - Raw headers and rows
+   */
+  async previewFile(file, rowCount = 5) {
+    const encoding = await EncodingDetector.resolveFileEncoding(file, this.encoding);
+
+    return new Promise((resolve, reject) => {
+      Papa.parse(file, {
+        encoding,
+        header: true,
+        skipEmptyLines: true,
+        preview: rowCount,
+        transformHeader: (header) => header.trim(),
+        complete: (results) => {
+          resolve({
+            headers: results.meta?.fields || [],
+            rows: results.data || []
+          });
+        },
+        error: (error) => {
+          reject(new Error(`Failed to preview CSV: ${error.message}`));
+        }
+      });
+    });
   }
 
   /**
@@ -15,15 +55,23 @@ export class CsvParser {
    * @returns {Promise<FileProcessingResult>} - Processing result
    */
   async parseFile(file) {
+    let encoding;
+    try {
+      encoding = await EncodingDetector.resolveFileEncoding(file, this.encoding);
+    } catch (error) {
+      return this.createFailureResult(file, error);
+    }
+
     return new Promise((resolve) => {
       const errors = [];
       const records = [];
       let rowIndex = 0;
 
       Papa.parse(file, {
+        encoding,
         header: true,
         skipEmptyLines: true,
-        transformHeader: (header) => this.normalizeHeader(header),
+        transformHeader: (header) => this.mappingProfile ? header.trim() : this.normalizeHeader(header),
         step: (result, parser) => {
           rowIndex++;
           
@@ -40,26 +88,10 @@ export class CsvParser {
             return;
           }
 
-          try {
-            const record = this.transformRowToRecord(result.data, rowIndex);
-            const validationErrors = this.validateRecord(record, rowIndex);
-            
-            if (validationErrors.length > 0) {
-              errors.push(...validationErrors);
-              record.status = 'invalid';
-            } else {
-              record.status = 'valid';
-            }
-            
+          const { record, errors: rowErrors } = this.processRow(result.data, rowIndex);
+          errors.push(...rowErrors);
+          if (record) {
             records.push(record);
-          } catch (error) {
-            errors.push({
-              row: rowIndex,
-              field: 'transformation',
-              message: error.message,
-              value: JSON.stringify(result.data),
-              type: 'format'
-            });
           }
         },
         complete: () => {
@@ -77,36 +109,48 @@ export class CsvParser {
               parser: 'csv',
               fileName: file.name,
               fileSize: file.size,
+              mappingProfileId: this.mappingProfile?.id || null,
+              encoding,
               processedAt: new Date().toISOString()
             }
           });
         },
         error: (error) => {
-          resolve({
-            success: false,
-            records: [],
-            totalRecords: 0,
-            validRecords: 0,
-            invalidRecords: 0,
-            errors: [{
-              row: 0,
-              field: 'file',
-              message: `Failed to parse CSV: ${error.message}`,
-              value: '',
-              type: 'parsing'
-            }],
-            metadata: {
-              parser: 'csv',
-              fileName: file.name,
-              fileSize: file.size,
-              processedAt: new Date().toISOString()
-            }
-          });
+          resolve(this.createFailureResult(file, error));
         }
       });
     });
   }
 
+  /**
+   * Creates the result of a file that could not be parsed
+   * @param {File} file - Original file
+   * @param {Error} error - Read or parse failure
+   * @returns {FileProcessingResult} - Processing result
+   */
+  createFailureResult(file, error) {
+    return {
+      success: false,
+      records: [],
+      totalRecords: 0,
+      validRecords: 0,
+      invalidRecords: 0,
+      errors: [{
+        row: 0,
+        field: 'file',
+        message: `Failed to parse CSV: ${error.message}`,
+        value: '',
+        type: 'parsing'
+      }],
+      metadata: {
+        parser: 'csv',
+        fileName: file.name,
+        fileSize: file.size,
+        processedAt: new Date().toISOString()
+      }
+    };
+  }
+
   /**
    * Normalizes CSV headers to match expected field names
    * @param {string} header - Original header
@@ -125,6 +169,70 @@ export class CsvParser {
     return normalized;
   }
 
+  /**
+   * Converts one parsed CSV row into a validated invoice record
+   * @param {Object} rowData - Row keyed by (normalized) header
+   * @param {number} rowIndex - Row index for error reporting
+   * @returns {{record: InvoiceRecord|null, errors: ProcessingError[]}} - Record and row errors
+   */
+  processRow(rowData, rowIndex) {
+    try {
+      const mappedData = this.mappingProfile ? this.applyMappingProfile(rowData) : rowData;
+      const record = this.transformRowToRecord(mappedData, rowIndex);
+      const errors = this.validateRecord(record, rowIndex);
+      record.status = errors.length > 0 ? 'invalid' : 'valid';
+      return { record, errors };
+    } catch (error) {
+      return {
+        record: null,
+        errors: [{
+          row: rowIndex,
+          field: 'transformation',
+          message: error.message,
+          value: JSON.stringify(rowData),
+          type: 'format'
+        }]
+      };
+    }
+  }
+
+  /**
+   * Maps a raw CSV row to record field names using the mapping profile
+   * @param {Object} rowData - Raw CSV row keyed by source header
+   * @returns {Object} - Row keyed by InvoiceRecord field
+   */
+  applyMappingProfile(rowData) {
+    const mapped = {};
+
+    this.mappingProfile.mappings.forEach(mapping => {
+      const hasConstant = mapping.constant !== undefined && mapping.constant !== '';
+      let value = hasConstant ? mapping.constant : rowData[mapping.source];
+
+      if (!hasConstant && value !== undefined && value !== null) {
+        if (mapping.decimalSeparator === ',') {
+          value = String(value).replace(/[.\s]/g, '').replace(',', '.');
+        }
+        if (mapping.dateFormat) {
+          value = this.parseDateWithFormat(value, mapping.dateFormat);
+        }
+      }
+
+      mapped[mapping.field] = value;
+    });
+
+    return mapped;
+  }
+
+  /**
+   * Parses a date string in a known format such as DD/MM/YYYY or DD/MM/BBBB
+   * @param {string} value - Raw date value
+   * @param {string} format - Date format (see DATE_FORMATS)
+   * @returns {string} - YYYY-MM-DD date string, or '' when invalid
+   */
+  parseDateWithFormat(value, format) {
+    return DateParser.parseWithFormat(value, format);
+  }
+
   /**
    * Transforms CSV row data to invoice record
    * @param {Object} rowData - Raw CSV row data
@@ -139,7 +247,13 @@ export class CsvParser {
     record.invoiceNumber = this.getStringValue(rowData.invoiceNumber);
     record.customerName = this.getStringValue(rowData.customerName);
     record.customerCode = this.getStringValue(rowData.customerCode);
-    record.currency = this.getStringValue(rowData.currency) || 'USD';
+    record.currency = this.getStringValue(rowData.currency).toUpperCase() || BASE_CURRENCY;
+    if (rowData.customerTaxId) {
+      record.customerTaxId = TaxIdValidator.normalizeTaxId(this.getStringValue(rowData.customerTaxId));
+    }
+    if (rowData.customerBranchCode) {
+      record.customerBranchCode = TaxIdValidator.normalizeBranchCode(this.getStringValue(rowData.customerBranchCode));
+    }
     
     // Map numeric fields
     record.amount = this.getNumericValue(rowData.amount);
@@ -183,27 +297,19 @@ export class CsvParser {
     if (value === null || value === undefined || value === '') return 0;
     
     // Remove currency symbols and commas
-    const cleaned = String(value).replace(/[$,€£¥]/g, '').trim();
+    const cleaned = String(value).replace(/[$,€£¥฿]/g, '').trim();
     const parsed = parseFloat(cleaned);
     
     return isNaN(parsed) ? 0 : parsed;
   }
 
   /**
-   * Gets date value from row data
+   * Gets date value from row data, reading B.E. years and Thai month names
    * @param {any} value - Raw value
    * @returns {string} - ISO date string
    */
   getDateValue(value) {
-    if (!value) return '';
-    
-    try {
-      const date = new Date(value);
-      if (isNaN(date.getTime())) return '';
-      return date.toISOString().split('T')[0]; // Return YYYY-MM-DD format
-    } catch {
-      return '';
-    }
+    return DateParser.parseDate(value);
   }
 
   /**
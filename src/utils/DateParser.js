@@ -0,0 +1,230 @@
+/**
+ * Date parsing utility shared by the file parsers and import paths
+ * Reads ISO, compact and day-first dates with Gregorian or Buddhist-era (B.E.)
+ * years and English or Thai month names, returning YYYY-MM-DD strings
+ */
+
+// B.E. years are 543 years ahead of the Gregorian calendar
+export const BUDDHIST_ERA_OFFSET = 543;
+
+// Four-digit years from this one on are B.E.; B.E. 2400 is 1857
+const BUDDHIST_ERA_MIN_YEAR = 2400;
+
+// Two-digit years that would fall further ahead than this are read as B.E.,
+// so '67' is B.E. 2567 rather than 2067
+const TWO_DIGIT_YEAR_FUTURE_WINDOW = 10;
+
+// Format tokens: YYYY/YY Gregorian year, BBBB/BB B.E. year, MMM month name or
+// abbreviation, MM month number, DD day
+const FORMAT_TOKEN_PATTERN = /YYYY|BBBB|MMM|YY|BB|MM|DD/g;
+
+// Era markers written next to the year
+const BUDDHIST_ERA_MARKERS = /(พ\.\s?ศ\.|b\.\s?e\.)/i;
+const GREGORIAN_ERA_MARKERS = /(ค\.\s?ศ\.|a\.\s?d\.)/i;
+
+const MONTH_NAMES = [
+  ['january', 'jan', 'มกราคม', 'ม.ค.'],
+  ['february', 'feb', 'กุมภาพันธ์', 'ก.พ.'],
+  ['march', 'mar', 'มีนาคม', 'มี.ค.'],
+  ['april', 'apr', 'เมษายน', 'เม.ย.'],
+  ['may', 'พฤษภาคม', 'พ.ค.'],
+  ['june', 'jun', 'มิถุนายน', 'มิ.ย.'],
+  ['july', 'jul', 'กรกฎาคม', 'ก.ค.'],
+  ['august', 'aug', 'สิงหาคม', 'ส.ค.'],
+  ['september', 'sep', 'sept', 'กันยายน', 'ก.ย.'],
+  ['october', 'oct', 'ตุลาคม', 'ต.ค.'],
+  ['november', 'nov', 'พฤศจิกายน', 'พ.ย.'],
+  ['december', 'dec', 'ธันวาคม', 'ธ.ค.']
+];
+
+const normalizeMonthName = (name) => name.toLowerCase().replace(/[.\s]/g, '');
+
+// Month number keyed by normalized name or abbreviation
+const MONTH_LOOKUP = new Map(
+  MONTH_NAMES.flatMap((names, index) => names.map(name => [normalizeMonthName(name), index + 1]))
+);
+
+const THAI_MONTH_PATTERN = /[\u0E00-\u0E7F]/;
+const MONTH_NAME_PATTERN = '([A-Za-z\\u0E00-\\u0E7F.]+)';
+
+export const DateParser = {
+  /**
+   * Parses a date, trying the given formats first and then the layouts
+   * distributor files use
+   * @param {string|Date} value - Raw date value
+   * @param {Object} options
+   * @param {string[]} options.formats - Formats tried first, e.g. 'DD/MM/BBBB' (default: none)
+   * @param {boolean} options.dayFirst - Read ambiguous numeric dates as DD/MM (default: true)
+   * @param {boolean} options.buddhistEra - Whether years are B.E.; detected from the value when unset
+   * @returns {string} - YYYY-MM-DD date string, or '' when the value is not a date
+   */
+  parseDate(value, options = {}) {
+    const { formats = [], dayFirst = true, buddhistEra } = options;
+
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? '' : value.toISOString().split('T')[0];
+    }
+    if (value === null || value === undefined || typeof value === 'number') {
+      return '';
+    }
+
+    const text = this.normalizeDigits(String(value)).trim();
+    if (!text) return '';
+
+    for (const format of formats) {
+      const date = this.parseWithFormat(text, format);
+      if (date) return date;
+    }
+
+    // Era markers decide the calendar and are dropped before matching
+    const era = BUDDHIST_ERA_MARKERS.test(text) ? true : GREGORIAN_ERA_MARKERS.test(text) ? false : buddhistEra;
+    const cleaned = text.replace(BUDDHIST_ERA_MARKERS, ' ').replace(GREGORIAN_ERA_MARKERS, ' ').replace(/\s+/g, ' ').trim();
+    const time = '(?:[T\\s]\\d{1,2}:\\d{2}.*)?';
+    let match;
+
+    // 2024-01-15, 2567-01-15T10:00:00, 2024/01/15
+    if ((match = cleaned.match(new RegExp(`^(\\d{4})[-/.](\\d{1,2})[-/.](\\d{1,2})${time}$`)))) {
+      return this.toIsoDate(match[1], match[2], match[3], era);
+    }
+    // 20240115, 25670115
+    if ((match = cleaned.match(/^(\d{4})(\d{2})(\d{2})$/))) {
+      return this.toIsoDate(match[1], match[2], match[3], era);
+    }
+    // 15/01/2567, 15-01-24, 01/15/2024
+    if ((match = cleaned.match(new RegExp(`^(\\d{1,2})[-/.](\\d{1,2})[-/.](\\d{4}|\\d{2})${time}$`)))) {
+      const [first, second] = [Number(match[1]), Number(match[2])];
+      const monthFirst = first <= 12 && (second > 12 || !dayFirst);
+      return monthFirst
+        ? this.toIsoDate(match[3], match[1], match[2], era)
+        : this.toIsoDate(match[3], match[2], match[1], era);
+    }
+    // 15 ม.ค. 67, 15 มกราคม 2567, 15-Jan-2024
+    if ((match = cleaned.match(new RegExp(`^(\\d{1,2})[\\s-]*${MONTH_NAME_PATTERN}[\\s,-]*(\\d{4}|\\d{2})$`)))) {
+      return this.toIsoDate(match[3], this.getMonthNumber(match[2]), match[1], this.monthNameEra(match[2], era));
+    }
+    // Jan 15, 2024
+    if ((match = cleaned.match(new RegExp(`^${MONTH_NAME_PATTERN}\\s+(\\d{1,2}),?\\s+(\\d{4}|\\d{2})$`)))) {
+      return this.toIsoDate(match[3], this.getMonthNumber(match[1]), match[2], this.monthNameEra(match[1], era));
+    }
+
+    return '';
+  },
+
+  /**
+   * Parses a date in a known format such as 'DD/MM/YYYY', 'YYYYMMDD' or 'DD MMM BB'
+   * @param {string} value - Raw date value
+   * @param {string} format - Format using the YYYY, YY, BBBB, BB, MMM, MM and DD tokens
+   * @returns {string} - YYYY-MM-DD date string, or '' when the value does not fit the format
+   */
+  parseWithFormat(value, format) {
+    const text = this.normalizeDigits(String(value ?? '')).trim();
+    const tokens = format.match(FORMAT_TOKEN_PATTERN) || [];
+    const literals = format.split(FORMAT_TOKEN_PATTERN);
+    // Without separators numbers can only be told apart by their width
+    const compact = literals.every(literal => literal === '');
+
+    const pattern = tokens.map((token, index) => {
+      const separator = literals[index] ? '[\\s./,-]+' : '';
+      switch (token) {
+        case 'YYYY':
+        case 'BBBB':
+          return `${separator}(\\d{4})`;
+        case 'YY':
+        case 'BB':
+          return `${separator}(\\d{2})`;
+        case 'MMM':
+          return `${separator}${MONTH_NAME_PATTERN}`;
+        default:
+          return `${separator}(\\d{${compact ? 2 : '1,2'}})`;
+      }
+    }).join('');
+
+    const match = text.match(new RegExp(`^${pattern}${literals[tokens.length] ? '[\\s./,-]*' : ''}$`));
+    if (!match) return '';
+
+    const values = {};
+    tokens.forEach((token, index) => {
+      values[token] = match[index + 1];
+    });
+
+    const year = values.YYYY ?? values.YY ?? values.BBBB ?? values.BB;
+    const month = values.MMM !== undefined ? this.getMonthNumber(values.MMM) : values.MM;
+    // YYYY and YY years are still read as B.E. when they can only be B.E.
+    const buddhistEra = values.BBBB !== undefined || values.BB !== undefined ? true : undefined;
+    return this.toIsoDate(year, month, values.DD, buddhistEra);
+  },
+
+  /**
+   * Gregorian year of a written year
+   * @param {string|number} year - Two- or four-digit year
+   * @param {boolean} [buddhistEra] - Whether the year is B.E.; detected when unset
+   * @returns {number} - Gregorian year, or NaN when the year is not a number
+   */
+  resolveYear(year, buddhistEra) {
+    const text = String(year ?? '');
+    const number = Number(text);
+    if (!/^\d+$/.test(text)) return NaN;
+
+    if (text.length <= 2) {
+      if (buddhistEra === true) return 2500 + number - BUDDHIST_ERA_OFFSET;
+      if (buddhistEra === false) return 2000 + number;
+      const latest = new Date().getFullYear() + TWO_DIGIT_YEAR_FUTURE_WINDOW;
+      return 2000 + number > latest ? 2500 + number - BUDDHIST_ERA_OFFSET : 2000 + number;
+    }
+
+    const isBuddhistEra = buddhistEra ?? number >= BUDDHIST_ERA_MIN_YEAR;
+    return isBuddhistEra ? number - BUDDHIST_ERA_OFFSET : number;
+  },
+
+  /**
+   * Month number of an English or Thai month name or abbreviation
+   * @param {string} name - e.g. 'Jan', 'มกราคม' or 'ม.ค.'
+   * @returns {number} - 1-12, or NaN when the name is unknown
+   */
+  getMonthNumber(name) {
+    return MONTH_LOOKUP.get(normalizeMonthName(String(name ?? ''))) ?? NaN;
+  },
+
+  /**
+   * Replaces Thai digits (๐-๙) with ASCII digits
+   * @param {string} text
+   * @returns {string}
+   */
+  normalizeDigits(text) {
+    return text.replace(/[\u0E50-\u0E59]/g, digit => String(digit.charCodeAt(0) - 0x0E50));
+  },
+
+  /**
+   * Era of a date written with a month name: Thai month names come with B.E. years
+   * @param {string} monthName
+   * @param {boolean} [buddhistEra] - Era already known from the value or options
+   * @returns {boolean|undefined}
+   */
+  monthNameEra(monthName, buddhistEra) {
+    return buddhistEra ?? (THAI_MONTH_PATTERN.test(monthName) ? true : undefined);
+  },
+
+  /**
+   * Builds a YYYY-MM-DD string, rejecting dates that do not exist
+   * @param {string|number} year - Written year
+   * @param {string|number} month - Month number
+   * @param {string|number} day - Day of month
+   * @param {boolean} [buddhistEra] - Whether the year is B.E.; detected when unset
+   * @returns {string} - YYYY-MM-DD date string, or ''
+   */
+  toIsoDate(year, month, day, buddhistEra) {
+    const fullYear = this.resolveYear(year, buddhistEra);
+    const monthNumber = Number(month);
+    const dayNumber = Number(day);
+    const date = new Date(Date.UTC(fullYear, monthNumber - 1, dayNumber));
+
+    if (!fullYear || isNaN(date.getTime()) ||
+      date.getUTCFullYear() !== fullYear ||
+      date.getUTCMonth() !== monthNumber - 1 ||
+      date.getUTCDate() !== dayNumber) {
+      return '';
+    }
+
+    return date.toISOString().split('T')[0];
+  }
+};
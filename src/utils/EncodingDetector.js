@@ -0,0 +1,167 @@
+import { TEXT_ENCODINGS } from '../types/invoice';
+
+/**
+ * Text encoding detection for uploaded CSV, TXT and XML files
+ * Older Thai ERPs export TIS-620/Windows-874 rather than UTF-8, so files are
+ * read as bytes and decoded through TextDecoder with the detected encoding
+ */
+
+// Bytes read to detect the encoding and preview the decoded text
+const SAMPLE_SIZE = 64 * 1024;
+
+// Share of non-ASCII bytes that must be Thai characters before a file that
+// is not valid UTF-8 is decoded as Windows-874
+const THAI_BYTE_THRESHOLD = 0.8;
+
+const BYTE_ORDER_MARKS = [
+  { bytes: [0xEF, 0xBB, 0xBF], encoding: TEXT_ENCODINGS.UTF_8 },
+  { bytes: [0xFF, 0xFE], encoding: TEXT_ENCODINGS.UTF_16LE },
+  { bytes: [0xFE, 0xFF], encoding: TEXT_ENCODINGS.UTF_16BE }
+];
+
+// Windows-874 bytes for Thai letters, vowels, tone marks and digits, plus the
+// non-breaking space and the punctuation Windows adds to TIS-620
+const isWindows874Byte = (byte) => (
+  (byte >= 0xA0 && byte <= 0xDA) ||
+  (byte >= 0xDF && byte <= 0xFB) ||
+  byte === 0x80 || byte === 0x85 ||
+  (byte >= 0x91 && byte <= 0x97)
+);
+
+const THAI_TEXT_PATTERN = /[ก-๛]/;
+
+export const EncodingDetector = {
+  /**
+   * Detects the encoding of a file's leading bytes
+   * Checks for a byte order mark, then UTF-8 validity, then Thai byte ranges
+   * @param {ArrayBuffer|Uint8Array} buffer - Leading bytes of the file
+   * @returns {{encoding: string, bom: boolean, confidence: number}} - Detected encoding;
+   *   confidence is the share of non-ASCII bytes that fit it
+   */
+  detect(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+    const bom = BYTE_ORDER_MARKS.find(mark => mark.bytes.every((byte, index) => bytes[index] === byte));
+    if (bom) {
+      return { encoding: bom.encoding, bom: true, confidence: 1 };
+    }
+
+    if (this.isValidUtf8(bytes)) {
+      return { encoding: TEXT_ENCODINGS.UTF_8, bom: false, confidence: 1 };
+    }
+
+    let highBytes = 0;
+    let thaiBytes = 0;
+    for (const byte of bytes) {
+      if (byte < 0x80) continue;
+      highBytes++;
+      if (isWindows874Byte(byte)) thaiBytes++;
+    }
+
+    const confidence = thaiBytes / highBytes;
+    return confidence >= THAI_BYTE_THRESHOLD
+      ? { encoding: TEXT_ENCODINGS.WINDOWS_874, bom: false, confidence }
+      : { encoding: TEXT_ENCODINGS.UTF_8, bom: false, confidence: 0 };
+  },
+
+  /**
+   * Whether bytes are valid UTF-8. A multi-byte character cut off at the end of
+   * a sample does not count against it.
+   * @param {Uint8Array} bytes
+   * @returns {boolean}
+   */
+  isValidUtf8(bytes) {
+    try {
+      new TextDecoder(TEXT_ENCODINGS.UTF_8, { fatal: true }).decode(bytes, { stream: true });
+      return true;
+    } catch {
+      return false;
+    }
+  },
+
+  /**
+   * Resolves an encoding option to a TextDecoder encoding
+   * @param {ArrayBuffer|Uint8Array} buffer - Leading bytes, used when encoding is 'auto'
+   * @param {string} [encoding] - TEXT_ENCODINGS value or any TextDecoder label, e.g. 'tis-620'
+   * @returns {string} - Encoding name
+   * @throws {Error} When the encoding is not supported
+   */
+  resolveEncoding(buffer, encoding = TEXT_ENCODINGS.AUTO) {
+    if (!encoding || encoding === TEXT_ENCODINGS.AUTO) {
+      return this.detect(buffer).encoding;
+    }
+
+    try {
+      return new TextDecoder(encoding).encoding;
+    } catch {
+      throw new Error(`Unsupported text encoding: ${encoding}`);
+    }
+  },
+
+  /**
+   * Decodes bytes, dropping a byte order mark
+   * @param {ArrayBuffer|Uint8Array} buffer - Bytes to decode
+   * @param {string} [encoding] - Encoding, or 'auto' to detect it
+   * @returns {{text: string, encoding: string}} - Decoded text and the encoding used
+   */
+  decode(buffer, encoding = TEXT_ENCODINGS.AUTO) {
+    const resolved = this.resolveEncoding(buffer, encoding);
+    return { text: new TextDecoder(resolved).decode(buffer), encoding: resolved };
+  },
+
+  /**
+   * Reads and decodes a whole file
+   * @param {File|Blob} file - File to read
+   * @param {string} [encoding] - Encoding, or 'auto' to detect it
+   * @returns {Promise<{text: string, encoding: string}>}
+   */
+  async readFile(file, encoding = TEXT_ENCODINGS.AUTO) {
+    return this.decode(await this.readBytes(file), encoding);
+  },
+
+  /**
+   * Reads the leading bytes of a file for detection and previews
+   * @param {File|Blob} file - File to read
+   * @param {number} [size] - Bytes to read
+   * @returns {Promise<Uint8Array>}
+   */
+  async readSample(file, size = SAMPLE_SIZE) {
+    return this.readBytes(file.slice(0, size));
+  },
+
+  /**
+   * Resolves the encoding of a file from its leading bytes
+   * @param {File|Blob} file - File to inspect
+   * @param {string} [encoding] - Encoding, or 'auto' to detect it
+   * @returns {Promise<string>} - Encoding name
+   */
+  async resolveFileEncoding(file, encoding = TEXT_ENCODINGS.AUTO) {
+    if (encoding && encoding !== TEXT_ENCODINGS.AUTO) {
+      return this.resolveEncoding(null, encoding);
+    }
+    return this.detect(await this.readSample(file)).encoding;
+  },
+
+  /**
+   * Reads a file or blob as bytes
+   * @param {File|Blob} blob
+   * @returns {Promise<Uint8Array>}
+   */
+  readBytes(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(new Uint8Array(e.target.result));
+      reader.onerror = () => reject(new Error('Failed to read file'));
+      reader.readAsArrayBuffer(blob);
+    });
+  },
+
+  /**
+   * Whether decoded text contains Thai characters
+   * @param {string} text
+   * @returns {boolean}
+   */
+  containsThai(text) {
+    return THAI_TEXT_PATTERN.test(text || '');
+  }
+};
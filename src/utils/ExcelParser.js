@@ -0,0 +1,394 @@
+import * as XLSX from 'xlsx';
+import { CsvParser } from './CsvParser';
+import { MAPPABLE_INVOICE_FIELDS } from '../types/invoice';
+
+// Rows scanned when looking for the header row
+const HEADER_SCAN_ROWS = 20;
+// Minimum number of recognised columns for a row to count as the header
+const MIN_HEADER_MATCHES = 2;
+
+/**
+ * Excel parser utility for processing XLSX/XLS invoice workbooks.
+ * Rows are converted with the CSV parser so both formats share field
+ * mapping, calculation and validation rules.
+ */
+export class ExcelParser {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.sheetNames] - Sheets to parse (default: every sheet with a header row)
+   * @param {number} [options.headerRow] - 1-based header row number, skipping detection
+   * @param {import('../types/invoice').ColumnMappingProfile} [options.mappingProfile] - Column mapping
+   */
+  constructor(options = {}) {
+    this.sheetNames = options.sheetNames || null;
+    this.headerRow = options.headerRow || null;
+    this.rowParser = new CsvParser({ mappingProfile: options.mappingProfile });
+  }
+
+  /**
+   * Parses an Excel file and converts it to invoice records
+   * @param {File} file - Excel file to parse
+   * @returns {Promise<FileProcessingResult>} - Processing result
+   */
+  async parseFile(file) {
+    try {
+      const workbook = await this.readWorkbook(file);
+      return this.parseWorkbook(workbook, file);
+    } catch (error) {
+      return this.createProcessingResult([], [{
+        row: 0,
+        field: 'file',
+        message: `Failed to parse Excel file: ${error.message}`,
+        value: '',
+        type: 'parsing'
+      }], file, []);
+    }
+  }
+
+  /**
+   * Lists the sheets of a workbook with their detected header rows
+   * @param {File} file - Excel file
+   * @returns {Promise<Array<{name: string, headerRow: number|null, headers: string[], rowCount: number}>>}
+   */
+  async getSheetSummaries(file) {
+    const workbook = await this.readWorkbook(file);
+    const date1904 = Boolean(workbook.Workbook?.WBProps?.date1904);
+
+    return workbook.SheetNames.map(name => {
+      const rows = this.readSheetRows(workbook.Sheets[name], date1904);
+      const headerIndex = this.detectHeaderRow(rows);
+      return {
+        name,
+        headerRow: headerIndex === -1 ? null : rows[headerIndex].rowNumber,
+        headers: headerIndex === -1 ? [] : rows[headerIndex].cells.map(cell => String(cell).trim()),
+        rowCount: headerIndex === -1 ? 0 : rows.slice(headerIndex + 1).filter(row => !this.isBlankRow(row)).length
+      };
+    });
+  }
+
+  /**
+   * Reads a file into an XLSX workbook
+   * @param {File} file - Excel file
+   * @returns {Promise<Object>} - Workbook
+   */
+  async readWorkbook(file) {
+    const buffer = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = () => reject(new Error('Failed to read file'));
+      reader.readAsArrayBuffer(file);
+    });
+
+    // cellNF keeps number formats so date cells can be recognised
+    return XLSX.read(buffer, { type: 'array', cellNF: true });
+  }
+
+  /**
+   * Parses the selected sheets of a workbook
+   * @param {Object} workbook - XLSX workbook
+   * @param {File} file - Original file
+   * @returns {FileProcessingResult} - Processing result
+   */
+  parseWorkbook(workbook, file) {
+    const records = [];
+    const errors = [];
+    const sheets = [];
+    const date1904 = Boolean(workbook.Workbook?.WBProps?.date1904);
+    const sheetNames = this.sheetNames || workbook.SheetNames;
+
+    sheetNames.forEach((sheetName, sheetIndex) => {
+      const worksheet = workbook.Sheets[sheetName];
+      if (!worksheet) {
+        errors.push({
+          row: 0,
+          field: 'sheet',
+          message: `Sheet "${sheetName}" does not exist`,
+          value: sheetName,
+          type: 'parsing',
+          location: this.formatLocation(sheetName, 'A', 1)
+        });
+        return;
+      }
+
+      const rows = this.readSheetRows(worksheet, date1904);
+      const headerIndex = this.headerRow
+        ? rows.findIndex(row => row.rowNumber === this.headerRow)
+        : this.detectHeaderRow(rows);
+
+      if (headerIndex === -1) {
+        // Only report sheets the user asked for; other sheets may hold notes or pivots
+        if (this.sheetNames) {
+          errors.push({
+            row: 0,
+            field: 'header',
+            message: `No header row found in sheet "${sheetName}"`,
+            value: '',
+            type: 'parsing',
+            location: this.formatLocation(sheetName, 'A', 1)
+          });
+        }
+        sheets.push({ name: sheetName, headerRow: null, recordCount: 0 });
+        return;
+      }
+
+      const sheetRecords = this.parseSheetRows(sheetName, sheetIndex, rows, headerIndex, errors);
+      records.push(...sheetRecords);
+      sheets.push({ name: sheetName, headerRow: rows[headerIndex].rowNumber, recordCount: sheetRecords.length });
+    });
+
+    return this.createProcessingResult(records, errors, file, sheets);
+  }
+
+  /**
+   * Converts the data rows below a header row into invoice records
+   * @returns {InvoiceRecord[]} - Records from the sheet
+   */
+  parseSheetRows(sheetName, sheetIndex, rows, headerIndex, errors) {
+    const { cells: headerCells, columns } = rows[headerIndex];
+    const rawHeaders = headerCells.map(cell => String(cell).trim());
+    const headers = this.rowParser.mappingProfile
+      ? rawHeaders
+      : rawHeaders.map(header => (header ? this.rowParser.normalizeHeader(header) : ''));
+    const dateColumns = this.getDateColumns(headers);
+    const records = [];
+
+    rows.slice(headerIndex + 1).forEach(row => {
+      if (this.isBlankRow(row)) return;
+
+      const rowData = {};
+      headers.forEach((header, index) => {
+        if (!header) return;
+        const value = row.cells[index];
+        rowData[header] = dateColumns.has(header) && typeof value === 'number'
+          ? this.excelSerialToDate(value)
+          : value;
+      });
+
+      const locate = (field) => {
+        const index = this.findFieldColumn(headers, field);
+        return this.formatLocation(sheetName, columns[index === -1 ? 0 : index], row.rowNumber);
+      };
+
+      try {
+        const mappedData = this.rowParser.mappingProfile ? this.rowParser.applyMappingProfile(rowData) : rowData;
+        const record = this.rowParser.transformRowToRecord(mappedData, row.rowNumber);
+        record.id = `xlsx-${Date.now()}-${sheetIndex}-${row.rowNumber}`;
+        record.metadata = {
+          ...record.metadata,
+          sheetName,
+          location: this.formatLocation(sheetName, columns[0], row.rowNumber)
+        };
+
+        const validationErrors = this.rowParser.validateRecord(record, row.rowNumber);
+        if (validationErrors.length > 0) {
+          errors.push(...validationErrors.map(error => ({ ...error, location: locate(error.field) })));
+          record.status = 'invalid';
+        } else {
+          record.status = 'valid';
+        }
+
+        records.push(record);
+      } catch (error) {
+        errors.push({
+          row: row.rowNumber,
+          field: 'transformation',
+          message: error.message,
+          value: JSON.stringify(rowData),
+          type: 'format',
+          location: this.formatLocation(sheetName, columns[0], row.rowNumber)
+        });
+      }
+    });
+
+    return records;
+  }
+
+  /**
+   * Reads every row of a worksheet, filling merged ranges with the value of
+   * their top-left cell
+   * @param {Object} worksheet - XLSX worksheet
+   * @param {boolean} date1904 - Whether the workbook uses the 1904 date system
+   * @returns {Array<{rowNumber: number, columns: string[], cells: Array}>} - Sheet rows
+   */
+  readSheetRows(worksheet, date1904 = false) {
+    if (!worksheet || !worksheet['!ref']) return [];
+
+    const range = XLSX.utils.decode_range(worksheet['!ref']);
+    const mergedOrigins = new Map();
+    (worksheet['!merges'] || []).forEach(merge => {
+      const origin = XLSX.utils.encode_cell(merge.s);
+      for (let r = merge.s.r; r <= merge.e.r; r++) {
+        for (let c = merge.s.c; c <= merge.e.c; c++) {
+          mergedOrigins.set(XLSX.utils.encode_cell({ r, c }), origin);
+        }
+      }
+    });
+
+    const columns = [];
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      columns.push(XLSX.utils.encode_col(c));
+    }
+
+    const rows = [];
+    for (let r = range.s.r; r <= range.e.r; r++) {
+      const cells = [];
+      for (let c = range.s.c; c <= range.e.c; c++) {
+        const address = XLSX.utils.encode_cell({ r, c });
+        cells.push(this.getCellValue(worksheet[mergedOrigins.get(address) || address], date1904));
+      }
+      rows.push({ rowNumber: r + 1, columns, cells });
+    }
+
+    return rows;
+  }
+
+  /**
+   * Gets the value of a cell, converting date-formatted serials to YYYY-MM-DD
+   * @param {Object} cell - XLSX cell object
+   * @param {boolean} date1904 - Whether the workbook uses the 1904 date system
+   * @returns {string|number|boolean} - Cell value
+   */
+  getCellValue(cell, date1904 = false) {
+    if (!cell || cell.v === undefined || cell.v === null || cell.t === 'e') return '';
+
+    if (cell.t === 'd' && cell.v instanceof Date) {
+      return cell.v.toISOString().split('T')[0];
+    }
+    if (cell.t === 'n' && cell.z && XLSX.SSF.is_date(cell.z)) {
+      return this.excelSerialToDate(cell.v, date1904);
+    }
+
+    return cell.t === 's' ? cell.v.trim() : cell.v;
+  }
+
+  /**
+   * Converts an Excel serial date to a YYYY-MM-DD string
+   * @param {number} serial - Excel serial date
+   * @param {boolean} date1904 - Whether the workbook uses the 1904 date system
+   * @returns {string} - Date string, or '' when the serial is not a date
+   */
+  excelSerialToDate(serial, date1904 = false) {
+    const parsed = XLSX.SSF.parse_date_code(serial, { date1904 });
+    if (!parsed || !parsed.y) return '';
+
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${parsed.y}-${pad(parsed.m)}-${pad(parsed.d)}`;
+  }
+
+  /**
+   * Finds the header row: the first row with the most recognised columns
+   * @param {Array<{cells: Array}>} rows - Sheet rows
+   * @returns {number} - Index of the header row, or -1 when none is found
+   */
+  detectHeaderRow(rows) {
+    let bestIndex = -1;
+    let bestScore = MIN_HEADER_MATCHES - 1;
+
+    rows.slice(0, HEADER_SCAN_ROWS).forEach((row, index) => {
+      const score = row.cells.filter(cell => this.isKnownHeader(cell)).length;
+      if (score > bestScore) {
+        bestIndex = index;
+        bestScore = score;
+      }
+    });
+
+    return bestIndex;
+  }
+
+  /**
+   * Whether a cell value is a recognised column header
+   * @param {any} value - Cell value
+   * @returns {boolean}
+   */
+  isKnownHeader(value) {
+    if (typeof value !== 'string' || !value.trim()) return false;
+
+    const { mappingProfile } = this.rowParser;
+    if (mappingProfile) {
+      return mappingProfile.mappings.some(mapping => mapping.source === value.trim());
+    }
+    return Boolean(MAPPABLE_INVOICE_FIELDS[this.rowParser.normalizeHeader(value)]);
+  }
+
+  /**
+   * Headers of columns that hold dates, so unformatted serials can be converted
+   * @param {string[]} headers - Normalized or raw headers
+   * @returns {Set<string>}
+   */
+  getDateColumns(headers) {
+    const { mappingProfile } = this.rowParser;
+    const isDateField = (field) => MAPPABLE_INVOICE_FIELDS[field]?.type === 'date';
+
+    return new Set(headers.filter(header => {
+      if (mappingProfile) {
+        return mappingProfile.mappings.some(mapping => mapping.source === header && isDateField(mapping.field));
+      }
+      return isDateField(header);
+    }));
+  }
+
+  /**
+   * Finds the column index that feeds a record field
+   * @param {string[]} headers - Normalized or raw headers
+   * @param {string} field - Record field
+   * @returns {number} - Column index, or -1 when the field is not a column
+   */
+  findFieldColumn(headers, field) {
+    const { mappingProfile } = this.rowParser;
+    if (mappingProfile) {
+      const mapping = mappingProfile.mappings.find(m => m.field === field);
+      return mapping?.source ? headers.indexOf(mapping.source) : -1;
+    }
+    return headers.indexOf(field);
+  }
+
+  /**
+   * Whether every cell in a row is empty
+   * @param {{cells: Array}} row - Sheet row
+   * @returns {boolean}
+   */
+  isBlankRow(row) {
+    return row.cells.every(cell => cell === '' || cell === null || cell === undefined);
+  }
+
+  /**
+   * Formats a cell location such as Sheet1!A12 or 'Jan 2024'!C5
+   * @param {string} sheetName - Sheet name
+   * @param {string} column - Column letter
+   * @param {number} rowNumber - 1-based row number
+   * @returns {string} - Cell location
+   */
+  formatLocation(sheetName, column, rowNumber) {
+    const sheet = /^[A-Za-z0-9_]+$/.test(sheetName) ? sheetName : `'${sheetName.replace(/'/g, "''")}'`;
+    return `${sheet}!${column || 'A'}${rowNumber}`;
+  }
+
+  /**
+   * Creates processing result object
+   * @param {InvoiceRecord[]} records - Processed records
+   * @param {ProcessingError[]} errors - Processing errors
+   * @param {File} file - Original file
+   * @param {Array<{name: string, headerRow: number|null, recordCount: number}>} sheets - Parsed sheets
+   * @returns {FileProcessingResult} - Processing result
+   */
+  createProcessingResult(records, errors, file, sheets) {
+    const validRecords = records.filter(r => r.status === 'valid').length;
+
+    return {
+      success: errors.length === 0,
+      records,
+      totalRecords: records.length,
+      validRecords,
+      invalidRecords: records.length - validRecords,
+      errors,
+      metadata: {
+        parser: 'excel',
+        fileName: file.name,
+        fileSize: file.size,
+        sheets,
+        mappingProfileId: this.rowParser.mappingProfile?.id || null,
+        processedAt: new Date().toISOString()
+      }
+    };
+  }
+}
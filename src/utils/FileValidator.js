@@ -3,9 +3,20 @@
  * Handles file type, size, and format validation
  */
 
-const ALLOWED_FILE_TYPES = ['text/csv', 'text/plain', 'application/csv'];
-const ALLOWED_EXTENSIONS = ['.csv', '.txt'];
+const ALLOWED_FILE_TYPES = [
+  'text/csv',
+  'text/plain',
+  'application/csv',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-excel',
+  'application/xml',
+  'text/xml'
+];
+const ALLOWED_EXTENSIONS = ['.csv', '.txt', '.xlsx', '.xls', '.xml'];
+const EXCEL_EXTENSIONS = ['xlsx', 'xls'];
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB in bytes
+const MAX_STREAMING_FILE_SIZE = 1024 * 1024 * 1024; // 1GB in bytes
+const STREAMING_FILE_TYPES = ['csv', 'txt'];
 
 export class FileValidationError extends Error {
   constructor(message, code) {
@@ -40,7 +51,7 @@ export const FileValidator = {
 
     if (!hasValidMimeType && file.type !== '') {
       throw new FileValidationError(
-        `Invalid file type. Allowed types: CSV, TXT`,
+        `Invalid file type. Allowed types: CSV, TXT, XLSX, XLS, XML`,
         'INVALID_MIME_TYPE'
       );
     }
@@ -51,17 +62,18 @@ export const FileValidator = {
   /**
    * Validates file size
    * @param {File} file - The file to validate
+   * @param {number} [maxSize] - Maximum size in bytes
    * @returns {boolean} - True if valid
    * @throws {FileValidationError} - If validation fails
    */
-  validateFileSize(file) {
+  validateFileSize(file, maxSize = MAX_FILE_SIZE) {
     if (!file) {
       throw new FileValidationError('No file provided', 'NO_FILE');
     }
 
-    if (file.size > MAX_FILE_SIZE) {
+    if (file.size > maxSize) {
       throw new FileValidationError(
-        `File size exceeds maximum limit of ${this.formatFileSize(MAX_FILE_SIZE)}`,
+        `File size exceeds maximum limit of ${this.formatFileSize(maxSize)}`,
         'FILE_TOO_LARGE'
       );
     }
@@ -76,12 +88,14 @@ export const FileValidator = {
   /**
    * Performs complete file validation
    * @param {File} file - The file to validate
+   * @param {Object} [options]
+   * @param {number} [options.maxFileSize] - Maximum size in bytes
    * @returns {Object} - Validation result with file info
    * @throws {FileValidationError} - If validation fails
    */
-  validateFile(file) {
+  validateFile(file, options = {}) {
     this.validateFileType(file);
-    this.validateFileSize(file);
+    this.validateFileSize(file, options.maxFileSize);
 
     return {
       isValid: true,
@@ -95,11 +109,14 @@ export const FileValidator = {
   /**
    * Gets file type from filename
    * @param {string} fileName - The filename
-   * @returns {string} - File type ('csv' or 'txt')
+   * @returns {string} - File type ('csv', 'excel', 'xml' or 'txt')
    */
   getFileType(fileName) {
     const extension = fileName.toLowerCase().split('.').pop();
-    return extension === 'csv' ? 'csv' : 'txt';
+    if (extension === 'csv') return 'csv';
+    if (EXCEL_EXTENSIONS.includes(extension)) return 'excel';
+    if (extension === 'xml') return 'xml';
+    return 'txt';
   },
 
   /**
@@ -125,6 +142,25 @@ export const FileValidator = {
     return MAX_FILE_SIZE;
   },
 
+  /**
+   * Gets maximum allowed size for files parsed by streaming
+   * @returns {number} - Max streaming file size in bytes
+   */
+  getMaxStreamingFileSize() {
+    return MAX_STREAMING_FILE_SIZE;
+  },
+
+  /**
+   * Checks whether a file is too large for in-memory parsing and should be streamed
+   * @param {File} file - The file to check
+   * @returns {boolean} - True if the file should be streamed
+   */
+  isStreamingCandidate(file) {
+    return Boolean(file) &&
+      file.size > MAX_FILE_SIZE &&
+      STREAMING_FILE_TYPES.includes(this.getFileType(file.name));
+  },
+
   /**
    * Gets allowed file extensions
    * @returns {Array<string>} - Array of allowed extensions
@@ -5,7 +5,32 @@
  * for tax calculations, totals, discounts, and other invoice-related computations.
  */
 
-import { VALIDATION_ERROR_TYPES } from '../types/validation.js';
+import { ROUNDING_METHODS, ROUNDING_SCOPES, VALIDATION_ERROR_TYPES } from '../types/validation.js';
+
+const ROUNDING_METHOD_LABELS = {
+  [ROUNDING_METHODS.ROUND]: 'half-up',
+  [ROUNDING_METHODS.HALF_EVEN]: 'half-even',
+  [ROUNDING_METHODS.TRUNCATE]: 'truncated',
+  [ROUNDING_METHODS.FLOOR]: 'floor',
+  [ROUNDING_METHODS.CEIL]: 'ceiling',
+  [ROUNDING_METHODS.SATANG]: 'satang (0.25)'
+};
+
+const ROUNDING_SCOPE_LABELS = {
+  [ROUNDING_SCOPES.DOCUMENT]: 'per-document',
+  [ROUNDING_SCOPES.LINE]: 'per-line'
+};
+
+// Currencies each symbol is used for; '$' and '¥' are shared
+const CURRENCY_SYMBOLS = {
+  '$': ['USD', 'SGD', 'HKD', 'AUD', 'NZD', 'CAD', 'TWD'],
+  '€': ['EUR'],
+  '£': ['GBP'],
+  '¥': ['JPY', 'CNY'],
+  '₹': ['INR'],
+  '฿': ['THB'],
+  'บาท': ['THB']
+};
 
 /**
  * Utility class for financial calculations
@@ -17,7 +42,7 @@ export class FinancialCalculations {
    * @param {number} taxRate - Tax rate as percentage (e.g., 10 for 10%)
    * @param {Object} options - Calculation options
    * @param {number} options.precision - Decimal precision (default: 2)
-   * @param {'round' | 'floor' | 'ceil'} options.roundingMethod - Rounding method
+   * @param {'round' | 'half_even' | 'truncate' | 'floor' | 'ceil' | 'satang'} options.roundingMethod - Rounding method
    * @returns {import('../types/validation.js').TaxCalculationResult}
    */
   static calculateTax(taxableAmount, taxRate, options = {}) {
@@ -67,6 +92,173 @@ export class FinancialCalculations {
     }
   }
 
+  /**
+   * Calculate tax per line item and sum the rounded line taxes, the way ERPs
+   * that print VAT on every line do. Lines use their own tax rate when they have one.
+   * @param {import('../types/invoice.js').InvoiceLineItem[]} lineItems - Line items
+   * @param {number} taxRate - Tax rate as percentage for lines without their own rate
+   * @param {Object} options - Calculation options (see calculateTax)
+   * @returns {import('../types/validation.js').TaxCalculationResult}
+   */
+  static calculateTaxByLine(lineItems, taxRate, options = {}) {
+    const { precision = 2, roundingMethod = 'round' } = options;
+
+    try {
+      if (!Array.isArray(lineItems) || lineItems.length === 0) {
+        throw new Error('Line items are required for per-line tax');
+      }
+
+      const lineTaxes = lineItems.map(item => {
+        const amount = Number(item.lineTotal ?? item.netAmount ?? item.amount) || 0;
+        return this.calculateTax(amount, typeof item.taxRate === 'number' ? item.taxRate : taxRate, options);
+      });
+
+      const failed = lineTaxes.find(line => !line.isValid);
+      if (failed) {
+        throw new Error(failed.breakdown.error);
+      }
+
+      // Line taxes are already rounded; rounding the sum only removes float noise
+      const taxAmount = this.applyRounding(lineTaxes.reduce((sum, line) => sum + line.taxAmount, 0), precision);
+      const taxableAmount = this.applyRounding(lineTaxes.reduce((sum, line) => sum + line.taxableAmount, 0), precision);
+
+      return {
+        taxAmount,
+        taxRate,
+        taxableAmount,
+        isValid: true,
+        method: 'per_line',
+        breakdown: {
+          lineTaxes: lineTaxes.map(line => line.taxAmount),
+          calculationFormula: `Sum of ${lineTaxes.length} line taxes = ${taxAmount}`,
+          roundingApplied: roundingMethod,
+          precision
+        }
+      };
+    } catch (error) {
+      return {
+        taxAmount: 0,
+        taxRate,
+        taxableAmount: 0,
+        isValid: false,
+        method: 'error',
+        breakdown: {
+          error: error.message,
+          errorType: VALIDATION_ERROR_TYPES.FORMULA_ERROR
+        }
+      };
+    }
+  }
+
+  /**
+   * Calculate tax with a rounding policy: per document, or per line when the
+   * policy says so and the record has line items
+   * @param {number} taxableAmount - Document amount subject to tax
+   * @param {number} taxRate - Tax rate as percentage
+   * @param {import('../types/validation.js').RoundingPolicy} policy - Rounding policy
+   * @param {import('../types/invoice.js').InvoiceLineItem[]} [lineItems] - Line items of the document
+   * @returns {import('../types/validation.js').TaxCalculationResult}
+   */
+  static calculateTaxWithPolicy(taxableAmount, taxRate, policy = {}, lineItems = []) {
+    const options = { precision: policy.precision ?? 2, roundingMethod: policy.method || ROUNDING_METHODS.ROUND };
+
+    return policy.scope === ROUNDING_SCOPES.LINE && lineItems?.length > 0
+      ? this.calculateTaxByLine(lineItems, taxRate, options)
+      : this.calculateTax(taxableAmount, taxRate, options);
+  }
+
+  /**
+   * Find the rounding policy that reproduces a tax amount from a file
+   * @param {number} actualTax - Tax amount in the file
+   * @param {number} taxableAmount - Document amount subject to tax
+   * @param {number} taxRate - Tax rate as percentage
+   * @param {import('../types/invoice.js').InvoiceLineItem[]} [lineItems] - Line items of the document
+   * @param {number} [precision=2] - Decimal places
+   * @returns {import('../types/validation.js').RoundingPolicy|null} First matching policy, or null
+   */
+  static findRoundingPolicy(actualTax, taxableAmount, taxRate, lineItems = [], precision = 2) {
+    const scopes = lineItems?.length > 0
+      ? [ROUNDING_SCOPES.DOCUMENT, ROUNDING_SCOPES.LINE]
+      : [ROUNDING_SCOPES.DOCUMENT];
+
+    for (const scope of scopes) {
+      for (const method of Object.values(ROUNDING_METHODS)) {
+        const policy = { precision, method, scope };
+        const calculation = this.calculateTaxWithPolicy(taxableAmount, taxRate, policy, lineItems);
+        if (calculation.isValid && Math.abs(calculation.taxAmount - actualTax) < Math.pow(10, -precision) / 2) {
+          return policy;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Describe a rounding policy for messages, e.g. 'per-line half-even'
+   * @param {import('../types/validation.js').RoundingPolicy} policy
+   * @returns {string}
+   */
+  static describeRoundingPolicy(policy) {
+    const scope = ROUNDING_SCOPE_LABELS[policy.scope] || ROUNDING_SCOPE_LABELS[ROUNDING_SCOPES.DOCUMENT];
+    return `${scope} ${ROUNDING_METHOD_LABELS[policy.method] || policy.method}`;
+  }
+
+  /**
+   * Back-calculate tax from a tax-inclusive (gross) amount
+   * @param {number} grossAmount - Amount including tax
+   * @param {number} taxRate - Tax rate as percentage (e.g., 7 for 7%)
+   * @param {Object} options - Calculation options
+   * @param {number} options.precision - Decimal precision (default: 2)
+   * @param {'round' | 'half_even' | 'truncate' | 'floor' | 'ceil' | 'satang'} options.roundingMethod - Rounding method
+   * @returns {import('../types/validation.js').TaxCalculationResult}
+   */
+  static calculateInclusiveTax(grossAmount, taxRate, options = {}) {
+    const { precision = 2, roundingMethod = 'round' } = options;
+
+    try {
+      // Validate inputs
+      if (typeof grossAmount !== 'number' || grossAmount < 0) {
+        throw new Error('Gross amount must be a non-negative number');
+      }
+      if (typeof taxRate !== 'number' || taxRate < 0 || taxRate > 100) {
+        throw new Error('Tax rate must be between 0 and 100');
+      }
+
+      // Tax portion of a gross amount: gross × rate / (100 + rate)
+      let taxAmount = (grossAmount * taxRate) / (100 + taxRate);
+      taxAmount = this.applyRounding(taxAmount, precision, roundingMethod);
+      const taxableAmount = this.applyRounding(grossAmount - taxAmount, precision, roundingMethod);
+
+      return {
+        taxAmount,
+        taxRate,
+        taxableAmount,
+        grossAmount,
+        isValid: true,
+        method: 'inclusive',
+        breakdown: {
+          calculationFormula: `${grossAmount} × ${taxRate} / ${100 + taxRate} = ${taxAmount}`,
+          roundingApplied: roundingMethod,
+          precision
+        }
+      };
+    } catch (error) {
+      return {
+        taxAmount: 0,
+        taxRate,
+        taxableAmount: 0,
+        grossAmount,
+        isValid: false,
+        method: 'error',
+        breakdown: {
+          error: error.message,
+          errorType: VALIDATION_ERROR_TYPES.FORMULA_ERROR
+        }
+      };
+    }
+  }
+
   /**
    * Calculate total amount including tax and discounts
    * @param {number} baseAmount - Base amount before tax and discounts
@@ -297,8 +489,8 @@ export class FinancialCalculations {
   /**
    * Apply rounding to a number with specified precision and method
    * @param {number} value - Value to round
-   * @param {number} precision - Decimal places
-   * @param {'round' | 'floor' | 'ceil'} method - Rounding method
+   * @param {number} precision - Decimal places (satang rounding always rounds to 0.25)
+   * @param {'round' | 'half_even' | 'truncate' | 'floor' | 'ceil' | 'satang'} method - Rounding method
    * @returns {number}
    */
   static applyRounding(value, precision = 2, method = 'round') {
@@ -309,6 +501,19 @@ export class FinancialCalculations {
         return Math.floor(value * multiplier) / multiplier;
       case 'ceil':
         return Math.ceil(value * multiplier) / multiplier;
+      case 'half_even': {
+        // Drop float noise first so halves such as 2.675 (267.49999... when scaled) are seen as halves
+        const scaled = Number((value * multiplier).toFixed(8));
+        const lower = Math.floor(scaled);
+        if (Math.abs(scaled - lower - 0.5) < 1e-8) {
+          return (lower % 2 === 0 ? lower : lower + 1) / multiplier;
+        }
+        return Math.round(scaled) / multiplier;
+      }
+      case 'truncate':
+        return Math.trunc(Number((value * multiplier).toFixed(8))) / multiplier;
+      case 'satang':
+        return Math.round(value * 4) / 4;
       case 'round':
       default:
         return Math.round(value * multiplier) / multiplier;
@@ -342,13 +547,26 @@ export class FinancialCalculations {
     return Math.abs((comparedValue - originalValue) / originalValue) * 100;
   }
 
+  /**
+   * Currency codes a symbol or word in an amount string can stand for
+   * @param {string} value - Amount string, e.g. '฿1,234.00' or '1,234.00 USD'
+   * @returns {string[]} ISO codes found, empty when the string names no currency
+   */
+  static detectCurrencies(value) {
+    const text = String(value);
+    const codes = text.match(/\b[A-Z]{3}\b/g) || [];
+    const symbols = (text.match(/[$€£¥₹฿]|บาท/g) || []).flatMap(symbol => CURRENCY_SYMBOLS[symbol]);
+    return [...new Set([...codes, ...symbols])];
+  }
+
   /**
    * Validate currency format and convert to number
    * @param {string|number} value - Currency value to validate
-   * @param {string} currencyCode - Currency code (e.g., 'USD')
+   * @param {string|null} currencyCode - Expected currency code (e.g., 'THB'). When given,
+   *   strings marked with a different currency are rejected instead of stripped.
    * @returns {number|null} Parsed number or null if invalid
    */
-  static parseCurrencyValue(value, currencyCode = 'USD') {
+  static parseCurrencyValue(value, currencyCode = null) {
     if (typeof value === 'number') {
       return isNaN(value) ? null : value;
     }
@@ -357,10 +575,18 @@ export class FinancialCalculations {
       return null;
     }
 
-    // Remove currency symbols and formatting
+    if (currencyCode) {
+      const marked = this.detectCurrencies(value);
+      if (marked.length > 0 && !marked.includes(currencyCode.toUpperCase())) {
+        return null;
+      }
+    }
+
+    // Remove currency codes, symbols and formatting
     const cleanValue = value
-      .replace(/[$€£¥₹]/g, '') // Remove common currency symbols
-      .replace(/[,\s]/g, '')   // Remove commas and spaces
+      .replace(/\b[A-Z]{3}\b/g, '')  // Remove ISO currency codes
+      .replace(/[$€£¥₹฿]|บาท/g, '') // Remove common currency symbols
+      .replace(/[,\s]/g, '')          // Remove commas and spaces
       .trim();
 
     const parsed = parseFloat(cleanValue);
@@ -0,0 +1,436 @@
+/**
+ * Rule Expression Utility
+ *
+ * Small, side-effect free expression language used by user-defined validation
+ * rules. Expressions are compiled into an AST once and evaluated against an
+ * invoice record, so rule definitions can be stored as plain JSON and never
+ * go through eval().
+ *
+ * Supported syntax:
+ * - Literals: numbers, 'single' or "double" quoted strings, true, false, null, [lists]
+ * - Field references: netAmount, metadata.fileName (dotted paths into the record)
+ * - Arithmetic: + - * / %
+ * - Comparison: == != < <= > >= and `in` for list membership
+ * - Logical: && || ! (also `and`, `or`, `not`)
+ * - Functions: abs, round, floor, ceil, min, max, coalesce, isEmpty
+ */
+
+const OPERATORS = ['&&', '||', '==', '!=', '<=', '>=', '<', '>', '+', '-', '*', '/', '%', '!', '(', ')', '[', ']', ','];
+
+const KEYWORD_OPERATORS = {
+  and: '&&',
+  or: '||',
+  not: '!'
+};
+
+const FUNCTIONS = {
+  abs: (value) => Math.abs(value),
+  round: (value, precision = 0) => {
+    const multiplier = Math.pow(10, precision);
+    return Math.round(value * multiplier) / multiplier;
+  },
+  floor: (value) => Math.floor(value),
+  ceil: (value) => Math.ceil(value),
+  min: (...values) => Math.min(...values),
+  max: (...values) => Math.max(...values),
+  coalesce: (...values) => values.find(value => value !== null && value !== undefined && value !== ''),
+  isEmpty: (value) => value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0)
+};
+
+/**
+ * Error raised when an expression cannot be compiled or evaluated
+ */
+export class RuleExpressionError extends Error {
+  constructor(message, expression, position = null) {
+    super(position !== null ? `${message} at position ${position}` : message);
+    this.name = 'RuleExpressionError';
+    this.expression = expression;
+    this.position = position;
+  }
+}
+
+/**
+ * Utility class for compiling and evaluating rule expressions
+ */
+export class RuleExpression {
+  /**
+   * Split an expression into tokens
+   * @param {string} source - Expression source
+   * @returns {Array<{type: string, value: any, position: number}>}
+   */
+  static tokenize(source) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < source.length) {
+      const char = source[index];
+
+      if (/\s/.test(char)) {
+        index++;
+        continue;
+      }
+
+      // Numbers
+      if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[index + 1]))) {
+        const match = source.slice(index).match(/^[0-9]*\.?[0-9]+(?:[eE][+-]?[0-9]+)?/);
+        tokens.push({ type: 'number', value: parseFloat(match[0]), position: index });
+        index += match[0].length;
+        continue;
+      }
+
+      // Strings
+      if (char === '"' || char === "'") {
+        let value = '';
+        let cursor = index + 1;
+        while (cursor < source.length && source[cursor] !== char) {
+          if (source[cursor] === '\\' && cursor + 1 < source.length) {
+            cursor++;
+          }
+          value += source[cursor];
+          cursor++;
+        }
+        if (cursor >= source.length) {
+          throw new RuleExpressionError('Unterminated string literal', source, index);
+        }
+        tokens.push({ type: 'string', value, position: index });
+        index = cursor + 1;
+        continue;
+      }
+
+      // Identifiers and keywords
+      if (/[A-Za-z_]/.test(char)) {
+        const match = source.slice(index).match(/^[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)*/);
+        const word = match[0];
+
+        if (KEYWORD_OPERATORS[word]) {
+          tokens.push({ type: 'operator', value: KEYWORD_OPERATORS[word], position: index });
+        } else if (word === 'in') {
+          tokens.push({ type: 'operator', value: 'in', position: index });
+        } else if (word === 'true' || word === 'false') {
+          tokens.push({ type: 'literal', value: word === 'true', position: index });
+        } else if (word === 'null') {
+          tokens.push({ type: 'literal', value: null, position: index });
+        } else {
+          tokens.push({ type: 'identifier', value: word, position: index });
+        }
+        index += word.length;
+        continue;
+      }
+
+      const operator = OPERATORS.find(op => source.startsWith(op, index));
+      if (!operator) {
+        throw new RuleExpressionError(`Unexpected character '${char}'`, source, index);
+      }
+      tokens.push({ type: 'operator', value: operator, position: index });
+      index += operator.length;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Compile an expression into an AST
+   * @param {string} source - Expression source
+   * @returns {Object} Expression AST
+   * @throws {RuleExpressionError} - If the expression is invalid
+   */
+  static compile(source) {
+    if (typeof source !== 'string' || source.trim() === '') {
+      throw new RuleExpressionError('Expression must be a non-empty string', source);
+    }
+
+    const tokens = this.tokenize(source);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isOperator = (...values) => peek()?.type === 'operator' && values.includes(peek().value);
+    const next = () => tokens[position++];
+    const expect = (value) => {
+      const token = next();
+      if (!token || token.type !== 'operator' || token.value !== value) {
+        throw new RuleExpressionError(`Expected '${value}'`, source, token ? token.position : source.length);
+      }
+    };
+
+    const parseBinary = (parseOperand, operators) => () => {
+      let left = parseOperand();
+      while (isOperator(...operators)) {
+        const operator = next().value;
+        left = { type: 'binary', operator, left, right: parseOperand() };
+      }
+      return left;
+    };
+
+    let parseOr;
+
+    const parseList = () => {
+      const items = [];
+      if (!isOperator(']')) {
+        do {
+          items.push(parseOr());
+        } while (isOperator(',') && next());
+      }
+      expect(']');
+      return { type: 'list', items };
+    };
+
+    const parsePrimary = () => {
+      const token = next();
+      if (!token) {
+        throw new RuleExpressionError('Unexpected end of expression', source, source.length);
+      }
+
+      switch (token.type) {
+        case 'number':
+        case 'string':
+        case 'literal':
+          return { type: 'literal', value: token.value };
+
+        case 'identifier':
+          if (isOperator('(')) {
+            next();
+            if (!FUNCTIONS[token.value]) {
+              throw new RuleExpressionError(`Unknown function '${token.value}'`, source, token.position);
+            }
+            const args = [];
+            if (!isOperator(')')) {
+              do {
+                args.push(parseOr());
+              } while (isOperator(',') && next());
+            }
+            expect(')');
+            return { type: 'call', name: token.value, args };
+          }
+          return { type: 'field', path: token.value };
+
+        case 'operator':
+          if (token.value === '(') {
+            const expression = parseOr();
+            expect(')');
+            return expression;
+          }
+          if (token.value === '[') {
+            return parseList();
+          }
+          break;
+      }
+
+      throw new RuleExpressionError(`Unexpected token '${token.value}'`, source, token.position);
+    };
+
+    const parseUnary = () => {
+      if (isOperator('!', '-')) {
+        const operator = next().value;
+        return { type: 'unary', operator, operand: parseUnary() };
+      }
+      return parsePrimary();
+    };
+
+    const parseMultiplicative = parseBinary(parseUnary, ['*', '/', '%']);
+    const parseAdditive = parseBinary(parseMultiplicative, ['+', '-']);
+    const parseComparison = parseBinary(parseAdditive, ['<', '<=', '>', '>=', 'in']);
+    const parseEquality = parseBinary(parseComparison, ['==', '!=']);
+    const parseAnd = parseBinary(parseEquality, ['&&']);
+    parseOr = parseBinary(parseAnd, ['||']);
+
+    const ast = parseOr();
+
+    if (position < tokens.length) {
+      const token = tokens[position];
+      throw new RuleExpressionError(`Unexpected token '${token.value}'`, source, token.position);
+    }
+
+    return ast;
+  }
+
+  /**
+   * Evaluate a compiled expression against a context object
+   * @param {Object} ast - Compiled expression
+   * @param {Object} context - Values available to field references
+   * @returns {any} Evaluation result
+   */
+  static evaluate(ast, context = {}) {
+    switch (ast.type) {
+      case 'literal':
+        return ast.value;
+
+      case 'field':
+        return this.resolvePath(context, ast.path);
+
+      case 'list':
+        return ast.items.map(item => this.evaluate(item, context));
+
+      case 'call':
+        return FUNCTIONS[ast.name](...ast.args.map(arg => this.evaluate(arg, context)));
+
+      case 'unary': {
+        const operand = this.evaluate(ast.operand, context);
+        return ast.operator === '!' ? !operand : -this.toNumber(operand);
+      }
+
+      case 'binary':
+        return this.evaluateBinary(ast, context);
+
+      default:
+        throw new RuleExpressionError(`Unknown expression node '${ast.type}'`, null);
+    }
+  }
+
+  /**
+   * Evaluate a binary expression node
+   * @param {Object} ast - Binary expression node
+   * @param {Object} context - Evaluation context
+   * @returns {any}
+   */
+  static evaluateBinary(ast, context) {
+    // Short-circuit logical operators
+    if (ast.operator === '&&') {
+      return Boolean(this.evaluate(ast.left, context)) && Boolean(this.evaluate(ast.right, context));
+    }
+    if (ast.operator === '||') {
+      return Boolean(this.evaluate(ast.left, context)) || Boolean(this.evaluate(ast.right, context));
+    }
+
+    const left = this.evaluate(ast.left, context);
+    const right = this.evaluate(ast.right, context);
+
+    switch (ast.operator) {
+      case '+':
+        if (typeof left === 'string' || typeof right === 'string') {
+          return `${left ?? ''}${right ?? ''}`;
+        }
+        return this.toNumber(left) + this.toNumber(right);
+      case '-':
+        return this.toNumber(left) - this.toNumber(right);
+      case '*':
+        return this.toNumber(left) * this.toNumber(right);
+      case '/':
+        return this.toNumber(left) / this.toNumber(right);
+      case '%':
+        return this.toNumber(left) % this.toNumber(right);
+      case '==':
+        return this.isEqual(left, right);
+      case '!=':
+        return !this.isEqual(left, right);
+      case '<':
+        return this.compareValues(left, right) < 0;
+      case '<=':
+        return this.compareValues(left, right) <= 0;
+      case '>':
+        return this.compareValues(left, right) > 0;
+      case '>=':
+        return this.compareValues(left, right) >= 0;
+      case 'in':
+        return Array.isArray(right) && right.some(item => this.isEqual(left, item));
+      default:
+        throw new RuleExpressionError(`Unknown operator '${ast.operator}'`, null);
+    }
+  }
+
+  /**
+   * Resolve a dotted path against an object
+   * @param {Object} context - Source object
+   * @param {string} path - Dotted path (e.g. 'metadata.fileName')
+   * @returns {any}
+   */
+  static resolvePath(context, path) {
+    return path.split('.').reduce(
+      (value, key) => (value === null || value === undefined ? undefined : value[key]),
+      context
+    );
+  }
+
+  /**
+   * Collect the field paths referenced by a compiled expression
+   * @param {Object} ast - Compiled expression
+   * @returns {string[]} Unique field paths
+   */
+  static getReferencedFields(ast) {
+    const fields = new Set();
+    const visit = (node) => {
+      switch (node.type) {
+        case 'field':
+          fields.add(node.path);
+          break;
+        case 'list':
+          node.items.forEach(visit);
+          break;
+        case 'call':
+          node.args.forEach(visit);
+          break;
+        case 'unary':
+          visit(node.operand);
+          break;
+        case 'binary':
+          visit(node.left);
+          visit(node.right);
+          break;
+      }
+    };
+    visit(ast);
+    return [...fields];
+  }
+
+  /**
+   * Replace {{path}} placeholders in a message template
+   * @param {string} template - Message template
+   * @param {Object} context - Values available to placeholders
+   * @returns {string}
+   */
+  static interpolate(template, context = {}) {
+    if (!template) return '';
+    return template.replace(/\{\{\s*([A-Za-z_][A-Za-z0-9_.]*)\s*\}\}/g, (placeholder, path) => {
+      const value = this.resolvePath(context, path);
+      if (value === null || value === undefined) return '';
+      if (typeof value === 'number') {
+        return String(Math.round(value * 100) / 100);
+      }
+      return String(value);
+    });
+  }
+
+  /**
+   * Convert a value to a number for arithmetic
+   * @param {any} value - Value to convert
+   * @returns {number}
+   */
+  static toNumber(value) {
+    if (value === null || value === undefined || value === '') return 0;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return typeof value === 'number' ? value : Number(value);
+  }
+
+  /**
+   * Loose equality that compares numeric strings as numbers
+   * @param {any} left
+   * @param {any} right
+   * @returns {boolean}
+   */
+  static isEqual(left, right) {
+    if (typeof left === 'number' || typeof right === 'number') {
+      if (left === null || left === undefined || right === null || right === undefined) {
+        return left === right;
+      }
+      return this.toNumber(left) === this.toNumber(right);
+    }
+    return (left ?? null) === (right ?? null);
+  }
+
+  /**
+   * Compare two values numerically when possible, otherwise as strings
+   * @param {any} left
+   * @param {any} right
+   * @returns {number} Negative, zero or positive
+   */
+  static compareValues(left, right) {
+    const leftNumber = this.toNumber(left);
+    const rightNumber = this.toNumber(right);
+    if (!isNaN(leftNumber) && !isNaN(rightNumber)) {
+      return leftNumber - rightNumber;
+    }
+    return String(left ?? '').localeCompare(String(right ?? ''));
+  }
+}
+
+export default RuleExpression;
@@ -0,0 +1,322 @@
+import Papa from 'papaparse';
+import { CsvParser } from './CsvParser';
+import { TxtParser } from './TxtParser';
+import { EncodingDetector } from './EncodingDetector';
+import { TEXT_ENCODINGS } from '../types/invoice';
+
+// Bytes read from the file per chunk
+const DEFAULT_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Streaming parser for very large CSV and TXT invoice files.
+ * Reads the file in fixed-size slices and hands each chunk of records to
+ * the caller instead of accumulating them, so memory stays bounded by the
+ * chunk size. Runs inside the file streaming worker, or on the main thread
+ * where workers are unavailable.
+ */
+export class StreamingFileParser {
+  /**
+   * @param {Object} [options]
+   * @param {'csv' | 'txt'} [options.fileType] - File type from FileValidator
+   * @param {number} [options.chunkSize] - Bytes per chunk
+   * @param {string} [options.encoding] - Text encoding from TEXT_ENCODINGS (default: detected from the first chunk)
+   * @param {import('../types/invoice').ColumnMappingProfile} [options.mappingProfile] - CSV column mapping
+   * @param {import('../types/invoice').FixedWidthLayout} [options.fixedWidthLayout] - TXT fixed-width layout
+   * @param {Function} [options.validateChunk] - Called with each chunk's records; returns validation results
+   */
+  constructor(options = {}) {
+    this.fileType = options.fileType || 'csv';
+    this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    this.encoding = options.encoding || TEXT_ENCODINGS.AUTO;
+    this.validateChunk = options.validateChunk || null;
+    this.csvParser = new CsvParser({ mappingProfile: options.mappingProfile });
+    this.txtParser = new TxtParser({ fixedWidthLayout: options.fixedWidthLayout });
+
+    this.paused = false;
+    this.cancelled = false;
+    this.resumeCallbacks = [];
+  }
+
+  /**
+   * Pauses parsing before the next chunk
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Resumes a paused parse
+   */
+  resume() {
+    this.paused = false;
+    this.resumeCallbacks.splice(0).forEach(callback => callback());
+  }
+
+  /**
+   * Stops parsing before the next chunk. Records already emitted are kept.
+   */
+  cancel() {
+    this.cancelled = true;
+    this.resume();
+  }
+
+  /**
+   * Parses a file chunk by chunk
+   * @param {File|Blob} file - File to parse
+   * @param {Object} [handlers]
+   * @param {Function} [handlers.onChunk] - Receives {records, errors, validationResults}; may return a
+   *   promise, which is awaited before the next chunk is read
+   * @param {Function} [handlers.onProgress] - Receives progress with rows/sec and ETA
+   * @returns {Promise<Object>} - Summary of the parse
+   */
+  async parse(file, { onChunk = null, onProgress = null } = {}) {
+    const totalBytes = file.size;
+    let decoder = null;
+    const reader = this.fileType === 'csv' ? this.createCsvReader() : null;
+    const startedAt = Date.now();
+    const summary = {
+      totalRecords: 0,
+      validRecords: 0,
+      invalidRecords: 0,
+      errorCount: 0,
+      validationResultCount: 0,
+      chunks: 0,
+      cancelled: false
+    };
+
+    let txtReader = null;
+    let offset = 0;
+    let carry = '';
+    let lineNumber = 0;
+
+    const emit = async (records, errors) => {
+      if (records.length === 0 && errors.length === 0) return;
+
+      const validationResults = this.validateChunk && records.length > 0
+        ? await this.validateChunk(records)
+        : [];
+
+      summary.chunks++;
+      summary.totalRecords += records.length;
+      summary.validRecords += records.filter(r => r.status === 'valid').length;
+      summary.invalidRecords += records.filter(r => r.status !== 'valid').length;
+      summary.errorCount += errors.length;
+      summary.validationResultCount += validationResults.length;
+
+      if (onChunk) {
+        await onChunk({ records, errors, validationResults });
+      }
+    };
+
+    while (offset < totalBytes) {
+      await this.waitWhilePaused();
+      if (this.cancelled) break;
+
+      const end = Math.min(offset + this.chunkSize, totalBytes);
+      const buffer = await this.readSlice(file, offset, end);
+      offset = end;
+
+      // The first chunk is large enough to detect the file's encoding
+      decoder = decoder || new TextDecoder(EncodingDetector.resolveEncoding(buffer, this.encoding));
+      const isLast = offset >= totalBytes;
+      const text = carry + decoder.decode(buffer, { stream: !isLast });
+      const splitAt = isLast ? text.length : this.findLastLineBreak(text);
+      if (splitAt === -1) {
+        carry = text;
+        continue;
+      }
+
+      carry = text.substring(splitAt);
+      const lines = text.substring(0, splitAt).split(/\r?\n/);
+      if (!isLast && lines[lines.length - 1] === '') lines.pop();
+
+      let output;
+      if (reader) {
+        output = reader.readLines(lines, lineNumber);
+      } else {
+        txtReader = txtReader || this.createTxtReader(lines);
+        output = txtReader.readLines(lines, lineNumber);
+      }
+      lineNumber += lines.length;
+
+      if (isLast && txtReader) {
+        const finished = txtReader.finish(lineNumber);
+        output.records.push(...finished.records);
+        output.errors.push(...finished.errors);
+      }
+
+      await emit(output.records, output.errors);
+
+      if (onProgress) {
+        onProgress(this.calculateProgress(offset, totalBytes, summary.totalRecords, startedAt));
+      }
+    }
+
+    summary.cancelled = this.cancelled;
+    summary.success = !this.cancelled && summary.errorCount === 0;
+    summary.metadata = {
+      parser: this.fileType,
+      streamed: true,
+      chunkSize: this.chunkSize,
+      encoding: decoder?.encoding || null,
+      bytesProcessed: offset,
+      processingTimeMs: Date.now() - startedAt,
+      processedAt: new Date().toISOString()
+    };
+
+    return summary;
+  }
+
+  /**
+   * Creates a reader that turns CSV lines into records. The first line is the header.
+   * @returns {{readLines: Function}}
+   */
+  createCsvReader() {
+    let headers = null;
+    let rowIndex = 0;
+
+    const readLines = (lines, firstLineNumber) => {
+      const output = { records: [], errors: [] };
+      const parsed = Papa.parse(lines.join('\n'), { skipEmptyLines: true });
+
+      parsed.errors.forEach(error => {
+        output.errors.push({
+          row: firstLineNumber + (error.row || 0) + 1,
+          field: 'parsing',
+          message: error.message,
+          value: '',
+          type: 'parsing'
+        });
+      });
+
+      parsed.data.forEach(values => {
+        if (!headers) {
+          headers = values.map(header => (
+            this.csvParser.mappingProfile ? header.trim() : this.csvParser.normalizeHeader(header)
+          ));
+          return;
+        }
+
+        rowIndex++;
+        const rowData = {};
+        headers.forEach((header, index) => {
+          rowData[header] = values[index];
+        });
+
+        const { record, errors } = this.csvParser.processRow(rowData, rowIndex);
+        output.errors.push(...errors);
+        if (record) {
+          output.records.push(record);
+        }
+      });
+
+      return output;
+    };
+
+    return { readLines };
+  }
+
+  /**
+   * Creates a reader that turns TXT lines into records, detecting the format
+   * from the first chunk
+   * @param {string[]} firstLines - Lines of the first chunk
+   * @returns {{readLines: Function, finish: Function}}
+   */
+  createTxtReader(firstLines) {
+    const format = this.txtParser.fixedWidthLayout
+      ? 'fixed-width'
+      : this.txtParser.detectFormat(firstLines.join('\n'));
+    const lineReader = this.txtParser.createLineReader(format);
+
+    const readLines = (lines, firstLineNumber) => {
+      const output = { records: [], errors: [] };
+      lines.forEach((line, index) => {
+        const result = lineReader.readLine(line, firstLineNumber + index + 1);
+        output.records.push(...result.records);
+        output.errors.push(...result.errors);
+      });
+      return output;
+    };
+
+    return { readLines, finish: lineReader.finish };
+  }
+
+  /**
+   * Finds the position after the last complete line. For CSV, line breaks
+   * inside quoted values do not end a line.
+   * @param {string} text - Decoded text
+   * @returns {number} - Split position, or -1 when there is no complete line
+   */
+  findLastLineBreak(text) {
+    if (this.fileType !== 'csv') {
+      const index = text.lastIndexOf('\n');
+      return index === -1 ? -1 : index + 1;
+    }
+
+    let inQuotes = false;
+    let lastBreak = -1;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char === '"') {
+        inQuotes = !inQuotes;
+      } else if (char === '\n' && !inQuotes) {
+        lastBreak = i + 1;
+      }
+    }
+    return lastBreak;
+  }
+
+  /**
+   * Reads a byte range of a file
+   * @param {File|Blob} file - File to read
+   * @param {number} start - Start byte
+   * @param {number} end - End byte (exclusive)
+   * @returns {Promise<ArrayBuffer>}
+   */
+  readSlice(file, start, end) {
+    const blob = file.slice(start, end);
+    if (typeof blob.arrayBuffer === 'function') {
+      return blob.arrayBuffer();
+    }
+
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = () => reject(new Error('Failed to read file'));
+      reader.readAsArrayBuffer(blob);
+    });
+  }
+
+  /**
+   * Waits until the parse is resumed or cancelled
+   * @returns {Promise<void>}
+   */
+  waitWhilePaused() {
+    if (!this.paused) return Promise.resolve();
+    return new Promise(resolve => this.resumeCallbacks.push(resolve));
+  }
+
+  /**
+   * Calculates progress, throughput and remaining time
+   * @param {number} bytesProcessed - Bytes read so far
+   * @param {number} totalBytes - File size
+   * @param {number} rowsProcessed - Records parsed so far
+   * @param {number} startedAt - Start timestamp
+   * @returns {{bytesProcessed: number, totalBytes: number, percentage: number, rowsProcessed: number,
+   *   rowsPerSecond: number, etaSeconds: number|null, elapsedMs: number}}
+   */
+  calculateProgress(bytesProcessed, totalBytes, rowsProcessed, startedAt) {
+    const elapsedMs = Math.max(Date.now() - startedAt, 1);
+    const bytesPerMs = bytesProcessed / elapsedMs;
+
+    return {
+      bytesProcessed,
+      totalBytes,
+      percentage: totalBytes > 0 ? Math.round((bytesProcessed / totalBytes) * 100) : 100,
+      rowsProcessed,
+      rowsPerSecond: Math.round((rowsProcessed / elapsedMs) * 1000),
+      etaSeconds: bytesPerMs > 0 ? Math.round((totalBytes - bytesProcessed) / bytesPerMs / 1000) : null,
+      elapsedMs
+    };
+  }
+}
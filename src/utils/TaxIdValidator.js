@@ -0,0 +1,118 @@
+/**
+ * Thai tax identification utility
+ * Validates 13-digit taxpayer IDs with the Revenue Department checksum and
+ * 5-digit branch codes printed on full tax invoices
+ */
+
+// Branch code of the head office (สำนักงานใหญ่)
+export const HEAD_OFFICE_BRANCH_CODE = '00000';
+
+const TAX_ID_LENGTH = 13;
+const BRANCH_CODE_LENGTH = 5;
+
+// Labels used instead of a code for the head office
+const HEAD_OFFICE_LABELS = ['สำนักงานใหญ่', 'head office', 'ho'];
+
+export const TAX_ID_ERRORS = {
+  REQUIRED: 'required',
+  LENGTH: 'length',
+  CHECKSUM: 'checksum',
+  BRANCH_FORMAT: 'branchFormat'
+};
+
+const ERROR_MESSAGES = {
+  [TAX_ID_ERRORS.REQUIRED]: 'Tax ID is required',
+  [TAX_ID_ERRORS.LENGTH]: `Tax ID must be ${TAX_ID_LENGTH} digits`,
+  [TAX_ID_ERRORS.CHECKSUM]: 'Tax ID check digit is invalid',
+  [TAX_ID_ERRORS.BRANCH_FORMAT]: `Branch code must be ${BRANCH_CODE_LENGTH} digits (${HEAD_OFFICE_BRANCH_CODE} for head office)`
+};
+
+export const TaxIdValidator = {
+  /**
+   * Strips the spaces and dashes IDs are usually printed with
+   * @param {string|number} value - Raw tax ID, e.g. '0-1055-12345-67-8'
+   * @returns {string}
+   */
+  normalizeTaxId(value) {
+    return String(value ?? '').replace(/[\s-]/g, '');
+  },
+
+  /**
+   * Revenue Department check digit for the first 12 digits
+   * @param {string} digits - 12 digits
+   * @returns {number}
+   */
+  calculateCheckDigit(digits) {
+    const sum = digits
+      .split('')
+      .reduce((total, digit, index) => total + Number(digit) * (TAX_ID_LENGTH - index), 0);
+    return (11 - (sum % 11)) % 10;
+  },
+
+  /**
+   * Validates a 13-digit taxpayer ID
+   * @param {string|number} value - Raw tax ID
+   * @param {Object} options
+   * @param {boolean} options.required - Whether an empty value is an error (default: false)
+   * @returns {{isValid: boolean, value: string, error: string|null, message: string|null}}
+   */
+  validateTaxId(value, options = {}) {
+    const { required = false } = options;
+    const taxId = this.normalizeTaxId(value);
+
+    let error = null;
+    if (!taxId) {
+      error = required ? TAX_ID_ERRORS.REQUIRED : null;
+    } else if (!new RegExp(`^\\d{${TAX_ID_LENGTH}}$`).test(taxId)) {
+      error = TAX_ID_ERRORS.LENGTH;
+    } else if (this.calculateCheckDigit(taxId.slice(0, -1)) !== Number(taxId.slice(-1))) {
+      error = TAX_ID_ERRORS.CHECKSUM;
+    }
+
+    return { isValid: !error, value: taxId, error, message: error ? ERROR_MESSAGES[error] : null };
+  },
+
+  /**
+   * Whether a value is a valid 13-digit taxpayer ID
+   * @param {string|number} value
+   * @returns {boolean}
+   */
+  isValidTaxId(value) {
+    return this.validateTaxId(value, { required: true }).isValid;
+  },
+
+  /**
+   * Normalizes a branch code: head office labels become '00000' and codes
+   * that lost their leading zeros in a spreadsheet are padded
+   * @param {string|number} value - Raw branch code
+   * @returns {string}
+   */
+  normalizeBranchCode(value) {
+    const code = String(value ?? '').trim();
+    if (HEAD_OFFICE_LABELS.includes(code.toLowerCase())) {
+      return HEAD_OFFICE_BRANCH_CODE;
+    }
+    return /^\d{1,4}$/.test(code) ? code.padStart(BRANCH_CODE_LENGTH, '0') : code;
+  },
+
+  /**
+   * Validates a 5-digit branch code
+   * @param {string|number} value - Raw branch code
+   * @param {Object} options
+   * @param {boolean} options.required - Whether an empty value is an error (default: false)
+   * @returns {{isValid: boolean, value: string, error: string|null, message: string|null}}
+   */
+  validateBranchCode(value, options = {}) {
+    const { required = false } = options;
+    const branchCode = this.normalizeBranchCode(value);
+
+    let error = null;
+    if (!branchCode) {
+      error = required ? TAX_ID_ERRORS.BRANCH_FORMAT : null;
+    } else if (!new RegExp(`^\\d{${BRANCH_CODE_LENGTH}}$`).test(branchCode)) {
+      error = TAX_ID_ERRORS.BRANCH_FORMAT;
+    }
+
+    return { isValid: !error, value: branchCode, error, message: error ? ERROR_MESSAGES[error] : null };
+  }
+};
@@ -1,12 +1,22 @@
-import { createEmptyInvoiceRecord, VALIDATION_RULES } from '../types/invoice';
+import { createEmptyInvoiceRecord, FIXED_WIDTH_RECORD_TYPES, TEXT_ENCODINGS, VALIDATION_RULES } from '../types/invoice';
+import { DateParser } from './DateParser';
+import { EncodingDetector } from './EncodingDetector';
 
 /**
  * TXT Parser utility for processing structured text invoice files
  * Supports various text formats including fixed-width and delimited formats
  */
 export class TxtParser {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {import('../types/invoice').FixedWidthLayout} [options.fixedWidthLayout] - Layout used
+   *   instead of guessing fixed-width field positions
+   * @param {string} [options.encoding] - Text encoding from TEXT_ENCODINGS (default: detected)
+   */
+  constructor(options = {}) {
     this.supportedFormats = ['delimited', 'fixed-width', 'key-value'];
+    this.fixedWidthLayout = options.fixedWidthLayout || null;
+    this.encoding = options.encoding || TEXT_ENCODINGS.AUTO;
   }
 
   /**
@@ -16,8 +26,8 @@ export class TxtParser {
    */
   async parseFile(file) {
     try {
-      const content = await this.readFileContent(file);
-      const format = this.detectFormat(content);
+      const { text: content, encoding } = await this.readFileContent(file);
+      const format = this.fixedWidthLayout ? 'fixed-width' : this.detectFormat(content);
       
       let result;
       switch (format) {
@@ -34,7 +44,7 @@ export class TxtParser {
           result = this.parseGenericFormat(content, file);
       }
 
-      return result;
+      return { ...result, metadata: { ...result.metadata, encoding } };
     } catch (error) {
       return {
         success: false,
@@ -60,17 +70,12 @@ export class TxtParser {
   }
 
   /**
-   * Reads file content as text
+   * Reads file content as text, decoded with the configured or detected encoding
    * @param {File} file - File to read
-   * @returns {Promise<string>} - File content
+   * @returns {Promise<{text: string, encoding: string}>} - File content and its encoding
    */
   async readFileContent(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = (e) => resolve(e.target.result);
-      reader.onerror = (e) => reject(new Error('Failed to read file'));
-      reader.readAsText(file);
-    });
+    return EncodingDetector.readFile(file, this.encoding);
   }
 
   /**
@@ -166,6 +171,10 @@ export class TxtParser {
    * @returns {FileProcessingResult} - Processing result
    */
   parseFixedWidthFormat(content, file) {
+    if (this.fixedWidthLayout) {
+      return this.parseFixedWidthLayout(content, file, this.fixedWidthLayout);
+    }
+
     const lines = content.split('\n').filter(line => line.trim());
     const records = [];
     const errors = [];
@@ -203,6 +212,354 @@ export class TxtParser {
     return this.createProcessingResult(records, errors, file, 'fixed-width');
   }
 
+  /**
+   * Parses fixed-width text using a declared layout. Header values are
+   * copied onto the detail lines that follow, and trailer control totals
+   * are checked against the detail lines since the previous trailer.
+   * @param {string} content - File content
+   * @param {File} file - Original file
+   * @param {import('../types/invoice').FixedWidthLayout} layout - Fixed-width layout
+   * @returns {FileProcessingResult} - Processing result
+   */
+  parseFixedWidthLayout(content, file, layout) {
+    const reader = this.createLineReader('fixed-width', layout);
+    const lines = content.split(/\r?\n/);
+    const records = [];
+    const errors = [];
+
+    lines.forEach((line, index) => {
+      const output = reader.readLine(line, index + 1);
+      records.push(...output.records);
+      errors.push(...output.errors);
+    });
+    errors.push(...reader.finish(lines.length).errors);
+
+    const result = this.createProcessingResult(records, errors, file, 'fixed-width');
+    result.metadata.layoutId = layout.id;
+    return result;
+  }
+
+  /**
+   * Creates a line-by-line reader, used for fixed-width layouts and for
+   * streaming large files. The reader only keeps the state its format needs
+   * between lines: delimited headers, fixed-width header values and running
+   * control totals, or the current key-value block.
+   * @param {string} format - Format from detectFormat
+   * @param {import('../types/invoice').FixedWidthLayout} [layout] - Fixed-width layout
+   * @returns {{readLine: Function, finish: Function}} - Reader; both functions
+   *   return {records, errors} for the lines consumed
+   */
+  createLineReader(format, layout = this.fixedWidthLayout) {
+    if (format === 'fixed-width' && layout) {
+      this.validateFixedWidthLayout(layout);
+    }
+
+    const state = {
+      headerValues: {},
+      segment: this.createControlSegment(),
+      delimiter: null,
+      headerMapping: null,
+      fieldPositions: format === 'fixed-width' && !layout ? this.detectFieldPositions([]) : null,
+      block: [],
+      blockIndex: 0
+    };
+
+    const parseError = (row, message, value) => ({ row, field: 'parsing', message, value, type: 'parsing' });
+
+    const finalizeRecord = (record, rowIndex, output) => {
+      const validationErrors = this.validateRecord(record, rowIndex);
+      if (validationErrors.length > 0) {
+        output.errors.push(...validationErrors);
+        record.status = 'invalid';
+      } else {
+        record.status = 'valid';
+      }
+      output.records.push(record);
+    };
+
+    const flushBlock = (output) => {
+      if (state.block.length === 0) return;
+      const block = state.block.join('\n');
+      state.block = [];
+      state.blockIndex++;
+      try {
+        finalizeRecord(this.createRecordFromKeyValue(block, state.blockIndex), state.blockIndex, output);
+      } catch (error) {
+        output.errors.push(parseError(state.blockIndex, error.message, block.substring(0, 100)));
+      }
+    };
+
+    const readLayoutLine = (line, rowIndex, output) => {
+      const recordType = this.resolveFixedWidthRecordType(line, layout);
+      if (!recordType) {
+        output.errors.push({
+          row: rowIndex,
+          field: 'recordType',
+          message: 'Line does not match any record type in the layout',
+          value: line,
+          type: 'format'
+        });
+        return;
+      }
+
+      const values = this.extractFixedWidthValues(line, layout.recordTypes[recordType].fields);
+
+      if (recordType === FIXED_WIDTH_RECORD_TYPES.HEADER) {
+        state.headerValues = values;
+        return;
+      }
+
+      if (recordType === FIXED_WIDTH_RECORD_TYPES.TRAILER) {
+        output.errors.push(...this.verifyControlTotals(values, state.segment, layout.controlTotals, rowIndex));
+        state.segment = this.createControlSegment();
+        return;
+      }
+
+      const record = { ...createEmptyInvoiceRecord(), ...state.headerValues, ...values };
+      record.id = `txt-${Date.now()}-${rowIndex}`;
+      record.metadata = { rowIndex, format: 'fixed-width', layoutId: layout.id };
+
+      finalizeRecord(record, rowIndex, output);
+      this.addToControlSegment(state.segment, record, layout.controlTotals);
+    };
+
+    const readLine = (line, rowIndex) => {
+      const output = { records: [], errors: [] };
+
+      if (!line.trim()) {
+        if (format === 'key-value') flushBlock(output);
+        return output;
+      }
+
+      try {
+        switch (format) {
+          case 'fixed-width':
+            if (layout) {
+              readLayoutLine(line, rowIndex, output);
+            } else {
+              finalizeRecord(this.createRecordFromFixedWidth(line, state.fieldPositions, rowIndex), rowIndex, output);
+            }
+            break;
+          case 'delimited':
+            if (!state.headerMapping) {
+              state.delimiter = line.includes('|') ? '|' : line.includes(';') ? ';' : '\t';
+              state.headerMapping = this.createHeaderMapping(line.split(state.delimiter).map(h => h.trim().toLowerCase()));
+              break;
+            }
+            finalizeRecord(
+              this.createRecordFromValues(line.trim().split(state.delimiter).map(v => v.trim()), state.headerMapping, rowIndex),
+              rowIndex,
+              output
+            );
+            break;
+          case 'key-value':
+            state.block.push(line);
+            break;
+          default: {
+            const record = this.extractDataFromLine(line.trim(), rowIndex);
+            if (record) {
+              record.status = 'valid';
+              output.records.push(record);
+            }
+          }
+        }
+      } catch (error) {
+        output.errors.push(parseError(rowIndex, error.message, line));
+      }
+
+      return output;
+    };
+
+    const finish = (rowIndex) => {
+      const output = { records: [], errors: [] };
+
+      if (format === 'key-value') {
+        flushBlock(output);
+      }
+
+      if (layout && format === 'fixed-width' && layout.recordTypes[FIXED_WIDTH_RECORD_TYPES.TRAILER] &&
+          (layout.controlTotals || []).length > 0 && state.segment.count > 0) {
+        output.errors.push({
+          row: rowIndex,
+          field: 'trailer',
+          message: `Missing trailer record for the last ${state.segment.count} detail lines`,
+          value: '',
+          type: 'validation'
+        });
+      }
+
+      return output;
+    };
+
+    return { readLine, finish };
+  }
+
+  /**
+   * Checks that a fixed-width layout can be applied
+   * @param {import('../types/invoice').FixedWidthLayout} layout - Layout to check
+   * @throws {Error} When the layout is incomplete
+   */
+  validateFixedWidthLayout(layout) {
+    const recordTypes = layout?.recordTypes || {};
+    if (!recordTypes[FIXED_WIDTH_RECORD_TYPES.DETAIL]) {
+      throw new Error('Fixed-width layout must define a detail record type');
+    }
+
+    Object.entries(recordTypes).forEach(([type, definition]) => {
+      if (!Object.values(FIXED_WIDTH_RECORD_TYPES).includes(type)) {
+        throw new Error(`Unknown fixed-width record type "${type}"`);
+      }
+      if (Object.keys(recordTypes).length > 1 && !definition.discriminator) {
+        throw new Error(`Record type "${type}" needs a discriminator when the layout has several record types`);
+      }
+      (definition.fields || []).forEach(field => {
+        if (!field.name || !Number.isInteger(field.start) || field.start < 0 || !Number.isInteger(field.length) || field.length <= 0) {
+          throw new Error(`Invalid position for field "${field.name || '?'}" in record type "${type}"`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Resolves the record type of a fixed-width line from its discriminator
+   * @param {string} line - Fixed-width line
+   * @param {import('../types/invoice').FixedWidthLayout} layout - Fixed-width layout
+   * @returns {string|null} - Record type or null when no type matches
+   */
+  resolveFixedWidthRecordType(line, layout) {
+    const entries = Object.entries(layout.recordTypes);
+    if (entries.length === 1 && !entries[0][1].discriminator) {
+      return entries[0][0];
+    }
+
+    const match = entries.find(([, { discriminator }]) =>
+      discriminator &&
+      line.substring(discriminator.start, discriminator.start + discriminator.length).trim() === discriminator.value
+    );
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Extracts typed values from a fixed-width line
+   * @param {string} line - Fixed-width line
+   * @param {import('../types/invoice').FixedWidthField[]} fields - Field definitions
+   * @returns {Object} - Values keyed by field name
+   */
+  extractFixedWidthValues(line, fields = []) {
+    const values = {};
+
+    fields.forEach(field => {
+      const raw = line.substring(field.start, field.start + field.length).trim();
+
+      switch (field.type) {
+        case 'number':
+          values[field.name] = this.parseFixedWidthNumber(raw, field.impliedDecimals);
+          break;
+        case 'date':
+          values[field.name] = field.datePattern ? this.parseDatePattern(raw, field.datePattern) : this.parseDate(raw);
+          if (raw && !values[field.name]) {
+            throw new Error(`Invalid date "${raw}" for ${field.name}`);
+          }
+          break;
+        default:
+          values[field.name] = raw;
+      }
+    });
+
+    return values;
+  }
+
+  /**
+   * Parses a fixed-width number, applying implied decimals to unpunctuated
+   * values and accepting leading or trailing signs
+   * @param {string} raw - Raw value
+   * @param {number} impliedDecimals - Implied decimal places
+   * @returns {number} - Parsed number
+   */
+  parseFixedWidthNumber(raw, impliedDecimals = 0) {
+    if (!raw) return 0;
+
+    const negative = /^-|-$/.test(raw);
+    const digits = raw.replace(/^[-+]|[-+]$/g, '').replace(/,/g, '').trim();
+    if (!/^\d*\.?\d+$/.test(digits)) {
+      throw new Error(`Invalid number "${raw}"`);
+    }
+
+    let value = parseFloat(digits);
+    if (impliedDecimals > 0 && !digits.includes('.')) {
+      value = value / Math.pow(10, impliedDecimals);
+    }
+
+    return negative ? -value : value;
+  }
+
+  /**
+   * Parses a date laid out by a pattern such as YYYYMMDD, DD/MM/YYYY or DD/MM/BBBB
+   * @param {string} raw - Raw value
+   * @param {string} pattern - Date pattern
+   * @returns {string} - YYYY-MM-DD date string, or '' when invalid
+   */
+  parseDatePattern(raw, pattern) {
+    return DateParser.parseWithFormat(raw, pattern);
+  }
+
+  /**
+   * Running totals of the detail lines since the previous trailer
+   * @returns {{count: number, sums: Object<string, number>}}
+   */
+  createControlSegment() {
+    return { count: 0, sums: {} };
+  }
+
+  /**
+   * Adds a detail record to the running control totals
+   * @param {{count: number, sums: Object<string, number>}} segment - Running totals
+   * @param {InvoiceRecord} record - Detail record
+   * @param {import('../types/invoice').FixedWidthControlTotal[]} controlTotals - Checks to run
+   */
+  addToControlSegment(segment, record, controlTotals = []) {
+    segment.count++;
+    controlTotals
+      .filter(control => control.aggregate === 'sum')
+      .forEach(control => {
+        segment.sums[control.detailField] = (segment.sums[control.detailField] || 0) + (Number(record[control.detailField]) || 0);
+      });
+  }
+
+  /**
+   * Verifies trailer control totals against the detail lines they cover
+   * @param {Object} trailerValues - Values parsed from the trailer line
+   * @param {{count: number, sums: Object<string, number>}} segment - Totals since the previous trailer
+   * @param {import('../types/invoice').FixedWidthControlTotal[]} controlTotals - Checks to run
+   * @param {number} rowIndex - Trailer row index
+   * @returns {ProcessingError[]} - Control total mismatches
+   */
+  verifyControlTotals(trailerValues, segment, controlTotals = [], rowIndex) {
+    const errors = [];
+
+    controlTotals.forEach(control => {
+      const expected = Number(trailerValues[control.trailerField]) || 0;
+      const actual = control.aggregate === 'count'
+        ? segment.count
+        : Math.round((segment.sums[control.detailField] || 0) * 100) / 100;
+      const tolerance = control.tolerance ?? (control.aggregate === 'count' ? 0 : 0.01);
+
+      if (Math.abs(expected - actual) > tolerance) {
+        errors.push({
+          row: rowIndex,
+          field: control.trailerField,
+          message: control.aggregate === 'count'
+            ? `Trailer ${control.trailerField} is ${expected} but ${actual} detail lines were parsed`
+            : `Trailer ${control.trailerField} is ${expected} but detail ${control.detailField} totals ${actual}`,
+          value: String(trailerValues[control.trailerField]),
+          type: 'validation'
+        });
+      }
+    });
+
+    return errors;
+  }
+
   /**
    * Parses key-value text format
    * @param {string} content - File content
@@ -479,19 +836,12 @@ export class TxtParser {
   }
 
   /**
-   * Parses date value
+   * Parses date value, reading B.E. years and Thai month names
    * @param {string} value - Value to parse
    * @returns {string} - ISO date string
    */
   parseDate(value) {
-    if (!value) return '';
-    try {
-      const date = new Date(value);
-      if (isNaN(date.getTime())) return '';
-      return date.toISOString().split('T')[0];
-    } catch {
-      return '';
-    }
+    return DateParser.parseDate(value);
   }
 
   /**
@@ -0,0 +1,431 @@
+import {
+  ALLOWANCE_CHARGE_TYPES,
+  BASE_CURRENCY,
+  createEmptyInvoiceRecord,
+  DOCUMENT_TYPES,
+  TAX_INVOICE_TYPES,
+  TEXT_ENCODINGS
+} from '../types/invoice';
+import { CsvParser } from './CsvParser';
+import { HEAD_OFFICE_BRANCH_CODE, TaxIdValidator } from './TaxIdValidator';
+import { DateParser } from './DateParser';
+import { EncodingDetector } from './EncodingDetector';
+
+// Root elements of ETDA e-Tax Invoice documents, e.g. TaxInvoice_CrossIndustryInvoice
+// or DebitCreditNote_CrossIndustryInvoice
+const DOCUMENT_ROOT_SUFFIX = '_CrossIndustryInvoice';
+
+// ExchangedDocument/TypeCode values that can be imported
+const DOCUMENT_TYPE_CODES = {
+  388: DOCUMENT_TYPES.INVOICE, // Tax invoice
+  T02: DOCUMENT_TYPES.INVOICE, // Invoice/tax invoice
+  T03: DOCUMENT_TYPES.INVOICE, // Receipt/tax invoice
+  T04: DOCUMENT_TYPES.INVOICE, // Delivery order/tax invoice
+  T05: DOCUMENT_TYPES.INVOICE, // Abbreviated tax invoice
+  80: DOCUMENT_TYPES.DEBIT_NOTE,
+  81: DOCUMENT_TYPES.CREDIT_NOTE
+};
+const ABBREVIATED_TAX_INVOICE_CODE = 'T05';
+
+// Tax registration schemes: TXID is a tax ID followed by a branch code,
+// NIDN the national ID of an individual
+const TAX_ID_SCHEMES = {
+  TAX_ID: 'TXID',
+  NATIONAL_ID: 'NIDN'
+};
+const TXID_LENGTH = 18;
+
+const TRANSACTION_PATH = ['SupplyChainTradeTransaction'];
+const AGREEMENT_PATH = [...TRANSACTION_PATH, 'ApplicableHeaderTradeAgreement'];
+const SETTLEMENT_PATH = [...TRANSACTION_PATH, 'ApplicableHeaderTradeSettlement'];
+const SUMMATION_PATH = [...SETTLEMENT_PATH, 'SpecifiedTradeSettlementHeaderMonetarySummation'];
+
+/**
+ * XML parser utility for ETDA e-Tax Invoice files (ขมธอ. 3-2560).
+ * Maps tax invoices, credit notes and debit notes to invoice records and
+ * reports elements missing from or malformed against the standard.
+ */
+export class XmlParser {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.encoding] - Text encoding from TEXT_ENCODINGS (default: detected)
+   */
+  constructor(options = {}) {
+    // Records are checked with the same rules as CSV rows
+    this.recordValidator = new CsvParser();
+    this.encoding = options.encoding || TEXT_ENCODINGS.AUTO;
+  }
+
+  /**
+   * Parses an e-Tax Invoice XML file and converts it to invoice records
+   * @param {File} file - XML file to parse
+   * @returns {Promise<FileProcessingResult>} - Processing result
+   */
+  async parseFile(file) {
+    try {
+      const { text: content, encoding } = await this.readFileContent(file);
+      const result = this.parseContent(content, file);
+      return { ...result, metadata: { ...result.metadata, encoding } };
+    } catch (error) {
+      return this.createProcessingResult([], [{
+        row: 0,
+        field: 'file',
+        message: `Failed to parse XML file: ${error.message}`,
+        value: '',
+        type: 'parsing'
+      }], file);
+    }
+  }
+
+  /**
+   * Reads file content as text, decoded with the configured or detected encoding
+   * @param {File} file - File to read
+   * @returns {Promise<{text: string, encoding: string}>} - File content and its encoding
+   */
+  async readFileContent(file) {
+    return EncodingDetector.readFile(file, this.encoding);
+  }
+
+  /**
+   * Parses XML content holding one e-Tax document, or several under a wrapper element
+   * @param {string} content - XML content
+   * @param {File} file - Original file
+   * @returns {FileProcessingResult} - Processing result
+   */
+  parseContent(content, file) {
+    const records = [];
+    const errors = [];
+    const xml = new DOMParser().parseFromString(content, 'application/xml');
+
+    const parserError = xml.getElementsByTagName('parsererror')[0];
+    if (parserError) {
+      errors.push({
+        row: 0,
+        field: 'file',
+        message: `Malformed XML: ${parserError.textContent.trim().split('\n')[0]}`,
+        value: '',
+        type: 'parsing'
+      });
+      return this.createProcessingResult(records, errors, file);
+    }
+
+    const root = xml.documentElement;
+    const documents = root.localName.endsWith(DOCUMENT_ROOT_SUFFIX)
+      ? [{ element: root, path: `/${root.localName}` }]
+      : this.getChildren(root)
+        .filter(child => child.localName.endsWith(DOCUMENT_ROOT_SUFFIX))
+        .map((element, index) => ({ element, path: `/${root.localName}/${element.localName}[${index + 1}]` }));
+
+    if (documents.length === 0) {
+      errors.push({
+        row: 0,
+        field: 'document',
+        message: `No e-Tax Invoice document found: root element ${root.localName} is not a CrossIndustryInvoice`,
+        value: root.localName,
+        type: 'format',
+        location: `/${root.localName}`
+      });
+    }
+
+    documents.forEach(({ element, path }, index) => {
+      const documentErrors = [];
+      const record = this.parseDocument(element, path, index + 1, documentErrors);
+      errors.push(...documentErrors);
+      records.push(record);
+    });
+
+    return this.createProcessingResult(records, errors, file);
+  }
+
+  /**
+   * Maps one e-Tax document to an invoice record
+   * @param {Element} element - Document root element
+   * @param {string} path - Element path of the document
+   * @param {number} row - 1-based document number, used as the error row
+   * @param {ProcessingError[]} errors - Receives schema and record errors
+   * @returns {InvoiceRecord} - Invoice record; invalid when errors were found
+   */
+  parseDocument(element, path, row, errors) {
+    const reader = this.createReader(element, path, row, errors);
+    const record = createEmptyInvoiceRecord();
+    record.id = `xml-${Date.now()}-${row}`;
+
+    record.invoiceNumber = reader.required(['ExchangedDocument', 'ID'], 'invoiceNumber');
+    record.date = reader.date(['ExchangedDocument', 'IssueDateTime'], 'date', { required: true });
+
+    const typeCode = reader.required(['ExchangedDocument', 'TypeCode'], 'documentType');
+    if (typeCode && !DOCUMENT_TYPE_CODES[typeCode]) {
+      reader.addError(['ExchangedDocument', 'TypeCode'], 'documentType', `Unsupported document type code ${typeCode}`, typeCode);
+    }
+    record.documentType = DOCUMENT_TYPE_CODES[typeCode] || DOCUMENT_TYPES.INVOICE;
+    record.taxInvoiceType = typeCode === ABBREVIATED_TAX_INVOICE_CODE
+      ? TAX_INVOICE_TYPES.ABBREVIATED
+      : TAX_INVOICE_TYPES.FULL;
+
+    if (record.documentType !== DOCUMENT_TYPES.INVOICE) {
+      record.referencedInvoiceNumber = reader.required(
+        [...AGREEMENT_PATH, 'AdditionalReferencedDocument', 'IssuerAssignedID'],
+        'referencedInvoiceNumber'
+      );
+    }
+
+    // Seller
+    const sellerPath = [...AGREEMENT_PATH, 'SellerTradeParty'];
+    record.sellerName = reader.required([...sellerPath, 'Name'], 'sellerName');
+    const seller = this.readTaxRegistration(reader, sellerPath, 'sellerTaxId', true);
+    record.sellerTaxId = seller.taxId;
+    record.sellerBranchCode = seller.branchCode;
+
+    // Buyer; abbreviated tax invoices need not name the buyer
+    const buyerPath = [...AGREEMENT_PATH, 'BuyerTradeParty'];
+    record.customerName = record.taxInvoiceType === TAX_INVOICE_TYPES.ABBREVIATED
+      ? reader.text([...buyerPath, 'Name'])
+      : reader.required([...buyerPath, 'Name'], 'customerName');
+    record.customerCode = reader.text([...buyerPath, 'ID']);
+    const buyer = this.readTaxRegistration(reader, buyerPath, 'customerTaxId', false);
+    if (buyer.taxId) {
+      record.customerTaxId = buyer.taxId;
+    }
+    if (buyer.branchCode) {
+      record.customerBranchCode = buyer.branchCode;
+    }
+
+    // Settlement
+    record.currency = reader.text([...SETTLEMENT_PATH, 'InvoiceCurrencyCode']).toUpperCase() || BASE_CURRENCY;
+    record.dueDate = reader.date([...SETTLEMENT_PATH, 'SpecifiedTradePaymentTerms', 'DueDateDateTime'], 'dueDate');
+    record.taxRate = reader.number([...SETTLEMENT_PATH, 'ApplicableTradeTax', 'CalculatedRate'], 'taxRate');
+    record.allowanceCharges = this.parseAllowanceCharges(reader, SETTLEMENT_PATH);
+
+    // Allowances and charges are already in the tax basis, so they are listed
+    // in allowanceCharges rather than subtracted again as discountAmount
+    record.amount = reader.number([...SUMMATION_PATH, 'TaxBasisTotalAmount'], 'amount', { required: true });
+    record.taxAmount = reader.number([...SUMMATION_PATH, 'TaxTotalAmount'], 'taxAmount', { required: true });
+    record.totalAmount = reader.number([...SUMMATION_PATH, 'GrandTotalAmount'], 'totalAmount', { required: true });
+
+    const lineElements = this.getChildren(reader.find(TRANSACTION_PATH), 'IncludedSupplyChainTradeLineItem');
+    if (lineElements.length === 0) {
+      reader.addError([...TRANSACTION_PATH, 'IncludedSupplyChainTradeLineItem'], 'lineItems',
+        'Missing required element SupplyChainTradeTransaction/IncludedSupplyChainTradeLineItem');
+    }
+    record.lineItems = lineElements.map((lineElement, index) => this.parseLineItem(
+      this.createReader(lineElement, `${path}/${TRANSACTION_PATH.join('/')}/IncludedSupplyChainTradeLineItem[${index + 1}]`, row, errors),
+      record,
+      index
+    ));
+
+    record.metadata = {
+      documentTypeCode: typeCode,
+      purposeCode: reader.text(['ExchangedDocument', 'PurposeCode']),
+      purpose: reader.text(['ExchangedDocument', 'Purpose']),
+      originalAmount: reader.number([...SUMMATION_PATH, 'OriginalInformationAmount'], 'originalAmount', { fallback: null }),
+      location: path,
+      rowIndex: row
+    };
+
+    // Fields already reported against the schema are not reported twice, and
+    // abbreviated tax invoices are issued without a buyer name
+    const reported = new Set(errors.map(error => error.field));
+    if (record.taxInvoiceType === TAX_INVOICE_TYPES.ABBREVIATED) {
+      reported.add('customerName');
+    }
+    const recordErrors = this.recordValidator.validateRecord(record, row)
+      .filter(error => !reported.has(error.field))
+      .map(error => ({ ...error, location: path }));
+    errors.push(...recordErrors);
+    record.status = errors.length > 0 ? 'invalid' : 'valid';
+
+    return record;
+  }
+
+  /**
+   * Maps an IncludedSupplyChainTradeLineItem to an invoice line item
+   * @param {Object} reader - Reader bound to the line element
+   * @param {InvoiceRecord} record - Record the line belongs to
+   * @param {number} index - Zero-based line position
+   * @returns {InvoiceLineItem} - Line item
+   */
+  parseLineItem(reader, record, index) {
+    const field = (name) => `lineItems[${index}].${name}`;
+    const settlementPath = ['SpecifiedLineTradeSettlement'];
+    const quantityPath = ['SpecifiedLineTradeDelivery', 'BilledQuantity'];
+    const lineItem = {
+      id: `${record.id}-${reader.text(['AssociatedDocumentLineDocument', 'LineID']) || index + 1}`,
+      productCode: reader.text(['SpecifiedTradeProduct', 'ID']),
+      description: reader.required(['SpecifiedTradeProduct', 'Name'], field('description')),
+      quantity: reader.number(quantityPath, field('quantity'), { required: true }),
+      unitPrice: reader.number(
+        ['SpecifiedLineTradeAgreement', 'GrossPriceProductTradePrice', 'ChargeAmount'],
+        field('unitPrice'),
+        { required: true }
+      ),
+      lineTotal: reader.number(
+        [...settlementPath, 'SpecifiedTradeSettlementLineMonetarySummation', 'NetLineTotalAmount'],
+        field('lineTotal'),
+        { required: true }
+      ),
+      taxRate: reader.number([...settlementPath, 'ApplicableTradeTax', 'CalculatedRate'], field('taxRate'), { fallback: record.taxRate }),
+      taxAmount: reader.number([...settlementPath, 'ApplicableTradeTax', 'CalculatedAmount'], field('taxAmount'))
+    };
+
+    const uomCode = reader.find(quantityPath)?.getAttribute('unitCode');
+    if (uomCode) {
+      lineItem.uomCode = uomCode;
+    }
+
+    const allowanceCharges = this.parseAllowanceCharges(reader, settlementPath);
+    if (allowanceCharges.length > 0) {
+      lineItem.allowanceCharges = allowanceCharges;
+    }
+
+    return lineItem;
+  }
+
+  /**
+   * Reads the SpecifiedTradeAllowanceCharge elements under a settlement element
+   * @param {Object} reader - Reader bound to the document or line element
+   * @param {string[]} path - Path of the settlement element
+   * @returns {InvoiceAllowanceCharge[]}
+   */
+  parseAllowanceCharges(reader, path) {
+    return this.getChildren(reader.find(path), 'SpecifiedTradeAllowanceCharge').map((element, index) => {
+      const itemPath = [...path, `SpecifiedTradeAllowanceCharge[${index + 1}]`];
+      const item = this.createReader(element, reader.locate(itemPath), reader.row, reader.errors);
+
+      const indicator = item.required(['ChargeIndicator'], 'allowanceCharges').toLowerCase();
+      if (indicator && !['true', 'false'].includes(indicator)) {
+        item.addError(['ChargeIndicator'], 'allowanceCharges', 'ChargeIndicator must be true or false', indicator);
+      }
+
+      const allowanceCharge = {
+        type: indicator === 'true' ? ALLOWANCE_CHARGE_TYPES.CHARGE : ALLOWANCE_CHARGE_TYPES.ALLOWANCE,
+        amount: item.number(['ActualAmount'], 'allowanceCharges', { required: true })
+      };
+      const reasonCode = item.text(['ReasonCode']);
+      const reason = item.text(['Reason']);
+      if (reasonCode) allowanceCharge.reasonCode = reasonCode;
+      if (reason) allowanceCharge.reason = reason;
+
+      return allowanceCharge;
+    });
+  }
+
+  /**
+   * Reads and checks the tax registration of a trade party
+   * @param {Object} reader - Reader bound to the document element
+   * @param {string[]} partyPath - Path of the trade party element
+   * @param {string} field - Record field errors are reported against
+   * @param {boolean} required - Whether the party must be registered
+   * @returns {{taxId: string, branchCode: string}} - Empty values for other schemes
+   */
+  readTaxRegistration(reader, partyPath, field, required) {
+    const idPath = [...partyPath, 'SpecifiedTaxRegistration', 'ID'];
+    const value = TaxIdValidator.normalizeTaxId(required ? reader.required(idPath, field) : reader.text(idPath));
+    const scheme = reader.find(idPath)?.getAttribute('schemeID') || TAX_ID_SCHEMES.TAX_ID;
+    if (!value || !Object.values(TAX_ID_SCHEMES).includes(scheme)) {
+      return { taxId: '', branchCode: '' };
+    }
+
+    if (scheme === TAX_ID_SCHEMES.TAX_ID && value.length !== TXID_LENGTH) {
+      reader.addError(idPath, field,
+        `${scheme} ${value} must be a 13-digit tax ID followed by a 5-digit branch code`, value);
+      return { taxId: value, branchCode: '' };
+    }
+
+    const taxId = TaxIdValidator.validateTaxId(value.slice(0, 13), { required: true });
+    if (!taxId.isValid) {
+      reader.addError(idPath, field, `Invalid tax ID ${taxId.value}: ${taxId.message}`, value, 'validation');
+    }
+
+    return {
+      taxId: taxId.value,
+      branchCode: scheme === TAX_ID_SCHEMES.TAX_ID ? value.slice(13) || HEAD_OFFICE_BRANCH_CODE : ''
+    };
+  }
+
+  /**
+   * Creates helpers that read values below an element and report schema errors
+   * @param {Element} element - Element paths are relative to
+   * @param {string} basePath - Element path of the element
+   * @param {number} row - Error row
+   * @param {ProcessingError[]} errors - Receives errors
+   * @returns {Object} - Reader
+   */
+  createReader(element, basePath, row, errors) {
+    const reader = {
+      row,
+      errors,
+      locate: (path) => [basePath, ...path].join('/'),
+      find: (path) => path.reduce((current, name) => current && this.getChildren(current, name)[0], element) || null,
+      text: (path) => reader.find(path)?.textContent.trim() || '',
+      addError: (path, field, message, value = '', type = 'format') => {
+        errors.push({ row, field, message, value, type, location: reader.locate(path) });
+      },
+      required: (path, field) => {
+        const value = reader.text(path);
+        if (!value) {
+          reader.addError(path, field, `Missing required element ${path.join('/')}`);
+        }
+        return value;
+      },
+      number: (path, field, { required = false, fallback = 0 } = {}) => {
+        const value = required ? reader.required(path, field) : reader.text(path);
+        if (!value) return fallback;
+
+        const parsed = Number(value);
+        if (!Number.isFinite(parsed)) {
+          reader.addError(path, field, `${path[path.length - 1]} must be a decimal number`, value);
+          return fallback;
+        }
+        return parsed;
+      },
+      date: (path, field, { required = false } = {}) => {
+        const value = required ? reader.required(path, field) : reader.text(path);
+        if (!value) return '';
+
+        const date = /^\d{4}-\d{2}-\d{2}(?=$|T)/.test(value) ? DateParser.parseDate(value) : '';
+        if (!date) {
+          reader.addError(path, field, `${path[path.length - 1]} must be an ISO 8601 date`, value);
+          return '';
+        }
+        return date;
+      }
+    };
+    return reader;
+  }
+
+  /**
+   * Child elements of an element, optionally only those with a local name
+   * @param {Element|null} element - Parent element
+   * @param {string} [localName] - Local name without namespace prefix
+   * @returns {Element[]}
+   */
+  getChildren(element, localName) {
+    return Array.from(element?.children || []).filter(child => !localName || child.localName === localName);
+  }
+
+  /**
+   * Creates processing result object
+   * @param {InvoiceRecord[]} records - Processed records
+   * @param {ProcessingError[]} errors - Processing errors
+   * @param {File} file - Original file
+   * @returns {FileProcessingResult} - Processing result
+   */
+  createProcessingResult(records, errors, file) {
+    const validRecords = records.filter(r => r.status === 'valid').length;
+
+    return {
+      success: errors.length === 0,
+      records,
+      totalRecords: records.length,
+      validRecords,
+      invalidRecords: records.length - validRecords,
+      errors,
+      metadata: {
+        parser: 'xml',
+        fileName: file.name,
+        fileSize: file.size,
+        processedAt: new Date().toISOString()
+      }
+    };
+  }
+}
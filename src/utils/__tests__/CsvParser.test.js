@@ -92,6 +92,25 @@ describe('CsvParser', () => {
       expect(result.errors).toHaveLength(1);
       expect(result.errors[0].type).toBe('parsing');
     });
+
+    it('should read TIS-620 files with the detected or chosen encoding', async () => {
+      // 'ลูกค้า' in TIS-620
+      const mockFile = new File([new Uint8Array([0xC5, 0xD9, 0xA1, 0xA4, 0xE9, 0xD2])], 'test.csv', { type: 'text/csv' });
+      Papa.parse.mockImplementation((file, options) => {
+        setTimeout(() => options.complete(), 0);
+      });
+
+      const result = await parser.parseFile(mockFile);
+      expect(Papa.parse).toHaveBeenCalledWith(mockFile, expect.objectContaining({ encoding: 'windows-874' }));
+      expect(result.metadata.encoding).toBe('windows-874');
+
+      await new CsvParser({ encoding: 'utf-8' }).parseFile(mockFile);
+      expect(Papa.parse).toHaveBeenLastCalledWith(mockFile, expect.objectContaining({ encoding: 'utf-8' }));
+
+      const unsupported = await new CsvParser({ encoding: 'klingon' }).parseFile(mockFile);
+      expect(unsupported.success).toBe(false);
+      expect(unsupported.errors[0].message).toBe('Failed to parse CSV: Unsupported text encoding: klingon');
+    });
   });
 
   describe('normalizeHeader', () => {
@@ -112,6 +131,84 @@ describe('CsvParser', () => {
     });
   });
 
+  describe('column mapping profiles', () => {
+    const mappingProfile = {
+      id: 'mapping-1',
+      mappings: [
+        { field: 'invoiceNumber', source: 'Doc No' },
+        { field: 'customerName', source: 'Outlet' },
+        { field: 'amount', source: 'Net', decimalSeparator: ',' },
+        { field: 'totalAmount', source: 'Gross', decimalSeparator: ',' },
+        { field: 'date', source: 'Doc Date', dateFormat: 'DD/MM/YYYY' },
+        { field: 'currency', constant: 'THB' }
+      ]
+    };
+
+    it('should map source columns with transforms and constants', () => {
+      const mappedParser = new CsvParser({ mappingProfile });
+
+      expect(mappedParser.applyMappingProfile({
+        'Doc No': 'A-1',
+        Outlet: 'Shop A',
+        Net: '1.234,50',
+        Gross: '1.320,92',
+        'Doc Date': '31/01/2024'
+      })).toEqual({
+        invoiceNumber: 'A-1',
+        customerName: 'Shop A',
+        amount: '1234.50',
+        totalAmount: '1320.92',
+        date: '2024-01-31',
+        currency: 'THB'
+      });
+    });
+
+    it('should reject dates that do not fit the format', () => {
+      expect(parser.parseDateWithFormat('31/02/2024', 'DD/MM/YYYY')).toBe('');
+      expect(parser.parseDateWithFormat('2024-02-03', 'YYYY-MM-DD')).toBe('2024-02-03');
+      expect(parser.parseDateWithFormat('02/03/2024', 'MM/DD/YYYY')).toBe('2024-02-03');
+    });
+
+    it('should parse files through the mapping profile', async () => {
+      const mappedParser = new CsvParser({ mappingProfile });
+      const mockFile = new File(['test'], 'dist.csv', { type: 'text/csv' });
+
+      Papa.parse.mockImplementation((file, options) => {
+        expect(options.transformHeader(' Doc No ')).toBe('Doc No');
+        setTimeout(() => {
+          options.step({
+            data: { 'Doc No': 'A-1', Outlet: 'Shop A', Net: '100,00', Gross: '107,00', 'Doc Date': '15/01/2024' },
+            errors: []
+          });
+          options.complete();
+        }, 0);
+      });
+
+      const result = await mappedParser.parseFile(mockFile);
+
+      expect(result.records[0]).toMatchObject({
+        invoiceNumber: 'A-1',
+        amount: 100,
+        totalAmount: 107,
+        date: '2024-01-15',
+        currency: 'THB',
+        status: 'valid'
+      });
+      expect(result.metadata.mappingProfileId).toBe('mapping-1');
+    });
+
+    it('should preview headers and first rows', async () => {
+      Papa.parse.mockImplementation((file, options) => {
+        expect(options.preview).toBe(2);
+        options.complete({ data: [{ 'Doc No': 'A-1' }], meta: { fields: ['Doc No'] } });
+      });
+
+      const preview = await parser.previewFile(new File(['test'], 'dist.csv'), 2);
+
+      expect(preview).toEqual({ headers: ['Doc No'], rows: [{ 'Doc No': 'A-1' }] });
+    });
+  });
+
   describe('getStringValue', () => {
     it('should handle various input types', () => {
       expect(parser.getStringValue('test')).toBe('test');
@@ -139,6 +236,12 @@ describe('CsvParser', () => {
       expect(parser.getDateValue('')).toBe('');
       expect(parser.getDateValue('invalid')).toBe('');
     });
+
+    it('should parse Buddhist-era and Thai month name dates', () => {
+      expect(parser.getDateValue('15/01/2567')).toBe('2024-01-15');
+      expect(parser.getDateValue('15 ม.ค. 67')).toBe('2024-01-15');
+      expect(parser.getDateValue('25670115')).toBe('2024-01-15');
+    });
   });
 
   describe('calculateMissingValues', () => {
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { DateParser } from '../DateParser';
+
+describe('DateParser', () => {
+  describe('parseDate', () => {
+    it('should read ISO, compact and day-first dates with Gregorian or B.E. years', () => {
+      expect(DateParser.parseDate('2024-01-15')).toBe('2024-01-15');
+      expect(DateParser.parseDate('2024-01-15T23:30:00-05:00')).toBe('2024-01-15');
+      expect(DateParser.parseDate('2567-01-15')).toBe('2024-01-15');
+      expect(DateParser.parseDate('20240115')).toBe('2024-01-15');
+      expect(DateParser.parseDate('25670115')).toBe('2024-01-15');
+      expect(DateParser.parseDate('15/01/2567')).toBe('2024-01-15');
+      expect(DateParser.parseDate('15.01.2024 10:30')).toBe('2024-01-15');
+      expect(DateParser.parseDate('๑๕/๐๑/๒๕๖๗')).toBe('2024-01-15');
+    });
+
+    it('should read day-first unless the day cannot be a month', () => {
+      expect(DateParser.parseDate('01/02/2024')).toBe('2024-02-01');
+      expect(DateParser.parseDate('01/15/2024')).toBe('2024-01-15');
+      expect(DateParser.parseDate('01/02/2024', { dayFirst: false })).toBe('2024-01-02');
+    });
+
+    it('should read two-digit years as B.E. when they would be far in the future', () => {
+      expect(DateParser.parseDate('15/01/67')).toBe('2024-01-15');
+      expect(DateParser.parseDate('15/01/24')).toBe('2024-01-15');
+      expect(DateParser.parseDate('15/01/67', { buddhistEra: false })).toBe('2067-01-15');
+    });
+
+    it('should read English and Thai month names and abbreviations', () => {
+      expect(DateParser.parseDate('15 ม.ค. 67')).toBe('2024-01-15');
+      expect(DateParser.parseDate('29 ก.พ. 2567')).toBe('2024-02-29');
+      expect(DateParser.parseDate('15 มกราคม พ.ศ. 2567')).toBe('2024-01-15');
+      expect(DateParser.parseDate('15-Jan-2024')).toBe('2024-01-15');
+      expect(DateParser.parseDate('Jan 15, 2024')).toBe('2024-01-15');
+      expect(DateParser.parseDate('1 Sept 24')).toBe('2024-09-01');
+    });
+
+    it('should reject dates that do not exist and values that are not dates', () => {
+      expect(DateParser.parseDate('31/02/2024')).toBe('');
+      expect(DateParser.parseDate('15 Foo 2024')).toBe('');
+      expect(DateParser.parseDate('invalid')).toBe('');
+      expect(DateParser.parseDate('')).toBe('');
+      expect(DateParser.parseDate(null)).toBe('');
+    });
+
+    it('should try the configured formats first', () => {
+      expect(DateParser.parseDate('01/02/2024', { formats: ['MM/DD/YYYY'] })).toBe('2024-01-02');
+    });
+  });
+
+  describe('parseWithFormat', () => {
+    it('should parse Gregorian, B.E., compact and month name formats', () => {
+      expect(DateParser.parseWithFormat('15/01/2024', 'DD/MM/YYYY')).toBe('2024-01-15');
+      expect(DateParser.parseWithFormat('15/01/2567', 'DD/MM/BBBB')).toBe('2024-01-15');
+      expect(DateParser.parseWithFormat('20240115', 'YYYYMMDD')).toBe('2024-01-15');
+      expect(DateParser.parseWithFormat('15 ม.ค. 67', 'DD MMM BB')).toBe('2024-01-15');
+      expect(DateParser.parseWithFormat('1/2/2024', 'DD/MM/YYYY')).toBe('2024-02-01');
+    });
+
+    it('should reject values that do not fit the format', () => {
+      expect(DateParser.parseWithFormat('2024-01-15', 'DD/MM/YYYY')).toBe('');
+      expect(DateParser.parseWithFormat('2024115', 'YYYYMMDD')).toBe('');
+      expect(DateParser.parseWithFormat('30 ก.พ. 67', 'DD MMM BB')).toBe('');
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { EncodingDetector } from '../EncodingDetector';
+import { TEXT_ENCODINGS } from '../../types/invoice';
+
+// 'ลูกค้า,ยอดรวม' in TIS-620
+const tis620Bytes = new Uint8Array([0xC5, 0xD9, 0xA1, 0xA4, 0xE9, 0xD2, 0x2C, 0xC2, 0xCD, 0xB4, 0xC3, 0xC7, 0xC1]);
+const utf8Bytes = new TextEncoder().encode('ลูกค้า,ยอดรวม');
+
+describe('EncodingDetector', () => {
+  describe('detect', () => {
+    it('should detect byte order marks', () => {
+      expect(EncodingDetector.detect(new Uint8Array([0xEF, 0xBB, 0xBF, 0x41]))).toEqual({
+        encoding: TEXT_ENCODINGS.UTF_8, bom: true, confidence: 1
+      });
+      expect(EncodingDetector.detect(new Uint8Array([0xFF, 0xFE, 0x41, 0x00])).encoding).toBe(TEXT_ENCODINGS.UTF_16LE);
+      expect(EncodingDetector.detect(new Uint8Array([0xFE, 0xFF, 0x00, 0x41])).encoding).toBe(TEXT_ENCODINGS.UTF_16BE);
+    });
+
+    it('should keep ASCII and valid UTF-8 as UTF-8, even when a sample ends mid-character', () => {
+      expect(EncodingDetector.detect(new TextEncoder().encode('INV-001,100')).encoding).toBe(TEXT_ENCODINGS.UTF_8);
+      expect(EncodingDetector.detect(utf8Bytes).encoding).toBe(TEXT_ENCODINGS.UTF_8);
+      expect(EncodingDetector.detect(utf8Bytes.slice(0, 4)).encoding).toBe(TEXT_ENCODINGS.UTF_8);
+    });
+
+    it('should detect TIS-620/Windows-874 from Thai byte ranges', () => {
+      expect(EncodingDetector.detect(tis620Bytes)).toEqual({
+        encoding: TEXT_ENCODINGS.WINDOWS_874, bom: false, confidence: 1
+      });
+      // Bytes that are neither UTF-8 nor Thai are left to UTF-8
+      expect(EncodingDetector.detect(new Uint8Array([0x41, 0xFC, 0xFD, 0xFE]))).toEqual({
+        encoding: TEXT_ENCODINGS.UTF_8, bom: false, confidence: 0
+      });
+    });
+  });
+
+  describe('decode', () => {
+    it('should decode with the detected or given encoding', () => {
+      expect(EncodingDetector.decode(tis620Bytes)).toEqual({ text: 'ลูกค้า,ยอดรวม', encoding: TEXT_ENCODINGS.WINDOWS_874 });
+      expect(EncodingDetector.decode(tis620Bytes, 'tis-620').text).toBe('ลูกค้า,ยอดรวม');
+      expect(EncodingDetector.decode(new Uint8Array([0xEF, 0xBB, 0xBF, ...utf8Bytes])).text).toBe('ลูกค้า,ยอดรวม');
+      expect(EncodingDetector.decode(tis620Bytes, TEXT_ENCODINGS.UTF_8).text).toContain('�');
+    });
+
+    it('should reject unsupported encodings', () => {
+      expect(() => EncodingDetector.decode(tis620Bytes, 'klingon')).toThrow('Unsupported text encoding: klingon');
+    });
+  });
+
+  describe('readFile', () => {
+    it('should read and decode files', async () => {
+      const file = new File([tis620Bytes], 'customers.txt', { type: 'text/plain' });
+
+      await expect(EncodingDetector.readFile(file)).resolves.toEqual({
+        text: 'ลูกค้า,ยอดรวม', encoding: TEXT_ENCODINGS.WINDOWS_874
+      });
+      await expect(EncodingDetector.readSample(file, 3)).resolves.toEqual(tis620Bytes.slice(0, 3));
+      await expect(EncodingDetector.resolveFileEncoding(file, TEXT_ENCODINGS.UTF_8)).resolves.toBe(TEXT_ENCODINGS.UTF_8);
+    });
+  });
+
+  it('should tell whether text contains Thai characters', () => {
+    expect(EncodingDetector.containsThai('ลูกค้า')).toBe(true);
+    expect(EncodingDetector.containsThai('Customer')).toBe(false);
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as XLSX from 'xlsx';
+import { ExcelParser } from '../ExcelParser';
+
+const file = { name: 'invoices.xlsx', size: 1000 };
+
+const createWorkbook = (sheets) => {
+  const workbook = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([name, rows]) => {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name);
+  });
+  return workbook;
+};
+
+describe('ExcelParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new ExcelParser();
+  });
+
+  describe('parseWorkbook', () => {
+    it('should detect the header row below a title block', () => {
+      const workbook = createWorkbook({
+        January: [
+          ['Invoice export'],
+          ['Generated 2024-02-01'],
+          [],
+          ['Invoice Number', 'Customer Name', 'Amount', 'Tax Amount', 'Total Amount', 'Date'],
+          ['INV-001', 'Test Customer', 100, 7, 107, '2024-01-15']
+        ]
+      });
+
+      const result = parser.parseWorkbook(workbook, file);
+
+      expect(result.success).toBe(true);
+      expect(result.records).toHaveLength(1);
+      expect(result.records[0]).toMatchObject({
+        invoiceNumber: 'INV-001',
+        amount: 100,
+        totalAmount: 107,
+        date: '2024-01-15',
+        status: 'valid'
+      });
+      expect(result.records[0].metadata).toMatchObject({ sheetName: 'January', location: 'January!A5' });
+      expect(result.metadata.sheets).toEqual([{ name: 'January', headerRow: 4, recordCount: 1 }]);
+    });
+
+    it('should convert Excel serial dates', () => {
+      const workbook = createWorkbook({
+        Sheet1: [
+          ['Invoice Number', 'Customer Name', 'Amount', 'Total Amount', 'Date', 'Due Date'],
+          ['INV-001', 'Test Customer', 100, 107, 45306, 45337]
+        ]
+      });
+      workbook.Sheets.Sheet1.E2.z = 'yyyy-mm-dd';
+
+      const [record] = parser.parseWorkbook(workbook, file).records;
+
+      expect(record.date).toBe('2024-01-15');
+      expect(record.dueDate).toBe('2024-02-15');
+    });
+
+    it('should fill merged cells from their top-left value', () => {
+      const workbook = createWorkbook({
+        Sheet1: [
+          ['Invoice Number', 'Customer Name', 'Amount', 'Total Amount', 'Date'],
+          ['INV-001', 'Merged Customer', 100, 107, '2024-01-15'],
+          ['INV-002', '', 50, 53.5, '2024-01-15']
+        ]
+      });
+      workbook.Sheets.Sheet1['!merges'] = [{ s: { r: 1, c: 1 }, e: { r: 2, c: 1 } }];
+
+      const { records } = parser.parseWorkbook(workbook, file);
+
+      expect(records.map(r => r.customerName)).toEqual(['Merged Customer', 'Merged Customer']);
+    });
+
+    it('should report errors with their cell location', () => {
+      const workbook = createWorkbook({
+        'Jan 2024': [
+          ['Invoice Number', 'Customer Name', 'Amount', 'Total Amount', 'Date'],
+          ['INV-001', '', 100, 107, '2024-01-15']
+        ]
+      });
+
+      const result = parser.parseWorkbook(workbook, file);
+
+      expect(result.records[0].status).toBe('invalid');
+      expect(result.errors[0]).toMatchObject({ row: 2, field: 'customerName', location: "'Jan 2024'!B2" });
+    });
+
+    it('should parse every sheet with a header row unless sheets are selected', () => {
+      const workbook = createWorkbook({
+        North: [['Invoice Number', 'Customer Name', 'Amount', 'Total Amount', 'Date'], ['N-1', 'A', 1, 1, '2024-01-01']],
+        Notes: [['Prepared by finance']],
+        South: [['Invoice Number', 'Customer Name', 'Amount', 'Total Amount', 'Date'], ['S-1', 'B', 2, 2, '2024-01-02']]
+      });
+
+      expect(parser.parseWorkbook(workbook, file).records.map(r => r.invoiceNumber)).toEqual(['N-1', 'S-1']);
+
+      const selected = new ExcelParser({ sheetNames: ['South', 'Missing'] }).parseWorkbook(workbook, file);
+      expect(selected.records.map(r => r.invoiceNumber)).toEqual(['S-1']);
+      expect(selected.errors[0]).toMatchObject({ field: 'sheet', location: 'Missing!A1' });
+    });
+
+    it('should apply column mapping profiles', () => {
+      const mappedParser = new ExcelParser({
+        mappingProfile: {
+          id: 'mapping-1',
+          mappings: [
+            { field: 'invoiceNumber', source: 'Doc No' },
+            { field: 'customerName', source: 'Outlet' },
+            { field: 'amount', source: 'Net' },
+            { field: 'totalAmount', source: 'Gross' },
+            { field: 'date', source: 'Doc Date' }
+          ]
+        }
+      });
+      const workbook = createWorkbook({
+        Sheet1: [['Doc No', 'Outlet', 'Net', 'Gross', 'Doc Date'], ['A-1', 'Shop A', 100, 107, 45306]]
+      });
+
+      const result = mappedParser.parseWorkbook(workbook, file);
+
+      expect(result.records[0]).toMatchObject({ invoiceNumber: 'A-1', customerName: 'Shop A', date: '2024-01-15' });
+      expect(result.metadata.mappingProfileId).toBe('mapping-1');
+    });
+  });
+
+  describe('excelSerialToDate', () => {
+    it('should support both date systems', () => {
+      expect(parser.excelSerialToDate(45306)).toBe('2024-01-15');
+      expect(parser.excelSerialToDate(43844, true)).toBe('2024-01-15');
+    });
+  });
+});
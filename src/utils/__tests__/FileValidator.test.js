@@ -22,6 +22,18 @@ describe('FileValidator', () => {
       expect(() => FileValidator.validateFileType(file)).not.toThrow();
     });
 
+    it('should accept Excel files', () => {
+      const xlsx = new MockFile('test.xlsx', 1000, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      const xls = new MockFile('test.xls', 1000, 'application/vnd.ms-excel');
+      expect(() => FileValidator.validateFileType(xlsx)).not.toThrow();
+      expect(() => FileValidator.validateFileType(xls)).not.toThrow();
+    });
+
+    it('should accept e-Tax Invoice XML files', () => {
+      expect(() => FileValidator.validateFileType(new MockFile('etax.xml', 1000, 'application/xml'))).not.toThrow();
+      expect(() => FileValidator.validateFileType(new MockFile('etax.xml', 1000, 'text/xml'))).not.toThrow();
+    });
+
     it('should accept files with empty MIME type but valid extension', () => {
       const file = new MockFile('test.csv', 1000, '');
       expect(() => FileValidator.validateFileType(file)).not.toThrow();
@@ -99,6 +111,12 @@ describe('FileValidator', () => {
       expect(() => FileValidator.validateFile(file))
         .toThrow(FileValidationError);
     });
+
+    it('should accept larger files when a higher limit is given', () => {
+      const file = new MockFile('test.csv', 15 * 1024 * 1024);
+      const result = FileValidator.validateFile(file, { maxFileSize: FileValidator.getMaxStreamingFileSize() });
+      expect(result.isValid).toBe(true);
+    });
   });
 
   describe('getFileType', () => {
@@ -112,6 +130,15 @@ describe('FileValidator', () => {
       expect(FileValidator.getFileType('TEST.TXT')).toBe('txt');
     });
 
+    it('should return "excel" for Excel files', () => {
+      expect(FileValidator.getFileType('test.xlsx')).toBe('excel');
+      expect(FileValidator.getFileType('TEST.XLS')).toBe('excel');
+    });
+
+    it('should return "xml" for XML files', () => {
+      expect(FileValidator.getFileType('etax.XML')).toBe('xml');
+    });
+
     it('should return "txt" for unknown extensions', () => {
       expect(FileValidator.getFileType('test.unknown')).toBe('txt');
     });
@@ -136,9 +163,21 @@ describe('FileValidator', () => {
       expect(FileValidator.getMaxFileSize()).toBe(10 * 1024 * 1024);
     });
 
+    it('should return max streaming file size', () => {
+      expect(FileValidator.getMaxStreamingFileSize()).toBe(1024 * 1024 * 1024);
+    });
+
+    it('should only stream CSV and TXT files above the in-memory limit', () => {
+      const limit = FileValidator.getMaxFileSize();
+      expect(FileValidator.isStreamingCandidate(new MockFile('big.csv', limit + 1))).toBe(true);
+      expect(FileValidator.isStreamingCandidate(new MockFile('big.txt', limit + 1))).toBe(true);
+      expect(FileValidator.isStreamingCandidate(new MockFile('small.csv', limit))).toBe(false);
+      expect(FileValidator.isStreamingCandidate(new MockFile('big.xlsx', limit + 1))).toBe(false);
+    });
+
     it('should return allowed extensions', () => {
       const extensions = FileValidator.getAllowedExtensions();
-      expect(extensions).toEqual(['.csv', '.txt']);
+      expect(extensions).toEqual(['.csv', '.txt', '.xlsx', '.xls', '.xml']);
     });
   });
 });
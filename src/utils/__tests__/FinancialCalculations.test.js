@@ -77,6 +77,38 @@ describe('FinancialCalculations', () => {
     });
   });
 
+  describe('calculateInclusiveTax', () => {
+    test('should back-calculate Thai VAT from an inclusive amount', () => {
+      const result = FinancialCalculations.calculateInclusiveTax(107, 7);
+
+      expect(result.isValid).toBe(true);
+      expect(result.method).toBe('inclusive');
+      expect(result.taxAmount).toBe(7);
+      expect(result.taxableAmount).toBe(100);
+    });
+
+    test('should round the extracted tax', () => {
+      const result = FinancialCalculations.calculateInclusiveTax(1000, 7);
+
+      expect(result.taxAmount).toBe(65.42); // 1000 × 7 / 107 = 65.4205...
+      expect(result.taxableAmount).toBe(934.58);
+    });
+
+    test('should return zero tax for zero-rated amounts', () => {
+      const result = FinancialCalculations.calculateInclusiveTax(500, 0);
+
+      expect(result.taxAmount).toBe(0);
+      expect(result.taxableAmount).toBe(500);
+    });
+
+    test('should reject negative gross amount', () => {
+      const result = FinancialCalculations.calculateInclusiveTax(-107, 7);
+
+      expect(result.isValid).toBe(false);
+      expect(result.breakdown.errorType).toBe(VALIDATION_ERROR_TYPES.FORMULA_ERROR);
+    });
+  });
+
   describe('calculateTotal', () => {
     test('should calculate total correctly with all components', () => {
       const result = FinancialCalculations.calculateTotal(100, 10, 5);
@@ -309,6 +341,40 @@ describe('FinancialCalculations', () => {
       expect(FinancialCalculations.applyRounding(3.01, 0, 'ceil')).toBe(4);
       expect(FinancialCalculations.applyRounding(3.01, 1, 'ceil')).toBe(3.1);
     });
+
+    test('should round halves to even, truncate and round to satang', () => {
+      expect(FinancialCalculations.applyRounding(0.125, 2, 'half_even')).toBe(0.12);
+      expect(FinancialCalculations.applyRounding(2.675, 2, 'half_even')).toBe(2.68);
+      expect(FinancialCalculations.applyRounding(0.126, 2, 'half_even')).toBe(0.13);
+      expect(FinancialCalculations.applyRounding(0.29, 2, 'truncate')).toBe(0.29);
+      expect(FinancialCalculations.applyRounding(-3.579, 2, 'truncate')).toBe(-3.57);
+      expect(FinancialCalculations.applyRounding(10.13, 2, 'satang')).toBe(10.25);
+      expect(FinancialCalculations.applyRounding(10.12, 2, 'satang')).toBe(10);
+    });
+  });
+
+  describe('rounding policies', () => {
+    const lineItems = [{ lineTotal: 10.08 }, { lineTotal: 10.08 }, { lineTotal: 10.08 }];
+
+    test('should round VAT per line and then sum', () => {
+      const perDocument = FinancialCalculations.calculateTaxWithPolicy(30.24, 7, { scope: 'document' }, lineItems);
+      const perLine = FinancialCalculations.calculateTaxWithPolicy(30.24, 7, { scope: 'line' }, lineItems);
+
+      expect(perDocument.taxAmount).toBe(2.12); // 30.24 × 7% = 2.1168
+      expect(perLine).toMatchObject({ taxAmount: 2.13, taxableAmount: 30.24, method: 'per_line' });
+      expect(perLine.breakdown.lineTaxes).toEqual([0.71, 0.71, 0.71]);
+      // Without line items the document amount is used
+      expect(FinancialCalculations.calculateTaxWithPolicy(30.24, 7, { scope: 'line' }).taxAmount).toBe(2.12);
+    });
+
+    test('should find and describe the policy that reproduces a tax amount', () => {
+      const policy = FinancialCalculations.findRoundingPolicy(2.13, 30.24, 7, lineItems);
+
+      expect(policy).toEqual({ precision: 2, method: 'round', scope: 'line' });
+      expect(FinancialCalculations.describeRoundingPolicy(policy)).toBe('per-line half-up');
+      expect(FinancialCalculations.findRoundingPolicy(2.11, 30.24, 7)).toEqual({ precision: 2, method: 'truncate', scope: 'document' });
+      expect(FinancialCalculations.findRoundingPolicy(5, 30.24, 7, lineItems)).toBeNull();
+    });
   });
 
   describe('isWithinTolerance', () => {
@@ -354,6 +420,16 @@ describe('FinancialCalculations', () => {
       expect(FinancialCalculations.parseCurrencyValue('£1 234.56')).toBe(1234.56);
     });
 
+    test('should reject strings marked with another currency than expected', () => {
+      expect(FinancialCalculations.parseCurrencyValue('฿1,234.50', 'THB')).toBe(1234.5);
+      expect(FinancialCalculations.parseCurrencyValue('1,234.50 บาท', 'thb')).toBe(1234.5);
+      expect(FinancialCalculations.parseCurrencyValue('USD 99.90', 'USD')).toBe(99.9);
+      expect(FinancialCalculations.parseCurrencyValue('$99.90', 'SGD')).toBe(99.9);
+      expect(FinancialCalculations.parseCurrencyValue('$99.90', 'THB')).toBeNull();
+      expect(FinancialCalculations.parseCurrencyValue('EUR 10', 'THB')).toBeNull();
+      expect(FinancialCalculations.parseCurrencyValue('1,000', 'THB')).toBe(1000);
+    });
+
     test('should handle invalid inputs', () => {
       expect(FinancialCalculations.parseCurrencyValue('invalid')).toBeNull();
       expect(FinancialCalculations.parseCurrencyValue(null)).toBeNull();
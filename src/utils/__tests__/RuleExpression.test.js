@@ -0,0 +1,97 @@
+/**
+ * Unit tests for RuleExpression utility
+ */
+
+import { describe, test, expect } from 'vitest';
+import { RuleExpression, RuleExpressionError } from '../RuleExpression.js';
+
+const run = (source, context = {}) => RuleExpression.evaluate(RuleExpression.compile(source), context);
+
+describe('RuleExpression', () => {
+  describe('compile', () => {
+    test('should reject empty expressions', () => {
+      expect(() => RuleExpression.compile('')).toThrow(RuleExpressionError);
+    });
+
+    test('should report the position of unexpected tokens', () => {
+      expect(() => RuleExpression.compile('netAmount > > 1')).toThrow(/position 12/);
+    });
+
+    test('should reject unknown functions', () => {
+      expect(() => RuleExpression.compile('eval(netAmount)')).toThrow(/Unknown function 'eval'/);
+    });
+
+    test('should reject unterminated strings', () => {
+      expect(() => RuleExpression.compile("customerHier3 == 'MT")).toThrow(/Unterminated string/);
+    });
+  });
+
+  describe('evaluate', () => {
+    test('should respect arithmetic precedence', () => {
+      expect(run('2 + 3 * 4')).toBe(14);
+      expect(run('(2 + 3) * 4')).toBe(20);
+      expect(run('-netAmount + 10', { netAmount: 4 })).toBe(6);
+    });
+
+    test('should resolve field references including dotted paths', () => {
+      const record = { netAmount: 100, metadata: { fileName: 'dist.csv' } };
+
+      expect(run('netAmount * 0.3', record)).toBe(30);
+      expect(run("metadata.fileName == 'dist.csv'", record)).toBe(true);
+      expect(run('metadata.missing.value', record)).toBeUndefined();
+    });
+
+    test('should evaluate comparisons and logical operators', () => {
+      const record = { promoDiscount: 40, netAmount: 100, customerHier3: 'MT' };
+
+      expect(run("customerHier3 == 'MT' && promoDiscount <= netAmount * 0.3", record)).toBe(false);
+      expect(run("customerHier3 == 'TT' or promoDiscount > 10", record)).toBe(true);
+      expect(run('not (promoDiscount > 10)', record)).toBe(false);
+    });
+
+    test('should support modulo checks', () => {
+      expect(run('quantity % uomConvFactor == 0', { quantity: 24, uomConvFactor: 12 })).toBe(true);
+      expect(run('quantity % uomConvFactor == 0', { quantity: 25, uomConvFactor: 12 })).toBe(false);
+    });
+
+    test('should support list membership', () => {
+      expect(run("customerHier3 in ['MT', 'TT']", { customerHier3: 'TT' })).toBe(true);
+      expect(run("customerHier3 in ['MT', 'TT']", { customerHier3: 'GT' })).toBe(false);
+    });
+
+    test('should call built-in functions', () => {
+      expect(run('abs(-5)')).toBe(5);
+      expect(run('round(10.456, 2)')).toBe(10.46);
+      expect(run('max(1, 7, 3)')).toBe(7);
+      expect(run('coalesce(newVatTaxAmount, vatTaxAmount)', { vatTaxAmount: 7 })).toBe(7);
+      expect(run('isEmpty(uomCode)', { uomCode: '' })).toBe(true);
+    });
+
+    test('should compare ISO dates as strings', () => {
+      expect(run("invoiceDate >= '2024-01-01'", { invoiceDate: '2024-02-15' })).toBe(true);
+      expect(run("invoiceDate >= '2024-01-01'", { invoiceDate: '2023-12-31' })).toBe(false);
+    });
+  });
+
+  describe('getReferencedFields', () => {
+    test('should list unique field references', () => {
+      const ast = RuleExpression.compile('promoDiscount <= netAmount * 0.3 && netAmount > 0');
+      expect(RuleExpression.getReferencedFields(ast)).toEqual(['promoDiscount', 'netAmount']);
+    });
+  });
+
+  describe('interpolate', () => {
+    test('should replace placeholders and round numbers', () => {
+      const message = RuleExpression.interpolate(
+        'Promo {{promoDiscount}} exceeds {{ expected }} for {{customer.name}}',
+        { promoDiscount: 40, expected: 30.004, customer: { name: 'Shop A' } }
+      );
+
+      expect(message).toBe('Promo 40 exceeds 30 for Shop A');
+    });
+
+    test('should render missing values as empty strings', () => {
+      expect(RuleExpression.interpolate('Value: {{missing}}', {})).toBe('Value: ');
+    });
+  });
+});
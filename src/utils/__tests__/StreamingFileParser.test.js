@@ -0,0 +1,153 @@
+import { describe, it, expect, vi } from 'vitest';
+import { StreamingFileParser } from '../StreamingFileParser';
+
+const csvHeader = 'Invoice Number,Customer Name,Amount,Tax Amount,Total Amount,Date';
+const csvRow = (n) => `INV-${String(n).padStart(3, '0')},Customer ${n},100,7,107,2024-01-15`;
+
+const createFile = (content, name = 'invoices.csv') => new File([content], name, { type: 'text/plain' });
+
+const collect = async (parser, file) => {
+  const chunks = [];
+  const progress = [];
+  const summary = await parser.parse(file, {
+    onChunk: (chunk) => { chunks.push(chunk); },
+    onProgress: (update) => { progress.push(update); }
+  });
+  return { chunks, progress, summary, records: chunks.flatMap(chunk => chunk.records) };
+};
+
+describe('StreamingFileParser', () => {
+  describe('CSV', () => {
+    it('should emit records in several chunks', async () => {
+      const content = [csvHeader, ...Array.from({ length: 20 }, (_, i) => csvRow(i + 1))].join('\n');
+      const parser = new StreamingFileParser({ fileType: 'csv', chunkSize: 128 });
+
+      const { chunks, records, summary } = await collect(parser, createFile(content));
+
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(records).toHaveLength(20);
+      expect(records.map(r => r.invoiceNumber)).toEqual(Array.from({ length: 20 }, (_, i) => csvRow(i + 1).split(',')[0]));
+      expect(records[0]).toMatchObject({ amount: 100, totalAmount: 107, status: 'valid' });
+      expect(summary).toMatchObject({ totalRecords: 20, validRecords: 20, invalidRecords: 0, success: true, cancelled: false });
+      expect(summary.metadata).toMatchObject({ parser: 'csv', streamed: true, chunkSize: 128 });
+    });
+
+    it('should keep quoted line breaks inside a single value across chunk boundaries', async () => {
+      const content = [
+        csvHeader,
+        csvRow(1),
+        'INV-002,"Customer\nwith a long two line name",100,7,107,2024-01-15',
+        csvRow(3)
+      ].join('\n');
+      const parser = new StreamingFileParser({ fileType: 'csv', chunkSize: 80 });
+
+      const { records } = await collect(parser, createFile(content));
+
+      expect(records.map(r => r.invoiceNumber)).toEqual(['INV-001', 'INV-002', 'INV-003']);
+      expect(records[1].customerName).toBe('Customer\nwith a long two line name');
+    });
+
+    it('should report row errors with their row numbers', async () => {
+      const content = [csvHeader, csvRow(1), 'INV-002,,100,7,107,2024-01-15'].join('\n');
+      const parser = new StreamingFileParser({ fileType: 'csv' });
+
+      const { chunks, summary } = await collect(parser, createFile(content));
+
+      expect(chunks[0].errors[0]).toMatchObject({ row: 2, field: 'customerName' });
+      expect(summary).toMatchObject({ invalidRecords: 1, errorCount: 1, success: false });
+    });
+  });
+
+  describe('TXT', () => {
+    it('should stream delimited text files', async () => {
+      const content = [
+        'Invoice|Customer|Amount|Total|Date',
+        ...Array.from({ length: 10 }, (_, i) => `INV-${i + 1}|Customer ${i + 1}|100|107|2024-01-15`)
+      ].join('\n');
+      const parser = new StreamingFileParser({ fileType: 'txt', chunkSize: 64 });
+
+      const { chunks, records } = await collect(parser, createFile(content, 'invoices.txt'));
+
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(records).toHaveLength(10);
+      expect(records[9]).toMatchObject({ invoiceNumber: 'INV-10', totalAmount: 107 });
+    });
+
+    it('should decode TIS-620 files detected from the first chunk', async () => {
+      const content = [
+        'Invoice|Customer|Amount|Total|Date',
+        ...Array.from({ length: 5 }, (_, i) => `INV-${i + 1}|\u0E25\u0E39\u0E01\u0E04\u0E49\u0E32 ${i + 1}|100|107|2024-01-15`)
+      ].join('\n');
+      // Windows-874 puts Thai characters at U+0E01 + 0xA0
+      const bytes = Uint8Array.from(content, char => (char.charCodeAt(0) > 0xFF ? char.charCodeAt(0) - 0x0E01 + 0xA1 : char.charCodeAt(0)));
+      const parser = new StreamingFileParser({ fileType: 'txt', chunkSize: 64 });
+
+      const { records, summary } = await collect(parser, createFile(bytes, 'invoices.txt'));
+
+      expect(records).toHaveLength(5);
+      expect(records[0].customerName).toBe('ลูกค้า 1');
+      expect(summary.metadata.encoding).toBe('windows-874');
+    });
+  });
+
+  describe('flow control', () => {
+    const content = [csvHeader, ...Array.from({ length: 10 }, (_, i) => csvRow(i + 1))].join('\n');
+
+    it('should wait while paused and continue on resume', async () => {
+      const parser = new StreamingFileParser({ fileType: 'csv', chunkSize: 64 });
+      let chunkCount = 0;
+
+      const parsing = parser.parse(createFile(content), {
+        onChunk: () => {
+          chunkCount++;
+          if (chunkCount === 1) parser.pause();
+        }
+      });
+
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(chunkCount).toBe(1);
+
+      parser.resume();
+      const summary = await parsing;
+      expect(summary.totalRecords).toBe(10);
+      expect(chunkCount).toBeGreaterThan(1);
+    });
+
+    it('should stop after cancel and keep the records already emitted', async () => {
+      const parser = new StreamingFileParser({ fileType: 'csv', chunkSize: 64 });
+
+      const summary = await parser.parse(createFile(content), {
+        onChunk: () => parser.cancel()
+      });
+
+      expect(summary.cancelled).toBe(true);
+      expect(summary.success).toBe(false);
+      expect(summary.chunks).toBe(1);
+      expect(summary.totalRecords).toBeLessThan(10);
+    });
+
+    it('should report progress with rows per second and ETA', async () => {
+      const parser = new StreamingFileParser({ fileType: 'csv', chunkSize: 128 });
+
+      const { progress } = await collect(parser, createFile(content));
+      const last = progress[progress.length - 1];
+
+      expect(last).toMatchObject({ percentage: 100, rowsProcessed: 10, etaSeconds: 0 });
+      expect(last.bytesProcessed).toBe(last.totalBytes);
+      expect(typeof last.rowsPerSecond).toBe('number');
+      expect(progress[0].percentage).toBeLessThan(100);
+    });
+  });
+
+  it('should validate each chunk as it is parsed', async () => {
+    const content = [csvHeader, csvRow(1), csvRow(2)].join('\n');
+    const validateChunk = vi.fn().mockResolvedValue([{ recordId: 'r1', field: 'amount', severity: 'high' }]);
+    const parser = new StreamingFileParser({ fileType: 'csv', validateChunk });
+
+    const { chunks, summary } = await collect(parser, createFile(content));
+
+    expect(validateChunk).toHaveBeenCalledWith(expect.arrayContaining([expect.objectContaining({ invoiceNumber: 'INV-001' })]));
+    expect(chunks[0].validationResults).toHaveLength(1);
+    expect(summary.validationResultCount).toBe(1);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Unit tests for TaxIdValidator utility
+ */
+
+import { describe, test, expect } from 'vitest';
+import { TaxIdValidator, TAX_ID_ERRORS } from '../TaxIdValidator.js';
+
+describe('TaxIdValidator', () => {
+  describe('validateTaxId', () => {
+    test('should accept 13-digit IDs with a valid check digit, printed with dashes or spaces', () => {
+      expect(TaxIdValidator.validateTaxId('0105550123451')).toEqual({ isValid: true, value: '0105550123451', error: null, message: null });
+      expect(TaxIdValidator.isValidTaxId('0-1055-50123-45-1')).toBe(true);
+      expect(TaxIdValidator.isValidTaxId('3 1001 00123 45 1')).toBe(true);
+    });
+
+    test('should reject wrong lengths and check digits', () => {
+      expect(TaxIdValidator.validateTaxId('0105550123452').error).toBe(TAX_ID_ERRORS.CHECKSUM);
+      expect(TaxIdValidator.validateTaxId('010555012345').error).toBe(TAX_ID_ERRORS.LENGTH);
+      expect(TaxIdValidator.validateTaxId('01055501234AB').message).toBe('Tax ID must be 13 digits');
+    });
+
+    test('should only require a value when asked to', () => {
+      expect(TaxIdValidator.validateTaxId('').isValid).toBe(true);
+      expect(TaxIdValidator.validateTaxId(null, { required: true }).error).toBe(TAX_ID_ERRORS.REQUIRED);
+      expect(TaxIdValidator.isValidTaxId('')).toBe(false);
+    });
+  });
+
+  describe('validateBranchCode', () => {
+    test('should accept 5-digit codes, pad codes that lost leading zeros and map head office labels', () => {
+      expect(TaxIdValidator.validateBranchCode('00012').isValid).toBe(true);
+      expect(TaxIdValidator.validateBranchCode(1).value).toBe('00001');
+      expect(TaxIdValidator.validateBranchCode('สำนักงานใหญ่').value).toBe('00000');
+      expect(TaxIdValidator.validateBranchCode('Head Office').value).toBe('00000');
+    });
+
+    test('should reject other formats', () => {
+      expect(TaxIdValidator.validateBranchCode('000123').error).toBe(TAX_ID_ERRORS.BRANCH_FORMAT);
+      expect(TaxIdValidator.validateBranchCode('B001').isValid).toBe(false);
+      expect(TaxIdValidator.validateBranchCode('', { required: true }).isValid).toBe(false);
+    });
+  });
+});
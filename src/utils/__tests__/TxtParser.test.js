@@ -110,6 +110,108 @@ describe('TxtParser', () => {
     });
   });
 
+  describe('fixed-width layouts', () => {
+    const layout = {
+      id: 'erp-a',
+      name: 'ERP A extract',
+      recordTypes: {
+        header: {
+          discriminator: { start: 0, length: 1, value: 'H' },
+          fields: [
+            { name: 'invoiceNumber', start: 1, length: 10 },
+            { name: 'customerName', start: 11, length: 15 },
+            { name: 'date', start: 26, length: 8, type: 'date', datePattern: 'YYYYMMDD' }
+          ]
+        },
+        detail: {
+          discriminator: { start: 0, length: 1, value: 'D' },
+          fields: [
+            { name: 'productCode', start: 1, length: 8 },
+            { name: 'amount', start: 9, length: 10, type: 'number', impliedDecimals: 2 },
+            { name: 'totalAmount', start: 19, length: 10, type: 'number', impliedDecimals: 2 }
+          ]
+        },
+        trailer: {
+          discriminator: { start: 0, length: 1, value: 'T' },
+          fields: [
+            { name: 'lineCount', start: 1, length: 5, type: 'number' },
+            { name: 'totalAmount', start: 6, length: 12, type: 'number', impliedDecimals: 2 }
+          ]
+        }
+      },
+      controlTotals: [
+        { trailerField: 'lineCount', aggregate: 'count' },
+        { trailerField: 'totalAmount', aggregate: 'sum', detailField: 'totalAmount' }
+      ]
+    };
+
+    const header = 'H' + 'INV-001'.padEnd(10) + 'Test Customer'.padEnd(15) + '20240131';
+    const detail = (code, amount, total) =>
+      'D' + code.padEnd(8) + String(amount).padStart(10, '0') + String(total).padStart(10, '0');
+    const trailer = (count, total) => 'T' + String(count).padStart(5, '0') + String(total).padStart(12, '0');
+
+    it('should apply header values to detail lines', () => {
+      const layoutParser = new TxtParser({ fixedWidthLayout: layout });
+      const content = [header, detail('P001', 10000, 10700), detail('P002', 5000, 5350), trailer(2, 16050)].join('\n');
+
+      const result = layoutParser.parseFixedWidthFormat(content, { name: 'erp.txt', size: 100 });
+
+      expect(result.success).toBe(true);
+      expect(result.metadata.layoutId).toBe('erp-a');
+      expect(result.records).toHaveLength(2);
+      expect(result.records[1]).toMatchObject({
+        invoiceNumber: 'INV-001',
+        customerName: 'Test Customer',
+        date: '2024-01-31',
+        productCode: 'P002',
+        amount: 50,
+        totalAmount: 53.5,
+        status: 'valid'
+      });
+    });
+
+    it('should report trailer control totals that do not match the details', () => {
+      const layoutParser = new TxtParser({ fixedWidthLayout: layout });
+      const content = [header, detail('P001', 10000, 10700), trailer(3, 20000)].join('\n');
+
+      const result = layoutParser.parseFixedWidthFormat(content, { name: 'erp.txt', size: 100 });
+
+      expect(result.success).toBe(false);
+      expect(result.errors.map(e => e.field)).toEqual(['lineCount', 'totalAmount']);
+      expect(result.errors[0].row).toBe(3);
+    });
+
+    it('should report a missing trailer and unknown record types', () => {
+      const layoutParser = new TxtParser({ fixedWidthLayout: layout });
+      const content = [header, 'X garbage', detail('P001', 10000, 10700)].join('\n');
+
+      const result = layoutParser.parseFixedWidthFormat(content, { name: 'erp.txt', size: 100 });
+
+      expect(result.errors.map(e => e.field)).toEqual(['recordType', 'trailer']);
+      expect(result.records).toHaveLength(1);
+    });
+
+    it('should parse signed numbers and date patterns', () => {
+      expect(parser.parseFixedWidthNumber('0001250-', 2)).toBe(-12.5);
+      expect(parser.parseFixedWidthNumber('12.50', 2)).toBe(12.5);
+      expect(() => parser.parseFixedWidthNumber('12A', 0)).toThrow('Invalid number');
+      expect(parser.parseDatePattern('31012024', 'DDMMYYYY')).toBe('2024-01-31');
+      expect(parser.parseDatePattern('20240230', 'YYYYMMDD')).toBe('');
+      expect(parser.parseDatePattern('15012567', 'DDMMBBBB')).toBe('2024-01-15');
+    });
+
+    it('should reject incomplete layouts', () => {
+      expect(() => parser.validateFixedWidthLayout({ recordTypes: { header: { fields: [] } } }))
+        .toThrow('must define a detail record type');
+      expect(() => parser.validateFixedWidthLayout({
+        recordTypes: { detail: { fields: [] }, trailer: { fields: [] } }
+      })).toThrow('needs a discriminator');
+      expect(() => parser.validateFixedWidthLayout({
+        recordTypes: { detail: { fields: [{ name: 'amount', start: 0, length: 0 }] } }
+      })).toThrow('Invalid position for field "amount"');
+    });
+  });
+
   describe('parseNumber', () => {
     it('should parse various number formats', () => {
       expect(parser.parseNumber('123.45')).toBe(123.45);
@@ -0,0 +1,202 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { XmlParser } from '../XmlParser';
+
+const file = { name: 'etax.xml', size: 1000 };
+
+const lineItem = (lineId, { quantity = '10', price = '100.00', total = '1000.00', allowance = '' } = {}) => `
+    <ram:IncludedSupplyChainTradeLineItem>
+      <ram:AssociatedDocumentLineDocument><ram:LineID>${lineId}</ram:LineID></ram:AssociatedDocumentLineDocument>
+      <ram:SpecifiedTradeProduct><ram:ID>P00${lineId}</ram:ID><ram:Name>Biscuits ${lineId}</ram:Name></ram:SpecifiedTradeProduct>
+      <ram:SpecifiedLineTradeAgreement>
+        <ram:GrossPriceProductTradePrice><ram:ChargeAmount>${price}</ram:ChargeAmount></ram:GrossPriceProductTradePrice>
+      </ram:SpecifiedLineTradeAgreement>
+      <ram:SpecifiedLineTradeDelivery><ram:BilledQuantity unitCode="EA">${quantity}</ram:BilledQuantity></ram:SpecifiedLineTradeDelivery>
+      <ram:SpecifiedLineTradeSettlement>
+        <ram:ApplicableTradeTax>
+          <ram:TypeCode>VAT</ram:TypeCode>
+          <ram:CalculatedRate>7.00</ram:CalculatedRate>
+          <ram:CalculatedAmount>70.00</ram:CalculatedAmount>
+        </ram:ApplicableTradeTax>
+        ${allowance}
+        <ram:SpecifiedTradeSettlementLineMonetarySummation>
+          <ram:NetLineTotalAmount>${total}</ram:NetLineTotalAmount>
+        </ram:SpecifiedTradeSettlementLineMonetarySummation>
+      </ram:SpecifiedLineTradeSettlement>
+    </ram:IncludedSupplyChainTradeLineItem>`;
+
+const document = ({
+  root = 'TaxInvoice_CrossIndustryInvoice',
+  id = 'IV2403-0001',
+  typeCode = '388',
+  issueDate = '2024-03-01T00:00:00',
+  sellerTaxId = '010555012345100000',
+  buyer = '<ram:ID>C001</ram:ID><ram:Name>Siam Mart</ram:Name><ram:SpecifiedTaxRegistration><ram:ID schemeID="TXID">310010012345100002</ram:ID></ram:SpecifiedTaxRegistration>',
+  reference = '',
+  grandTotal = '1016.50',
+  lines = lineItem(1)
+} = {}) => `<?xml version="1.0" encoding="UTF-8"?>
+<rsm:${root}
+  xmlns:rsm="urn:etda:uncefact:data:standard:${root}:2"
+  xmlns:ram="urn:etda:uncefact:data:standard:TaxInvoice_ReusableAggregateBusinessInformationEntity:2">
+  <rsm:ExchangedDocument>
+    <ram:ID>${id}</ram:ID>
+    <ram:TypeCode>${typeCode}</ram:TypeCode>
+    <ram:IssueDateTime>${issueDate}</ram:IssueDateTime>
+  </rsm:ExchangedDocument>
+  <rsm:SupplyChainTradeTransaction>
+    <ram:ApplicableHeaderTradeAgreement>
+      <ram:SellerTradeParty>
+        <ram:Name>MDLZ Distributor</ram:Name>
+        <ram:SpecifiedTaxRegistration><ram:ID schemeID="TXID">${sellerTaxId}</ram:ID></ram:SpecifiedTaxRegistration>
+      </ram:SellerTradeParty>
+      <ram:BuyerTradeParty>${buyer}</ram:BuyerTradeParty>
+      ${reference}
+    </ram:ApplicableHeaderTradeAgreement>
+    <ram:ApplicableHeaderTradeSettlement>
+      <ram:InvoiceCurrencyCode>THB</ram:InvoiceCurrencyCode>
+      <ram:ApplicableTradeTax>
+        <ram:TypeCode>VAT</ram:TypeCode>
+        <ram:CalculatedRate>7.00</ram:CalculatedRate>
+      </ram:ApplicableTradeTax>
+      <ram:SpecifiedTradeAllowanceCharge>
+        <ram:ChargeIndicator>false</ram:ChargeIndicator>
+        <ram:ActualAmount>50.00</ram:ActualAmount>
+        <ram:ReasonCode>95</ram:ReasonCode>
+        <ram:Reason>Promotion discount</ram:Reason>
+      </ram:SpecifiedTradeAllowanceCharge>
+      <ram:SpecifiedTradePaymentTerms><ram:DueDateDateTime>2024-03-31T00:00:00</ram:DueDateDateTime></ram:SpecifiedTradePaymentTerms>
+      <ram:SpecifiedTradeSettlementHeaderMonetarySummation>
+        <ram:LineTotalAmount>1000.00</ram:LineTotalAmount>
+        <ram:AllowanceTotalAmount>50.00</ram:AllowanceTotalAmount>
+        <ram:TaxBasisTotalAmount>950.00</ram:TaxBasisTotalAmount>
+        <ram:TaxTotalAmount>66.50</ram:TaxTotalAmount>
+        <ram:GrandTotalAmount>${grandTotal}</ram:GrandTotalAmount>
+      </ram:SpecifiedTradeSettlementHeaderMonetarySummation>
+    </ram:ApplicableHeaderTradeSettlement>
+    ${lines}
+  </rsm:SupplyChainTradeTransaction>
+</rsm:${root}>`;
+
+describe('XmlParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new XmlParser();
+  });
+
+  describe('parseContent', () => {
+    it('should map a tax invoice with tax IDs, allowances and line items', () => {
+      const result = parser.parseContent(document({
+        lines: lineItem(1) + lineItem(2, {
+          quantity: '5',
+          price: '20.00',
+          total: '90.00',
+          allowance: '<ram:SpecifiedTradeAllowanceCharge><ram:ChargeIndicator>false</ram:ChargeIndicator><ram:ActualAmount>10.00</ram:ActualAmount></ram:SpecifiedTradeAllowanceCharge>'
+        })
+      }), file);
+
+      expect(result.errors).toEqual([]);
+      expect(result.metadata.parser).toBe('xml');
+      expect(result.records).toHaveLength(1);
+
+      const [record] = result.records;
+      expect(record).toMatchObject({
+        invoiceNumber: 'IV2403-0001',
+        documentType: 'invoice',
+        taxInvoiceType: 'full',
+        date: '2024-03-01',
+        dueDate: '2024-03-31',
+        sellerName: 'MDLZ Distributor',
+        sellerTaxId: '0105550123451',
+        sellerBranchCode: '00000',
+        customerCode: 'C001',
+        customerName: 'Siam Mart',
+        customerTaxId: '3100100123451',
+        customerBranchCode: '00002',
+        currency: 'THB',
+        amount: 950,
+        taxRate: 7,
+        taxAmount: 66.5,
+        discountAmount: 0,
+        totalAmount: 1016.5,
+        allowanceCharges: [{ type: 'allowance', amount: 50, reasonCode: '95', reason: 'Promotion discount' }],
+        status: 'valid'
+      });
+      expect(record.lineItems).toEqual([
+        expect.objectContaining({ productCode: 'P001', description: 'Biscuits 1', quantity: 10, uomCode: 'EA', unitPrice: 100, lineTotal: 1000, taxRate: 7, taxAmount: 70 }),
+        expect.objectContaining({ productCode: 'P002', lineTotal: 90, allowanceCharges: [{ type: 'allowance', amount: 10 }] })
+      ]);
+      expect(record.lineItems[0].id).toBe(`${record.id}-1`);
+    });
+
+    it('should map credit notes, debit notes and abbreviated tax invoices to their types', () => {
+      const reference = '<ram:AdditionalReferencedDocument><ram:IssuerAssignedID>IV2403-0001</ram:IssuerAssignedID></ram:AdditionalReferencedDocument>';
+      const creditNote = parser.parseContent(document({ root: 'DebitCreditNote_CrossIndustryInvoice', id: 'CN2403-0001', typeCode: '81', reference }), file);
+      const debitNote = parser.parseContent(document({ root: 'DebitCreditNote_CrossIndustryInvoice', id: 'DN2403-0001', typeCode: '80', reference }), file);
+      const abbreviated = parser.parseContent(document({ typeCode: 'T05', buyer: '' }), file);
+
+      expect(creditNote.records[0]).toMatchObject({ documentType: 'credit_note', referencedInvoiceNumber: 'IV2403-0001', status: 'valid' });
+      expect(debitNote.records[0]).toMatchObject({ documentType: 'debit_note', referencedInvoiceNumber: 'IV2403-0001', status: 'valid' });
+      expect(abbreviated.errors).toEqual([]);
+      expect(abbreviated.records[0]).toMatchObject({ documentType: 'invoice', taxInvoiceType: 'abbreviated', customerName: '' });
+      expect(abbreviated.records[0].customerTaxId).toBeUndefined();
+    });
+
+    it('should report schema violations with their element paths', () => {
+      const result = parser.parseContent(document({
+        root: 'DebitCreditNote_CrossIndustryInvoice',
+        typeCode: '81',
+        issueDate: '01/03/2024',
+        sellerTaxId: '010555012345200000',
+        grandTotal: 'n/a',
+        lines: ''
+      }), file);
+
+      expect(result.success).toBe(false);
+      expect(result.records[0].status).toBe('invalid');
+      expect(result.errors.map(({ field, type, location }) => ({ field, type, location }))).toEqual([
+        { field: 'date', type: 'format', location: '/DebitCreditNote_CrossIndustryInvoice/ExchangedDocument/IssueDateTime' },
+        { field: 'referencedInvoiceNumber', type: 'format', location: '/DebitCreditNote_CrossIndustryInvoice/SupplyChainTradeTransaction/ApplicableHeaderTradeAgreement/AdditionalReferencedDocument/IssuerAssignedID' },
+        { field: 'sellerTaxId', type: 'validation', location: '/DebitCreditNote_CrossIndustryInvoice/SupplyChainTradeTransaction/ApplicableHeaderTradeAgreement/SellerTradeParty/SpecifiedTaxRegistration/ID' },
+        { field: 'totalAmount', type: 'format', location: '/DebitCreditNote_CrossIndustryInvoice/SupplyChainTradeTransaction/ApplicableHeaderTradeSettlement/SpecifiedTradeSettlementHeaderMonetarySummation/GrandTotalAmount' },
+        { field: 'lineItems', type: 'format', location: '/DebitCreditNote_CrossIndustryInvoice/SupplyChainTradeTransaction/IncludedSupplyChainTradeLineItem' }
+      ]);
+      expect(result.errors[0]).toMatchObject({ row: 1, value: '01/03/2024', message: 'IssueDateTime must be an ISO 8601 date' });
+      expect(result.errors[1].message).toBe('Missing required element SupplyChainTradeTransaction/ApplicableHeaderTradeAgreement/AdditionalReferencedDocument/IssuerAssignedID');
+      expect(result.errors[2].message).toBe('Invalid tax ID 0105550123452: Tax ID check digit is invalid');
+    });
+
+    it('should report unsupported document types, missing line values and malformed XML', () => {
+      const unsupported = parser.parseContent(document({ typeCode: 'T01', lines: lineItem(1, { quantity: '' }) }), file);
+      expect(unsupported.errors).toEqual([
+        expect.objectContaining({ field: 'documentType', message: 'Unsupported document type code T01' }),
+        expect.objectContaining({
+          field: 'lineItems[0].quantity',
+          location: '/TaxInvoice_CrossIndustryInvoice/SupplyChainTradeTransaction/IncludedSupplyChainTradeLineItem[1]/SpecifiedLineTradeDelivery/BilledQuantity'
+        })
+      ]);
+
+      const malformed = parser.parseContent('<rsm:TaxInvoice_CrossIndustryInvoice>', file);
+      expect(malformed.records).toEqual([]);
+      expect(malformed.errors).toEqual([expect.objectContaining({ field: 'file', type: 'parsing' })]);
+
+      const other = parser.parseContent('<Invoice><ID>1</ID></Invoice>', file);
+      expect(other.errors).toEqual([
+        expect.objectContaining({ field: 'document', type: 'format', location: '/Invoice' })
+      ]);
+    });
+  });
+
+  describe('parseFile', () => {
+    it('should parse every document of a batch file', async () => {
+      const body = (xml) => xml.replace(/^<\?xml[^>]*>\s*/, '');
+      const batch = `<Documents>${body(document())}${body(document({ id: 'IV2403-0002' }))}</Documents>`;
+
+      const result = await parser.parseFile(new File([batch], 'batch.xml', { type: 'application/xml' }));
+
+      expect(result.errors).toEqual([]);
+      expect(result.records.map(record => record.invoiceNumber)).toEqual(['IV2403-0001', 'IV2403-0002']);
+      expect(result.records[1].metadata.location).toBe('/Documents/TaxInvoice_CrossIndustryInvoice[2]');
+    });
+  });
+});
@@ -38,6 +38,7 @@ const getCurrency = (language) => {
  * @param {Date|string|number} date - Date to format
  * @param {string} language - Language code
  * @param {Object} options - Intl.DateTimeFormat options
+ * @param {boolean} options.buddhistEra - Render Buddhist-era (B.E.) years, e.g. 15 มกราคม 2567 (default: false)
  * @returns {string} Formatted date
  */
 export const formatDate = (date, language = 'en', options = {}) => {
@@ -46,7 +47,9 @@ export const formatDate = (date, language = 'en', options = {}) => {
   const dateObj = new Date(date);
   if (isNaN(dateObj.getTime())) return '';
   
-  const locale = getLocale(language);
+  const { buddhistEra = false, ...formatOptions } = options;
+  // The Thai locale defaults to the Buddhist calendar, so the calendar is always set
+  const locale = `${getLocale(language)}-u-ca-${buddhistEra ? 'buddhist' : 'gregory'}`;
   const defaultOptions = {
     year: 'numeric',
     month: 'long',
@@ -54,7 +57,7 @@ export const formatDate = (date, language = 'en', options = {}) => {
   };
   
   try {
-    return new Intl.DateTimeFormat(locale, { ...defaultOptions, ...options }).format(dateObj);
+    return new Intl.DateTimeFormat(locale, { ...defaultOptions, ...formatOptions }).format(dateObj);
   } catch (error) {
     console.warn('Date formatting error:', error);
     return dateObj.toLocaleDateString();
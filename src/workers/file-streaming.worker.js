@@ -0,0 +1,87 @@
+// Web Worker for streaming large invoice files
+// Parses the file in chunks and posts records back as they are produced.
+// Each chunk waits for an 'ack' from the main thread before the next one is
+// read, so neither side buffers more than a chunk at a time.
+
+import { StreamingFileParser } from '../utils/StreamingFileParser';
+import { ValidationEngine } from '../services/ValidationEngine';
+
+let parser = null;
+let pendingAck = null;
+
+const waitForAck = () => new Promise(resolve => {
+  pendingAck = resolve;
+});
+
+// Chunks are checked against the same master data as validateBatch; only
+// batch-wide checks (credit exposure, number sequences) see one record at a time
+const createChunkValidator = (validationConfig, masterData) => {
+  const engine = new ValidationEngine(validationConfig);
+  engine.setMasterData(masterData);
+
+  return async (records) => {
+    const results = [];
+    for (const record of records) {
+      results.push(...await engine.validateRecord(record));
+    }
+    return results;
+  };
+};
+
+const startStreaming = async ({ file, options = {} }) => {
+  const { validate = false, validationConfig, masterData, ...parserOptions } = options;
+
+  parser = new StreamingFileParser({
+    ...parserOptions,
+    validateChunk: validate ? createChunkValidator(validationConfig, masterData) : null
+  });
+
+  try {
+    const summary = await parser.parse(file, {
+      onChunk: (chunk) => {
+        self.postMessage({ type: 'chunk', data: chunk });
+        return waitForAck();
+      },
+      onProgress: (progress) => {
+        self.postMessage({ type: 'progress', data: progress });
+      }
+    });
+
+    self.postMessage({ type: 'complete', data: summary });
+  } catch (error) {
+    self.postMessage({ type: 'error', error: error.message });
+  } finally {
+    parser = null;
+  }
+};
+
+self.onmessage = (event) => {
+  const { type, data } = event.data;
+
+  switch (type) {
+    case 'ping':
+      self.postMessage({ type: 'pong' });
+      break;
+    case 'start':
+      startStreaming(data);
+      break;
+    case 'ack':
+      if (pendingAck) {
+        const resolve = pendingAck;
+        pendingAck = null;
+        resolve();
+      }
+      break;
+    case 'pause':
+      parser?.pause();
+      break;
+    case 'resume':
+      parser?.resume();
+      break;
+    case 'cancel':
+      parser?.cancel();
+      break;
+    default:
+      self.postMessage({ type: 'error', error: `Unknown message type: ${type}` });
+  }
+};
@@ -0,0 +1,60 @@
+// Web Worker for background validation processing
+// Runs the same ValidationEngine as the main thread, so worker and
+// main-thread validation give the same results for the same config.
+
+import { ValidationEngine } from '../services/ValidationEngine';
+
+const validateRecords = async ({ records, config, ...masterData }) => {
+  const engine = new ValidationEngine(config);
+  engine.setMasterData(masterData);
+
+  const summary = await engine.validateBatch(records, (progress) => {
+    if (progress.status !== 'processing' || progress.processedRecords % 100 !== 0) return;
+
+    self.postMessage({
+      type: 'progress',
+      data: {
+        processed: progress.processedRecords,
+        total: progress.totalRecords,
+        percentage: progress.progressPercentage
+      }
+    });
+  });
+
+  return {
+    results: engine.getResults(),
+    summary,
+    sequenceReport: engine.getSequenceReport()
+  };
+};
+
+// Worker message handler
+self.onmessage = async (event) => {
+  const { type, data } = event.data;
+
+  try {
+    switch (type) {
+      case 'validate':
+        self.postMessage({
+          type: 'complete',
+          data: await validateRecords(data)
+        });
+        break;
+
+      case 'ping':
+        self.postMessage({ type: 'pong' });
+        break;
+
+      default:
+        self.postMessage({
+          type: 'error',
+          error: `Unknown message type: ${type}`
+        });
+    }
+  } catch (error) {
+    self.postMessage({
+      type: 'error',
+      error: error.message
+    });
+  }
+};